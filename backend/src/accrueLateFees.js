@@ -0,0 +1,14 @@
+import { accrueLateFees } from './services/lateFeeAccrual.js';
+
+// Uso: node src/accrueLateFees.js [YYYY-MM-DD]  (por defecto hoy, hora de Lima)
+const date = process.argv[2];
+
+accrueLateFees(date ? { date } : {})
+  .then((summary) => {
+    console.log('Devengo de mora completado:', summary);
+    process.exit(0);
+  })
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
@@ -1,6 +1,7 @@
 import express from 'express';
 import morgan from 'morgan';
 import cors from 'cors';
+import { config } from './config.js';
 import authRoutes from './routes/auth.js';
 import clientRoutes from './routes/clients.js';
 import loanRoutes from './routes/loans.js';
@@ -8,6 +9,18 @@ import paymentRoutes from './routes/payments.js';
 import cashSessionRoutes from './routes/cashSessions.js';
 import flowRoutes from './routes/flow.js';
 import sunatRoutes from './routes/sunat.js';
+import lateFeePolicyRoutes from './routes/lateFeePolicies.js';
+import lateFeeWaiverRoutes from './routes/lateFeeWaivers.js';
+import paymentVoidRoutes from './routes/paymentVoids.js';
+import refundRoutes from './routes/refunds.js';
+import receiptSeriesRoutes from './routes/receiptSeries.js';
+import creditNoteRoutes from './routes/creditNotes.js';
+import companySettingsRoutes from './routes/companySettings.js';
+import branchRoutes from './routes/branches.js';
+import vaultRoutes from './routes/vaults.js';
+import cashTransferRoutes from './routes/cashTransfers.js';
+import userRoutes from './routes/users.js';
+import auditRoutes from './routes/audit.js';
 
 const app = express();
 
@@ -33,10 +46,13 @@ const corsOptions = {
   allowedHeaders: ['Content-Type', 'Authorization'],
 };
 
+app.set('trust proxy', config.trustProxy);
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // Para parsear form data de Flow webhook
+// No registrar en logs credenciales que viajen en la URL (enlaces de descarga, tokens de Flow)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:dl|token)=)[^&]*/g, '$1***'));
 app.use(morgan('dev'));
 
 // Log de requests
@@ -52,8 +68,20 @@ app.use('/clients', clientRoutes);
 app.use('/loans', loanRoutes);
 app.use('/payments', paymentRoutes);
 app.use('/cash-sessions', cashSessionRoutes);
+app.use('/cash-transfers', cashTransferRoutes);
 app.use('/flow', flowRoutes);
 app.use('/sunat', sunatRoutes);
+app.use('/late-fee-policies', lateFeePolicyRoutes);
+app.use('/late-fee-waivers', lateFeeWaiverRoutes);
+app.use('/payment-voids', paymentVoidRoutes);
+app.use('/refunds', refundRoutes);
+app.use('/receipt-series', receiptSeriesRoutes);
+app.use('/credit-notes', creditNoteRoutes);
+app.use('/company-settings', companySettingsRoutes);
+app.use('/branches', branchRoutes);
+app.use('/vaults', vaultRoutes);
+app.use('/users', userRoutes);
+app.use('/audit', auditRoutes);
 
 // 404
 app.use((req, res) => {
@@ -0,0 +1,18 @@
+import { assignUnassignedToBranch } from './services/branch.js';
+
+// Uso: node src/backfillBranches.js PRINCIPAL  (asigna a la agencia los préstamos, cajas y usuarios sin agencia)
+const code = process.argv[2];
+if (!code) {
+  console.error('Indique el código de la agencia: node src/backfillBranches.js <CODIGO>');
+  process.exit(1);
+}
+
+assignUnassignedToBranch(code)
+  .then((summary) => {
+    console.log('Asignación de agencia completada:', summary);
+    process.exit(0);
+  })
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
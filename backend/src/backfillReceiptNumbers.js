@@ -0,0 +1,12 @@
+import { backfillReceiptNumbers } from './services/receiptSeries.js';
+
+// Uso: node src/backfillReceiptNumbers.js  (asigna serie y correlativo a comprobantes antiguos)
+backfillReceiptNumbers()
+  .then((summary) => {
+    console.log('Numeración de comprobantes completada:', summary);
+    process.exit(0);
+  })
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
@@ -4,10 +4,55 @@ dotenv.config();
 const DNI_API_TOKEN = process.env.DNI_API_TOKEN || '';
 const RUC_API_TOKEN = process.env.RUC_API_TOKEN || DNI_API_TOKEN;
 
+// Número de saltos ("1") o lista de IPs/subredes que entiende Express
+function parseTrustProxy(value) {
+  if (!value) return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 export const config = {
   port: process.env.PORT ? Number(process.env.PORT) : 4000,
   jwtSecret: process.env.JWT_SECRET || 'change_me_secret',
+  // Token de acceso corto; la sesión se mantiene con el refresh token (rotativo, guardado en BD)
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: process.env.REFRESH_TOKEN_TTL_DAYS ? Number(process.env.REFRESH_TOKEN_TTL_DAYS) : 7,
+  downloadLinkTtlSeconds: process.env.DOWNLOAD_LINK_TTL_SECONDS ? Number(process.env.DOWNLOAD_LINK_TTL_SECONDS) : 60,
+  // Bloqueo por intentos fallidos: tras maxFailures se bloquea la cuenta lockBaseMinutes,
+  // duplicando en cada bloqueo seguido hasta lockMaxMinutes. Por IP se corta con 429.
+  login: {
+    maxFailures: process.env.LOGIN_MAX_FAILURES ? Number(process.env.LOGIN_MAX_FAILURES) : 5,
+    lockBaseMinutes: process.env.LOGIN_LOCK_BASE_MINUTES ? Number(process.env.LOGIN_LOCK_BASE_MINUTES) : 1,
+    lockMaxMinutes: process.env.LOGIN_LOCK_MAX_MINUTES ? Number(process.env.LOGIN_LOCK_MAX_MINUTES) : 60,
+    ipMaxFailures: process.env.LOGIN_IP_MAX_FAILURES ? Number(process.env.LOGIN_IP_MAX_FAILURES) : 20,
+    ipWindowMinutes: process.env.LOGIN_IP_WINDOW_MINUTES ? Number(process.env.LOGIN_IP_WINDOW_MINUTES) : 15,
+  },
+  // Saltos de proxy a confiar para obtener la IP real (req.ip), p. ej. TRUST_PROXY=1 detrás de nginx
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  totp: {
+    issuer: process.env.TOTP_ISSUER || 'Gestión de Préstamos',
+    // Clave para cifrar los secretos TOTP en la BD (por defecto se deriva de JWT_SECRET)
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'change_me_secret',
+  },
   databaseUrl: process.env.DATABASE_URL,
+  // Comprobantes electrónicos (UBL 2.1). SUNAT_SENDER elige el envío registrado en sunatSender.js
+  // ('mock' responde localmente como un OSE). El certificado y su clave van en PEM; sin certificado
+  // solo se permite el envío 'mock' (se firma con una clave temporal).
+  sunat: {
+    sender: process.env.SUNAT_SENDER || 'mock',
+    certPath: process.env.SUNAT_CERT_PATH || '',
+    keyPath: process.env.SUNAT_KEY_PATH || '',
+    keyPassphrase: process.env.SUNAT_KEY_PASSPHRASE || undefined,
+    autoSend: (process.env.SUNAT_AUTO_SEND || 'true').toLowerCase() !== 'false',
+    autoSendMinutes: process.env.SUNAT_AUTO_SEND_MINUTES ? Number(process.env.SUNAT_AUTO_SEND_MINUTES) : 5,
+    // Emisor inicial: rige hasta que se guarden los datos de la empresa (PATCH /company-settings)
+    issuer: {
+      ruc: process.env.SUNAT_ISSUER_RUC || '20123456789',
+      name: process.env.SUNAT_ISSUER_NAME || 'CapiPresta',
+      address: process.env.SUNAT_ISSUER_ADDRESS || 'C. Los Almendros 2013, Trujillo 13008',
+      // Código de establecimiento anexo (0000 = domicilio fiscal)
+      establishmentCode: process.env.SUNAT_ISSUER_ESTABLISHMENT || '0000',
+    },
+  },
   dni: {
     // Habilita automáticamente si hay token. Permite override con DNI_API_ENABLED.
     enabled: ((process.env.DNI_API_ENABLED || '').toLowerCase() === 'true') || (!!DNI_API_TOKEN),
@@ -0,0 +1,50 @@
+import { recordAuditEvent } from '../services/audit.js';
+
+// Actor, IP y agente del request para AuditEvent
+export function auditContext(req) {
+  return {
+    actorUserId: req.user ? req.user.id : null,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+}
+
+/**
+ * Registra la mutación de la ruta en la bitácora de auditoría cuando responde 2xx.
+ * `after` es el cuerpo de la respuesta; `before(req)` carga el estado previo y
+ * `entityId(req, body)` indica el registro afectado (por defecto :id o body.id).
+ * La respuesta sale después de guardar el evento. Si la bitácora falla responde 500: la
+ * operación ya se hizo, pero el cliente no la da por buena sin su registro de auditoría.
+ */
+export function auditLog(action, entityType, { before = null, entityId = null } = {}) {
+  return async (req, res, next) => {
+    let snapshot = null;
+    try {
+      if (before) snapshot = await before(req);
+    } catch (e) {
+      return next(e);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400) return json(body);
+      const id = entityId ? entityId(req, body) : (req.params.id ?? body?.id ?? null);
+      recordAuditEvent({
+        ...auditContext(req),
+        action,
+        entityType,
+        entityId: id,
+        before: snapshot,
+        after: body,
+      })
+        .then(
+          () => json(body),
+          (err) => res.status(500).json({
+            error: `La operación se registró, pero no su evento de auditoría (${action}): ${err.message}`,
+          })
+        );
+      return res;
+    };
+    next();
+  };
+}
@@ -1,27 +1,174 @@
 import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
 import { config } from '../config.js';
+import { consumeDownloadToken } from '../services/authSession.js';
+
+const prisma = new PrismaClient();
 
 export function signToken(payload, options = {}) {
-  return jwt.sign(payload, config.jwtSecret, { expiresIn: '12h', ...options });
+  return jwt.sign(payload, config.jwtSecret, { expiresIn: config.accessTokenTtl, ...options });
+}
+
+// Token de acceso de corta duración (se renueva con POST /auth/refresh)
+export function signAccessToken(user) {
+  return signToken({
+    sub: user.id,
+    username: user.username,
+    role: normalizeRole(user.role),
+    tv: user.tokenVersion,
+    typ: 'access',
+  });
 }
 
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
   const auth = req.headers.authorization || '';
-  let token = auth.startsWith('Bearer ') ? auth.substring(7) : null;
-  // Permite token por query param para descargas directas (?token=...)
-  if (!token && req.query && typeof req.query.token === 'string') {
-    token = req.query.token;
-  }
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+  const token = auth.startsWith('Bearer ') ? auth.substring(7) : null;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    // Normalizar: el token usa 'sub' para el ID, pero las rutas esperan 'id'
+    let userId;
+    let tokenVersion = null;
+    if (token) {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, config.jwtSecret);
+      } catch (e) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      if (decoded.typ !== 'access') return res.status(401).json({ error: 'Invalid token' });
+      userId = Number(decoded.sub);
+      tokenVersion = decoded.tv || 0;
+    } else if (req.query && typeof req.query.dl === 'string') {
+      // Descargas directas: enlace firmado de un solo uso (POST /auth/download-link), nunca el JWT
+      userId = await consumeDownloadToken(req.query.dl, req.baseUrl + req.path);
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    // El usuario se lee en cada request: al desactivarlo, cambiar su rol o restablecer su
+    // contraseña (tokenVersion) los tokens ya emitidos dejan de servir o toman el rol nuevo
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, role: true, isActive: true, tokenVersion: true, branchId: true },
+    });
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Usuario desactivado' });
+    }
+    if (tokenVersion !== null && tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({ error: 'La sesión expiró; vuelva a iniciar sesión' });
+    }
     req.user = {
-      ...decoded,
-      id: decoded.sub || decoded.id,
+      sub: user.id,
+      id: user.id,
+      username: user.username,
+      role: normalizeRole(user.role),
+      branchId: user.branchId,
     };
     next();
   } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
+    next(e);
   }
 }
+
+// Roles del sistema. 'user' es el rol de los usuarios creados antes de los roles y equivale a cajero.
+export const ROLES = ['admin', 'supervisor', 'cashier', 'analyst'];
+const ROLE_ALIASES = { user: 'cashier' };
+
+/**
+ * Matriz de permisos por rol. El admin tiene todos.
+ * - clients:*      consulta y registro de clientes
+ * - loans:*        consulta, alta/simulación y gestión (estado, reprogramación)
+ * - payments:*     consulta (estado de cuenta, comprobantes) y cobro
+ * - receipts:edit  cambiar datos del comprobante (boleta/factura)
+ * - receiptSeries:manage  abrir series de boletas y facturas
+ * - creditNotes:issue  emitir notas de crédito sobre comprobantes emitidos
+ * - cash:operate   caja propia; cash:supervise cajas de otros usuarios y reporte diario
+ * - vault:manage   custodia de la bóveda de la agencia: depósitos, retiros y confirmar transferencias con las cajas
+ * - lateFees:accrue / lateFeePolicies:manage  procesos y parámetros de mora
+ * - lateFeeWaivers:request / :approve  condonaciones de mora
+ * - paymentVoids:request / :approve  anulaciones de pagos
+ * - refunds:manage  devoluciones de dinero (cobros en exceso, contracargos)
+ * - users:manage   administración de usuarios
+ * - company:manage  datos de la empresa (RUC, dirección, logo, IGV) de los PDF y comprobantes
+ * - branches:manage  alta y edición de agencias; branches:all consultar y consolidar todas las agencias
+ * - audit:read     bitácora de auditoría de operaciones financieras
+ */
+export const PERMISSIONS = [
+  'clients:read',
+  'clients:write',
+  'loans:read',
+  'loans:create',
+  'loans:manage',
+  'payments:read',
+  'payments:register',
+  'receipts:edit',
+  'receiptSeries:manage',
+  'creditNotes:issue',
+  'cash:operate',
+  'cash:supervise',
+  'vault:manage',
+  'lateFees:accrue',
+  'lateFeePolicies:read',
+  'lateFeePolicies:manage',
+  'lateFeeWaivers:request',
+  'lateFeeWaivers:approve',
+  'paymentVoids:request',
+  'paymentVoids:approve',
+  'refunds:manage',
+  'users:manage',
+  'company:manage',
+  'branches:manage',
+  'branches:all',
+  'audit:read',
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  supervisor: [
+    'clients:read', 'clients:write',
+    'loans:read', 'loans:create', 'loans:manage',
+    'payments:read', 'payments:register', 'receipts:edit',
+    'cash:operate', 'cash:supervise', 'vault:manage',
+    'lateFeePolicies:read',
+    'lateFeeWaivers:request', 'lateFeeWaivers:approve',
+    'paymentVoids:request', 'paymentVoids:approve',
+    'refunds:manage',
+    'creditNotes:issue',
+    'audit:read',
+  ],
+  cashier: [
+    'clients:read',
+    'loans:read',
+    'payments:read', 'payments:register', 'receipts:edit',
+    'cash:operate',
+    'lateFeePolicies:read',
+    'lateFeeWaivers:request',
+    'paymentVoids:request',
+  ],
+  analyst: [
+    'clients:read', 'clients:write',
+    'loans:read', 'loans:create',
+    'payments:read',
+    'lateFeePolicies:read',
+  ],
+};
+
+export function normalizeRole(role) {
+  return ROLE_ALIASES[role] || role;
+}
+
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+export function hasPermission(user, permission) {
+  return Boolean(user) && getRolePermissions(user.role).includes(permission);
+}
+
+// Requiere al menos uno de los permisos indicados (usar después de requireAuth)
+export function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!permissions.some(p => hasPermission(req.user, p))) {
+      return res.status(403).json({ error: 'No tiene permiso para realizar esta acción' });
+    }
+    next();
+  };
+}
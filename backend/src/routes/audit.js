@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import { query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { listAuditEvents, verifyAuditChain } from '../services/audit.js';
+
+const router = Router();
+
+/**
+ * GET /audit?actorUserId=&action=&entityType=&entityId=&from=&to=&limit=&offset=
+ * `action` filtra por prefijo (p. ej. "payment." o "cashSession.close")
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('audit:read'),
+  query('actorUserId').optional().isInt({ gt: 0 }),
+  query('action').optional().isString().trim(),
+  query('entityType').optional().isString().trim(),
+  query('entityId').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const result = await listAuditEvents({
+        actorUserId: req.query.actorUserId ? Number(req.query.actorUserId) : null,
+        action: req.query.action || null,
+        entityType: req.query.entityType || null,
+        entityId: req.query.entityId || null,
+        from: req.query.from ? new Date(req.query.from) : null,
+        to: req.query.to ? new Date(req.query.to) : null,
+        limit: req.query.limit ? Number(req.query.limit) : undefined,
+        offset: req.query.offset ? Number(req.query.offset) : undefined,
+      });
+      res.json(result);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /audit/verify
+ * Recalcula la cadena de hashes e indica el primer evento alterado, si lo hay
+ */
+router.get(
+  '/verify',
+  requireAuth,
+  requirePermission('audit:read'),
+  async (req, res, next) => {
+    try {
+      res.json(await verifyAuditChain());
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
@@ -3,11 +3,51 @@ import { body } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
-import { signToken, requireAuth } from '../middleware/auth.js';
+import { signAccessToken, requireAuth, normalizeRole, getRolePermissions } from '../middleware/auth.js';
+import {
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  createDownloadLink,
+} from '../services/authSession.js';
+import {
+  authenticateUser,
+  signMfaToken,
+  getMfaTokenUser,
+  completeSecondFactor,
+} from '../services/loginGuard.js';
+import {
+  requiresSecondFactor,
+  getTotpStatus,
+  startTotpSetup,
+  enableTotp,
+  disableTotp,
+  regenerateRecoveryCodes,
+} from '../services/totp.js';
 
 const prisma = new PrismaClient();
 const router = Router();
 
+function sessionMeta(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+
+async function issueSession(req, user) {
+  const { token: refreshToken } = await createRefreshToken(user.id, sessionMeta(req));
+  return { token: signAccessToken(user), refreshToken, user: publicUser(user) };
+}
+
+function forwardLoginError(res, next, e) {
+  if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+  next(e);
+}
+
+function publicUser(user) {
+  const role = normalizeRole(user.role);
+  return { id: user.id, username: user.username, role, branchId: user.branchId ?? null, permissions: getRolePermissions(role) };
+}
+
 router.post(
   '/login',
   body('username').isString(),
@@ -16,21 +56,193 @@ router.post(
   async (req, res, next) => {
     try {
       const { username, password } = req.body;
-      const user = await prisma.user.findUnique({ where: { username } });
-      if (!user) return res.status(401).json({ error: 'Credenciales inválidas' });
-      const ok = await bcrypt.compare(password, user.passwordHash);
-      if (!ok) return res.status(401).json({ error: 'Credenciales inválidas' });
-      const token = signToken({ sub: user.id, username: user.username, role: user.role });
-      res.json({ token, user: { id: user.id, username: user.username, role: user.role } });
+      const user = await authenticateUser({ username, password, ...sessionMeta(req) });
+      if (requiresSecondFactor(user)) {
+        // Segundo paso: POST /auth/login/totp (o enrolamiento si aún no lo configuró)
+        return res.json({
+          mfaRequired: true,
+          enrollmentRequired: !user.totpEnabledAt,
+          mfaToken: signMfaToken(user),
+        });
+      }
+      res.json(await issueSession(req, user));
+    } catch (e) {
+      forwardLoginError(res, next, e);
+    }
+  }
+);
+
+/**
+ * POST /auth/login/totp { mfaToken, code } o { mfaToken, recoveryCode }
+ */
+router.post(
+  '/login/totp',
+  body('mfaToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom((value) => !!(value.code || value.recoveryCode)).withMessage('Ingrese el código de verificación'),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { user } = await completeSecondFactor({
+        mfaToken: req.body.mfaToken,
+        code: req.body.code || null,
+        recoveryCode: req.body.recoveryCode || null,
+        ...sessionMeta(req),
+      });
+      res.json(await issueSession(req, user));
+    } catch (e) {
+      forwardLoginError(res, next, e);
+    }
+  }
+);
+
+/**
+ * POST /auth/login/totp/setup { mfaToken }
+ * Enrolamiento obligatorio en el primer login de admin/supervisor
+ */
+router.post(
+  '/login/totp/setup',
+  body('mfaToken').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const user = await getMfaTokenUser(req.body.mfaToken);
+      res.json(await startTotpSetup(user.id));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * POST /auth/login/totp/enable { mfaToken, code }
+ * Confirma el enrolamiento y abre la sesión; devuelve los códigos de recuperación (única vez)
+ */
+router.post(
+  '/login/totp/enable',
+  body('mfaToken').isString().notEmpty(),
+  body('code').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { user, recoveryCodes } = await completeSecondFactor({
+        mfaToken: req.body.mfaToken,
+        code: req.body.code,
+        enroll: true,
+        ...sessionMeta(req),
+      });
+      res.json({ ...(await issueSession(req, user)), recoveryCodes });
+    } catch (e) {
+      forwardLoginError(res, next, e);
+    }
+  }
+);
+
+// Verificación en dos pasos del usuario autenticado
+router.get('/totp', requireAuth, async (req, res, next) => {
+  try {
+    res.json(await getTotpStatus(req.user.id));
+  } catch (e) { next(e); }
+});
+
+router.post('/totp/setup', requireAuth, async (req, res, next) => {
+  try {
+    res.json(await startTotpSetup(req.user.id));
+  } catch (e) { next(e); }
+});
+
+router.post(
+  '/totp/enable',
+  requireAuth,
+  body('code').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await enableTotp(req.user.id, req.body.code));
+    } catch (e) { next(e); }
+  }
+);
+
+router.post(
+  '/totp/recovery-codes',
+  requireAuth,
+  body('code').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await regenerateRecoveryCodes(req.user.id, req.body.code));
+    } catch (e) { next(e); }
+  }
+);
+
+router.post(
+  '/totp/disable',
+  requireAuth,
+  body('password').isString(),
+  body('code').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await disableTotp(req.user.id, req.body));
+    } catch (e) { next(e); }
+  }
+);
+
+// Renueva el token de acceso; el refresh token se rota (el anterior deja de servir)
+router.post(
+  '/refresh',
+  body('refreshToken').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { user, refreshToken } = await rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+      res.json({ token: signAccessToken(user), refreshToken, user: publicUser(user) });
     } catch (e) {
       next(e);
     }
   }
 );
 
+// Cierra la sesión en el servidor: revoca el refresh token (y los emitidos a partir de él)
+router.post(
+  '/logout',
+  body('refreshToken').optional().isString(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      if (req.body.refreshToken) await revokeRefreshToken(req.body.refreshToken);
+      res.json({ ok: true });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Enlace firmado de un solo uso para abrir una descarga sin enviar el JWT en la URL
+router.post(
+  '/download-link',
+  requireAuth,
+  body('path').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await createDownloadLink(req.user, req.body.path));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Usuario autenticado con los permisos de su rol (el frontend arma el menú con esto)
+router.get('/me', requireAuth, (req, res) => {
+  res.json(publicUser(req.user));
+});
+
 export default router;
 
-// Cambiar contraseña del usuario autenticado
+// Cambiar contraseña del usuario autenticado. Como en el reseteo del administrador, invalida los
+// tokens de acceso y refresh emitidos antes; esta sesión continúa con los tokens que se devuelven.
 router.post(
   '/change-password',
   requireAuth,
@@ -47,8 +259,12 @@ router.post(
       const ok = await bcrypt.compare(currentPassword, user.passwordHash);
       if (!ok) return res.status(400).json({ error: 'La contraseña actual es incorrecta' });
       const passwordHash = await bcrypt.hash(newPassword, 10);
-      await prisma.user.update({ where: { id: userId }, data: { passwordHash } });
-      res.json({ ok: true });
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { passwordHash, tokenVersion: { increment: 1 } },
+      });
+      await revokeUserRefreshTokens(userId);
+      res.json({ ok: true, ...(await issueSession(req, updated)) });
     } catch (e) { next(e); }
   }
 );
@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import { listBranches, getBranch, createBranch, updateBranch } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /branches?includeInactive=true
+ * Para los filtros de quien consolida agencias y la asignación de usuarios
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('branches:manage', 'branches:all', 'users:manage'),
+  query('includeInactive').optional().isBoolean(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await listBranches({ includeInactive: req.query.includeInactive !== 'false' }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /branches { code, name, address? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('branches:manage'),
+  body('code').isString().trim().matches(/^[A-Za-z0-9_-]{2,20}$/).withMessage('Código de 2 a 20 caracteres (letras, números, _ -)'),
+  body('name').isString().trim().notEmpty(),
+  body('address').optional({ nullable: true }).isString().trim(),
+  handleValidation,
+  auditLog('branch.create', 'Branch'),
+  async (req, res, next) => {
+    try {
+      res.status(201).json(await createBranch(req.body));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * PATCH /branches/:id { name?, address?, isActive? }
+ */
+router.patch(
+  '/:id',
+  requireAuth,
+  requirePermission('branches:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('name').optional().isString().trim().notEmpty(),
+  body('address').optional({ nullable: true }).isString().trim(),
+  body('isActive').optional().isBoolean(),
+  handleValidation,
+  auditLog('branch.update', 'Branch', { before: (req) => getBranch(Number(req.params.id)) }),
+  async (req, res, next) => {
+    try {
+      res.json(await updateBranch(Number(req.params.id), req.body));
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
@@ -1,7 +1,8 @@
 import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission, hasPermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
 import {
   openCashSession,
   closeCashSession,
@@ -9,6 +10,7 @@ import {
   getCashSessionHistory,
   getCashSessionDetail,
   getDailyCashReport,
+  getCashSessionOwner,
 } from '../services/cashSession.js';
 import {
   getCashSessionBalance,
@@ -18,18 +20,48 @@ import {
   getCashSessionSummary,
 } from '../services/cashService.js';
 import { buildCashSessionReport, createPdfDocument } from '../services/pdf.js';
+import { getCompanySettings } from '../services/companySettings.js';
+import { resolveBranchScope, resolveOperatingBranchId } from '../services/branch.js';
 
 const router = Router();
 
+// Solo el dueño de la sesión o un supervisor de caja de la misma agencia (o que consolida
+// agencias) pueden operar sobre ella
+function requireSessionAccess(paramName) {
+  return async (req, res, next) => {
+    try {
+      const session = await getCashSessionOwner(Number(req.params[paramName]));
+      if (session.userId === Number(req.user.id)) return next();
+      if (!hasPermission(req.user, 'cash:supervise')) {
+        return res.status(403).json({ error: 'La sesión de caja pertenece a otro usuario' });
+      }
+      if (!hasPermission(req.user, 'branches:all') && session.branchId !== (req.user.branchId ?? null)) {
+        return res.status(403).json({ error: 'La sesión de caja pertenece a otra agencia' });
+      }
+      next();
+    } catch (e) { next(e); }
+  };
+}
+
+// Totales de la sesión antes de cerrarla (bitácora de auditoría)
+async function cashSessionAuditSnapshot(req) {
+  const { movements, ...summary } = await getCashSessionSummary(Number(req.params.id));
+  return summary;
+}
+
 /**
- * POST /cash-sessions
- * Abre una nueva sesión de caja
+ * POST /cash-sessions { openingBalance, branchId? }
+ * Abre una nueva sesión de caja en la agencia del usuario. En una agencia el saldo inicial se
+ * pide a la bóveda (openingTransfer pendiente de confirmar por un custodio).
  */
 router.post(
   '/',
   requireAuth,
+  requirePermission('cash:operate'),
   body('openingBalance').isFloat({ min: 0 }),
+  body('branchId').optional({ nullable: true }).isInt({ gt: 0 }),
   handleValidation,
+  auditLog('cashSession.open', 'CashSession', { entityId: (req, body) => body.session?.id }),
   async (req, res, next) => {
     try {
       const { openingBalance } = req.body;
@@ -37,6 +69,7 @@ router.post(
 
       const session = await openCashSession({
         userId,
+        branchId: await resolveOperatingBranchId(req.user, req.body.branchId),
         openingBalance: Number(openingBalance),
       });
 
@@ -46,10 +79,13 @@ router.post(
           id: session.id,
           userId: session.userId,
           user: session.user,
+          branchId: session.branchId,
+          branch: session.branch,
           openingBalance: Number(session.openingBalance),
           openedAt: session.openedAt,
           isClosed: session.isClosed,
         },
+        openingTransfer: session.openingTransfer,
       });
     } catch (error) {
       next(error);
@@ -64,6 +100,7 @@ router.post(
 router.get(
   '/current',
   requireAuth,
+  requirePermission('cash:operate'),
   async (req, res, next) => {
     try {
       const userId = req.user.id;
@@ -80,6 +117,7 @@ router.get(
           closingBalance: session.closingBalance ? Number(session.closingBalance) : null,
           physicalBalance: session.physicalBalance ? Number(session.physicalBalance) : null,
           difference: session.difference ? Number(session.difference) : null,
+          transfers: session.transfers.map(t => ({ ...t, amount: Number(t.amount) })),
           payments: session.payments.map(p => ({
             ...p,
             amount: Number(p.amount),
@@ -103,9 +141,12 @@ router.get(
 router.post(
   '/:id/close',
   requireAuth,
+  requirePermission('cash:operate'),
   param('id').isInt({ gt: 0 }),
   body('physicalBalance').isFloat({ min: 0 }),
   handleValidation,
+  requireSessionAccess('id'),
+  auditLog('cashSession.close', 'CashSession', { before: cashSessionAuditSnapshot }),
   async (req, res, next) => {
     try {
       const { physicalBalance } = req.body;
@@ -114,6 +155,7 @@ router.post(
       const session = await closeCashSession({
         sessionId,
         physicalBalance: Number(physicalBalance),
+        closedByUserId: req.user.id,
       });
 
       res.json({
@@ -147,8 +189,10 @@ router.post(
 router.get(
   '/:id',
   requireAuth,
+  requirePermission('cash:operate'),
   param('id').isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('id'),
   async (req, res, next) => {
     try {
       const sessionId = Number(req.params.id);
@@ -161,6 +205,7 @@ router.get(
           closingBalance: session.closingBalance ? Number(session.closingBalance) : null,
           physicalBalance: session.physicalBalance ? Number(session.physicalBalance) : null,
           difference: session.difference ? Number(session.difference) : null,
+          transfers: session.transfers.map(t => ({ ...t, amount: Number(t.amount) })),
           payments: session.payments.map(p => ({
             ...p,
             amount: Number(p.amount),
@@ -184,19 +229,22 @@ router.get(
 router.get(
   '/:id/report',
   requireAuth,
+  requirePermission('cash:operate'),
   param('id').isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('id'),
   async (req, res, next) => {
     try {
       const sessionId = Number(req.params.id);
       const session = await getCashSessionDetail(sessionId);
+      const company = await getCompanySettings();
 
       const doc = createPdfDocument();
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename=cierre-caja-${sessionId}.pdf`);
 
       doc.pipe(res);
-      buildCashSessionReport(doc, session);
+      buildCashSessionReport(doc, session, company);
       doc.end();
     } catch (error) {
       next(error);
@@ -211,7 +259,9 @@ router.get(
 router.get(
   '/history/list',
   requireAuth,
+  requirePermission('cash:operate'),
   query('userId').optional().isInt({ gt: 0 }),
+  query('branchId').optional().isInt({ gt: 0 }),
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -219,9 +269,12 @@ router.get(
   async (req, res, next) => {
     try {
       const { userId, startDate, endDate, limit } = req.query;
+      // Sin permiso de supervisión solo se ve el historial propio; el supervisor, el de su agencia
+      const canSupervise = hasPermission(req.user, 'cash:supervise');
 
       const sessions = await getCashSessionHistory({
-        userId: userId ? Number(userId) : undefined,
+        userId: canSupervise ? (userId ? Number(userId) : undefined) : Number(req.user.id),
+        branchId: canSupervise ? resolveBranchScope(req.user, req.query.branchId) : undefined,
         startDate,
         endDate,
         limit: limit ? Number(limit) : 50,
@@ -243,18 +296,21 @@ router.get(
 );
 
 /**
- * GET /cash-sessions/report/daily
- * Obtiene el reporte de caja del día
+ * GET /cash-sessions/report/daily?date=&branchId=
+ * Obtiene el reporte de caja del día de la agencia del usuario; quien consolida agencias
+ * ve todas (con desglose por agencia) o filtra una con branchId
  */
 router.get(
   '/report/daily',
   requireAuth,
+  requirePermission('cash:supervise'),
   query('date').isISO8601(),
+  query('branchId').optional().isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
     try {
       const { date } = req.query;
-      const report = await getDailyCashReport(date);
+      const report = await getDailyCashReport(date, { branchId: resolveBranchScope(req.user, req.query.branchId) });
 
       res.json({
         report: {
@@ -282,8 +338,10 @@ router.get(
 router.get(
   '/:sessionId/balance',
   requireAuth,
+  requirePermission('cash:operate'),
   param('sessionId').isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('sessionId'),
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
@@ -301,22 +359,33 @@ router.get(
 
 /**
  * POST /cash-sessions/:sessionId/movements
- * Registra un movimiento de caja (ingreso de efectivo)
+ * Registra un movimiento de caja (ingreso de efectivo). Las cajas de una agencia no registran
+ * ingresos ni egresos sueltos: el efectivo entra y sale por transferencias con la bóveda.
  */
 router.post(
   '/:sessionId/movements',
   requireAuth,
+  requirePermission('cash:operate'),
   param('sessionId').isInt({ gt: 0 }),
   body('movementType').isIn(['INGRESO', 'EGRESO', 'VUELTO', 'RECAUDACION']),
   body('amount').isFloat({ gt: 0 }),
   body('description').optional().isString(),
   body('relatedPaymentId').optional().isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('sessionId'),
+  auditLog('cashMovement.create', 'CashMovement', { entityId: (req, body) => body.movement?.id }),
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
       const { movementType, amount, description, relatedPaymentId } = req.body;
 
+      if (['INGRESO', 'EGRESO'].includes(movementType)) {
+        const { branchId } = await getCashSessionOwner(Number(sessionId));
+        if (branchId !== null) {
+          return res.status(400).json({ error: 'La caja es de una agencia: registre el ingreso o egreso como transferencia con la bóveda (/cash-transfers)' });
+        }
+      }
+
       const movement = await addCashMovement({
         cashSessionId: Number(sessionId),
         movementType,
@@ -342,8 +411,10 @@ router.post(
 router.get(
   '/:sessionId/movements',
   requireAuth,
+  requirePermission('cash:operate'),
   param('sessionId').isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('sessionId'),
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
@@ -366,8 +437,10 @@ router.get(
 router.get(
   '/:sessionId/summary',
   requireAuth,
+  requirePermission('cash:operate'),
   param('sessionId').isInt({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('sessionId'),
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
@@ -390,9 +463,11 @@ router.get(
 router.post(
   '/:sessionId/validate-change',
   requireAuth,
+  requirePermission('cash:operate'),
   param('sessionId').isInt({ gt: 0 }),
   body('changeAmount').isFloat({ gt: 0 }),
   handleValidation,
+  requireSessionAccess('sessionId'),
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
@@ -0,0 +1,130 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission, hasPermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  CASH_TRANSFER_DIRECTIONS,
+  CASH_TRANSFER_STATUSES,
+  listCashTransfers,
+  requestCashTransfer,
+  confirmCashTransfer,
+  rejectCashTransfer,
+  cancelCashTransfer,
+} from '../services/cashTransfer.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /cash-transfers?status=&cashSessionId=&branchId=
+ * El custodio ve las de la bóveda de su agencia (todas o la de branchId si consolida agencias);
+ * el cajero, las de sus cajas.
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('cash:operate', 'vault:manage'),
+  query('status').optional().isIn(CASH_TRANSFER_STATUSES),
+  query('cashSessionId').optional().isInt({ gt: 0 }),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const isCustodian = hasPermission(req.user, 'vault:manage');
+      const transfers = await listCashTransfers({
+        branchId: isCustodian ? resolveBranchScope(req.user, req.query.branchId) : undefined,
+        userId: isCustodian ? null : Number(req.user.id),
+        status: req.query.status || null,
+        cashSessionId: req.query.cashSessionId ? Number(req.query.cashSessionId) : null,
+      });
+      res.json(transfers);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /cash-transfers { cashSessionId, direction, amount, note? }
+ * Reposición (VAULT_TO_SESSION) o remesa (SESSION_TO_VAULT) de una caja abierta. La registra el
+ * cajero o el custodio y la confirma la otra parte; apertura y cierre las crea la caja.
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('cash:operate', 'vault:manage'),
+  body('cashSessionId').isInt({ gt: 0 }),
+  body('direction').isIn(CASH_TRANSFER_DIRECTIONS),
+  body('amount').isFloat({ gt: 0 }),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 250 }),
+  handleValidation,
+  auditLog('cashTransfer.request', 'CashTransfer'),
+  async (req, res, next) => {
+    try {
+      const transfer = await requestCashTransfer({
+        cashSessionId: Number(req.body.cashSessionId),
+        direction: req.body.direction,
+        amount: Number(req.body.amount),
+        note: req.body.note || null,
+        user: req.user,
+      });
+      res.status(201).json(transfer);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /cash-transfers/:id/confirm { note? }
+ * Recepción del efectivo por la otra parte; recién aquí se mueven los saldos
+ */
+router.post(
+  '/:id/confirm',
+  requireAuth,
+  requirePermission('cash:operate', 'vault:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 250 }),
+  handleValidation,
+  auditLog('cashTransfer.confirm', 'CashTransfer'),
+  async (req, res, next) => {
+    try {
+      res.json(await confirmCashTransfer(Number(req.params.id), { user: req.user, note: req.body.note || null }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /cash-transfers/:id/reject { note? }
+ */
+router.post(
+  '/:id/reject',
+  requireAuth,
+  requirePermission('cash:operate', 'vault:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 250 }),
+  handleValidation,
+  auditLog('cashTransfer.reject', 'CashTransfer'),
+  async (req, res, next) => {
+    try {
+      res.json(await rejectCashTransfer(Number(req.params.id), { user: req.user, note: req.body.note || null }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /cash-transfers/:id/cancel { note? }
+ */
+router.post(
+  '/:id/cancel',
+  requireAuth,
+  requirePermission('cash:operate', 'vault:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 250 }),
+  handleValidation,
+  auditLog('cashTransfer.cancel', 'CashTransfer'),
+  async (req, res, next) => {
+    try {
+      res.json(await cancelCashTransfer(Number(req.params.id), { user: req.user, note: req.body.note || null }));
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
@@ -1,7 +1,7 @@
 ﻿import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import { PrismaClient } from '@prisma/client';
 import { getPersonByDni } from '../services/dniService.js';
 
@@ -12,6 +12,7 @@ const router = Router();
 router.get(
   '/',
   requireAuth,
+  requirePermission('clients:read'),
   query('q').optional().isString(),
   query('dni').optional().isString(),
   handleValidation,
@@ -42,6 +43,7 @@ router.get(
 router.post(
   '/lookup',
   requireAuth,
+  requirePermission('clients:write'),
   body('dni').isString().matches(/^[0-9]{8}$/),
   handleValidation,
   async (req, res, next) => {
@@ -66,12 +68,13 @@ router.post(
 router.get(
   '/:id',
   requireAuth,
+  requirePermission('clients:read'),
   param('id').isInt(),
   handleValidation,
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
-      const client = await prisma.client.findUnique({ where: { id }, include: { loans: { orderBy: { id: 'desc' }, include: { schedules: true, createdBy: true } } } });
+      const client = await prisma.client.findUnique({ where: { id }, include: { loans: { orderBy: { id: 'desc' }, include: { schedules: { where: { supersededAt: null } }, createdBy: true } } } });
       if (!client) return res.status(404).json({ error: 'Cliente no encontrado' });
 
             res.json(client);
@@ -0,0 +1,95 @@
+import express, { Router } from 'express';
+import { body } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  LOGO_MIME_TYPES,
+  LOGO_MAX_BYTES,
+  getCompanySettings,
+  toCompanySettingsResponse,
+  updateCompanySettings,
+  updateCompanyLogo,
+} from '../services/companySettings.js';
+
+const router = Router();
+
+// Estado previo para la bitácora (sin el logo)
+async function companySettingsSnapshot() {
+  return toCompanySettingsResponse(await getCompanySettings());
+}
+
+/**
+ * GET /company-settings
+ * Datos de la empresa con el logo (data URL)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('company:manage'),
+  async (req, res, next) => {
+    try {
+      res.json(toCompanySettingsResponse(await getCompanySettings(), { includeLogo: true }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * PATCH /company-settings { tradeName?, businessName?, ruc?, address?, phone?, email?, establishmentCode?, igvRate? }
+ */
+router.patch(
+  '/',
+  requireAuth,
+  requirePermission('company:manage'),
+  body('tradeName').optional().isString().trim().notEmpty(),
+  body('businessName').optional().isString().trim().notEmpty(),
+  body('ruc').optional().matches(/^(10|15|17|20)[0-9]{9}$/).withMessage('RUC de 11 dígitos'),
+  body('address').optional().isString().trim().notEmpty(),
+  body('phone').optional({ nullable: true }).isString().trim().isLength({ max: 30 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('establishmentCode').optional().matches(/^[0-9]{4}$/).withMessage('Código de 4 dígitos'),
+  body('igvRate').optional().isFloat({ gt: 0, max: 0.5 }),
+  handleValidation,
+  auditLog('company.update', 'CompanySettings', { before: companySettingsSnapshot, entityId: () => 1 }),
+  async (req, res, next) => {
+    try {
+      res.json(toCompanySettingsResponse(await updateCompanySettings(req.body)));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * PUT /company-settings/logo (cuerpo: la imagen, Content-Type image/png o image/jpeg)
+ */
+router.put(
+  '/logo',
+  requireAuth,
+  requirePermission('company:manage'),
+  express.raw({ type: LOGO_MIME_TYPES, limit: LOGO_MAX_BYTES }),
+  auditLog('company.logo.update', 'CompanySettings', { before: companySettingsSnapshot, entityId: () => 1 }),
+  async (req, res, next) => {
+    try {
+      const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+      if (!buffer) return res.status(400).json({ error: 'Envíe la imagen del logo (PNG o JPEG)' });
+      res.json(toCompanySettingsResponse(await updateCompanyLogo(buffer, req.get('content-type').split(';')[0].trim())));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * DELETE /company-settings/logo
+ * Los PDF vuelven al logo por defecto
+ */
+router.delete(
+  '/logo',
+  requireAuth,
+  requirePermission('company:manage'),
+  auditLog('company.logo.delete', 'CompanySettings', { before: companySettingsSnapshot, entityId: () => 1 }),
+  async (req, res, next) => {
+    try {
+      res.json(toCompanySettingsResponse(await updateCompanyLogo(null)));
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
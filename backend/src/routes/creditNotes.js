@@ -0,0 +1,156 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  CREDIT_NOTE_REASONS,
+  listCreditNotes,
+  getCreditNote,
+  createCreditNote,
+} from '../services/creditNote.js';
+import { sendCreditNote, listSunatSubmissions, getLatestSunatSubmission } from '../services/electronicReceipt.js';
+import { buildCreditNotePdf, createPdfDocument } from '../services/pdf.js';
+import { getCompanySettings } from '../services/companySettings.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+function toResponse(creditNote) {
+  return { ...creditNote, amount: Number(creditNote.amount) };
+}
+
+/**
+ * GET /credit-notes?loanId=&paymentId=&branchId=
+ * Siempre se limitan a la agencia del usuario (todas o la de branchId para quien consolida)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('payments:read'),
+  query('loanId').optional().isInt({ gt: 0 }),
+  query('paymentId').optional().isInt({ gt: 0 }),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const notes = await listCreditNotes({
+        loanId: req.query.loanId ? Number(req.query.loanId) : null,
+        paymentId: req.query.paymentId ? Number(req.query.paymentId) : null,
+        branchId: resolveBranchScope(req.user, req.query.branchId),
+      });
+      res.json(notes.map(toResponse));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /credit-notes { paymentId, reasonCode, description?, amount? }
+ * Anula total o parcialmente la boleta o factura vigente de un pago
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('creditNotes:issue'),
+  body('paymentId').isInt({ gt: 0 }),
+  body('reasonCode').isIn(Object.keys(CREDIT_NOTE_REASONS)),
+  body('description').optional({ checkFalsy: true }).isString().trim().isLength({ max: 250 }),
+  body('amount').optional({ nullable: true }).isFloat({ gt: 0 }),
+  handleValidation,
+  auditLog('creditNote.create', 'CreditNote'),
+  async (req, res, next) => {
+    try {
+      const creditNote = await createCreditNote({
+        paymentId: Number(req.body.paymentId),
+        reasonCode: req.body.reasonCode,
+        description: req.body.description || null,
+        amount: req.body.amount !== undefined && req.body.amount !== null ? Number(req.body.amount) : null,
+        issuedByUserId: req.user.id,
+        user: req.user,
+      });
+      res.status(201).json(toResponse(creditNote));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /credit-notes/:id/pdf
+ */
+router.get(
+  '/:id/pdf',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const creditNote = await getCreditNote(Number(req.params.id));
+      const company = await getCompanySettings();
+      const doc = createPdfDocument();
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=nota-credito-${creditNote.documentNumber}.pdf`);
+      doc.pipe(res);
+      buildCreditNotePdf(doc, creditNote, company);
+      doc.end();
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /credit-notes/:id/send
+ * Genera, firma y envía el XML de la nota de crédito
+ */
+router.post(
+  '/:id/send',
+  requireAuth,
+  requirePermission('receipts:edit'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  auditLog('creditNote.sunat.send', 'CreditNote'),
+  async (req, res, next) => {
+    try {
+      res.json(await sendCreditNote(Number(req.params.id)));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /credit-notes/:id/submissions
+ */
+router.get(
+  '/:id/submissions',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await listSunatSubmissions({ creditNoteId: Number(req.params.id) }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /credit-notes/:id/xml  |  GET /credit-notes/:id/cdr
+ */
+router.get(
+  '/:id/:file(xml|cdr)',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const submission = await getLatestSunatSubmission({ creditNoteId: Number(req.params.id) });
+      const isCdr = req.params.file === 'cdr';
+      if (isCdr && !submission.cdrXml) {
+        return res.status(404).json({ error: 'El último envío no tiene CDR' });
+      }
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename=${isCdr ? 'R-' : ''}${submission.fileName}.xml`);
+      res.send(isCdr ? submission.cdrXml : submission.xml);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
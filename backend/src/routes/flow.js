@@ -1,7 +1,9 @@
 import { Router } from 'express';
 import { body, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog, auditContext } from '../middleware/audit.js';
+import { recordAuditEvent } from '../services/audit.js';
 import {
   createFlowPayment,
   getFlowPaymentStatus,
@@ -9,6 +11,8 @@ import {
   mapFlowPaymentMethod,
 } from '../services/flowService.js';
 import { calculateAdvancePaymentAmount, registerAdvancePayment, registerPayment } from '../services/payment.js';
+import { assertLoanAcceptsPayments, refreshLoanStatus } from '../services/loanStatus.js';
+import { assignReceiptNumber } from '../services/receiptSeries.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
@@ -16,16 +20,21 @@ const router = Router();
 const OUTSTANDING_TOLERANCE = 0.05;
 
 async function finalizeReceiptForFlowPayment(externalReference) {
-  // Asigna BOLETA y marca cuota pagada si ya se cubrió el monto
+  // Asigna BOLETA (con su correlativo) y marca cuota pagada si ya se cubrió el monto
   const payments = await prisma.payment.findMany({
     where: { externalReference, receiptType: null },
+    orderBy: { id: 'asc' },
   });
 
   for (const payment of payments) {
-    const updated = await prisma.payment.update({
-      where: { id: payment.id },
-      data: { receiptType: 'BOLETA' },
-      select: { id: true, installmentId: true, amount: true },
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.payment.update({
+        where: { id: payment.id },
+        data: { receiptType: 'BOLETA' },
+        select: { id: true, installmentId: true, amount: true },
+      });
+      await assignReceiptNumber(tx, payment.id);
+      return result;
     });
 
     if (updated.installmentId) {
@@ -34,11 +43,11 @@ async function finalizeReceiptForFlowPayment(externalReference) {
       });
       if (installment) {
         const paymentsForInstallment = await prisma.payment.findMany({
-          where: { installmentId: updated.installmentId, receiptType: { not: null } },
-          select: { amount: true },
+          where: { installmentId: updated.installmentId, receiptType: { not: null }, voidedAt: null },
+          select: { amount: true, refundedAmount: true },
         });
         const totalPaid = paymentsForInstallment.reduce(
-          (sum, p) => sum + Number(p.amount),
+          (sum, p) => sum + Number(p.amount) - Number(p.refundedAmount),
           0
         );
         if (totalPaid >= Number(installment.installmentAmount) - OUTSTANDING_TOLERANCE) {
@@ -46,12 +55,33 @@ async function finalizeReceiptForFlowPayment(externalReference) {
             where: { id: updated.installmentId },
             data: { isPaid: true, remainingBalance: 0 },
           });
+          await refreshLoanStatus(installment.loanId);
         }
       }
     }
   }
 }
 
+// Bitácora: pagos registrados a partir de una orden de Flow. `source` indica si llegó por
+// webhook, por la consulta de estado o por confirmación manual.
+async function auditFlowPayment(req, flowOrder, source) {
+  try {
+    const payments = await prisma.payment.findMany({
+      where: { externalReference: flowOrder },
+      select: { id: true, loanId: true, installmentId: true, amount: true, paymentMethod: true, receiptNumber: true, receiptType: true },
+    });
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: 'flow.payment.register',
+      entityType: 'Payment',
+      entityId: payments.map(p => p.id).join(','),
+      after: { flowOrder, source, payments },
+    });
+  } catch (err) {
+    console.error('No se pudo registrar el evento de auditoría flow.payment.register:', err);
+  }
+}
+
 /**
  * POST /flow/create-payment
  * Crea una orden de pago en Flow
@@ -59,11 +89,13 @@ async function finalizeReceiptForFlowPayment(externalReference) {
 router.post(
   '/create-payment',
   requireAuth,
+  requirePermission('payments:register'),
   body('loanId').isInt({ gt: 0 }),
   body('amount').isFloat({ gt: 0 }),
   body('installmentId').optional().isInt({ gt: 0 }),
   body('email').isEmail(),
   handleValidation,
+  auditLog('flow.order.create', 'FlowOrder', { entityId: (req, body) => body.flowOrder }),
   async (req, res, next) => {
     try {
       const { loanId, amount, email, installmentId } = req.body;
@@ -82,6 +114,7 @@ router.post(
       if (!loan) {
         return res.status(404).json({ error: 'Préstamo no encontrado' });
       }
+      assertLoanAcceptsPayments(loan);
 
       // Validar que el usuario tenga una sesión de caja abierta
       const cashSession = await prisma.cashSession.findFirst({
@@ -146,11 +179,13 @@ router.post(
 router.post(
   '/create-advance-payment',
   requireAuth,
+  requirePermission('payments:register'),
   body('loanId').isInt({ gt: 0 }),
   body('installmentIds').isArray({ min: 1 }),
   body('installmentIds.*').isInt({ gt: 0 }),
   body('email').isEmail(),
   handleValidation,
+  auditLog('flow.order.create', 'FlowOrder', { entityId: (req, body) => body.flowOrder }),
   async (req, res, next) => {
     try {
       const { loanId, email, installmentIds } = req.body;
@@ -164,6 +199,7 @@ router.post(
       if (!loan) {
         return res.status(404).json({ error: 'Pr?stamo no encontrado' });
       }
+      assertLoanAcceptsPayments(loan);
 
       const cashSession = await prisma.cashSession.findFirst({
         where: { userId, isClosed: false },
@@ -237,6 +273,7 @@ router.post(
 router.get(
   '/payment-status',
   requireAuth,
+  requirePermission('payments:register'),
   query('token').isString(),
   handleValidation,
   async (req, res, next) => {
@@ -320,6 +357,7 @@ router.get(
                 externalReference: status.flowOrder.toString(),
               });
               await finalizeReceiptForFlowPayment(status.flowOrder.toString());
+              await auditFlowPayment(req, status.flowOrder.toString(), 'payment-status');
             } else {
               await registerPayment({
                 loanId,
@@ -331,6 +369,7 @@ router.get(
                 externalReference: status.flowOrder.toString(),
               });
               await finalizeReceiptForFlowPayment(status.flowOrder.toString());
+              await auditFlowPayment(req, status.flowOrder.toString(), 'payment-status');
             }
           } else {
             console.log(`?? Pago ya exist?a: ${status.flowOrder}`);
@@ -361,6 +400,7 @@ router.get(
 router.get(
   '/check-payment-registered/:loanId/:flowOrder',
   requireAuth,
+  requirePermission('payments:read'),
   async (req, res, next) => {
     try {
       const { loanId, flowOrder } = req.params;
@@ -495,6 +535,7 @@ router.post(
                 externalReference: paymentStatus.flowOrder.toString(),
               });
               await finalizeReceiptForFlowPayment(paymentStatus.flowOrder.toString());
+              await auditFlowPayment(req, paymentStatus.flowOrder.toString(), 'webhook');
             } else {
               await registerPayment({
                 loanId,
@@ -506,6 +547,7 @@ router.post(
                 externalReference: paymentStatus.flowOrder.toString(),
               });
               await finalizeReceiptForFlowPayment(paymentStatus.flowOrder.toString());
+              await auditFlowPayment(req, paymentStatus.flowOrder.toString(), 'webhook');
             }
           } else {
             console.log(`?? Pago ya exist?a: ${paymentStatus.flowOrder}`);
@@ -535,6 +577,7 @@ router.post(
 router.post(
   '/confirm-payment',
   requireAuth,
+  requirePermission('payments:register'),
   body('token').isString(),
   handleValidation,
   async (req, res, next) => {
@@ -610,6 +653,7 @@ router.post(
         externalReference: paymentStatus.flowOrder.toString(),
       });
       await finalizeReceiptForFlowPayment(paymentStatus.flowOrder.toString());
+      await auditFlowPayment(req, paymentStatus.flowOrder.toString(), 'confirm-payment');
 
       res.json({
         success: true,
@@ -635,6 +679,7 @@ router.post(
 router.get(
   '/pending-payments/:loanId',
   requireAuth,
+  requirePermission('payments:read'),
   async (req, res, next) => {
     try {
       const { loanId } = req.params;
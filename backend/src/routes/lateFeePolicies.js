@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import {
+  listLateFeePolicies,
+  getLateFeePolicy,
+  createLateFeePolicy,
+  createLateFeePolicyVersion,
+} from '../services/lateFeePolicy.js';
+
+const router = Router();
+
+// Validaciones comunes de los términos de una política (todos opcionales)
+const policyTermsValidators = [
+  body('name').optional().isString().trim().notEmpty(),
+  body('graceDays').optional().isInt({ min: 0 }),
+  body('flatFee').optional().isFloat({ min: 0 }),
+  body('initialRate').optional().isFloat({ min: 0, max: 1 }),
+  body('periodicRate').optional().isFloat({ min: 0, max: 1 }),
+  body('periodDays').optional().isInt({ min: 0 }),
+  body('compounding').optional().isBoolean(),
+  body('dailyRate').optional().isFloat({ min: 0, max: 1 }),
+  body('capAmount').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('capRate').optional({ nullable: true }).isFloat({ min: 0, max: 10 }),
+];
+
+/**
+ * GET /late-fee-policies?history=true
+ * Lista las versiones vigentes (o todas con history=true)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('lateFeePolicies:read'),
+  query('history').optional().isBoolean(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const policies = await listLateFeePolicies({ includeHistory: req.query.history === 'true' });
+      res.json(policies);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /late-fee-policies/:id
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  requirePermission('lateFeePolicies:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await getLateFeePolicy(Number(req.params.id)));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /late-fee-policies
+ * Crea una política nueva (versión 1)
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('lateFeePolicies:manage'),
+  body('code').isString().trim().matches(/^[A-Z0-9_]{2,40}$/).withMessage('Código en mayúsculas, números o guion bajo'),
+  body('name').isString().trim().notEmpty(),
+  ...policyTermsValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const policy = await createLateFeePolicy(req.body);
+      res.status(201).json(policy);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /late-fee-policies/:code/versions
+ * Registra una nueva versión a partir de la vigente. Los préstamos existentes no cambian.
+ */
+router.post(
+  '/:code/versions',
+  requireAuth,
+  requirePermission('lateFeePolicies:manage'),
+  param('code').isString().trim().notEmpty(),
+  ...policyTermsValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const policy = await createLateFeePolicyVersion(req.params.code, req.body);
+      res.status(201).json(policy);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
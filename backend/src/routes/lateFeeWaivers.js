@@ -0,0 +1,116 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  listLateFeeWaivers,
+  requestLateFeeWaiver,
+  approveLateFeeWaiver,
+  rejectLateFeeWaiver,
+} from '../services/lateFeeWaiver.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /late-fee-waivers?loanId=&status=&branchId=
+ * Siempre se limitan a la agencia del usuario (todas o la de branchId para quien consolida)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('lateFeeWaivers:request'),
+  query('loanId').optional().isInt({ gt: 0 }),
+  query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED']),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const waivers = await listLateFeeWaivers({
+        loanId: req.query.loanId ? Number(req.query.loanId) : null,
+        status: req.query.status || null,
+        branchId: resolveBranchScope(req.user, req.query.branchId),
+      });
+      res.json(waivers);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /late-fee-waivers
+ * Solicita condonar mora de una cuota (queda pendiente de aprobación)
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('lateFeeWaivers:request'),
+  body('loanId').isInt({ gt: 0 }),
+  body('installmentId').isInt({ gt: 0 }),
+  body('amount').isFloat({ gt: 0 }),
+  body('reason').isString().trim().notEmpty().withMessage('Indique el motivo de la condonación'),
+  handleValidation,
+  auditLog('lateFeeWaiver.request', 'LateFeeWaiver'),
+  async (req, res, next) => {
+    try {
+      const waiver = await requestLateFeeWaiver({
+        loanId: Number(req.body.loanId),
+        installmentId: Number(req.body.installmentId),
+        amount: Number(req.body.amount),
+        reason: req.body.reason,
+        requestedByUserId: req.user.id,
+        user: req.user,
+      });
+      res.status(201).json(waiver);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /late-fee-waivers/:id/approve
+ * Aprobación del supervisor; debe ser un usuario distinto al que la solicitó
+ */
+router.post(
+  '/:id/approve',
+  requireAuth,
+  requirePermission('lateFeeWaivers:approve'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional().isString().trim(),
+  handleValidation,
+  auditLog('lateFeeWaiver.approve', 'LateFeeWaiver'),
+  async (req, res, next) => {
+    try {
+      const waiver = await approveLateFeeWaiver(Number(req.params.id), {
+        reviewedByUserId: req.user.id,
+        reviewNote: req.body.note || null,
+        user: req.user,
+      });
+      res.json(waiver);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /late-fee-waivers/:id/reject
+ */
+router.post(
+  '/:id/reject',
+  requireAuth,
+  requirePermission('lateFeeWaivers:approve'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional().isString().trim(),
+  handleValidation,
+  auditLog('lateFeeWaiver.reject', 'LateFeeWaiver'),
+  async (req, res, next) => {
+    try {
+      const waiver = await rejectLateFeeWaiver(Number(req.params.id), {
+        reviewedByUserId: req.user.id,
+        reviewNote: req.body.note || null,
+        user: req.user,
+      });
+      res.json(waiver);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
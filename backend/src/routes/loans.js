@@ -1,7 +1,8 @@
 ﻿import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
 import { PrismaClient } from '@prisma/client';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
@@ -9,9 +10,22 @@ import timezone from 'dayjs/plugin/timezone.js';
 dayjs.extend(utc);
 dayjs.extend(timezone);
 const TZ = 'America/Lima';
-import { generateSchedule } from '../services/schedule.js';
+import {
+  generateSchedule,
+  AMORTIZATION_TYPES,
+  PAYMENT_FREQUENCIES,
+  DUE_DATE_POLICIES,
+  DUE_DATE_SHIFTS,
+} from '../services/schedule.js';
+import { buildCostDisclosure } from '../services/rates.js';
+import { LOAN_STATUSES, changeLoanStatus } from '../services/loanStatus.js';
+import { rescheduleLoan } from '../services/reschedule.js';
+import { getPayoffQuote } from '../services/payoff.js';
+import { resolveLateFeePolicyIdForNewLoan } from '../services/lateFeePolicy.js';
 import { buildSchedulePdf, createPdfDocument } from '../services/pdf.js';
-import { calculateInstallmentLateFee } from '../services/payment.js';
+import { getCompanySettings } from '../services/companySettings.js';
+import { resolveBranchScope, resolveOperatingBranchId, assertLoanBranchAccess } from '../services/branch.js';
+import { getAccruedInstallmentLateFee } from '../services/payment.js';
 import PDFDocument from 'pdfkit';
 
 const prisma = new PrismaClient();
@@ -21,35 +35,69 @@ function round2(v) {
   return Math.round((v + Number.EPSILON) * 100) / 100;
 }
 
+// Estado del préstamo y sus cuotas pendientes antes de cambiarlo (bitácora de auditoría)
+function loanAuditSnapshot(req) {
+  return prisma.loan.findUnique({
+    where: { id: Number(req.params.id) },
+    select: {
+      id: true,
+      status: true,
+      principal: true,
+      interestRate: true,
+      termCount: true,
+      schedules: {
+        where: { isPaid: false, supersededAt: null },
+        select: { id: true, installmentNumber: true, dueDate: true, installmentAmount: true, remainingBalance: true },
+        orderBy: { installmentNumber: 'asc' },
+      },
+    },
+  });
+}
+
 // Vista previa de prÃ©stamo (no persiste)
 router.post(
   '/preview',
   requireAuth,
+  requirePermission('loans:create'),
   body('principal').isFloat({ gt: 0 }),
   body('interestRate').isFloat({ gt: 0 }),
   body('termCount').isInt({ gt: 0 }),
   body('startDate').isISO8601(),
+  body('amortizationType').optional().isIn(AMORTIZATION_TYPES),
+  body('frequency').optional().isIn(Object.keys(PAYMENT_FREQUENCIES)),
+  body('dueDatePolicy').optional().isIn(DUE_DATE_POLICIES)
+    .custom((value, { req }) => value !== 'SAME_DAY_OF_MONTH' || (req.body.frequency || 'MONTHLY') === 'MONTHLY')
+    .withMessage('El vencimiento en el mismo día de cada mes solo aplica a frecuencia mensual'),
+  body('dueDateShift').optional().isIn(DUE_DATE_SHIFTS),
   handleValidation,
   async (req, res, next) => {
     try {
-      const { principal, interestRate, termCount, startDate } = req.body;
+      const { principal, interestRate, termCount, startDate, amortizationType = 'FRENCH', frequency = 'MONTHLY', dueDatePolicy = 'FIXED_INTERVAL', dueDateShift = 'NONE' } = req.body;
       // Reglas anteriores de monto mínimo/máximo eliminadas
       // Regla anterior de tasa mínima eliminada
 
-      const schedule = generateSchedule({ principal: Number(principal), interestRate: Number(interestRate), termCount: Number(termCount), startDate });
+      const schedule = generateSchedule({ principal: Number(principal), interestRate: Number(interestRate), termCount: Number(termCount), startDate, amortizationType, frequency, dueDatePolicy, dueDateShift });
       const totalInterest = round2(schedule.reduce((a, r) => a + Number(r.interestAmount), 0));
       const totalAmount = round2(schedule.reduce((a, r) => a + Number(r.installmentAmount), 0));
       const installmentAmount = schedule.length ? Number(schedule[0].installmentAmount) : 0;
       const lastDueDate = schedule.length ? schedule[schedule.length - 1].dueDate : null;
+      const { tea, tem, tcea } = buildCostDisclosure({ principal: Number(principal), interestRate: Number(interestRate), frequency, startDate, schedule });
       res.json({
         summary: {
           principal: Number(principal),
           interestRate: Number(interestRate),
           termCount: Number(termCount),
+          amortizationType,
+          frequency,
+          dueDatePolicy,
+          dueDateShift,
           startDate,
           installmentAmount: round2(installmentAmount),
           totalInterest,
           totalAmount,
+          tea,
+          tem,
+          tcea,
           lastDueDate
         },
         schedule
@@ -62,13 +110,18 @@ router.post(
 router.get(
   '/',
   requireAuth,
+  requirePermission('loans:read'),
   query('clientId').optional().isInt(),
+  query('status').optional().isIn(LOAN_STATUSES),
+  query('branchId').optional().isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
     try {
-      const where = {};
+      // Solo los préstamos de la agencia del usuario, salvo que consolide agencias
+      const where = { branchId: resolveBranchScope(req.user, req.query.branchId) };
       if (req.query.clientId) where.clientId = Number(req.query.clientId);
-      const loans = await prisma.loan.findMany({ where, include: { client: true, createdBy: true }, orderBy: { id: 'desc' } });
+      if (req.query.status) where.status = req.query.status;
+      const loans = await prisma.loan.findMany({ where, include: { client: true, createdBy: true, branch: true }, orderBy: { id: 'desc' } });
       res.json(loans);
     } catch (e) { next(e); }
   }
@@ -78,15 +131,26 @@ router.get(
 router.post(
   '/',
   requireAuth,
+  requirePermission('loans:create'),
   body('clientId').isInt(),
   body('principal').isFloat({ gt: 0 }),
   body('interestRate').isFloat({ gt: 0 }),
   body('termCount').isInt({ gt: 0 }),
   body('startDate').isISO8601(),
+  body('amortizationType').optional().isIn(AMORTIZATION_TYPES),
+  body('frequency').optional().isIn(Object.keys(PAYMENT_FREQUENCIES)),
+  body('dueDatePolicy').optional().isIn(DUE_DATE_POLICIES)
+    .custom((value, { req }) => value !== 'SAME_DAY_OF_MONTH' || (req.body.frequency || 'MONTHLY') === 'MONTHLY')
+    .withMessage('El vencimiento en el mismo día de cada mes solo aplica a frecuencia mensual'),
+  body('dueDateShift').optional().isIn(DUE_DATE_SHIFTS),
+  body('status').optional().isIn(['DRAFT', 'ACTIVE']),
+  body('lateFeePolicyCode').optional().isString().trim().notEmpty(),
+  body('branchId').optional({ nullable: true }).isInt({ gt: 0 }),
   handleValidation,
+  auditLog('loan.create', 'Loan'),
   async (req, res, next) => {
     try {
-      const { clientId, principal, interestRate, termCount, startDate } = req.body;
+      const { clientId, principal, interestRate, termCount, startDate, amortizationType = 'FRENCH', frequency = 'MONTHLY', dueDatePolicy = 'FIXED_INTERVAL', dueDateShift = 'NONE', status = 'ACTIVE' } = req.body;
       const userId = Number(req.user?.sub || req.user?.id);
       if (!userId) return res.status(401).json({ error: 'Usuario no autenticado' });
       
@@ -99,31 +163,38 @@ router.post(
       const client = await prisma.client.findUnique({ where: { id: Number(clientId) } });
       if (!client) return res.status(404).json({ error: 'Cliente no encontrado' });
 
-      // Regla: un solo préstamo por cliente (no se permite más de uno)
-      const existing = await prisma.loan.findFirst({ where: { clientId: client.id } });
-      if (existing) {
-        return res.status(400).json({ error: 'El cliente ya tiene un préstamo registrado.' });
-      }
+      // Se fija la versión vigente de la política de mora; cambios posteriores no la afectan
+      const lateFeePolicyId = await resolveLateFeePolicyIdForNewLoan(req.body.lateFeePolicyCode);
+      // Agencia del usuario; quien consolida agencias puede otorgarlo a nombre de otra
+      const branchId = await resolveOperatingBranchId(req.user, req.body.branchId);
 
       const createdLoan = await prisma.$transaction(async (tx) => {
         const loan = await tx.loan.create({
           data: {
             clientId: client.id,
             createdByUserId: userId,
+            branchId,
             principal: String(principal),
             interestRate: String(interestRate),
             termCount,
+            amortizationType,
+            frequency,
+            dueDatePolicy,
+            dueDateShift,
+            status,
+            lateFeePolicyId,
             // Guardar la fecha de inicio a mediodÃ­a en Lima para evitar desfase (-05:00)
             startDate: dayjs.tz(startDate, TZ).hour(12).minute(0).second(0).millisecond(0).toDate()
           }
         });
 
-        const schedule = generateSchedule({ principal: Number(principal), interestRate: Number(interestRate), termCount, startDate });
+        const schedule = generateSchedule({ principal: Number(principal), interestRate: Number(interestRate), termCount, startDate, amortizationType, frequency, dueDatePolicy, dueDateShift });
         await Promise.all(schedule.map((row) => tx.paymentSchedule.create({
           data: {
             loanId: loan.id,
             installmentNumber: row.installmentNumber,
             dueDate: row.dueDate,
+            originalDueDate: row.originalDueDate,
             installmentAmount: String(row.installmentAmount),
             principalAmount: String(row.principalAmount),
             interestAmount: String(row.interestAmount),
@@ -134,7 +205,7 @@ router.post(
         return loan;
       });
 
-      const full = await prisma.loan.findUnique({ where: { id: createdLoan.id }, include: { client: true, schedules: true } });
+      const full = await prisma.loan.findUnique({ where: { id: createdLoan.id }, include: { client: true, schedules: true, lateFeePolicy: true, branch: true } });
       res.status(201).json(full);
     } catch (e) { next(e); }
   }
@@ -144,12 +215,25 @@ router.post(
 router.get(
   '/:id',
   requireAuth,
+  requirePermission('loans:read'),
   param('id').isInt(),
   handleValidation,
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
-      const loan = await prisma.loan.findUnique({ where: { id }, include: { client: true, createdBy: true, schedules: { orderBy: { installmentNumber: 'asc' } } } });
+      await assertLoanBranchAccess(req.user, id);
+      const loan = await prisma.loan.findUnique({
+        where: { id },
+        include: {
+          client: true,
+          createdBy: true,
+          branch: true,
+          lateFeePolicy: true,
+          schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+          reschedules: { orderBy: { createdAt: 'asc' }, include: { createdBy: { select: { username: true } } } },
+          prepayments: { orderBy: { createdAt: 'asc' }, include: { registeredBy: { select: { username: true } } } }
+        }
+      });
       if (!loan) return res.status(404).json({ error: 'Préstamo no encontrado' });
       res.json(loan);
     } catch (e) { next(e); }
@@ -160,32 +244,38 @@ router.get(
 router.get(
   '/:id/schedules-with-mora',
   requireAuth,
+  requirePermission('loans:read'),
   param('id').isInt(),
   handleValidation,
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
+      await assertLoanBranchAccess(req.user, id);
       const loan = await prisma.loan.findUnique({ 
         where: { id }, 
         include: { 
-          schedules: { orderBy: { installmentNumber: 'asc' } },
-          payments: { orderBy: { paymentDate: 'asc' } }
+          schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+          payments: { where: { voidedAt: null }, orderBy: { paymentDate: 'asc' } },
+          lateFees: true,
+          lateFeeWaivers: true
         } 
       });
       if (!loan) return res.status(404).json({ error: 'Préstamo no encontrado' });
       
-      // Calcular mora para cada cuota
+      // Mora devengada de cada cuota
       const schedulesWithMora = loan.schedules.map(schedule => {
         const {
           hasLateFee,
           lateFeeAmount,
+          lateFeeWaived,
           remainingInstallment,
           pendingTotal,
-        } = calculateInstallmentLateFee(schedule, loan.payments);
+        } = getAccruedInstallmentLateFee(schedule, loan.payments, loan.lateFees, loan.lateFeeWaivers);
         return {
           ...schedule,
           hasLateFee,
           lateFeeAmount,
+          lateFeeWaived,
           remainingInstallment,
           pendingTotal,
         };
@@ -200,30 +290,109 @@ router.get(
 router.get(
   '/:id/schedule.pdf',
   requireAuth,
+  requirePermission('loans:read'),
   param('id').isInt(),
   handleValidation,
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
+      await assertLoanBranchAccess(req.user, id);
       const loan = await prisma.loan.findUnique({ 
         where: { id }, 
         include: { 
           client: true, 
-          schedules: { orderBy: { installmentNumber: 'asc' } },
-          payments: { orderBy: { paymentDate: 'asc' } }
+          schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+          payments: { where: { voidedAt: null }, orderBy: { paymentDate: 'asc' } },
+          reschedules: { orderBy: { createdAt: 'desc' }, take: 1 },
+          prepayments: { orderBy: { createdAt: 'asc' } }
         } 
       });
       if (!loan) return res.status(404).json({ error: 'PrÃ©stamo no encontrado' });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="cronograma_loan_${loan.id}.pdf"`);
+      const company = await getCompanySettings();
       const doc = new PDFDocument({ size: 'A4', margin: 40 });
       doc.pipe(res);
-      buildSchedulePdf(doc, { client: loan.client, loan, schedule: loan.schedules, payments: loan.payments });
+      buildSchedulePdf(doc, { company, client: loan.client, loan, schedule: loan.schedules, payments: loan.payments, reschedule: loan.reschedules[0] || null, prepayments: loan.prepayments });
       doc.end();
     } catch (e) { next(e); }
   }
 );
 
+// Cambio manual de estado (desembolso de borrador, anulación, incumplimiento, castigo).
+// PAID_OFF se asigna automáticamente al saldar todas las cuotas.
+router.patch(
+  '/:id/status',
+  requireAuth,
+  requirePermission('loans:manage'),
+  param('id').isInt(),
+  body('status').isIn(LOAN_STATUSES),
+  handleValidation,
+  auditLog('loan.status.update', 'Loan', { before: loanAuditSnapshot }),
+  async (req, res, next) => {
+    try {
+      await assertLoanBranchAccess(req.user, req.params.id);
+      const loan = await changeLoanStatus({ loanId: Number(req.params.id), status: req.body.status });
+      res.json(loan);
+    } catch (e) { next(e); }
+  }
+);
+
+// Cotización de cancelación anticipada a una fecha (por defecto hoy)
+router.get(
+  '/:id/payoff',
+  requireAuth,
+  requirePermission('loans:read'),
+  param('id').isInt(),
+  query('date').optional().isISO8601(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      await assertLoanBranchAccess(req.user, req.params.id);
+      const date = req.query.date ? dayjs.tz(req.query.date, TZ) : dayjs.tz(new Date(), TZ);
+      if (date.isBefore(dayjs.tz(new Date(), TZ).startOf('day'))) {
+        return res.status(400).json({ error: 'La fecha de cancelación no puede ser pasada' });
+      }
+      const quote = await getPayoffQuote(Number(req.params.id), date.toDate());
+      res.json(quote);
+    } catch (e) { next(e); }
+  }
+);
+
+// Reprogramar/refinanciar: capitaliza saldo de capital + interés devengado + mora
+// en un nuevo cronograma; las cuotas pendientes quedan como reemplazadas.
+router.post(
+  '/:id/reschedule',
+  requireAuth,
+  requirePermission('loans:manage'),
+  param('id').isInt(),
+  body('termCount').isInt({ gt: 0 }),
+  body('interestRate').optional().isFloat({ gt: 0 }),
+  body('startDate').optional().isISO8601(),
+  body('amortizationType').optional().isIn(AMORTIZATION_TYPES),
+  body('frequency').optional().isIn(Object.keys(PAYMENT_FREQUENCIES)),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  handleValidation,
+  auditLog('loan.reschedule', 'Loan', { before: loanAuditSnapshot }),
+  async (req, res, next) => {
+    try {
+      await assertLoanBranchAccess(req.user, req.params.id);
+      const { termCount, interestRate, startDate, amortizationType, frequency, reason } = req.body;
+      const result = await rescheduleLoan({
+        loanId: Number(req.params.id),
+        userId: req.user.id,
+        termCount: Number(termCount),
+        interestRate: interestRate !== undefined ? Number(interestRate) : undefined,
+        startDate,
+        amortizationType,
+        frequency,
+        reason,
+      });
+      res.status(201).json(result);
+    } catch (e) { next(e); }
+  }
+);
+
 export default router;
 
 
@@ -0,0 +1,88 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  listPaymentVoids,
+  approvePaymentVoid,
+  rejectPaymentVoid,
+} from '../services/paymentVoid.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /payment-voids?loanId=&status=&branchId=
+ * Las solicitudes se crean con POST /payments/:id/void. Siempre se limitan a la agencia
+ * del usuario (todas o la de branchId para quien consolida agencias).
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('paymentVoids:request', 'paymentVoids:approve'),
+  query('loanId').optional().isInt({ gt: 0 }),
+  query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED']),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const voids = await listPaymentVoids({
+        loanId: req.query.loanId ? Number(req.query.loanId) : null,
+        status: req.query.status || null,
+        branchId: resolveBranchScope(req.user, req.query.branchId),
+      });
+      res.json(voids);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /payment-voids/:id/approve
+ * Aprobación del supervisor; debe ser un usuario distinto al que la solicitó.
+ * Si el pago fue en efectivo, quien aprueba debe tener su caja abierta.
+ */
+router.post(
+  '/:id/approve',
+  requireAuth,
+  requirePermission('paymentVoids:approve'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional().isString().trim(),
+  handleValidation,
+  auditLog('paymentVoid.approve', 'PaymentVoid'),
+  async (req, res, next) => {
+    try {
+      const paymentVoid = await approvePaymentVoid(Number(req.params.id), {
+        reviewedByUserId: req.user.id,
+        reviewNote: req.body.note || null,
+        user: req.user,
+      });
+      res.json(paymentVoid);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /payment-voids/:id/reject
+ */
+router.post(
+  '/:id/reject',
+  requireAuth,
+  requirePermission('paymentVoids:approve'),
+  param('id').isInt({ gt: 0 }),
+  body('note').optional().isString().trim(),
+  handleValidation,
+  auditLog('paymentVoid.reject', 'PaymentVoid'),
+  async (req, res, next) => {
+    try {
+      const paymentVoid = await rejectPaymentVoid(Number(req.params.id), {
+        reviewedByUserId: req.user.id,
+        reviewNote: req.body.note || null,
+        user: req.user,
+      });
+      res.json(paymentVoid);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
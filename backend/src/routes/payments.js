@@ -1,7 +1,8 @@
 import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
 import { PrismaClient } from '@prisma/client';
 import { 
   registerPayment,
@@ -10,10 +11,83 @@ import {
   calculateLateFees 
 } from '../services/payment.js';
 import { buildPaymentReceipt, createPdfDocument } from '../services/pdf.js';
+import { getCompanySettings } from '../services/companySettings.js';
+import { refreshLoanStatus } from '../services/loanStatus.js';
+import { registerPayoffPayment, getPayoff } from '../services/payoff.js';
+import { registerPrepayment, PREPAYMENT_MODES } from '../services/prepayment.js';
+import { accrueLateFees } from '../services/lateFeeAccrual.js';
+import { requestPaymentVoid } from '../services/paymentVoid.js';
+import {
+  assignReceiptNumber,
+  reissueReceiptNumber,
+  assertReceiptTypeChangeAllowed,
+  assertAcceptedReceiptUnchanged,
+  formatReceiptNumber,
+} from '../services/receiptSeries.js';
+import { getReceiptCreditStatus, withCreditNoteNumbers } from '../services/creditNote.js';
+import { assertLoanBranchAccess, assertPaymentBranchAccess } from '../services/branch.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
+// Comprobante actual de un pago para validar su edición
+const RECEIPT_EDIT_SELECT = {
+  id: true,
+  receiptType: true,
+  receiptSeries: true,
+  receiptCorrelative: true,
+  invoiceRuc: true,
+  invoiceBusinessName: true,
+  invoiceAddress: true,
+  sunatStatus: true,
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Guarda tipo y datos del comprobante de un pago y le asigna número dentro de `tx`, con la fila
+ * del pago bloqueada para que dos ediciones simultáneas no tomen dos correlativos.
+ * Un comprobante anulado por completo con notas de crédito se reemplaza por uno nuevo (puede
+ * cambiar de tipo); si no, el emitido conserva su tipo y, si SUNAT lo aceptó, sus datos. Si otra
+ * edición ya lo reemitió, el número nuevo no tiene notas y no se vuelve a reemitir.
+ */
+async function saveReceiptInfo(tx, paymentId, data) {
+  await tx.$executeRaw`SELECT id FROM "Payment" WHERE id = ${paymentId} FOR UPDATE`;
+  const locked = await tx.payment.findUnique({
+    where: { id: paymentId },
+    select: { ...RECEIPT_EDIT_SELECT, voidedAt: true },
+  });
+  if (!locked) throw notFound('Pago no encontrado');
+  if (locked.voidedAt) throw badRequest(`El pago #${paymentId} está anulado; su comprobante ya no se puede modificar`);
+
+  const reissue = locked.receiptSeries ? (await getReceiptCreditStatus(paymentId, tx)).fullyCredited : false;
+  if (!reissue) {
+    assertReceiptTypeChangeAllowed(locked, data.receiptType);
+    assertAcceptedReceiptUnchanged(locked, data);
+  }
+  await tx.payment.update({ where: { id: paymentId }, data });
+  return reissue ? reissueReceiptNumber(tx, paymentId) : assignReceiptNumber(tx, paymentId);
+}
+
+// Datos de comprobante antes de editarlos (bitácora de auditoría)
+function receiptAuditSnapshot(req) {
+  const ids = req.params.id ? [Number(req.params.id)] : req.body.paymentIds.map(Number);
+  return prisma.payment.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, receiptNumber: true, receiptType: true, invoiceRuc: true, invoiceBusinessName: true, invoiceAddress: true },
+  });
+}
+
 /**
  * POST /payments
  * Registra un pago
@@ -21,6 +95,7 @@ const prisma = new PrismaClient();
 router.post(
   '/',
   requireAuth,
+  requirePermission('payments:register'),
   body('loanId').isInt({ gt: 0 }),
   body('amount').isFloat({ gt: 0 }),
   body('paymentMethod').isIn(['EFECTIVO', 'BILLETERA_DIGITAL', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'FLOW', 'OTRO']),
@@ -30,10 +105,12 @@ router.post(
   body('amountGiven').optional().isFloat({ gt: 0 }),
   body('change').optional().isFloat({ min: 0 }),
   handleValidation,
+  auditLog('payment.register', 'Payment', { entityId: (req, body) => body.payment?.id }),
   async (req, res, next) => {
     try {
       const { loanId, amount, paymentMethod, cashSessionId, installmentId, externalReference, amountGiven, change } = req.body;
       const registeredByUserId = req.user.id;
+      await assertLoanBranchAccess(req.user, loanId);
 
       // Validación: Si es pago FLOW, externalReference es requerido
       if (paymentMethod === 'FLOW' && !externalReference) {
@@ -94,6 +171,203 @@ router.post(
   }
 );
 
+/**
+ * POST /payments/payoff
+ * Cancelación anticipada: salda el préstamo con la cotización del día
+ * (capital + interés devengado + mora, sin intereses futuros)
+ */
+router.post(
+  '/payoff',
+  requireAuth,
+  requirePermission('payments:register'),
+  body('loanId').isInt({ gt: 0 }),
+  // La billetera digital pasa por Flow (pago asíncrono); la cancelación se cobra en ventanilla
+  body('paymentMethod').isIn(['EFECTIVO', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'OTRO']),
+  body('cashSessionId').isInt({ gt: 0 }),
+  body('externalReference').optional().isString(),
+  body('amountGiven').optional().isFloat({ gt: 0 }),
+  body('change').optional().isFloat({ min: 0 }),
+  body('receiptType').optional().isIn(['BOLETA', 'FACTURA']),
+  body('invoiceRuc').optional().matches(/^\d{11}$/),
+  body('invoiceBusinessName').optional().isString(),
+  body('invoiceAddress').optional().isString(),
+  handleValidation,
+  auditLog('loan.payoff', 'LoanPayoff', { entityId: (req, body) => body.payoff?.id }),
+  async (req, res, next) => {
+    try {
+      const { loanId, paymentMethod, cashSessionId, externalReference, amountGiven, change, receiptType = 'BOLETA', invoiceRuc, invoiceBusinessName, invoiceAddress } = req.body;
+      await assertLoanBranchAccess(req.user, loanId);
+
+      if (receiptType === 'FACTURA' && (!invoiceRuc || !invoiceBusinessName || !invoiceAddress)) {
+        return res.status(400).json({ error: 'Para factura se requiere RUC, razón social y dirección' });
+      }
+
+      const payoff = await registerPayoffPayment({
+        loanId: Number(loanId),
+        paymentMethod,
+        registeredByUserId: req.user.id,
+        cashSessionId: Number(cashSessionId),
+        externalReference,
+        receiptType,
+        invoiceRuc: invoiceRuc || null,
+        invoiceBusinessName: invoiceBusinessName || null,
+        invoiceAddress: invoiceAddress || null,
+        amountGiven: amountGiven ? Number(amountGiven) : null,
+        change: change !== undefined ? Number(change) : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        payoff: {
+          id: payoff.id,
+          receiptNumber: payoff.receiptNumber,
+          paymentMethod: payoff.paymentMethod,
+          principalAmount: Number(payoff.principalAmount),
+          accruedInterest: Number(payoff.accruedInterest),
+          interestRebate: Number(payoff.interestRebate),
+          lateFeeAmount: Number(payoff.lateFeeAmount),
+          roundingAdjustment: Number(payoff.roundingAdjustment),
+          totalAmount: Number(payoff.totalAmount),
+          createdAt: payoff.createdAt,
+          paymentIds: payoff.payments.map(p => p.id),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /payments/prepayment
+ * Prepago parcial a capital. mode: REDUCE_TERM (menos cuotas) o REDUCE_INSTALLMENT (cuota menor).
+ * El comprobante se descarga con GET /payments/:id/receipt
+ */
+router.post(
+  '/prepayment',
+  requireAuth,
+  requirePermission('payments:register'),
+  body('loanId').isInt({ gt: 0 }),
+  body('amount').isFloat({ gt: 0 }),
+  body('mode').isIn(PREPAYMENT_MODES),
+  body('paymentMethod').isIn(['EFECTIVO', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'OTRO']),
+  body('cashSessionId').isInt({ gt: 0 }),
+  body('externalReference').optional().isString(),
+  body('amountGiven').optional().isFloat({ gt: 0 }),
+  body('change').optional().isFloat({ min: 0 }),
+  body('receiptType').optional().isIn(['BOLETA', 'FACTURA']),
+  body('invoiceRuc').optional().matches(/^\d{11}$/),
+  body('invoiceBusinessName').optional().isString(),
+  body('invoiceAddress').optional().isString(),
+  handleValidation,
+  auditLog('loan.prepayment', 'LoanPrepayment', { entityId: (req, body) => body.prepayment?.id }),
+  async (req, res, next) => {
+    try {
+      const { loanId, amount, mode, paymentMethod, cashSessionId, externalReference, amountGiven, change, receiptType = 'BOLETA', invoiceRuc, invoiceBusinessName, invoiceAddress } = req.body;
+      await assertLoanBranchAccess(req.user, loanId);
+
+      if (receiptType === 'FACTURA' && (!invoiceRuc || !invoiceBusinessName || !invoiceAddress)) {
+        return res.status(400).json({ error: 'Para factura se requiere RUC, razón social y dirección' });
+      }
+
+      const { prepayment, payment, schedule } = await registerPrepayment({
+        loanId: Number(loanId),
+        amount: Number(amount),
+        mode,
+        paymentMethod,
+        registeredByUserId: req.user.id,
+        cashSessionId: Number(cashSessionId),
+        externalReference,
+        receiptType,
+        invoiceRuc: invoiceRuc || null,
+        invoiceBusinessName: invoiceBusinessName || null,
+        invoiceAddress: invoiceAddress || null,
+        amountGiven: amountGiven ? Number(amountGiven) : null,
+        change: change !== undefined ? Number(change) : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        prepayment: {
+          ...prepayment,
+          amount: Number(prepayment.amount),
+          previousBalance: Number(prepayment.previousBalance),
+          newBalance: Number(prepayment.newBalance),
+          previousInstallmentAmount: Number(prepayment.previousInstallmentAmount),
+          newInstallmentAmount: Number(prepayment.newInstallmentAmount),
+        },
+        payment: {
+          id: payment.id,
+          receiptNumber: payment.receiptNumber,
+          amount: Number(payment.amount),
+          paymentMethod: payment.paymentMethod,
+          paymentDate: payment.paymentDate,
+        },
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /payments/payoff/:id/receipt
+ * Comprobante único de la cancelación anticipada (una línea por cuota saldada)
+ */
+router.get(
+  '/payoff/:id/receipt',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const payoff = await getPayoff(Number(req.params.id));
+      await assertLoanBranchAccess(req.user, payoff.loanId);
+      const [mainPayment] = payoff.payments;
+
+      const payment = {
+        ...mainPayment,
+        loan: payoff.loan,
+        registeredBy: payoff.registeredBy,
+        amount: payoff.totalAmount,
+        receiptNumber: payoff.receiptNumber,
+        interestRebate: payoff.interestRebate,
+        isPayoff: true,
+        installmentsPaid: payoff.payments.map(p => ({
+          id: p.installment.id,
+          installmentNumber: p.installment.installmentNumber,
+          dueDate: p.installment.dueDate,
+          installmentAmount: Number(p.installment.installmentAmount),
+          amountPaid: Number(p.amount),
+          principalPaid: Number(p.principalPaid || 0),
+          interestPaid: Number(p.interestPaid || 0),
+          lateFeePaid: Number(p.lateFeePaid || 0),
+        })),
+      };
+
+      const invoiceInfo = {
+        type: (mainPayment.receiptType || 'BOLETA').toLowerCase(),
+        customerRuc: mainPayment.invoiceRuc || '',
+        customerName: mainPayment.invoiceBusinessName || '',
+        customerAddress: mainPayment.invoiceAddress || '',
+      };
+
+      const company = await getCompanySettings();
+      const doc = createPdfDocument();
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=cancelacion-${payoff.receiptNumber}.pdf`);
+
+      doc.pipe(res);
+      buildPaymentReceipt(doc, payment, invoiceInfo, company);
+      doc.end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /payments/:id
  * Obtiene un pago por ID
@@ -101,6 +375,7 @@ router.post(
 router.get(
   '/:id',
   requireAuth,
+  requirePermission('payments:read'),
   param('id').isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
@@ -128,6 +403,7 @@ router.get(
       if (!payment) {
         return res.status(404).json({ error: 'Pago no encontrado' });
       }
+      await assertLoanBranchAccess(req.user, payment.loanId);
 
       if (!payment.receiptType) {
         return res.status(400).json({ error: 'El comprobante aún no ha sido configurado' });
@@ -136,6 +412,8 @@ router.get(
       res.json({
         id: payment.id,
         receiptNumber: payment.receiptNumber,
+        receiptType: payment.receiptType,
+        documentNumber: formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative),
         amount: Number(payment.amount),
         paymentMethod: payment.paymentMethod,
         paymentDate: payment.paymentDate,
@@ -144,6 +422,7 @@ router.get(
         lateFeePaid: Number(payment.lateFeePaid),
         roundingAdjustment: Number(payment.roundingAdjustment),
         externalReference: payment.externalReference,
+        voidedAt: payment.voidedAt,
         loan: {
           id: payment.loan.id,
           client: payment.loan.client,
@@ -163,6 +442,7 @@ router.get(
 router.get(
   '/:id/receipt',
   requireAuth,
+  requirePermission('payments:read'),
   param('id').isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
@@ -191,10 +471,11 @@ router.get(
       if (!payment) {
         return res.status(404).json({ error: 'Pago no encontrado' });
       }
+      await assertLoanBranchAccess(req.user, payment.loanId);
 
       // Si es un pago adelantado (sin installmentId), obtener todas las cuotas pagadas relacionadas
       // El sistema crea múltiples pagos (uno por cuota) con el mismo receiptNumber base
-      if (!payment.installmentId && payment.loan.schedules) {
+      if (!payment.installmentId && !payment.prepaymentId && payment.loan.schedules) {
         // Buscar todos los pagos con el mismo receiptNumber base (sin sufijo)
         const baseReceiptNumber = payment.receiptNumber.split('-')[0];
         const relatedPayments = await prisma.payment.findMany({
@@ -232,29 +513,21 @@ router.get(
       }
 
       const type = (payment.receiptType || 'BOLETA').toLowerCase();
-      
-      // Contar pagos del mismo tipo generados hasta ahora (para correlativo secuencial)
-      const paymentCount = await prisma.payment.count({
-        where: {
-          receiptType: payment.receiptType || 'BOLETA',
-          id: { lte: payment.id }, // Contar solo pagos con ID menor o igual al actual
-        },
-      });
-      
+
       const invoiceInfo = {
         type,
-        correlative: paymentCount, // Número secuencial 1, 2, 3, etc.
         customerRuc: payment.invoiceRuc || '',
         customerName: payment.invoiceBusinessName || '',
         customerAddress: payment.invoiceAddress || '',
       };
 
+      const company = await getCompanySettings();
       const doc = createPdfDocument();
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename=comprobante-${payment.receiptNumber}.pdf`);
       
       doc.pipe(res);
-      buildPaymentReceipt(doc, payment, invoiceInfo);
+      buildPaymentReceipt(doc, payment, invoiceInfo, company);
       doc.end();
     } catch (error) {
       next(error);
@@ -269,10 +542,12 @@ router.get(
 router.get(
   '/loan/:loanId',
   requireAuth,
+  requirePermission('payments:read'),
   param('loanId').isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
     try {
+      await assertLoanBranchAccess(req.user, req.params.loanId);
       const { PrismaClient } = await import('@prisma/client');
       const prisma = new PrismaClient();
       
@@ -295,6 +570,9 @@ router.get(
         payments: payments.map(p => ({
           id: p.id,
           receiptNumber: p.receiptNumber,
+          receiptSeries: p.receiptSeries,
+          receiptCorrelative: p.receiptCorrelative,
+          documentNumber: formatReceiptNumber(p.receiptSeries, p.receiptCorrelative),
           amount: Number(p.amount),
           paymentMethod: p.paymentMethod,
           paymentDate: p.paymentDate,
@@ -307,6 +585,10 @@ router.get(
           invoiceRuc: p.invoiceRuc,
           invoiceBusinessName: p.invoiceBusinessName,
           invoiceAddress: p.invoiceAddress,
+          voidedAt: p.voidedAt,
+          sunatStatus: p.sunatStatus,
+          sunatResponseCode: p.sunatResponseCode,
+          sunatResponseDescription: p.sunatResponseDescription,
         })),
       });
     } catch (error) {
@@ -322,10 +604,12 @@ router.get(
 router.get(
   '/loan/:loanId/statement',
   requireAuth,
+  requirePermission('payments:read'),
   param('loanId').isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
     try {
+      await assertLoanBranchAccess(req.user, req.params.loanId);
       const statement = await getLoanStatement(Number(req.params.loanId));
 
       // Convertir Decimals a números y filtrar pagos con comprobante configurado
@@ -338,7 +622,9 @@ router.get(
           interestPaid: Number(p.interestPaid),
           lateFeePaid: Number(p.lateFeePaid),
           roundingAdjustment: Number(p.roundingAdjustment),
+          refundedAmount: Number(p.refundedAmount),
           receiptType: p.receiptType,
+          documentNumber: formatReceiptNumber(p.receiptSeries, p.receiptCorrelative),
           invoiceRuc: p.invoiceRuc,
           invoiceBusinessName: p.invoiceBusinessName,
           invoiceAddress: p.invoiceAddress,
@@ -358,6 +644,22 @@ router.get(
           ...f,
           feeAmount: Number(f.feeAmount),
           baseAmount: Number(f.baseAmount),
+          accruedTotal: Number(f.accruedTotal),
+        })),
+        lateFeeWaivers: statement.lateFeeWaivers.map(w => ({
+          ...w,
+          amount: Number(w.amount),
+        })),
+        refunds: statement.refunds.map(r => ({
+          ...r,
+          amount: Number(r.amount),
+          principalRefunded: Number(r.principalRefunded),
+          interestRefunded: Number(r.interestRefunded),
+          lateFeeRefunded: Number(r.lateFeeRefunded),
+        })),
+        creditNotes: statement.creditNotes.map(n => ({
+          ...withCreditNoteNumbers(n),
+          amount: Number(n.amount),
         })),
       });
     } catch (error) {
@@ -368,29 +670,22 @@ router.get(
 
 /**
  * POST /payments/loan/:loanId/calculate-late-fees
- * Calcula y registra las moras de un préstamo
+ * Devenga la mora del préstamo a hoy (idempotente) y devuelve los registros
  */
 router.post(
   '/loan/:loanId/calculate-late-fees',
   requireAuth,
+  requirePermission('payments:register'),
   param('loanId').isInt({ gt: 0 }),
   handleValidation,
+  auditLog('lateFee.accrue', 'Loan', { entityId: (req) => req.params.loanId }),
   async (req, res, next) => {
     try {
-      const { PrismaClient } = await import('@prisma/client');
-      const prisma = new PrismaClient();
-      
       const loanId = Number(req.params.loanId);
+      await assertLoanBranchAccess(req.user, loanId);
+      await accrueLateFees({ loanId });
       const result = await calculateLateFees(loanId);
 
-      // Crear las moras que no existen
-      if (result.lateFees.length > 0) {
-        await prisma.lateFee.createMany({
-          data: result.lateFees,
-          skipDuplicates: true,
-        });
-      }
-
       res.json({
         success: true,
         loanId,
@@ -398,6 +693,7 @@ router.post(
           ...f,
           feeAmount: Number(f.feeAmount),
           baseAmount: Number(f.baseAmount),
+          accruedTotal: Number(f.accruedTotal),
         })),
         totalLateFee: result.totalLateFee,
       });
@@ -407,6 +703,32 @@ router.post(
   }
 );
 
+/**
+ * POST /payments/late-fees/accrue
+ * Corre el devengo de mora de todos los préstamos para una fecha (admin).
+ * Es el mismo proceso del devengo nocturno; se puede repetir sin duplicar registros.
+ */
+router.post(
+  '/late-fees/accrue',
+  requireAuth,
+  requirePermission('lateFees:accrue'),
+  body('date').optional().isISO8601(),
+  body('loanId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  auditLog('lateFee.accrue', 'LateFee', { entityId: (req) => req.body.loanId ?? null }),
+  async (req, res, next) => {
+    try {
+      const summary = await accrueLateFees({
+        ...(req.body.date ? { date: req.body.date } : {}),
+        ...(req.body.loanId ? { loanId: Number(req.body.loanId) } : {}),
+      });
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /payments/advance
  * Registra un pago adelantado para múltiples cuotas
@@ -414,6 +736,7 @@ router.post(
 router.post(
   '/advance',
   requireAuth,
+  requirePermission('payments:register'),
   body('loanId').isInt({ gt: 0 }),
   body('amount').isFloat({ gt: 0 }),
   body('paymentMethod').isIn(['EFECTIVO', 'BILLETERA_DIGITAL', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'FLOW', 'OTRO']),
@@ -422,10 +745,12 @@ router.post(
   body('installmentIds.*').isInt({ gt: 0 }),
   body('externalReference').optional().isString(),
   handleValidation,
+  auditLog('payment.advance', 'Payment', { entityId: (req, body) => body.payment?.id }),
   async (req, res, next) => {
     try {
       const { loanId, amount, paymentMethod, cashSessionId, installmentIds, externalReference } = req.body;
       const registeredByUserId = req.user.id;
+      await assertLoanBranchAccess(req.user, loanId);
 
       // Validación: Si es pago FLOW, externalReference es requerido
       if (paymentMethod === 'FLOW' && !externalReference) {
@@ -502,6 +827,7 @@ router.post(
 router.post(
   '/advance/receipt-config',
   requireAuth,
+  requirePermission('receipts:edit'),
   body('paymentIds').isArray({ min: 1 }),
   body('paymentIds.*').isInt({ gt: 0 }),
   body('receiptType').isIn(['BOLETA', 'FACTURA']),
@@ -509,9 +835,14 @@ router.post(
   body('invoiceBusinessName').optional({ checkFalsy: true }).isString(),
   body('invoiceAddress').optional({ checkFalsy: true }).isString(),
   handleValidation,
+  auditLog('payment.receiptInfo.update', 'Payment', {
+    before: receiptAuditSnapshot,
+    entityId: (req) => req.body.paymentIds.join(','),
+  }),
   async (req, res, next) => {
     try {
       const { paymentIds, receiptType, invoiceRuc, invoiceBusinessName, invoiceAddress } = req.body;
+      for (const paymentId of paymentIds) await assertPaymentBranchAccess(req.user, paymentId);
 
       // Actualizar todos los pagos con la información del comprobante
       const updateData = { receiptType };
@@ -526,14 +857,24 @@ router.post(
         updateData.invoiceAddress = null;
       }
 
-      await prisma.payment.updateMany({
-        where: {
-          id: { in: paymentIds },
-        },
-        data: updateData,
+      // Cada pago del adelanto es un comprobante; se numeran en el orden en que se registraron
+      // con las mismas validaciones que POST /payments/:id/receipt-info
+      const ids = [...paymentIds].map(Number).sort((a, b) => a - b);
+      const payments = await prisma.$transaction(async (tx) => {
+        const numbered = [];
+        for (const paymentId of ids) {
+          numbered.push(await saveReceiptInfo(tx, paymentId, updateData));
+        }
+        return numbered;
       });
 
-      res.json({ success: true });
+      res.json({
+        success: true,
+        payments: payments.map(p => ({
+          ...p,
+          documentNumber: formatReceiptNumber(p.receiptSeries, p.receiptCorrelative),
+        })),
+      });
     } catch (error) {
       next(error);
     }
@@ -547,13 +888,16 @@ router.post(
 router.post(
   '/:id/receipt-info',
   requireAuth,
+  requirePermission('receipts:edit'),
   param('id').isInt({ gt: 0 }),
   body('receiptType').isIn(['BOLETA', 'FACTURA']),
   handleValidation,
+  auditLog('payment.receiptInfo.update', 'Payment', { before: receiptAuditSnapshot }),
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
       const { receiptType, invoiceRuc, invoiceBusinessName, invoiceAddress } = req.body;
+      await assertPaymentBranchAccess(req.user, id);
 
       // Validación condicional: FACTURA requiere datos de invoice
       if (receiptType === 'FACTURA') {
@@ -572,22 +916,27 @@ router.post(
         }
       }
       
-      const updated = await prisma.payment.update({
-        where: { id },
-        data: {
+      // El correlativo se asigna en la misma transacción que fija el tipo de comprobante
+      const updated = await prisma.$transaction(async (tx) => {
+        await saveReceiptInfo(tx, id, {
           receiptType,
           invoiceRuc: invoiceRuc || null,
           invoiceBusinessName: invoiceBusinessName || null,
           invoiceAddress: invoiceAddress || null,
-        },
-        select: {
-          id: true,
-          receiptType: true,
-          invoiceRuc: true,
-          invoiceBusinessName: true,
-          invoiceAddress: true,
-          installmentId: true,
-        },
+        });
+        return tx.payment.findUnique({
+          where: { id },
+          select: {
+            id: true,
+            receiptType: true,
+            receiptSeries: true,
+            receiptCorrelative: true,
+            invoiceRuc: true,
+            invoiceBusinessName: true,
+            invoiceAddress: true,
+            installmentId: true,
+          },
+        });
       });
 
       // Marcar la cuota como pagada si ya se cubrió el monto
@@ -596,25 +945,55 @@ router.post(
           where: { id: updated.installmentId },
         });
         const paymentsForInstallment = await prisma.payment.findMany({
-          where: { installmentId: updated.installmentId, receiptType: { not: null } },
-          select: { amount: true },
+          where: { installmentId: updated.installmentId, receiptType: { not: null }, voidedAt: null },
+          select: { amount: true, refundedAmount: true },
         });
-        const totalPaid = paymentsForInstallment.reduce((sum, p) => sum + Number(p.amount), 0);
+        const totalPaid = paymentsForInstallment.reduce((sum, p) => sum + Number(p.amount) - Number(p.refundedAmount), 0);
         if (installment && totalPaid >= Number(installment.installmentAmount)) {
           await prisma.paymentSchedule.update({
             where: { id: installment.id },
             data: { isPaid: true, remainingBalance: 0 },
           });
+          await refreshLoanStatus(installment.loanId);
         }
       }
 
-      res.json({ success: true, payment: updated });
+      res.json({
+        success: true,
+        payment: { ...updated, documentNumber: formatReceiptNumber(updated.receiptSeries, updated.receiptCorrelative) },
+      });
     } catch (error) {
       next(error);
     }
   }
 );
 
+/**
+ * POST /payments/:id/void
+ * Solicita anular un pago registrado por error; se aplica cuando un supervisor lo aprueba
+ * (POST /payment-voids/:id/approve)
+ */
+router.post(
+  '/:id/void',
+  requireAuth,
+  requirePermission('paymentVoids:request'),
+  param('id').isInt({ gt: 0 }),
+  body('reason').isString().trim().notEmpty().withMessage('Indique el motivo de la anulación'),
+  handleValidation,
+  auditLog('paymentVoid.request', 'PaymentVoid', { entityId: (req, body) => body?.id ?? null }),
+  async (req, res, next) => {
+    try {
+      const paymentVoid = await requestPaymentVoid({
+        paymentId: Number(req.params.id),
+        reason: req.body.reason,
+        requestedByUserId: req.user.id,
+        user: req.user,
+      });
+      res.status(201).json(paymentVoid);
+    } catch (e) { next(e); }
+  }
+);
+
 /**
  * GET /payments/:id/receipt-multi
  * Descarga múltiples boletas para pagos adelantados (una por cuota)
@@ -622,6 +1001,7 @@ router.post(
 router.get(
   '/:id/receipt-multi',
   requireAuth,
+  requirePermission('payments:read'),
   param('id').isInt({ gt: 0 }),
   handleValidation,
   async (req, res, next) => {
@@ -650,6 +1030,7 @@ router.get(
       if (!mainPayment) {
         return res.status(404).json({ error: 'Pago no encontrado' });
       }
+      await assertLoanBranchAccess(req.user, mainPayment.loanId);
 
       // Buscar todos los pagos relacionados al mismo adelantado
       // Los pagos adelantados comparten: mismo loanId, createdAt cercano, mismo registeredByUserId
@@ -692,6 +1073,7 @@ router.get(
       const { createPdfDocument } = await import('../services/pdf.js');
       const { buildPaymentReceipt } = await import('../services/pdf.js');
 
+      const company = await getCompanySettings();
       const doc = createPdfDocument();
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename=boletas-adelanto-${mainPayment.receiptNumber}.pdf`);
@@ -702,23 +1084,15 @@ router.get(
       for (let i = 0; i < relatedPayments.length; i++) {
         const payment = relatedPayments[i];
         const type = (payment.receiptType || 'BOLETA').toLowerCase();
-        
-        const paymentCount = await prisma.payment.count({
-          where: {
-            receiptType: payment.receiptType || 'BOLETA',
-            id: { lte: payment.id },
-          },
-        });
-        
+
         const invoiceInfo = {
           type,
-          correlative: paymentCount,
           customerRuc: payment.invoiceRuc || '',
           customerName: payment.invoiceBusinessName || '',
           customerAddress: payment.invoiceAddress || '',
         };
 
-        buildPaymentReceipt(doc, payment, invoiceInfo);
+        buildPaymentReceipt(doc, payment, invoiceInfo, company);
         
         // Agregar página nueva si no es la última
         if (i < relatedPayments.length - 1) {
@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import { listReceiptSeries, createReceiptSeries, formatReceiptNumber } from '../services/receiptSeries.js';
+
+const router = Router();
+
+/**
+ * GET /receipt-series
+ * Series de boletas y facturas con su último correlativo emitido
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('payments:read'),
+  async (req, res, next) => {
+    try {
+      const series = await listReceiptSeries();
+      res.json(series.map(s => ({ ...s, lastDocumentNumber: formatReceiptNumber(s.code, s.lastNumber) })));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /receipt-series { code, receiptType, documentKind? }
+ * Abre una serie nueva; pasa a ser la serie activa de su tipo de comprobante. Con
+ * documentKind CREDIT_NOTE es la serie de notas de crédito de boletas o facturas.
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('receiptSeries:manage'),
+  body('code').isString().trim().notEmpty(),
+  body('receiptType').isIn(['BOLETA', 'FACTURA']),
+  body('documentKind').optional().isIn(['RECEIPT', 'CREDIT_NOTE']),
+  handleValidation,
+  auditLog('receiptSeries.create', 'ReceiptSeries'),
+  async (req, res, next) => {
+    try {
+      const series = await createReceiptSeries(req.body);
+      res.status(201).json(series);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
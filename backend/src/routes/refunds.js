@@ -0,0 +1,123 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  REFUND_REASONS,
+  REFUND_STATUSES,
+  listRefunds,
+  createRefund,
+  completeRefund,
+  cancelRefund,
+} from '../services/refund.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /refunds?loanId=&paymentId=&status=&branchId=
+ * Siempre se limitan a la agencia del usuario (todas o la de branchId para quien consolida)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('payments:read'),
+  query('loanId').optional().isInt({ gt: 0 }),
+  query('paymentId').optional().isInt({ gt: 0 }),
+  query('status').optional().isIn(REFUND_STATUSES),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const refunds = await listRefunds({
+        loanId: req.query.loanId ? Number(req.query.loanId) : null,
+        paymentId: req.query.paymentId ? Number(req.query.paymentId) : null,
+        status: req.query.status || null,
+        branchId: resolveBranchScope(req.user, req.query.branchId),
+      });
+      res.json(refunds);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /refunds
+ * Registra una devolución sobre un pago (cobro en exceso, contracargo de Flow/tarjeta).
+ * Queda pendiente hasta que el dinero sale (POST /refunds/:id/complete).
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('refunds:manage'),
+  body('paymentId').isInt({ gt: 0 }),
+  body('amount').isFloat({ gt: 0 }),
+  body('method').isIn(['EFECTIVO', 'BILLETERA_DIGITAL', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'FLOW', 'OTRO']),
+  body('reason').isIn(REFUND_REASONS),
+  body('note').optional().isString().trim(),
+  body('externalReference').optional().isString().trim(),
+  handleValidation,
+  auditLog('refund.create', 'Refund'),
+  async (req, res, next) => {
+    try {
+      const refund = await createRefund({
+        paymentId: Number(req.body.paymentId),
+        amount: Number(req.body.amount),
+        method: req.body.method,
+        reason: req.body.reason,
+        note: req.body.note || null,
+        externalReference: req.body.externalReference || null,
+        registeredByUserId: req.user.id,
+        user: req.user,
+      });
+      res.status(201).json(refund);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /refunds/:id/complete { cashSessionId?, externalReference? }
+ * El dinero salió: ajusta el pago y el saldo del préstamo. En efectivo exige la caja abierta
+ * de quien la completa y registra el EGRESO.
+ */
+router.post(
+  '/:id/complete',
+  requireAuth,
+  requirePermission('refunds:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('cashSessionId').optional().isInt({ gt: 0 }),
+  body('externalReference').optional().isString().trim(),
+  handleValidation,
+  auditLog('refund.complete', 'Refund'),
+  async (req, res, next) => {
+    try {
+      const refund = await completeRefund(Number(req.params.id), {
+        userId: req.user.id,
+        cashSessionId: req.body.cashSessionId ? Number(req.body.cashSessionId) : null,
+        externalReference: req.body.externalReference || null,
+        user: req.user,
+      });
+      res.json(refund);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /refunds/:id/cancel
+ */
+router.post(
+  '/:id/cancel',
+  requireAuth,
+  requirePermission('refunds:manage'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  auditLog('refund.cancel', 'Refund'),
+  async (req, res, next) => {
+    try {
+      const refund = await cancelRefund(Number(req.params.id), { userId: req.user.id, user: req.user });
+      res.json(refund);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
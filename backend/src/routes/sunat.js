@@ -1,14 +1,22 @@
 import { Router } from 'express';
-import { query } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { handleValidation } from '../middleware/validate.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
 import { getCompanyByRuc } from '../services/rucService.js';
+import {
+  sendElectronicReceipt,
+  sendPendingElectronicReceipts,
+  listSunatSubmissions,
+  getLatestSunatSubmission,
+} from '../services/electronicReceipt.js';
 
 const router = Router();
 
 router.get(
   '/ruc',
   requireAuth,
+  requirePermission('receipts:edit'),
   query('numero').isString().matches(/^[0-9]{11}$/),
   handleValidation,
   async (req, res, next) => {
@@ -20,4 +28,81 @@ router.get(
   }
 );
 
+/**
+ * POST /sunat/payments/:id/send
+ * Genera, firma y envía el XML del comprobante del pago; responde el envío con el estado del CDR
+ */
+router.post(
+  '/payments/:id/send',
+  requireAuth,
+  requirePermission('receipts:edit'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  auditLog('payment.sunat.send', 'Payment'),
+  async (req, res, next) => {
+    try {
+      res.json(await sendElectronicReceipt(Number(req.params.id)));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /sunat/send-pending { limit? }
+ * Envía los comprobantes sin enviar o con error de envío (lo mismo que el envío periódico)
+ */
+router.post(
+  '/send-pending',
+  requireAuth,
+  requirePermission('receipts:edit'),
+  body('limit').optional().isInt({ min: 1, max: 500 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const limit = req.body.limit ? Number(req.body.limit) : undefined;
+      res.json(await sendPendingElectronicReceipts(limit ? { limit } : {}));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /sunat/payments/:id/submissions
+ * Envíos del comprobante (sin el XML)
+ */
+router.get(
+  '/payments/:id/submissions',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await listSunatSubmissions({ paymentId: Number(req.params.id) }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /sunat/payments/:id/xml  |  GET /sunat/payments/:id/cdr
+ * Descarga el XML firmado o el CDR del último envío
+ */
+router.get(
+  '/payments/:id/:file(xml|cdr)',
+  requireAuth,
+  requirePermission('payments:read'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const submission = await getLatestSunatSubmission({ paymentId: Number(req.params.id) });
+      const isCdr = req.params.file === 'cdr';
+      if (isCdr && !submission.cdrXml) {
+        return res.status(404).json({ error: 'El último envío no tiene CDR' });
+      }
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename=${isCdr ? 'R-' : ''}${submission.fileName}.xml`);
+      res.send(isCdr ? submission.cdrXml : submission.xml);
+    } catch (e) { next(e); }
+  }
+);
+
 export default router;
@@ -0,0 +1,205 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission, ROLES } from '../middleware/auth.js';
+import {
+  listUsers,
+  createUser,
+  updateUserRole,
+  updateUserBranch,
+  setUserActive,
+  resetUserPassword,
+  unlockUser,
+} from '../services/user.js';
+import { listLoginAttempts } from '../services/loginGuard.js';
+import { resetUserTotp } from '../services/totp.js';
+
+const router = Router();
+
+/**
+ * GET /users?includeInactive=false
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('users:manage'),
+  query('includeInactive').optional().isBoolean(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await listUsers({ includeInactive: req.query.includeInactive !== 'false' }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /users/login-attempts?username=&ip=&success=&from=&to=&limit=
+ * Auditoría de intentos de login
+ */
+router.get(
+  '/login-attempts',
+  requireAuth,
+  requirePermission('users:manage'),
+  query('username').optional().isString().trim(),
+  query('ip').optional().isString().trim(),
+  query('success').optional().isBoolean(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const attempts = await listLoginAttempts({
+        username: req.query.username || null,
+        ip: req.query.ip || null,
+        success: req.query.success === undefined ? null : req.query.success === 'true',
+        from: req.query.from ? new Date(req.query.from) : null,
+        to: req.query.to ? new Date(req.query.to) : null,
+        limit: req.query.limit ? Number(req.query.limit) : undefined,
+      });
+      res.json(attempts);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users { username, password, role, branchId? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('users:manage'),
+  body('username').isString().trim().matches(/^[a-zA-Z0-9._-]{3,40}$/).withMessage('Usuario de 3 a 40 caracteres (letras, números, . _ -)'),
+  body('password').isString().isLength({ min: 8 }),
+  body('role').isIn(ROLES),
+  body('branchId').optional({ nullable: true }).isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const user = await createUser({ ...req.body, branchId: req.body.branchId ? Number(req.body.branchId) : null });
+      res.status(201).json(user);
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * PATCH /users/:id/role { role }
+ */
+router.patch(
+  '/:id/role',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('role').isIn(ROLES),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await updateUserRole(Number(req.params.id), req.body.role, { actingUserId: req.user.id }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * PATCH /users/:id/branch { branchId } (null = sin agencia)
+ */
+router.patch(
+  '/:id/branch',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('branchId').optional({ nullable: true }).isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await updateUserBranch(Number(req.params.id), req.body.branchId ? Number(req.body.branchId) : null));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users/:id/deactivate
+ * Invalida de inmediato los tokens del usuario
+ */
+router.post(
+  '/:id/deactivate',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await setUserActive(Number(req.params.id), false, { actingUserId: req.user.id }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users/:id/reactivate
+ */
+router.post(
+  '/:id/reactivate',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await setUserActive(Number(req.params.id), true, { actingUserId: req.user.id }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users/:id/reset-password { newPassword }
+ * Cierra las sesiones abiertas del usuario
+ */
+router.post(
+  '/:id/reset-password',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  body('newPassword').isString().isLength({ min: 8 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await resetUserPassword(Number(req.params.id), req.body.newPassword));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users/:id/unlock
+ * Levanta el bloqueo por intentos fallidos
+ */
+router.post(
+  '/:id/unlock',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await unlockUser(Number(req.params.id)));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /users/:id/reset-totp
+ * Quita la verificación en dos pasos (dispositivo perdido); el usuario vuelve a enrolarse
+ */
+router.post(
+  '/:id/reset-totp',
+  requireAuth,
+  requirePermission('users:manage'),
+  param('id').isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      await resetUserTotp(Number(req.params.id));
+      res.json({ ok: true });
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
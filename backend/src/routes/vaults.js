@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { handleValidation } from '../middleware/validate.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  EXTERNAL_VAULT_MOVEMENT_TYPES,
+  listVaults,
+  listVaultMovements,
+  registerVaultMovement,
+} from '../services/vault.js';
+import { resolveBranchScope } from '../services/branch.js';
+
+const router = Router();
+
+/**
+ * GET /vaults?branchId=
+ * Saldo de la bóveda de la agencia del usuario (todas o la de branchId para quien consolida)
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('vault:manage'),
+  query('branchId').optional().isInt({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await listVaults({ branchId: resolveBranchScope(req.user, req.query.branchId) }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * GET /vaults/:branchId/movements?limit=
+ * Libro de la bóveda con el saldo después de cada movimiento
+ */
+router.get(
+  '/:branchId/movements',
+  requireAuth,
+  requirePermission('vault:manage'),
+  param('branchId').isInt({ gt: 0 }),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const branchId = resolveBranchScope(req.user, req.params.branchId);
+      res.json(await listVaultMovements(branchId, { limit: req.query.limit ? Number(req.query.limit) : undefined }));
+    } catch (e) { next(e); }
+  }
+);
+
+/**
+ * POST /vaults/:branchId/movements { movementType, amount, description }
+ * Entrada (DEPOSIT) o salida (WITHDRAWAL) de efectivo desde o hacia fuera de la empresa
+ * (banco, dueño). Las entregas a las cajas van por /cash-transfers.
+ */
+router.post(
+  '/:branchId/movements',
+  requireAuth,
+  requirePermission('vault:manage'),
+  param('branchId').isInt({ gt: 0 }),
+  body('movementType').isIn(EXTERNAL_VAULT_MOVEMENT_TYPES),
+  body('amount').isFloat({ gt: 0 }),
+  body('description').isString().trim().isLength({ min: 3, max: 250 }).withMessage('Indique el origen o destino del efectivo'),
+  handleValidation,
+  auditLog('vault.movement.create', 'VaultMovement'),
+  async (req, res, next) => {
+    try {
+      const branchId = resolveBranchScope(req.user, req.params.branchId);
+      const movement = await registerVaultMovement(branchId, {
+        movementType: req.body.movementType,
+        amount: Number(req.body.amount),
+        description: req.body.description,
+        userId: req.user.id,
+      });
+      res.status(201).json(movement);
+    } catch (e) { next(e); }
+  }
+);
+
+export default router;
@@ -16,17 +16,39 @@ async function main() {
     console.log('Usuario admin ya existe');
   }
 
+  // Agencia por defecto
+  const branchCode = 'PRINCIPAL';
+  let branch = await prisma.branch.findUnique({ where: { code: branchCode } });
+  if (!branch) {
+    branch = await prisma.branch.create({ data: { code: branchCode, name: 'Agencia principal' } });
+    console.log(`Agencia creada: ${branchCode}`);
+  } else {
+    console.log('Agencia principal ya existe');
+  }
+
   // Test user
   const testUsername = 'tester';
   const testPassword = 'Tester123!';
   const testHash = await bcrypt.hash(testPassword, 10);
   const tester = await prisma.user.findFirst({ where: { username: testUsername } });
   if (!tester) {
-    await prisma.user.create({ data: { username: testUsername, passwordHash: testHash, role: 'user' } });
+    await prisma.user.create({ data: { username: testUsername, passwordHash: testHash, role: 'cashier', branchId: branch.id } });
     console.log(`Usuario prueba creado: ${testUsername} / ${testPassword}`);
   } else {
     console.log('Usuario prueba ya existe');
   }
+
+  // Política de mora por defecto (mismas reglas que los préstamos sin política)
+  const policyCode = 'ESTANDAR';
+  const policy = await prisma.lateFeePolicy.findFirst({ where: { code: policyCode } });
+  if (!policy) {
+    await prisma.lateFeePolicy.create({
+      data: { code: policyCode, version: 1, name: 'Mora estándar', initialRate: 0.01, periodicRate: 0.01, periodDays: 30, compounding: true },
+    });
+    console.log(`Política de mora creada: ${policyCode} v1`);
+  } else {
+    console.log('Política de mora ya existe');
+  }
 }
 
 main().catch((e) => {
@@ -0,0 +1,12 @@
+import { sendPendingElectronicReceipts } from './services/electronicReceipt.js';
+
+// Uso: node src/sendElectronicReceipts.js  (envía a SUNAT los comprobantes pendientes o con error)
+sendPendingElectronicReceipts()
+  .then((summary) => {
+    console.log('Envío de comprobantes electrónicos completado:', summary);
+    process.exit(0);
+  })
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
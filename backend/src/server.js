@@ -1,5 +1,7 @@
 import { config } from './config.js';
 import app from './app.js';
+import { scheduleDailyLateFeeAccrual } from './services/lateFeeAccrual.js';
+import { scheduleElectronicReceiptDispatch } from './services/electronicReceipt.js';
 
 const PORT = config.port;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -13,3 +15,13 @@ app.listen(PORT, () => {
   console.log(`✅ Backend escuchando en puerto ${PORT}`);
   console.log(`   Acepta solicitudes desde: ${FRONTEND_URL}`);
 });
+
+// Devengo diario de mora (desactivar si se programa el script por cron)
+if ((process.env.LATE_FEE_ACCRUAL_ENABLED || 'true').toLowerCase() !== 'false') {
+  scheduleDailyLateFeeAccrual();
+}
+
+// Envío periódico de comprobantes electrónicos pendientes (SUNAT_AUTO_SEND=false para enviarlos a mano)
+if (config.sunat.autoSend) {
+  scheduleElectronicReceiptDispatch();
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Hash previo del primer evento de la cadena
+const GENESIS_HASH = '0'.repeat(64);
+// Clave del advisory lock que serializa las inserciones (la cadena no admite ramas)
+const AUDIT_LOCK_KEY = 7_100_017;
+const VERIFY_BATCH_SIZE = 500;
+
+// Decimal y Date pasan a string, igual que en la respuesta JSON de la API
+function toJsonValue(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Claves ordenadas: Postgres (jsonb) no conserva el orden y el hash debe poder recalcularse
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = sortKeys(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+function computeHash(prevHash, event) {
+  const payload = JSON.stringify(sortKeys([
+    prevHash,
+    event.createdAt.toISOString(),
+    event.actorUserId ?? null,
+    event.action,
+    event.entityType,
+    event.entityId ?? null,
+    event.before ?? null,
+    event.after ?? null,
+    event.ip ?? null,
+    event.userAgent ?? null,
+  ]));
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Agrega un evento al final de la cadena. Solo inserta: no hay operaciones de
+ * actualización ni borrado de AuditEvent en el sistema.
+ */
+export async function recordAuditEvent({
+  actorUserId = null,
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  ip = null,
+  userAgent = null,
+}) {
+  const event = {
+    actorUserId,
+    action,
+    entityType,
+    entityId: entityId === null || entityId === undefined ? null : String(entityId),
+    before: toJsonValue(before),
+    after: toJsonValue(after),
+    ip,
+    userAgent,
+    createdAt: new Date(),
+  };
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_LOCK_KEY})`;
+    const last = await tx.auditEvent.findFirst({ orderBy: { id: 'desc' }, select: { hash: true } });
+    const prevHash = last ? last.hash : GENESIS_HASH;
+    return tx.auditEvent.create({
+      data: {
+        ...event,
+        before: event.before ?? undefined,
+        after: event.after ?? undefined,
+        prevHash,
+        hash: computeHash(prevHash, event),
+      },
+    });
+  });
+}
+
+export async function listAuditEvents({
+  actorUserId = null,
+  action = null,
+  entityType = null,
+  entityId = null,
+  from = null,
+  to = null,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  const where = {
+    ...(actorUserId ? { actorUserId } : {}),
+    // 'payment.' trae todas las acciones sobre pagos
+    ...(action ? { action: { startsWith: action } } : {}),
+    ...(entityType ? { entityType } : {}),
+    ...(entityId ? { entityId: String(entityId) } : {}),
+    ...(from || to
+      ? { createdAt: { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) } }
+      : {}),
+  };
+  const [total, events] = await Promise.all([
+    prisma.auditEvent.count({ where }),
+    prisma.auditEvent.findMany({
+      where,
+      include: { actor: { select: { id: true, username: true } } },
+      orderBy: { id: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+  ]);
+  return { total, events };
+}
+
+/**
+ * Recorre la cadena completa recalculando cada hash. Detecta eventos editados
+ * (el hash no coincide) y eventos borrados o insertados (prevHash no enlaza).
+ */
+export async function verifyAuditChain() {
+  let prevHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await prisma.auditEvent.findMany({
+      where: { id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: VERIFY_BATCH_SIZE,
+    });
+    if (batch.length === 0) break;
+
+    for (const event of batch) {
+      if (event.prevHash !== prevHash) {
+        return { valid: false, checked, brokenAt: event.id, reason: 'El evento no enlaza con el anterior (faltan o sobran eventos)' };
+      }
+      if (computeHash(prevHash, event) !== event.hash) {
+        return { valid: false, checked, brokenAt: event.id, reason: 'El contenido del evento fue modificado' };
+      }
+      prevHash = event.hash;
+      checked += 1;
+    }
+    lastId = batch[batch.length - 1].id;
+  }
+
+  return { valid: true, checked, brokenAt: null, lastHash: prevHash };
+}
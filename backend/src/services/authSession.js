@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { config } from '../config.js';
+
+const prisma = new PrismaClient();
+
+// Rutas que se pueden descargar con un enlace firmado (solo GET de archivos)
+const DOWNLOADABLE_PATHS = [
+  /^\/loans\/\d+\/schedule\.pdf$/,
+  /^\/payments\/\d+\/receipt(-multi)?$/,
+  /^\/payments\/payoff\/\d+\/receipt$/,
+  /^\/cash-sessions\/\d+\/report$/,
+];
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Emite un refresh token nuevo (el valor en claro solo se devuelve aquí)
+ */
+export async function createRefreshToken(userId, { familyId = crypto.randomUUID(), userAgent = null, ip = null } = {}, client = prisma) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await client.refreshToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      familyId,
+      expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+      userAgent,
+      ip,
+    },
+  });
+  return { token, record };
+}
+
+/**
+ * Canjea un refresh token por otro de la misma familia. Un token ya usado o revocado
+ * revoca la familia completa (la sesión queda cerrada en todos lados).
+ */
+export async function rotateRefreshToken(token, { userAgent = null, ip = null } = {}) {
+  const current = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token || '') },
+    include: { user: true },
+  });
+  if (!current) throw unauthorized('Sesión no válida');
+
+  if (current.revokedAt) {
+    await revokeFamily(current.familyId);
+    throw unauthorized('Sesión no válida');
+  }
+  if (current.expiresAt <= new Date() || !current.user.isActive) {
+    throw unauthorized('La sesión expiró; vuelva a iniciar sesión');
+  }
+
+  const next = await prisma.$transaction(async (tx) => {
+    // Solo un canje por token aunque lleguen dos solicitudes a la vez
+    const revoked = await tx.refreshToken.updateMany({
+      where: { id: current.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (revoked.count !== 1) throw unauthorized('Sesión no válida');
+
+    const created = await createRefreshToken(current.userId, { familyId: current.familyId, userAgent, ip }, tx);
+    await tx.refreshToken.update({ where: { id: current.id }, data: { replacedByTokenId: created.record.id } });
+    return created;
+  });
+
+  return { user: current.user, refreshToken: next.token };
+}
+
+async function revokeFamily(familyId) {
+  await prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Cierra la sesión del refresh token (toda su familia). No falla si el token no existe.
+ */
+export async function revokeRefreshToken(token) {
+  const current = await prisma.refreshToken.findUnique({ where: { tokenHash: hashToken(token || '') } });
+  if (current) await revokeFamily(current.familyId);
+}
+
+export async function revokeUserRefreshTokens(userId) {
+  await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Crea un enlace de descarga firmado y de un solo uso para una ruta de archivo
+ */
+export async function createDownloadLink(user, path) {
+  if (!DOWNLOADABLE_PATHS.some(re => re.test(path))) {
+    const err = new Error('La ruta indicada no admite enlaces de descarga');
+    err.status = 400;
+    throw err;
+  }
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + config.downloadLinkTtlSeconds * 1000);
+  await prisma.downloadToken.create({ data: { jti, userId: user.id, path, expiresAt } });
+
+  const token = jwt.sign(
+    { sub: user.id, typ: 'download', path, jti },
+    config.jwtSecret,
+    { expiresIn: config.downloadLinkTtlSeconds }
+  );
+  return { url: `${path}?dl=${encodeURIComponent(token)}`, expiresAt };
+}
+
+/**
+ * Valida y consume un enlace de descarga. Devuelve el id del usuario que lo generó.
+ */
+export async function consumeDownloadToken(token, path) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (e) {
+    throw unauthorized('Enlace de descarga no válido o expirado');
+  }
+  if (decoded.typ !== 'download' || decoded.path !== path) {
+    throw unauthorized('Enlace de descarga no válido');
+  }
+  const used = await prisma.downloadToken.updateMany({
+    where: { jti: decoded.jti, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+  if (used.count !== 1) throw unauthorized('El enlace de descarga ya fue usado');
+  return Number(decoded.sub);
+}
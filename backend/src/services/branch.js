@@ -0,0 +1,136 @@
+import { PrismaClient } from '@prisma/client';
+import { hasPermission } from '../middleware/auth.js';
+
+const prisma = new PrismaClient();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function forbidden(message) {
+  const err = new Error(message);
+  err.status = 403;
+  return err;
+}
+
+export async function listBranches({ includeInactive = true } = {}) {
+  return prisma.branch.findMany({
+    where: includeInactive ? {} : { isActive: true },
+    orderBy: { code: 'asc' },
+  });
+}
+
+export async function getBranch(id) {
+  const branch = await prisma.branch.findUnique({ where: { id } });
+  if (!branch) throw notFound('Agencia no encontrada');
+  return branch;
+}
+
+export async function createBranch({ code, name, address = null }) {
+  const normalizedCode = code.trim().toUpperCase();
+  const existing = await prisma.branch.findUnique({ where: { code: normalizedCode } });
+  if (existing) throw badRequest(`La agencia ${normalizedCode} ya existe`);
+  return prisma.branch.create({
+    data: { code: normalizedCode, name: name.trim(), address: address || null },
+  });
+}
+
+/**
+ * Cambia nombre, dirección o estado. El código no cambia: identifica a la agencia en los reportes.
+ * No se desactiva una agencia con cajas abiertas ni con saldo en bóveda.
+ */
+export async function updateBranch(id, { name, address, isActive }) {
+  await getBranch(id);
+  if (isActive === false) {
+    const openSessions = await prisma.cashSession.count({ where: { branchId: id, isClosed: false } });
+    if (openSessions > 0) throw badRequest('La agencia tiene cajas abiertas; ciérrelas antes de desactivarla');
+    const vault = await prisma.vault.findUnique({ where: { branchId: id } });
+    if (vault && Number(vault.balance) > 0) throw badRequest('La bóveda de la agencia tiene saldo; retírelo antes de desactivarla');
+  }
+  return prisma.branch.update({
+    where: { id },
+    data: {
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(address !== undefined ? { address: address || null } : {}),
+      ...(isActive !== undefined ? { isActive } : {}),
+    },
+  });
+}
+
+/**
+ * Agencia a la que se limitan los listados y reportes del usuario:
+ * - con branches:all consolida todas (undefined) o filtra por `requestedBranchId`
+ * - el resto solo ve su agencia (null = registros sin agencia)
+ * El resultado se usa tal cual en el `where` de Prisma (`{ branchId }`).
+ */
+export function resolveBranchScope(user, requestedBranchId = null) {
+  const requested = requestedBranchId ? Number(requestedBranchId) : null;
+  if (hasPermission(user, 'branches:all')) return requested ?? undefined;
+  const own = user.branchId ?? null;
+  if (requested && requested !== own) throw forbidden('Solo puede consultar la información de su agencia');
+  return own;
+}
+
+/**
+ * Verifica que el préstamo sea de la agencia del usuario (o que consolide agencias) antes de
+ * mostrarlo u operar sobre él. `client` permite usarla dentro de una transacción.
+ */
+export async function assertLoanBranchAccess(user, loanId, client = prisma) {
+  const loan = await client.loan.findUnique({ where: { id: Number(loanId) }, select: { branchId: true } });
+  if (!loan) throw notFound('Préstamo no encontrado');
+  if (hasPermission(user, 'branches:all')) return;
+  if ((user.branchId ?? null) !== loan.branchId) throw forbidden('El préstamo pertenece a otra agencia');
+}
+
+/**
+ * Como assertLoanBranchAccess, a partir del préstamo de un pago
+ */
+export async function assertPaymentBranchAccess(user, paymentId, client = prisma) {
+  const payment = await client.payment.findUnique({ where: { id: Number(paymentId) }, select: { loanId: true } });
+  if (!payment) throw notFound('Pago no encontrado');
+  await assertLoanBranchAccess(user, payment.loanId, client);
+}
+
+/**
+ * Agencia de un préstamo o caja nueva: la del usuario. Quien consolida agencias puede indicar
+ * otra (p. ej. un administrador sin agencia). La agencia debe estar activa.
+ */
+export async function resolveOperatingBranchId(user, requestedBranchId = null) {
+  const requested = requestedBranchId ? Number(requestedBranchId) : null;
+  const own = user.branchId ?? null;
+  if (requested && requested !== own && !hasPermission(user, 'branches:all')) {
+    throw forbidden('Solo puede operar en su agencia');
+  }
+  const branchId = requested ?? own;
+  if (branchId === null) return null;
+  const branch = await prisma.branch.findUnique({ where: { id: branchId } });
+  if (!branch) throw badRequest('La agencia no existe');
+  if (!branch.isActive) throw badRequest(`La agencia ${branch.code} está inactiva`);
+  return branchId;
+}
+
+/**
+ * Asigna a una agencia los préstamos, cajas y usuarios no administradores que aún no tienen
+ * (datos anteriores a las agencias). Los administradores quedan sin agencia.
+ */
+export async function assignUnassignedToBranch(code) {
+  const branch = await prisma.branch.findUnique({ where: { code: String(code).trim().toUpperCase() } });
+  if (!branch) throw notFound(`Agencia ${code} no encontrada`);
+  return prisma.$transaction(async (tx) => {
+    const loans = await tx.loan.updateMany({ where: { branchId: null }, data: { branchId: branch.id } });
+    const cashSessions = await tx.cashSession.updateMany({ where: { branchId: null }, data: { branchId: branch.id } });
+    const users = await tx.user.updateMany({
+      where: { branchId: null, role: { not: 'admin' } },
+      data: { branchId: branch.id },
+    });
+    return { branch: branch.code, loans: loans.count, cashSessions: cashSessions.count, users: users.count };
+  });
+}
@@ -2,12 +2,19 @@ import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
 /**
  * Obtiene el saldo actual de efectivo en una sesión de caja
  * = openingBalance + ingresos - egresos - vueltos
+ * `client` permite leerlo dentro de una transacción.
  */
-export async function getCashSessionBalance(cashSessionId) {
-  const session = await prisma.cashSession.findUnique({
+export async function getCashSessionBalance(cashSessionId, client = prisma) {
+  const session = await client.cashSession.findUnique({
     where: { id: cashSessionId },
   });
 
@@ -16,7 +23,7 @@ export async function getCashSessionBalance(cashSessionId) {
   }
 
   // Calcular balance dinámico basado en movimientos
-  const movements = await prisma.cashMovement.findMany({
+  const movements = await client.cashMovement.findMany({
     where: { cashSessionId },
   });
 
@@ -61,7 +68,8 @@ export async function validateChangeAvailable(cashSessionId, changeAmount) {
 }
 
 /**
- * Registra un movimiento de caja (ingreso de efectivo del dueño)
+ * Registra un movimiento de caja (ingreso de efectivo del dueño).
+ * `client` permite registrarlo dentro de una transacción.
  */
 export async function addCashMovement({
   cashSessionId,
@@ -69,12 +77,12 @@ export async function addCashMovement({
   amount,
   description,
   relatedPaymentId,
-}) {
+}, client = prisma) {
   if (amount <= 0) {
     throw new Error('El monto debe ser mayor a cero');
   }
 
-  const movement = await prisma.cashMovement.create({
+  const movement = await client.cashMovement.create({
     data: {
       cashSessionId,
       movementType,
@@ -90,6 +98,30 @@ export async function addCashMovement({
   };
 }
 
+/**
+ * Bloquea la sesión de caja (FOR UPDATE) hasta el fin de la transacción `tx` y la devuelve.
+ * Serializa las salidas de efectivo y el cierre de la misma caja.
+ */
+export async function lockCashSession(tx, cashSessionId) {
+  await tx.$executeRaw`SELECT id FROM "CashSession" WHERE id = ${cashSessionId} FOR UPDATE`;
+  return tx.cashSession.findUnique({ where: { id: cashSessionId } });
+}
+
+/**
+ * Saca efectivo de una caja abierta (EGRESO) dentro de la transacción `tx`. Bloquea la sesión y
+ * valida el saldo con la fila bloqueada: dos salidas simultáneas (devoluciones, anulaciones, remesas)
+ * no dejan la caja en negativo.
+ */
+export async function withdrawCash(tx, { cashSessionId, amount, description, relatedPaymentId = null }) {
+  const session = await lockCashSession(tx, cashSessionId);
+  if (!session || session.isClosed) throw badRequest('La sesión de caja no está abierta');
+  const { currentBalance } = await getCashSessionBalance(cashSessionId, tx);
+  if (currentBalance < amount) {
+    throw badRequest(`No hay efectivo suficiente en caja (S/ ${currentBalance.toFixed(2)}) para retirar S/ ${Number(amount).toFixed(2)}`);
+  }
+  return addCashMovement({ cashSessionId, movementType: 'EGRESO', amount, description, relatedPaymentId }, tx);
+}
+
 /**
  * Obtiene todos los movimientos de una sesión de caja
  */
@@ -1,5 +1,12 @@
 import { PrismaClient } from '@prisma/client';
-import { getCashSessionBalance, getCashMovements } from './cashService.js';
+import { getCashSessionBalance, getCashMovements, lockCashSession } from './cashService.js';
+import { getBranchVault } from './vault.js';
+import {
+  createCashTransfer,
+  getOpeningVault,
+  countPendingSessionTransfers,
+  toCashTransferResponse,
+} from './cashTransfer.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
@@ -14,10 +21,24 @@ function round2(v) {
   return Math.round((v + Number.EPSILON) * 100) / 100;
 }
 
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const TRANSFER_USERS_INCLUDE = {
+  requestedBy: { select: { id: true, username: true } },
+  resolvedBy: { select: { id: true, username: true } },
+};
+
 /**
- * Abre una sesión de caja
+ * Abre una sesión de caja en la agencia indicada (la del cajero). En una agencia el fondo
+ * inicial sale de su bóveda: la caja abre en cero con una transferencia de apertura pendiente
+ * que suma el saldo inicial cuando un custodio la confirma. Sin agencia el saldo inicial se
+ * declara al abrir.
  */
-export async function openCashSession({ userId, openingBalance }) {
+export async function openCashSession({ userId, branchId = null, openingBalance }) {
   // Verificar que no haya una sesión abierta
   const existingSession = await prisma.cashSession.findFirst({
     where: {
@@ -30,30 +51,50 @@ export async function openCashSession({ userId, openingBalance }) {
     throw new Error('Ya existe una sesión de caja abierta para este usuario');
   }
 
-  const session = await prisma.cashSession.create({
-    data: {
-      userId,
-      openingBalance: Number(openingBalance),
-      openedAt: new Date(),
-      isClosed: false,
-    },
-    include: {
-      user: {
-        select: {
-          id: true,
-          username: true,
+  const amount = round2(Number(openingBalance));
+  const vault = branchId !== null ? await getOpeningVault(branchId, amount) : null;
+
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.cashSession.create({
+      data: {
+        userId,
+        branchId,
+        openingBalance: vault ? 0 : amount,
+        openedAt: new Date(),
+        isClosed: false,
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+          },
         },
+        branch: true,
       },
-    },
+    });
+
+    const openingTransfer = vault && amount > 0
+      ? await createCashTransfer(tx, {
+        vaultId: vault.id,
+        cashSessionId: session.id,
+        direction: 'VAULT_TO_SESSION',
+        purpose: 'OPENING',
+        amount,
+        requestedByUserId: userId,
+      })
+      : null;
+
+    return { ...session, openingTransfer: openingTransfer ? toCashTransferResponse(openingTransfer) : null };
   });
-
-  return session;
 }
 
 /**
- * Cierra una sesión de caja
+ * Cierra una sesión de caja. En una agencia el efectivo contado vuelve a la bóveda: queda una
+ * transferencia de cierre pendiente hasta que el custodio lo reciba. El saldo se calcula con la
+ * sesión bloqueada: una salida de efectivo simultánea no queda fuera del cierre.
  */
-export async function closeCashSession({ sessionId, physicalBalance }) {
+export async function closeCashSession({ sessionId, physicalBalance, closedByUserId }) {
   const session = await prisma.cashSession.findUnique({
     where: { id: sessionId },
     include: {
@@ -71,56 +112,77 @@ export async function closeCashSession({ sessionId, physicalBalance }) {
     throw new Error('Sesión de caja no encontrada');
   }
 
-  if (session.isClosed) {
-    throw new Error('La sesión de caja ya está cerrada');
-  }
+  const closingVault = session.branchId !== null ? await getBranchVault(session.branchId) : null;
 
-  // Calcular el balance actual incluyendo pagos + movimientos de caja
-  const balance = await getCashSessionBalance(sessionId);
-  const closingBalance = balance.currentBalance;
-  const difference = round2(Number(physicalBalance) - closingBalance);
-
-  // Validar que el monto físico sea exactamente igual al monto en caja
-  // No permite cerrar si hay diferencia
-  const TOLERANCE = 0.01; // Tolerancia mínima por redondeos
-  if (Math.abs(difference) > TOLERANCE) {
-    const sign = difference > 0 ? 'más' : 'menos';
-    throw new Error(
-      `No se puede cerrar la caja. Hay ${sign} dinero. ` +
-      `Monto esperado: S/ ${closingBalance.toFixed(2)}, ` +
-      `Monto ingresado: S/ ${Number(physicalBalance).toFixed(2)}`
-    );
-  }
+  return prisma.$transaction(async (tx) => {
+    const locked = await lockCashSession(tx, sessionId);
+    if (locked.isClosed) {
+      throw new Error('La sesión de caja ya está cerrada');
+    }
 
-  const updatedSession = await prisma.cashSession.update({
-    where: { id: sessionId },
-    data: {
-      closingBalance,
-      physicalBalance: Number(physicalBalance),
-      difference,
-      closedAt: new Date(),
-      isClosed: true,
-    },
-    include: {
-      user: {
-        select: {
-          id: true,
-          username: true,
-        },
+    if (await countPendingSessionTransfers(sessionId, tx) > 0) {
+      throw badRequest('La caja tiene transferencias con la bóveda pendientes; confírmelas o cancélelas antes de cerrar');
+    }
+
+    // Calcular el balance actual incluyendo pagos + movimientos de caja
+    const balance = await getCashSessionBalance(sessionId, tx);
+    const closingBalance = balance.currentBalance;
+    const difference = round2(Number(physicalBalance) - closingBalance);
+
+    // Validar que el monto físico sea exactamente igual al monto en caja
+    // No permite cerrar si hay diferencia
+    const TOLERANCE = 0.01; // Tolerancia mínima por redondeos
+    if (Math.abs(difference) > TOLERANCE) {
+      const sign = difference > 0 ? 'más' : 'menos';
+      throw new Error(
+        `No se puede cerrar la caja. Hay ${sign} dinero. ` +
+        `Monto esperado: S/ ${closingBalance.toFixed(2)}, ` +
+        `Monto ingresado: S/ ${Number(physicalBalance).toFixed(2)}`
+      );
+    }
+
+    const updatedSession = await tx.cashSession.update({
+      where: { id: sessionId },
+      data: {
+        closingBalance,
+        physicalBalance: Number(physicalBalance),
+        difference,
+        closedAt: new Date(),
+        isClosed: true,
       },
-      payments: {
-        include: {
-          loan: {
-            include: {
-              client: true,
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+        branch: true,
+        payments: {
+          include: {
+            loan: {
+              include: {
+                client: true,
+              },
             },
           },
         },
       },
-    },
+    });
+
+    const closingTransfer = closingVault && Number(physicalBalance) > 0
+      ? await createCashTransfer(tx, {
+        vaultId: closingVault.id,
+        cashSessionId: sessionId,
+        direction: 'SESSION_TO_VAULT',
+        purpose: 'CLOSING',
+        amount: round2(Number(physicalBalance)),
+        requestedByUserId: closedByUserId,
+      })
+      : null;
+
+    return { ...updatedSession, closingTransfer: closingTransfer ? toCashTransferResponse(closingTransfer) : null };
   });
-
-  return updatedSession;
 }
 
 /**
@@ -139,6 +201,13 @@ export async function getCurrentCashSession(userId) {
           username: true,
         },
       },
+      branch: true,
+      transfers: {
+        include: TRANSFER_USERS_INCLUDE,
+        orderBy: {
+          createdAt: 'asc',
+        },
+      },
       payments: {
         include: {
           loan: {
@@ -197,9 +266,13 @@ export async function getCurrentCashSession(userId) {
   };
 }
 
-export async function getCashSessionHistory({ userId, startDate, endDate, limit = 50 }) {
+/**
+ * Historial de sesiones. `branchId` undefined = todas las agencias, null = sin agencia.
+ */
+export async function getCashSessionHistory({ userId, branchId, startDate, endDate, limit = 50 }) {
   const where = {
     ...(userId && { userId }),
+    ...(branchId !== undefined && { branchId }),
     ...(startDate && { openedAt: { gte: new Date(startDate) } }),
     ...(endDate && { openedAt: { lte: new Date(endDate) } }),
   };
@@ -213,6 +286,7 @@ export async function getCashSessionHistory({ userId, startDate, endDate, limit
           username: true,
         },
       },
+      branch: true,
       _count: {
         select: {
           payments: true,
@@ -228,6 +302,22 @@ export async function getCashSessionHistory({ userId, startDate, endDate, limit
   return sessions;
 }
 
+/**
+ * Usuario dueño y agencia de una sesión de caja (404 si no existe)
+ */
+export async function getCashSessionOwner(sessionId) {
+  const session = await prisma.cashSession.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, branchId: true },
+  });
+  if (!session) {
+    const err = new Error('Sesión de caja no encontrada');
+    err.status = 404;
+    throw err;
+  }
+  return session;
+}
+
 /**
  * Obtiene el detalle de una sesión de caja
  */
@@ -241,6 +331,13 @@ export async function getCashSessionDetail(sessionId) {
           username: true,
         },
       },
+      branch: true,
+      transfers: {
+        include: TRANSFER_USERS_INCLUDE,
+        orderBy: {
+          createdAt: 'asc',
+        },
+      },
       payments: {
         include: {
           loan: {
@@ -296,10 +393,16 @@ export async function getCashSessionDetail(sessionId) {
   };
 }
 
+// Agencia de un pago: la de la caja que lo cobró; los pagos sin caja (Flow) van a la del préstamo
+function paymentBranch(payment) {
+  return payment.cashSession ? payment.cashSession.branch : payment.loan.branch;
+}
+
 /**
- * Obtiene el reporte de caja del día
+ * Obtiene el reporte de caja del día. `branchId` undefined consolida todas las agencias
+ * (con el desglose por agencia); null = cajas y préstamos sin agencia.
  */
-export async function getDailyCashReport(date) {
+export async function getDailyCashReport(date, { branchId } = {}) {
   const startOfDay = dayjs.tz(date, TZ).startOf('day').toDate();
   const endOfDay = dayjs.tz(date, TZ).endOf('day').toDate();
 
@@ -309,11 +412,18 @@ export async function getDailyCashReport(date) {
         gte: startOfDay,
         lte: endOfDay,
       },
+      ...(branchId !== undefined && {
+        OR: [
+          { cashSession: { branchId } },
+          { cashSessionId: null, loan: { branchId } },
+        ],
+      }),
     },
     include: {
       loan: {
         include: {
           client: true,
+          branch: true,
         },
       },
       registeredBy: {
@@ -325,6 +435,7 @@ export async function getDailyCashReport(date) {
         select: {
           id: true,
           isClosed: true,
+          branch: true,
         },
       },
     },
@@ -352,11 +463,28 @@ export async function getDailyCashReport(date) {
   const totalAmount = round2(payments.reduce((sum, p) => sum + Number(p.amount), 0));
   const totalCash = paymentsByMethod.EFECTIVO?.total || 0;
 
+  // Desglose por agencia (en el consolidado hay una fila por agencia con cobros)
+  const byBranch = new Map();
+  for (const payment of payments) {
+    const branch = paymentBranch(payment);
+    const key = branch ? branch.id : null;
+    if (!byBranch.has(key)) {
+      byBranch.set(key, { branch: branch || null, count: 0, total: 0, totalCash: 0 });
+    }
+    const row = byBranch.get(key);
+    row.count++;
+    row.total = round2(row.total + Number(payment.amount));
+    if (payment.paymentMethod === 'EFECTIVO') row.totalCash = round2(row.totalCash + Number(payment.amount));
+  }
+
   return {
     date: startOfDay,
+    branchId: branchId ?? null,
+    consolidated: branchId === undefined,
     payments,
     summary: {
       paymentsByMethod,
+      paymentsByBranch: [...byBranch.values()],
       totalPayments: payments.length,
       totalAmount,
       totalCash,
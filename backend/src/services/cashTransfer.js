@@ -0,0 +1,272 @@
+import { PrismaClient } from '@prisma/client';
+import { hasPermission } from '../middleware/auth.js';
+import { getCashSessionBalance, addCashMovement, withdrawCash } from './cashService.js';
+import { getBranchVault, applyVaultMovement } from './vault.js';
+
+const prisma = new PrismaClient();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function forbidden(message) {
+  const err = new Error(message);
+  err.status = 403;
+  return err;
+}
+
+export const CASH_TRANSFER_DIRECTIONS = ['VAULT_TO_SESSION', 'SESSION_TO_VAULT'];
+export const CASH_TRANSFER_STATUSES = ['PENDING', 'COMPLETED', 'REJECTED', 'CANCELLED'];
+
+// Apertura y cierre los crea la caja; a mano solo se registran reposiciones y remesas
+const PURPOSE_BY_DIRECTION = { VAULT_TO_SESSION: 'REPLENISHMENT', SESSION_TO_VAULT: 'REMITTANCE' };
+const PURPOSE_LABELS = {
+  OPENING: 'Fondo de apertura',
+  REPLENISHMENT: 'Reposición',
+  REMITTANCE: 'Remesa',
+  CLOSING: 'Cierre',
+};
+
+const TRANSFER_INCLUDE = {
+  cashSession: {
+    select: {
+      id: true,
+      userId: true,
+      branchId: true,
+      isClosed: true,
+      user: { select: { id: true, username: true } },
+      branch: { select: { id: true, code: true, name: true } },
+    },
+  },
+  requestedBy: { select: { id: true, username: true } },
+  resolvedBy: { select: { id: true, username: true } },
+};
+
+export function toCashTransferResponse(transfer) {
+  return { ...transfer, amount: Number(transfer.amount) };
+}
+
+// Custodio de la bóveda de la agencia: vault:manage en esa agencia (o en todas)
+function isVaultCustodian(user, branchId) {
+  return hasPermission(user, 'vault:manage')
+    && (hasPermission(user, 'branches:all') || (user.branchId ?? null) === branchId);
+}
+
+// Parte del traslado que representa el usuario: la caja (su dueño) o la bóveda (custodio)
+function transferSide(user, session) {
+  if (session.userId === Number(user.id)) return 'SESSION';
+  if (isVaultCustodian(user, session.branchId)) return 'VAULT';
+  return null;
+}
+
+async function assertFundsAvailable({ direction, amount, vault, cashSessionId }) {
+  if (direction === 'VAULT_TO_SESSION') {
+    if (Number(vault.balance) < amount) {
+      throw badRequest(`Saldo insuficiente en bóveda (S/ ${Number(vault.balance).toFixed(2)}) para entregar S/ ${amount.toFixed(2)}`);
+    }
+    return;
+  }
+  const { currentBalance } = await getCashSessionBalance(cashSessionId);
+  if (currentBalance < amount) {
+    throw badRequest(`No hay efectivo suficiente en caja (S/ ${currentBalance.toFixed(2)}) para remesar S/ ${amount.toFixed(2)}`);
+  }
+}
+
+/**
+ * Crea la transferencia pendiente dentro de `client` (transacción de apertura o cierre de caja)
+ */
+export async function createCashTransfer(client, { vaultId, cashSessionId, direction, purpose, amount, note = null, requestedByUserId }) {
+  return client.cashTransfer.create({
+    data: { vaultId, cashSessionId, direction, purpose, amount, note, requestedByUserId },
+    include: TRANSFER_INCLUDE,
+  });
+}
+
+/**
+ * Bóveda de la agencia de una caja nueva con saldo suficiente para su fondo de apertura
+ */
+export async function getOpeningVault(branchId, amount) {
+  const vault = await getBranchVault(branchId);
+  await assertFundsAvailable({ direction: 'VAULT_TO_SESSION', amount, vault });
+  return vault;
+}
+
+/**
+ * Registra una reposición (bóveda → caja) o una remesa (caja → bóveda) de una caja abierta.
+ * La registra el cajero o un custodio de la bóveda y queda pendiente hasta que la otra parte la confirme.
+ */
+export async function requestCashTransfer({ cashSessionId, direction, amount, note = null, user }) {
+  if (!CASH_TRANSFER_DIRECTIONS.includes(direction)) throw badRequest('Dirección de transferencia no válida');
+  if (!(amount > 0)) throw badRequest('El monto debe ser mayor a cero');
+  const session = await prisma.cashSession.findUnique({ where: { id: cashSessionId } });
+  if (!session) throw notFound('Sesión de caja no encontrada');
+  if (session.isClosed) throw badRequest('La caja está cerrada');
+  if (session.branchId === null) throw badRequest('La caja no pertenece a una agencia y no tiene bóveda');
+  if (!transferSide(user, session)) {
+    throw forbidden('Solo el cajero de la caja o un custodio de la bóveda de su agencia pueden registrar la transferencia');
+  }
+
+  const vault = await getBranchVault(session.branchId);
+  await assertFundsAvailable({ direction, amount, vault, cashSessionId });
+  const transfer = await createCashTransfer(prisma, {
+    vaultId: vault.id,
+    cashSessionId,
+    direction,
+    purpose: PURPOSE_BY_DIRECTION[direction],
+    amount,
+    note,
+    requestedByUserId: Number(user.id),
+  });
+  return toCashTransferResponse(transfer);
+}
+
+/**
+ * Transferencias de las bóvedas. `branchId` undefined = todas las agencias; `userId` limita a
+ * las cajas de ese cajero.
+ */
+export async function listCashTransfers({ branchId, userId = null, status = null, cashSessionId = null } = {}) {
+  const transfers = await prisma.cashTransfer.findMany({
+    where: {
+      ...(branchId !== undefined ? { vault: { branchId } } : {}),
+      ...(userId ? { cashSession: { userId } } : {}),
+      ...(status ? { status } : {}),
+      ...(cashSessionId ? { cashSessionId } : {}),
+    },
+    include: TRANSFER_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+  return transfers.map(toCashTransferResponse);
+}
+
+async function getPendingTransfer(client, id) {
+  const transfer = await client.cashTransfer.findUnique({ where: { id }, include: TRANSFER_INCLUDE });
+  if (!transfer) throw notFound('Transferencia no encontrada');
+  if (transfer.status !== 'PENDING') throw badRequest('La transferencia ya fue resuelta');
+  return transfer;
+}
+
+// Confirma o rechaza la contraparte de quien la registró: el custodio si la registró el cajero y viceversa.
+// El efectivo del cierre lo recibe siempre un custodio (quien cerró la caja puede ser el cajero o un
+// supervisor), así no depende de la palabra ni de la disponibilidad del cajero.
+function assertCounterpart(user, transfer) {
+  const session = transfer.cashSession;
+  if (transfer.requestedByUserId === Number(user.id)) {
+    throw forbidden('Quien registra la transferencia no puede confirmarla ni rechazarla');
+  }
+  if (transfer.purpose === 'CLOSING') {
+    if (session.userId === Number(user.id) || !isVaultCustodian(user, session.branchId)) {
+      throw forbidden('El efectivo del cierre lo confirma un custodio de la bóveda de la agencia');
+    }
+    return;
+  }
+  const requesterSide = transfer.requestedByUserId === session.userId ? 'SESSION' : 'VAULT';
+  const side = transferSide(user, session);
+  if (!side || side === requesterSide) {
+    throw forbidden(requesterSide === 'SESSION'
+      ? 'La confirma un custodio de la bóveda de la agencia'
+      : 'La confirma el cajero dueño de la caja');
+  }
+}
+
+/**
+ * Confirma la transferencia y mueve los saldos en una sola transacción: el libro de la bóveda y,
+ * según el motivo, el saldo inicial de la caja (apertura), un INGRESO o EGRESO en la caja abierta
+ * (reposición o remesa) o nada en la caja (cierre: el efectivo ya se contó al cerrarla).
+ */
+export async function confirmCashTransfer(id, { user, note = null }) {
+  const transfer = await getPendingTransfer(prisma, id);
+  assertCounterpart(user, transfer);
+  const amount = Number(transfer.amount);
+  const { cashSession } = transfer;
+  if (transfer.purpose !== 'CLOSING' && cashSession.isClosed) {
+    throw badRequest('La caja ya está cerrada; cancele la transferencia');
+  }
+
+  const description = `${PURPOSE_LABELS[transfer.purpose]} caja #${cashSession.id} (${cashSession.user.username})`;
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.cashTransfer.updateMany({
+      where: { id, status: 'PENDING' },
+      data: { status: 'COMPLETED', resolvedByUserId: Number(user.id), resolvedAt: new Date(), resolutionNote: note },
+    });
+    if (count === 0) throw badRequest('La transferencia ya fue resuelta');
+
+    await applyVaultMovement(tx, {
+      vaultId: transfer.vaultId,
+      movementType: transfer.direction === 'VAULT_TO_SESSION' ? 'TRANSFER_OUT' : 'TRANSFER_IN',
+      amount,
+      description,
+      cashTransferId: id,
+      userId: Number(user.id),
+    });
+
+    if (transfer.purpose === 'OPENING') {
+      await tx.cashSession.update({ where: { id: cashSession.id }, data: { openingBalance: amount } });
+    } else if (transfer.purpose !== 'CLOSING') {
+      // La remesa valida el efectivo de la caja con la sesión bloqueada (withdrawCash)
+      const movementData = {
+        cashSessionId: cashSession.id,
+        amount,
+        description: `${PURPOSE_LABELS[transfer.purpose]} ${transfer.direction === 'VAULT_TO_SESSION' ? 'desde' : 'a'} bóveda (transferencia #${id})`,
+      };
+      const movement = transfer.direction === 'VAULT_TO_SESSION'
+        ? await addCashMovement({ ...movementData, movementType: 'INGRESO' }, tx)
+        : await withdrawCash(tx, movementData);
+      await tx.cashTransfer.update({ where: { id }, data: { cashMovementId: movement.id } });
+    }
+  });
+
+  return toCashTransferResponse(await prisma.cashTransfer.findUnique({ where: { id }, include: TRANSFER_INCLUDE }));
+}
+
+// Rechazo o cancelación: no mueve saldos. El efectivo del cierre ya salió de la caja y solo se confirma.
+async function getDiscardableTransfer(id) {
+  const transfer = await getPendingTransfer(prisma, id);
+  if (transfer.purpose === 'CLOSING') {
+    throw badRequest('El efectivo del cierre de caja solo puede confirmarse en la bóveda');
+  }
+  return transfer;
+}
+
+async function discardCashTransfer(id, { user, status, note }) {
+  const { count } = await prisma.cashTransfer.updateMany({
+    where: { id, status: 'PENDING' },
+    data: { status, resolvedByUserId: Number(user.id), resolvedAt: new Date(), resolutionNote: note },
+  });
+  if (count === 0) throw badRequest('La transferencia ya fue resuelta');
+  return toCashTransferResponse(await prisma.cashTransfer.findUnique({ where: { id }, include: TRANSFER_INCLUDE }));
+}
+
+/**
+ * Rechazo de la contraparte (p. ej. el cajero no recibió el efectivo)
+ */
+export async function rejectCashTransfer(id, { user, note = null }) {
+  const transfer = await getDiscardableTransfer(id);
+  assertCounterpart(user, transfer);
+  return discardCashTransfer(id, { user, status: 'REJECTED', note });
+}
+
+/**
+ * Cancelación de quien la registró
+ */
+export async function cancelCashTransfer(id, { user, note = null }) {
+  const transfer = await getDiscardableTransfer(id);
+  if (transfer.requestedByUserId !== Number(user.id)) {
+    throw forbidden('Solo quien registró la transferencia puede cancelarla');
+  }
+  return discardCashTransfer(id, { user, status: 'CANCELLED', note });
+}
+
+/**
+ * Transferencias pendientes de una caja (impiden cerrarla, salvo la del propio cierre)
+ */
+export async function countPendingSessionTransfers(cashSessionId, client = prisma) {
+  return client.cashTransfer.count({ where: { cashSessionId, status: 'PENDING', purpose: { not: 'CLOSING' } } });
+}
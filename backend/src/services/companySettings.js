@@ -0,0 +1,119 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from '../config.js';
+
+const prisma = new PrismaClient();
+
+const SETTINGS_ID = 1;
+export const LOGO_MIME_TYPES = ['image/png', 'image/jpeg'];
+export const LOGO_MAX_BYTES = 512 * 1024;
+
+// Campos editables (el logo se sube aparte)
+export const COMPANY_SETTINGS_FIELDS = [
+  'tradeName',
+  'businessName',
+  'ruc',
+  'address',
+  'phone',
+  'email',
+  'establishmentCode',
+  'igvRate',
+];
+
+// Mientras no se guarde la configuración rige el emisor de las variables SUNAT_ISSUER_*
+const DEFAULT_COMPANY_SETTINGS = Object.freeze({
+  tradeName: config.sunat.issuer.name,
+  businessName: config.sunat.issuer.name,
+  ruc: config.sunat.issuer.ruc,
+  address: config.sunat.issuer.address,
+  phone: null,
+  email: null,
+  establishmentCode: config.sunat.issuer.establishmentCode,
+  logo: null,
+  logoMimeType: null,
+  igvRate: 0.18,
+  updatedAt: null,
+});
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeCompanySettings(settings) {
+  if (!settings) return { ...DEFAULT_COMPANY_SETTINGS };
+  return { ...settings, igvRate: Number(settings.igvRate) };
+}
+
+/**
+ * Datos de la empresa para los PDF (incluye el logo como Buffer)
+ */
+export async function getCompanySettings() {
+  const settings = await prisma.companySettings.findUnique({ where: { id: SETTINGS_ID } });
+  return normalizeCompanySettings(settings);
+}
+
+/**
+ * Respuesta de la API. Con `includeLogo` el logo va como data URL para previsualizarlo; las
+ * respuestas de las modificaciones no lo traen (quedan en la bitácora de auditoría).
+ */
+export function toCompanySettingsResponse(settings, { includeLogo = false } = {}) {
+  const { logo, ...rest } = settings;
+  return {
+    ...rest,
+    hasLogo: Boolean(logo),
+    ...(includeLogo
+      ? { logoDataUrl: logo ? `data:${settings.logoMimeType};base64,${Buffer.from(logo).toString('base64')}` : null }
+      : {}),
+  };
+}
+
+/**
+ * Emisor de los comprobantes electrónicos (XML UBL)
+ */
+export function companyIssuer(settings) {
+  return {
+    ruc: settings.ruc,
+    name: settings.businessName,
+    address: settings.address,
+    establishmentCode: settings.establishmentCode,
+    igvRate: settings.igvRate,
+  };
+}
+
+async function saveCompanySettings(data) {
+  const current = await getCompanySettings();
+  const { updatedAt, ...base } = current;
+  const settings = await prisma.companySettings.upsert({
+    where: { id: SETTINGS_ID },
+    update: data,
+    create: { ...base, ...data, id: SETTINGS_ID },
+  });
+  return normalizeCompanySettings(settings);
+}
+
+/**
+ * Actualiza los datos de la empresa. La primera vez parte de los valores por defecto.
+ */
+export async function updateCompanySettings(fields) {
+  const data = {};
+  for (const field of COMPANY_SETTINGS_FIELDS) {
+    if (fields[field] !== undefined) data[field] = fields[field] === '' ? null : fields[field];
+  }
+  for (const field of ['tradeName', 'businessName', 'ruc', 'address', 'establishmentCode', 'igvRate']) {
+    if (field in data && data[field] === null) throw badRequest(`${field} es requerido`);
+  }
+  if (data.igvRate !== undefined) data.igvRate = Number(data.igvRate);
+  return saveCompanySettings(data);
+}
+
+/**
+ * Reemplaza el logo (PNG o JPEG); `null` lo quita y los PDF vuelven al logo por defecto
+ */
+export async function updateCompanyLogo(buffer, mimeType) {
+  if (buffer === null) return saveCompanySettings({ logo: null, logoMimeType: null });
+  if (!LOGO_MIME_TYPES.includes(mimeType)) throw badRequest('El logo debe ser PNG o JPEG');
+  if (!buffer || buffer.length === 0) throw badRequest('El logo está vacío');
+  if (buffer.length > LOGO_MAX_BYTES) throw badRequest(`El logo no puede superar ${LOGO_MAX_BYTES / 1024} KB`);
+  return saveCompanySettings({ logo: buffer, logoMimeType: mimeType });
+}
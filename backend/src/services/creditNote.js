@@ -0,0 +1,184 @@
+import { PrismaClient } from '@prisma/client';
+import { formatReceiptNumber, nextCorrelative } from './receiptSeries.js';
+import { receiptCustomer } from './ublInvoice.js';
+import { assertLoanBranchAccess } from './branch.js';
+
+const prisma = new PrismaClient();
+
+// Catálogo 09 de SUNAT (motivos de nota de crédito) admitidos. Los totales anulan todo lo que
+// queda del comprobante; los parciales rebajan un monto.
+export const CREDIT_NOTE_REASONS = {
+  '01': { label: 'Anulación de la operación', total: true },
+  '02': { label: 'Anulación por error en el RUC', total: true },
+  '03': { label: 'Corrección por error en la descripción', total: true },
+  '06': { label: 'Devolución total', total: true },
+  '07': { label: 'Devolución por ítem', total: false },
+  '09': { label: 'Disminución en el valor', total: false },
+};
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+const CREDIT_NOTE_INCLUDE = {
+  issuedBy: { select: { id: true, username: true } },
+};
+
+/**
+ * Número impreso de la nota (FC01-00000003), del comprobante que modifica y nombre del motivo
+ */
+export function withCreditNoteNumbers(creditNote) {
+  return {
+    ...creditNote,
+    documentNumber: formatReceiptNumber(creditNote.series, creditNote.correlative),
+    referenceNumber: formatReceiptNumber(creditNote.referenceSeries, creditNote.referenceCorrelative),
+    reasonLabel: CREDIT_NOTE_REASONS[creditNote.reasonCode]?.label || creditNote.reasonCode,
+  };
+}
+
+/**
+ * Total del comprobante de un pago: en una cancelación anticipada el comprobante va en el
+ * primer pago y cubre el total cobrado
+ */
+async function getReceiptTotal(client, payment) {
+  if (!payment.payoffId) return Number(payment.amount);
+  const payoff = await client.loanPayoff.findUnique({ where: { id: payment.payoffId }, select: { totalAmount: true } });
+  return Number(payoff.totalAmount);
+}
+
+async function getCreditedAmount(client, series, correlative) {
+  const { _sum } = await client.creditNote.aggregate({
+    where: { referenceSeries: series, referenceCorrelative: correlative },
+    _sum: { amount: true },
+  });
+  return Number(_sum.amount || 0);
+}
+
+/**
+ * Cuánto queda sin anular del comprobante vigente del pago. `fullyCredited` indica que se puede
+ * emitir un comprobante nuevo para el pago (POST /payments/:id/receipt-info).
+ */
+export async function getReceiptCreditStatus(paymentId, client = prisma) {
+  const payment = await client.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw notFound('Pago no encontrado');
+  if (!payment.receiptSeries) {
+    return { total: 0, credited: 0, available: 0, fullyCredited: false };
+  }
+  const total = await getReceiptTotal(client, payment);
+  const credited = await getCreditedAmount(client, payment.receiptSeries, payment.receiptCorrelative);
+  const available = round2(total - credited);
+  return { total, credited, available, fullyCredited: available <= 0 };
+}
+
+// `branchId` undefined = todas las agencias, null = préstamos sin agencia
+export async function listCreditNotes({ loanId = null, paymentId = null, branchId } = {}) {
+  const notes = await prisma.creditNote.findMany({
+    where: {
+      ...(loanId ? { loanId } : {}),
+      ...(branchId !== undefined ? { loan: { branchId } } : {}),
+      ...(paymentId ? { paymentId } : {}),
+    },
+    include: CREDIT_NOTE_INCLUDE,
+    orderBy: { id: 'desc' },
+  });
+  return notes.map(withCreditNoteNumbers);
+}
+
+/**
+ * Nota con el pago, préstamo y cliente (para el PDF)
+ */
+export async function getCreditNote(id) {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { id },
+    include: {
+      ...CREDIT_NOTE_INCLUDE,
+      loan: { include: { client: true } },
+      payment: { select: { id: true, receiptNumber: true, paymentDate: true, amount: true } },
+    },
+  });
+  if (!creditNote) throw notFound('Nota de crédito no encontrada');
+  return withCreditNoteNumbers(creditNote);
+}
+
+/**
+ * Emite una nota de crédito sobre el comprobante vigente de un pago. Los motivos totales anulan
+ * lo que queda del comprobante (`amount` opcional); los parciales requieren `amount`. La nota toma
+ * su correlativo de la serie de notas de crédito (BC01/FC01) en la misma transacción. `user` solo
+ * emite sobre pagos de préstamos de su agencia.
+ */
+export async function createCreditNote({ paymentId, reasonCode, description, amount = null, issuedByUserId, user }) {
+  const reason = CREDIT_NOTE_REASONS[reasonCode];
+  if (!reason) throw badRequest('Motivo de nota de crédito no admitido');
+
+  const created = await prisma.$transaction(async (tx) => {
+    // Serializa las notas del mismo pago: el saldo por anular se valida con la fila bloqueada
+    await tx.$executeRaw`SELECT id FROM "Payment" WHERE id = ${paymentId} FOR UPDATE`;
+    const payment = await tx.payment.findUnique({
+      where: { id: paymentId },
+      include: { loan: { include: { client: true } } },
+    });
+    if (!payment) throw notFound('Pago no encontrado');
+    await assertLoanBranchAccess(user, payment.loanId, tx);
+    if (!payment.receiptSeries) throw badRequest('El pago no tiene un comprobante emitido');
+    if (payment.sunatStatus === 'REJECTED') {
+      throw badRequest('El comprobante fue rechazado por SUNAT; corríjalo y reenvíelo en lugar de emitir una nota de crédito');
+    }
+    if (reasonCode === '02' && payment.receiptType !== 'FACTURA') {
+      throw badRequest('La anulación por error en el RUC solo aplica a facturas');
+    }
+
+    const { available } = await getReceiptCreditStatus(paymentId, tx);
+    if (available <= 0) throw badRequest('El comprobante ya fue anulado por completo con notas de crédito');
+
+    let noteAmount;
+    if (reason.total) {
+      noteAmount = available;
+      if (amount !== null && round2(Number(amount)) !== available) {
+        throw badRequest(`"${reason.label}" anula todo lo que queda del comprobante (S/ ${available.toFixed(2)})`);
+      }
+    } else {
+      noteAmount = round2(Number(amount));
+      if (!(noteAmount > 0)) throw badRequest('Indique el monto de la nota de crédito');
+      if (noteAmount > available) {
+        throw badRequest(`El monto supera lo que queda del comprobante (S/ ${available.toFixed(2)})`);
+      }
+    }
+
+    const customer = receiptCustomer(payment);
+    const { series, correlative } = await nextCorrelative(tx, payment.receiptType, 'CREDIT_NOTE');
+    return tx.creditNote.create({
+      data: {
+        paymentId,
+        loanId: payment.loanId,
+        series,
+        correlative,
+        receiptType: payment.receiptType,
+        referenceSeries: payment.receiptSeries,
+        referenceCorrelative: payment.receiptCorrelative,
+        reasonCode,
+        description: description || reason.label,
+        amount: noteAmount,
+        customerDocType: customer.type,
+        customerDocNumber: customer.number,
+        customerName: customer.name,
+        customerAddress: customer.address,
+        issuedByUserId,
+      },
+      include: CREDIT_NOTE_INCLUDE,
+    });
+  });
+
+  return withCreditNoteNumbers(created);
+}
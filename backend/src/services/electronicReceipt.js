@@ -0,0 +1,233 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from '../config.js';
+import { formatReceiptNumber } from './receiptSeries.js';
+import {
+  buildInvoiceXml,
+  buildReceiptDocumentData,
+  buildCreditNoteXml,
+  buildCreditNoteDocumentData,
+  DOCUMENT_TYPE_CODES,
+  CREDIT_NOTE_TYPE_CODE,
+} from './ublInvoice.js';
+import { signXml } from './xmlSignature.js';
+import { getSunatSender } from './sunatSender.js';
+import { getCompanySettings, companyIssuer } from './companySettings.js';
+
+const prisma = new PrismaClient();
+
+// Estados que ya no se reenvían
+const FINAL_STATUSES = ['ACCEPTED', 'OBSERVED'];
+const PENDING_BATCH_SIZE = 100;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+const SUBMISSION_SUMMARY = {
+  id: true,
+  paymentId: true,
+  creditNoteId: true,
+  fileName: true,
+  sender: true,
+  digestValue: true,
+  status: true,
+  responseCode: true,
+  responseDescription: true,
+  createdAt: true,
+};
+
+/**
+ * Genera el XML UBL 2.1 del comprobante de un pago, lo firma, lo envía con el envío configurado
+ * (SUNAT_SENDER) y guarda el CDR. Cada intento queda en SunatSubmission; el pago conserva el
+ * resultado del último. Un comprobante aceptado (con o sin observaciones) no se reenvía, ni el de
+ * un pago anulado.
+ */
+export async function sendElectronicReceipt(paymentId) {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      loan: { include: { client: true } },
+      installment: { select: { installmentNumber: true } },
+      payoff: { select: { totalAmount: true } },
+    },
+  });
+  if (!payment) throw notFound('Pago no encontrado');
+  if (payment.voidedAt) throw badRequest('El pago fue anulado; su comprobante no se envía a SUNAT');
+  if (!payment.receiptType) throw badRequest('El comprobante aún no ha sido configurado');
+  if (!payment.receiptSeries) {
+    throw badRequest(payment.payoffId
+      ? 'El comprobante de la cancelación anticipada se emite con el primer pago'
+      : 'El comprobante no tiene serie y correlativo asignados');
+  }
+  if (FINAL_STATUSES.includes(payment.sunatStatus)) {
+    throw badRequest('El comprobante ya fue aceptado por SUNAT');
+  }
+
+  const issuer = companyIssuer(await getCompanySettings());
+  const documentNumber = formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative);
+  const total = payment.payoff ? payment.payoff.totalAmount : payment.amount;
+
+  return submitDocument({
+    target: { paymentId: payment.id },
+    unsigned: buildInvoiceXml(buildReceiptDocumentData(payment, { issuer, total, documentNumber })),
+    issuerRuc: issuer.ruc,
+    documentNumber,
+    documentType: DOCUMENT_TYPE_CODES[payment.receiptType],
+  });
+}
+
+/**
+ * Genera, firma y envía el XML de una nota de crédito (mismas reglas que sendElectronicReceipt)
+ */
+export async function sendCreditNote(creditNoteId) {
+  const creditNote = await prisma.creditNote.findUnique({ where: { id: creditNoteId } });
+  if (!creditNote) throw notFound('Nota de crédito no encontrada');
+  if (FINAL_STATUSES.includes(creditNote.sunatStatus)) {
+    throw badRequest('La nota de crédito ya fue aceptada por SUNAT');
+  }
+
+  const issuer = companyIssuer(await getCompanySettings());
+  const documentNumber = formatReceiptNumber(creditNote.series, creditNote.correlative);
+  const referenceNumber = formatReceiptNumber(creditNote.referenceSeries, creditNote.referenceCorrelative);
+  return submitDocument({
+    target: { creditNoteId: creditNote.id },
+    unsigned: buildCreditNoteXml(buildCreditNoteDocumentData(creditNote, { issuer, documentNumber, referenceNumber })),
+    issuerRuc: issuer.ruc,
+    documentNumber,
+    documentType: CREDIT_NOTE_TYPE_CODE,
+  });
+}
+
+// Firma, envía y guarda el envío; el pago o la nota conservan el resultado del último
+async function submitDocument({ target, unsigned, issuerRuc, documentNumber, documentType }) {
+  const fileName = `${issuerRuc}-${documentType}-${documentNumber}`;
+  const { xml, digestValue } = signXml(unsigned);
+
+  const sender = getSunatSender();
+  let result;
+  try {
+    result = await sender.send({ fileName, xml, documentNumber, documentType });
+  } catch (e) {
+    result = { status: 'ERROR', responseCode: null, responseDescription: e.message, cdrXml: null };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const submission = await tx.sunatSubmission.create({
+      data: {
+        ...target,
+        fileName,
+        sender: sender.name,
+        xml,
+        digestValue,
+        status: result.status,
+        responseCode: result.responseCode,
+        responseDescription: result.responseDescription,
+        cdrXml: result.cdrXml,
+      },
+      select: SUBMISSION_SUMMARY,
+    });
+    const data = {
+      sunatStatus: result.status,
+      sunatResponseCode: result.responseCode,
+      sunatResponseDescription: result.responseDescription,
+      sunatSentAt: submission.createdAt,
+    };
+    if (target.paymentId) {
+      await tx.payment.update({ where: { id: target.paymentId }, data });
+    } else {
+      await tx.creditNote.update({ where: { id: target.creditNoteId }, data });
+    }
+    return submission;
+  });
+}
+
+/**
+ * Envía los comprobantes numerados y las notas de crédito que nunca se enviaron o cuyo envío
+ * falló sin CDR (ERROR), primero los comprobantes (las notas los referencian). Los rechazados
+ * esperan a que se corrijan y se reenvíen a mano; los de pagos anulados no se envían.
+ */
+export async function sendPendingElectronicReceipts({ limit = PENDING_BATCH_SIZE } = {}) {
+  const pendingStatus = [{ sunatStatus: null }, { sunatStatus: 'ERROR' }];
+  const payments = await prisma.payment.findMany({
+    where: { receiptSeries: { not: null }, voidedAt: null, OR: pendingStatus },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+    take: limit,
+  });
+  const creditNotes = await prisma.creditNote.findMany({
+    where: { OR: pendingStatus },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+    take: Math.max(0, limit - payments.length),
+  });
+
+  const summary = { processed: 0, ACCEPTED: 0, OBSERVED: 0, REJECTED: 0, ERROR: 0 };
+  const jobs = [
+    ...payments.map(({ id }) => ({ label: `el comprobante del pago #${id}`, run: () => sendElectronicReceipt(id) })),
+    ...creditNotes.map(({ id }) => ({ label: `la nota de crédito #${id}`, run: () => sendCreditNote(id) })),
+  ];
+  for (const job of jobs) {
+    try {
+      const submission = await job.run();
+      summary[submission.status] += 1;
+    } catch (e) {
+      console.error(`No se pudo enviar ${job.label}:`, e.message);
+      summary.ERROR += 1;
+    }
+    summary.processed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Envíos de un pago o de una nota de crédito (sin el XML)
+ */
+export async function listSunatSubmissions({ paymentId = null, creditNoteId = null }) {
+  return prisma.sunatSubmission.findMany({
+    where: paymentId ? { paymentId } : { creditNoteId },
+    select: SUBMISSION_SUMMARY,
+    orderBy: { id: 'desc' },
+  });
+}
+
+/**
+ * Último envío de un pago o de una nota de crédito con el XML firmado y el CDR, para descargarlos
+ */
+export async function getLatestSunatSubmission({ paymentId = null, creditNoteId = null }) {
+  const submission = await prisma.sunatSubmission.findFirst({
+    where: paymentId ? { paymentId } : { creditNoteId },
+    orderBy: { id: 'desc' },
+  });
+  if (!submission) throw notFound('El documento aún no fue enviado a SUNAT');
+  return submission;
+}
+
+/**
+ * Envío periódico de comprobantes pendientes cada SUNAT_AUTO_SEND_MINUTES
+ */
+export function scheduleElectronicReceiptDispatch() {
+  // Una ronda a la vez: si la anterior sigue enviando se salta el turno
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await sendPendingElectronicReceipts();
+      if (summary.processed > 0) console.log('Envío de comprobantes electrónicos:', summary);
+    } catch (e) {
+      console.error('Error en el envío de comprobantes electrónicos:', e);
+    } finally {
+      running = false;
+    }
+  }, config.sunat.autoSendMinutes * 60 * 1000);
+  // No mantener vivo el proceso solo por el temporizador
+  timer.unref();
+}
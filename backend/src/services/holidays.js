@@ -0,0 +1,60 @@
+// Calendario local de feriados nacionales del Perú.
+// Los feriados fijos se repiten cada año; Jueves y Viernes Santo se calculan a partir de la Pascua.
+// Los días no laborables decretados por el gobierno se agregan manualmente en EXTRA_HOLIDAYS.
+
+// Formato MM-DD
+const FIXED_HOLIDAYS = [
+  '01-01', // Año Nuevo
+  '05-01', // Día del Trabajo
+  '06-07', // Batalla de Arica y Día de la Bandera
+  '06-29', // San Pedro y San Pablo
+  '07-23', // Día de la Fuerza Aérea del Perú
+  '07-28', // Fiestas Patrias
+  '07-29', // Fiestas Patrias
+  '08-06', // Batalla de Junín
+  '08-30', // Santa Rosa de Lima
+  '10-08', // Combate de Angamos
+  '11-01', // Todos los Santos
+  '12-08', // Inmaculada Concepción
+  '12-09', // Batalla de Ayacucho
+  '12-25', // Navidad
+];
+
+// Formato YYYY-MM-DD (feriados puntuales o días no laborables decretados)
+const EXTRA_HOLIDAYS = [];
+
+// Domingo de Pascua (algoritmo anónimo gregoriano). Retorna [mes (1-12), día].
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month, day];
+}
+
+function holyWeekDates(year) {
+  const [month, day] = easterSunday(year);
+  const easter = Date.UTC(year, month - 1, day);
+  const oneDay = 24 * 60 * 60 * 1000;
+  return [easter - 3 * oneDay, easter - 2 * oneDay].map((t) => new Date(t).toISOString().slice(0, 10));
+}
+
+/**
+ * Indica si una fecha (dayjs en TZ Lima) es feriado nacional
+ */
+export function isPeruvianHoliday(date) {
+  const iso = date.format('YYYY-MM-DD');
+  if (FIXED_HOLIDAYS.includes(date.format('MM-DD'))) return true;
+  if (EXTRA_HOLIDAYS.includes(iso)) return true;
+  return holyWeekDates(date.year()).includes(iso);
+}
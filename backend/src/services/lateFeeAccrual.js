@@ -0,0 +1,124 @@
+import { PrismaClient } from '@prisma/client';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { calculateInstallmentLateFee } from './payment.js';
+import { getLoanLateFeePolicy } from './lateFeePolicy.js';
+import { PAYABLE_STATUSES } from './loanStatus.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+
+// Hora (Lima) en la que corre el devengo automático
+const ACCRUAL_HOUR = 0;
+const ACCRUAL_MINUTE = 5;
+
+const prisma = new PrismaClient();
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Devenga la mora de las cuotas vencidas a una fecha (por defecto hoy, Lima).
+ * Por cada cuota no pagada calcula la mora total generada a esa fecha con la política del
+ * préstamo y guarda en LateFee (cuota, fecha) la diferencia contra lo ya devengado en
+ * fechas anteriores. Es idempotente: volver a correrlo para la misma fecha recalcula y
+ * actualiza el registro del día en lugar de duplicarlo.
+ */
+export async function accrueLateFees({ date = new Date(), loanId = null } = {}) {
+  const day = dayjs.tz(date, TZ).startOf('day');
+  // La mora del día se calcula al cierre de la fecha
+  const asOf = day.endOf('day').toDate();
+  const periodDate = new Date(Date.UTC(day.year(), day.month(), day.date()));
+
+  const loans = await prisma.loan.findMany({
+    where: {
+      status: { in: PAYABLE_STATUSES },
+      ...(loanId ? { id: loanId } : {}),
+      schedules: { some: { isPaid: false, supersededAt: null, dueDate: { lt: day.toDate() } } },
+    },
+    include: {
+      lateFeePolicy: true,
+      schedules: { where: { isPaid: false, supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+      payments: { where: { voidedAt: null } },
+      lateFees: true,
+    },
+  });
+
+  const summary = { date: day.format('YYYY-MM-DD'), loansProcessed: loans.length, created: 0, updated: 0, removed: 0, totalAccrued: 0 };
+
+  for (const loan of loans) {
+    const policy = getLoanLateFeePolicy(loan);
+
+    for (const schedule of loan.schedules) {
+      const info = calculateInstallmentLateFee(schedule, loan.payments, { asOf, policy });
+      const feesForInstallment = loan.lateFees.filter(f => f.installmentId === schedule.id);
+      const existing = feesForInstallment.find(f => dayjs(f.periodDate).utc().format('YYYY-MM-DD') === summary.date);
+      const accruedBefore = round2(
+        feesForInstallment
+          .filter(f => f !== existing && dayjs(f.periodDate).utc().isBefore(dayjs.utc(periodDate)))
+          .reduce((sum, f) => sum + Number(f.feeAmount), 0)
+      );
+      const increment = round2(info.accruedLateFee - accruedBefore);
+
+      if (increment > 0) {
+        const data = {
+          feeAmount: increment,
+          baseAmount: info.remainingInstallment,
+          accruedTotal: info.accruedLateFee,
+          lateFeePolicyId: policy.id,
+        };
+        if (existing) {
+          await prisma.lateFee.update({ where: { id: existing.id }, data });
+          summary.updated += 1;
+        } else {
+          await prisma.lateFee.create({
+            data: {
+              ...data,
+              loanId: loan.id,
+              installmentId: schedule.id,
+              periodDate,
+              periodMonth: day.month() + 1,
+              periodYear: day.year(),
+            },
+          });
+          summary.created += 1;
+        }
+        summary.totalAccrued = round2(summary.totalAccrued + increment);
+      } else if (existing && !existing.isPaid) {
+        // Un pago registrado con fecha del día dejó sin mora nueva: se descarta el registro
+        await prisma.lateFee.delete({ where: { id: existing.id } });
+        summary.removed += 1;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Programa el devengo diario dentro del proceso del servidor (00:05 hora de Lima).
+ * Se desactiva con LATE_FEE_ACCRUAL_ENABLED=false si se usa un cron externo
+ * con el script `npm run accrue-late-fees`.
+ */
+export function scheduleDailyLateFeeAccrual() {
+  const schedule = () => {
+    const now = dayjs.tz(new Date(), TZ);
+    let next = now.hour(ACCRUAL_HOUR).minute(ACCRUAL_MINUTE).second(0).millisecond(0);
+    if (!next.isAfter(now)) next = next.add(1, 'day');
+    const timer = setTimeout(async () => {
+      try {
+        const summary = await accrueLateFees();
+        console.log('Devengo de mora completado:', summary);
+      } catch (e) {
+        console.error('Error en el devengo de mora:', e);
+      }
+      schedule();
+    }, next.diff(now));
+    // No mantener vivo el proceso solo por el temporizador
+    timer.unref();
+  };
+  schedule();
+}
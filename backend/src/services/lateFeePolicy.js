@@ -0,0 +1,168 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Código de la política que se asigna a los préstamos nuevos si no se indica otra
+export const DEFAULT_LATE_FEE_POLICY_CODE = process.env.DEFAULT_LATE_FEE_POLICY_CODE || 'ESTANDAR';
+
+// Reglas históricas (préstamos sin política): 1% al vencer y 1% compuesto cada 30 días
+export const DEFAULT_LATE_FEE_POLICY = Object.freeze({
+  id: null,
+  code: DEFAULT_LATE_FEE_POLICY_CODE,
+  version: 0,
+  name: 'Mora estándar',
+  graceDays: 0,
+  flatFee: 0,
+  initialRate: 0.01,
+  periodicRate: 0.01,
+  periodDays: 30,
+  compounding: true,
+  dailyRate: 0,
+  capAmount: null,
+  capRate: null,
+});
+
+// Campos editables de una política (todo lo demás lo controla el versionado)
+export const LATE_FEE_POLICY_FIELDS = [
+  'name',
+  'graceDays',
+  'flatFee',
+  'initialRate',
+  'periodicRate',
+  'periodDays',
+  'compounding',
+  'dailyRate',
+  'capAmount',
+  'capRate',
+];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toNumberOrNull(v) {
+  return v === null || v === undefined ? null : Number(v);
+}
+
+/**
+ * Convierte una política de BD (Decimals) a números para el cálculo
+ */
+export function normalizeLateFeePolicy(policy) {
+  if (!policy) return DEFAULT_LATE_FEE_POLICY;
+  return {
+    id: policy.id,
+    code: policy.code,
+    version: policy.version,
+    name: policy.name,
+    graceDays: Number(policy.graceDays || 0),
+    flatFee: Number(policy.flatFee || 0),
+    initialRate: Number(policy.initialRate || 0),
+    periodicRate: Number(policy.periodicRate || 0),
+    periodDays: Number(policy.periodDays || 0),
+    compounding: Boolean(policy.compounding),
+    dailyRate: Number(policy.dailyRate || 0),
+    capAmount: toNumberOrNull(policy.capAmount),
+    capRate: toNumberOrNull(policy.capRate),
+    isCurrent: policy.isCurrent,
+    createdAt: policy.createdAt,
+  };
+}
+
+/**
+ * Política que rige la mora de un préstamo (requiere incluir lateFeePolicy al consultarlo)
+ */
+export function getLoanLateFeePolicy(loan) {
+  return normalizeLateFeePolicy(loan && loan.lateFeePolicy);
+}
+
+export async function listLateFeePolicies({ includeHistory = false } = {}) {
+  const policies = await prisma.lateFeePolicy.findMany({
+    where: includeHistory ? {} : { isCurrent: true },
+    orderBy: [{ code: 'asc' }, { version: 'desc' }],
+    include: { _count: { select: { loans: true } } },
+  });
+  return policies.map(p => ({ ...normalizeLateFeePolicy(p), loanCount: p._count.loans }));
+}
+
+export async function getLateFeePolicy(id) {
+  const policy = await prisma.lateFeePolicy.findUnique({ where: { id } });
+  if (!policy) {
+    const err = new Error('Política de mora no encontrada');
+    err.status = 404;
+    throw err;
+  }
+  return normalizeLateFeePolicy(policy);
+}
+
+/**
+ * Crea la versión 1 de una política nueva
+ */
+export async function createLateFeePolicy({ code, ...fields }) {
+  const existing = await prisma.lateFeePolicy.findFirst({ where: { code } });
+  if (existing) {
+    throw badRequest(`Ya existe la política ${code}; registre una nueva versión`);
+  }
+  const policy = await prisma.lateFeePolicy.create({
+    data: { ...defaultTerms(), ...pickFields(fields), code, version: 1, isCurrent: true },
+  });
+  return normalizeLateFeePolicy(policy);
+}
+
+/**
+ * Registra una nueva versión de la política: copia la vigente, aplica los cambios y
+ * la marca como vigente. Los préstamos ya creados mantienen la versión que tenían.
+ */
+export async function createLateFeePolicyVersion(code, fields) {
+  const current = await prisma.lateFeePolicy.findFirst({
+    where: { code },
+    orderBy: { version: 'desc' },
+  });
+  if (!current) {
+    const err = new Error('Política de mora no encontrada');
+    err.status = 404;
+    throw err;
+  }
+
+  const base = {};
+  LATE_FEE_POLICY_FIELDS.forEach(f => { base[f] = current[f]; });
+
+  const policy = await prisma.$transaction(async (tx) => {
+    await tx.lateFeePolicy.updateMany({ where: { code, isCurrent: true }, data: { isCurrent: false } });
+    return tx.lateFeePolicy.create({
+      data: { ...base, ...pickFields(fields), code, version: current.version + 1, isCurrent: true },
+    });
+  });
+  return normalizeLateFeePolicy(policy);
+}
+
+/**
+ * Id de la versión vigente para un préstamo nuevo. Si no se indica código se usa la
+ * política por defecto, y si esta aún no se registró el préstamo queda con las reglas
+ * históricas (lateFeePolicyId null).
+ */
+export async function resolveLateFeePolicyIdForNewLoan(code) {
+  const policy = await prisma.lateFeePolicy.findFirst({
+    where: { code: code || DEFAULT_LATE_FEE_POLICY_CODE, isCurrent: true },
+    select: { id: true },
+  });
+  if (!policy && code) {
+    throw badRequest(`Política de mora ${code} no encontrada`);
+  }
+  return policy ? policy.id : null;
+}
+
+function defaultTerms() {
+  const terms = {};
+  LATE_FEE_POLICY_FIELDS.forEach(f => { terms[f] = DEFAULT_LATE_FEE_POLICY[f]; });
+  return terms;
+}
+
+function pickFields(fields) {
+  const picked = {};
+  LATE_FEE_POLICY_FIELDS.forEach(f => {
+    if (fields[f] !== undefined) picked[f] = fields[f];
+  });
+  return picked;
+}
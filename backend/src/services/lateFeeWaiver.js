@@ -0,0 +1,161 @@
+import { PrismaClient } from '@prisma/client';
+import { getAccruedInstallmentLateFee, markLateFeesPaid } from './payment.js';
+import { refreshLoanStatus } from './loanStatus.js';
+import { assertLoanBranchAccess } from './branch.js';
+
+const prisma = new PrismaClient();
+const OUTSTANDING_TOLERANCE = 0.05;
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+const WAIVER_INCLUDE = {
+  installment: { select: { id: true, installmentNumber: true, dueDate: true } },
+  requestedBy: { select: { id: true, username: true } },
+  reviewedBy: { select: { id: true, username: true } },
+};
+
+/**
+ * Mora pendiente de una cuota (ya descontadas las condonaciones aprobadas)
+ */
+async function getInstallmentLateFeeContext(client, installmentId) {
+  const installment = await client.paymentSchedule.findUnique({
+    where: { id: installmentId },
+    include: {
+      payments: { where: { voidedAt: null } },
+      lateFees: true,
+      lateFeeWaivers: true,
+    },
+  });
+  if (!installment) throw notFound('Cuota no encontrada');
+
+  const info = getAccruedInstallmentLateFee(installment, installment.payments, installment.lateFees, installment.lateFeeWaivers);
+  return { installment, lateFeeAmount: info.lateFeeAmount, pendingTotal: info.pendingTotal };
+}
+
+// `branchId` undefined = todas las agencias, null = préstamos sin agencia
+export async function listLateFeeWaivers({ loanId = null, status = null, branchId } = {}) {
+  return prisma.lateFeeWaiver.findMany({
+    where: {
+      ...(loanId ? { loanId } : {}),
+      ...(branchId !== undefined ? { loan: { branchId } } : {}),
+      ...(status ? { status } : {}),
+    },
+    include: WAIVER_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Solicita condonar mora de una cuota. El monto no puede superar la mora pendiente
+ * menos lo que ya está en otras solicitudes pendientes de la misma cuota. `user` solo solicita
+ * sobre préstamos de su agencia.
+ */
+export async function requestLateFeeWaiver({ loanId, installmentId, amount, reason, requestedByUserId, user }) {
+  await assertLoanBranchAccess(user, loanId);
+  const { installment, lateFeeAmount } = await getInstallmentLateFeeContext(prisma, installmentId);
+
+  if (installment.loanId !== loanId) {
+    throw badRequest('La cuota no pertenece al préstamo indicado');
+  }
+  if (installment.supersededAt) {
+    throw badRequest('La cuota fue reemplazada por una reprogramación o un prepago');
+  }
+
+  const waiverAmount = round2(Number(amount));
+  if (waiverAmount <= 0) {
+    throw badRequest('El monto a condonar debe ser positivo');
+  }
+
+  const pendingRequested = round2(
+    installment.lateFeeWaivers
+      .filter(w => w.status === 'PENDING')
+      .reduce((sum, w) => sum + Number(w.amount), 0)
+  );
+  const available = round2(lateFeeAmount - pendingRequested);
+  if (waiverAmount > available + OUTSTANDING_TOLERANCE) {
+    throw badRequest(`El monto supera la mora condonable de la cuota (S/ ${Math.max(0, available).toFixed(2)})`);
+  }
+
+  return prisma.lateFeeWaiver.create({
+    data: {
+      loanId,
+      installmentId,
+      amount: Math.min(waiverAmount, available),
+      reason,
+      requestedByUserId,
+    },
+    include: WAIVER_INCLUDE,
+  });
+}
+
+async function getPendingWaiver(client, id, reviewedByUserId) {
+  const waiver = await client.lateFeeWaiver.findUnique({ where: { id } });
+  if (!waiver) throw notFound('Solicitud de condonación no encontrada');
+  if (waiver.status !== 'PENDING') {
+    throw badRequest('La solicitud de condonación ya fue revisada');
+  }
+  if (waiver.requestedByUserId === reviewedByUserId) {
+    const err = new Error('Quien solicita la condonación no puede aprobarla ni rechazarla');
+    err.status = 403;
+    throw err;
+  }
+  return waiver;
+}
+
+/**
+ * Aprueba una condonación: desde ese momento reduce la mora pendiente de la cuota.
+ * Se vuelve a validar contra la mora vigente por si hubo pagos desde la solicitud.
+ * Si con la condonación la cuota queda saldada, se marca como pagada. `user` solo aprueba
+ * condonaciones de préstamos de su agencia.
+ */
+export async function approveLateFeeWaiver(id, { reviewedByUserId, reviewNote = null, user }) {
+  await prisma.$transaction(async (tx) => {
+    const waiver = await getPendingWaiver(tx, id, reviewedByUserId);
+    await assertLoanBranchAccess(user, waiver.loanId, tx);
+    const { lateFeeAmount } = await getInstallmentLateFeeContext(tx, waiver.installmentId);
+    if (Number(waiver.amount) > lateFeeAmount + OUTSTANDING_TOLERANCE) {
+      throw badRequest(`La mora pendiente de la cuota (S/ ${lateFeeAmount.toFixed(2)}) es menor al monto a condonar`);
+    }
+
+    await tx.lateFeeWaiver.update({
+      where: { id },
+      data: { status: 'APPROVED', reviewedByUserId, reviewedAt: new Date(), reviewNote },
+    });
+    await markLateFeesPaid(tx, waiver.installmentId);
+
+    const after = await getInstallmentLateFeeContext(tx, waiver.installmentId);
+    if (!after.installment.isPaid && after.pendingTotal <= OUTSTANDING_TOLERANCE) {
+      await tx.paymentSchedule.update({
+        where: { id: waiver.installmentId },
+        data: { isPaid: true, remainingBalance: 0 },
+      });
+      await refreshLoanStatus(waiver.loanId, tx);
+    }
+  });
+
+  return prisma.lateFeeWaiver.findUnique({ where: { id }, include: WAIVER_INCLUDE });
+}
+
+export async function rejectLateFeeWaiver(id, { reviewedByUserId, reviewNote = null, user }) {
+  const waiver = await getPendingWaiver(prisma, id, reviewedByUserId);
+  await assertLoanBranchAccess(user, waiver.loanId);
+  return prisma.lateFeeWaiver.update({
+    where: { id },
+    data: { status: 'REJECTED', reviewedByUserId, reviewedAt: new Date(), reviewNote },
+    include: WAIVER_INCLUDE,
+  });
+}
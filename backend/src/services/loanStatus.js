@@ -0,0 +1,96 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Ciclo de vida del préstamo (enum LoanStatus)
+// - DRAFT: registrado pero aún no desembolsado
+// - ACTIVE: desembolsado, con cuotas pendientes
+// - PAID_OFF: todas las cuotas pagadas (automático)
+// - DEFAULTED: en incumplimiento (marcado por cobranza)
+// - WRITTEN_OFF: castigado
+// - CANCELLED: anulado antes del desembolso
+export const LOAN_STATUSES = ['DRAFT', 'ACTIVE', 'PAID_OFF', 'DEFAULTED', 'WRITTEN_OFF', 'CANCELLED'];
+
+export const LOAN_STATUS_LABELS = {
+  DRAFT: 'Borrador',
+  ACTIVE: 'Vigente',
+  PAID_OFF: 'Cancelado (pagado)',
+  DEFAULTED: 'En incumplimiento',
+  WRITTEN_OFF: 'Castigado',
+  CANCELLED: 'Anulado',
+};
+
+// Estados que aceptan pagos
+export const PAYABLE_STATUSES = ['ACTIVE', 'DEFAULTED'];
+
+// Cambios de estado permitidos manualmente. PAID_OFF solo se asigna al saldar el préstamo.
+const MANUAL_TRANSITIONS = {
+  DRAFT: ['ACTIVE', 'CANCELLED'],
+  ACTIVE: ['DEFAULTED', 'WRITTEN_OFF'],
+  DEFAULTED: ['ACTIVE', 'WRITTEN_OFF'],
+  PAID_OFF: [],
+  WRITTEN_OFF: [],
+  CANCELLED: [],
+};
+
+export function canTransition(from, to) {
+  return (MANUAL_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Valida que el préstamo esté en un estado que admite pagos
+ */
+export function assertLoanAcceptsPayments(loan) {
+  if (!PAYABLE_STATUSES.includes(loan.status)) {
+    const err = new Error(`El préstamo está en estado ${LOAN_STATUS_LABELS[loan.status] || loan.status} y no admite pagos`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Recalcula el estado del préstamo según sus cuotas:
+ * ACTIVE/DEFAULTED -> PAID_OFF cuando todas las cuotas están pagadas, y
+ * PAID_OFF -> ACTIVE si vuelve a haber cuotas pendientes (anulación de un pago).
+ * Acepta un cliente de transacción para ejecutarse junto al pago.
+ */
+export async function refreshLoanStatus(loanId, client = prisma) {
+  const loan = await client.loan.findUnique({
+    where: { id: Number(loanId) },
+    select: { id: true, status: true },
+  });
+  if (!loan || (!PAYABLE_STATUSES.includes(loan.status) && loan.status !== 'PAID_OFF')) return loan;
+
+  const pending = await client.paymentSchedule.count({
+    where: { loanId: loan.id, isPaid: false, supersededAt: null },
+  });
+  const status = pending > 0 ? (loan.status === 'PAID_OFF' ? 'ACTIVE' : loan.status) : 'PAID_OFF';
+  if (status === loan.status) return loan;
+
+  return client.loan.update({
+    where: { id: loan.id },
+    data: { status, statusChangedAt: new Date() },
+    select: { id: true, status: true },
+  });
+}
+
+/**
+ * Cambia manualmente el estado de un préstamo respetando las transiciones permitidas
+ */
+export async function changeLoanStatus({ loanId, status }) {
+  const loan = await prisma.loan.findUnique({ where: { id: Number(loanId) } });
+  if (!loan) {
+    const err = new Error('Préstamo no encontrado');
+    err.status = 404;
+    throw err;
+  }
+  if (!canTransition(loan.status, status)) {
+    const err = new Error(`No se puede pasar de ${LOAN_STATUS_LABELS[loan.status]} a ${LOAN_STATUS_LABELS[status] || status}`);
+    err.status = 400;
+    throw err;
+  }
+  return prisma.loan.update({
+    where: { id: loan.id },
+    data: { status, statusChangedAt: new Date() },
+  });
+}
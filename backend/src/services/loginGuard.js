@@ -0,0 +1,211 @@
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
+import { requiresSecondFactor, verifySecondFactor, confirmTotpSetup } from './totp.js';
+
+const prisma = new PrismaClient();
+
+// Hash de referencia para que un usuario inexistente tarde lo mismo que una contraseña incorrecta
+const DUMMY_HASH = bcrypt.hashSync('usuario-inexistente', 10);
+// Tiempo para completar el segundo paso del login
+const MFA_TOKEN_TTL = '5m';
+
+function loginError(status, message, retryAfter = null) {
+  const err = new Error(message);
+  err.status = status;
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function lockMessage(lockedUntil) {
+  const minutes = Math.ceil(secondsUntil(lockedUntil) / 60);
+  return `Cuenta bloqueada por intentos fallidos; intente de nuevo en ${minutes} minuto(s)`;
+}
+
+async function recordLoginAttempt({ username, userId = null, ip, userAgent, success, reason = null }) {
+  await prisma.loginAttempt.create({
+    data: { username, userId, ip, userAgent, success, reason },
+  });
+}
+
+/**
+ * Segundos que debe esperar la IP (0 si puede intentar). Cuenta los fallos de la ventana
+ * configurada sin importar el usuario, para cortar ataques que rotan nombres de usuario.
+ */
+async function getIpRetryAfter(ip) {
+  if (!ip) return 0;
+  const since = new Date(Date.now() - config.login.ipWindowMinutes * 60 * 1000);
+  const failures = await prisma.loginAttempt.findMany({
+    where: { ip, success: false, createdAt: { gte: since }, NOT: { reason: 'TOTP_PENDING' } },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (failures.length < config.login.ipMaxFailures) return 0;
+  // Se libera cuando el fallo más antiguo que hace superar el límite sale de la ventana
+  const oldest = failures[failures.length - config.login.ipMaxFailures].createdAt;
+  return secondsUntil(new Date(oldest.getTime() + config.login.ipWindowMinutes * 60 * 1000));
+}
+
+/**
+ * Suma un fallo al usuario; al llegar al máximo lo bloquea con espera creciente
+ * (lockBaseMinutes, luego el doble en cada bloqueo seguido, hasta lockMaxMinutes).
+ */
+async function registerFailedLogin(user) {
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } },
+  });
+  if (updated.failedLoginCount < config.login.maxFailures) return null;
+
+  const minutes = Math.min(
+    config.login.lockBaseMinutes * 2 ** updated.lockoutCount,
+    config.login.lockMaxMinutes
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockoutCount: { increment: 1 }, lockedUntil },
+  });
+  return lockedUntil;
+}
+
+/**
+ * Valida credenciales aplicando el límite por IP y el bloqueo por cuenta.
+ * Cada intento queda en LoginAttempt. Lanza 401 (credenciales), 423 (cuenta bloqueada)
+ * o 429 (demasiados intentos desde la IP); los dos últimos con `retryAfter` en segundos.
+ * Si el usuario requiere segundo factor el login no queda completo: sigue completeSecondFactor.
+ */
+export async function authenticateUser({ username, password, ip = null, userAgent = null }) {
+  const attempt = { username, ip, userAgent };
+
+  const ipRetryAfter = await getIpRetryAfter(ip);
+  if (ipRetryAfter) {
+    await recordLoginAttempt({ ...attempt, success: false, reason: 'IP_THROTTLED' });
+    throw loginError(429, 'Demasiados intentos fallidos desde esta conexión; intente más tarde', ipRetryAfter);
+  }
+
+  const user = await prisma.user.findUnique({ where: { username } });
+  if (!user) {
+    await bcrypt.compare(password, DUMMY_HASH);
+    await recordLoginAttempt({ ...attempt, success: false, reason: 'UNKNOWN_USER' });
+    throw loginError(401, 'Credenciales inválidas');
+  }
+
+  const failure = { ...attempt, userId: user.id, success: false };
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    await recordLoginAttempt({ ...failure, reason: 'LOCKED' });
+    throw loginError(423, lockMessage(user.lockedUntil), secondsUntil(user.lockedUntil));
+  }
+
+  const ok = await bcrypt.compare(password, user.passwordHash);
+  if (!ok) {
+    await recordLoginAttempt({ ...failure, reason: 'INVALID_CREDENTIALS' });
+    const lockedUntil = await registerFailedLogin(user);
+    if (lockedUntil) throw loginError(423, lockMessage(lockedUntil), secondsUntil(lockedUntil));
+    throw loginError(401, 'Credenciales inválidas');
+  }
+
+  if (!user.isActive) {
+    await recordLoginAttempt({ ...failure, reason: 'INACTIVE' });
+    throw loginError(401, 'Usuario desactivado');
+  }
+
+  // Con segundo factor los contadores siguen hasta validar el código (si no, se podría
+  // probar códigos sin límite reiniciando con la contraseña)
+  if (requiresSecondFactor(user)) {
+    await recordLoginAttempt({ ...failure, reason: 'TOTP_PENDING' });
+    return user;
+  }
+
+  await completeLogin(user, attempt);
+  return user;
+}
+
+async function completeLogin(user, attempt) {
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockoutCount: 0, lockedUntil: null },
+  });
+  await recordLoginAttempt({ ...attempt, userId: user.id, success: true });
+}
+
+/**
+ * Token temporal entre la contraseña y el segundo factor (no sirve como token de acceso)
+ */
+export function signMfaToken(user) {
+  return jwt.sign({ sub: user.id, typ: 'mfa', tv: user.tokenVersion }, config.jwtSecret, { expiresIn: MFA_TOKEN_TTL });
+}
+
+export async function getMfaTokenUser(mfaToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, config.jwtSecret);
+  } catch (e) {
+    throw loginError(401, 'El tiempo para verificar expiró; vuelva a iniciar sesión');
+  }
+  if (decoded.typ !== 'mfa') throw loginError(401, 'Token de verificación no válido');
+  const user = await prisma.user.findUnique({ where: { id: Number(decoded.sub) } });
+  if (!user || !user.isActive || (decoded.tv || 0) !== user.tokenVersion) {
+    throw loginError(401, 'Token de verificación no válido');
+  }
+  return user;
+}
+
+/**
+ * Segundo paso del login: valida el código TOTP (o uno de recuperación) con el mismo
+ * bloqueo que la contraseña. Con `enroll` confirma el primer código de un enrolamiento
+ * obligatorio y devuelve además los códigos de recuperación.
+ */
+export async function completeSecondFactor({ mfaToken, code = null, recoveryCode = null, enroll = false, ip = null, userAgent = null }) {
+  const user = await getMfaTokenUser(mfaToken);
+  const attempt = { username: user.username, ip, userAgent };
+  const failure = { ...attempt, userId: user.id, success: false };
+
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    await recordLoginAttempt({ ...failure, reason: 'LOCKED' });
+    throw loginError(423, lockMessage(user.lockedUntil), secondsUntil(user.lockedUntil));
+  }
+
+  let recoveryCodes = null;
+  let ok;
+  if (enroll) {
+    recoveryCodes = await confirmTotpSetup(user.id, code);
+    ok = !!recoveryCodes;
+  } else {
+    if (!user.totpEnabledAt) throw loginError(400, 'Debe configurar la verificación en dos pasos');
+    ok = await verifySecondFactor(user, { code, recoveryCode });
+  }
+
+  if (!ok) {
+    await recordLoginAttempt({ ...failure, reason: 'INVALID_TOTP' });
+    const lockedUntil = await registerFailedLogin(user);
+    if (lockedUntil) throw loginError(423, lockMessage(lockedUntil), secondsUntil(lockedUntil));
+    throw loginError(401, 'Código de verificación incorrecto');
+  }
+
+  await completeLogin(user, attempt);
+  return { user, recoveryCodes };
+}
+
+/**
+ * Auditoría de intentos de login, del más reciente al más antiguo
+ */
+export async function listLoginAttempts({ username = null, ip = null, success = null, from = null, to = null, limit = 200 } = {}) {
+  return prisma.loginAttempt.findMany({
+    where: {
+      ...(username ? { username } : {}),
+      ...(ip ? { ip } : {}),
+      ...(success !== null ? { success } : {}),
+      ...(from || to
+        ? { createdAt: { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) } }
+        : {}),
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+}
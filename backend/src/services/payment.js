@@ -1,5 +1,8 @@
 import { PrismaClient } from '@prisma/client';
 import { addCashMovement, validateChangeAvailable } from './cashService.js';
+import { assertLoanAcceptsPayments, refreshLoanStatus } from './loanStatus.js';
+import { DEFAULT_LATE_FEE_POLICY, getLoanLateFeePolicy } from './lateFeePolicy.js';
+import { assignReceiptNumber } from './receiptSeries.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
@@ -61,15 +64,24 @@ export function applyRounding(amount) {
 }
 
 /**
- * Calcula la mora para una cuota específica.
- * Mora = 1% de la cuota, fija, se aplica UNA SOLA VEZ cuando vence
- * - No aumenta aunque pasen más meses sin pagar
- * - Si se hace CUALQUIER pago después del vencimiento, la mora se cancela/reinicia a 0
+ * Calcula la mora para una cuota específica según la política de mora del préstamo
+ * (LateFeePolicy; sin política se usan las reglas históricas: 1% al vencer y 1% compuesto
+ * cada 30 días).
+ * Se toma schedule.dueDate, que ya es el vencimiento corrido al siguiente día hábil
+ * (fines de semana/feriados) cuando el préstamo lo define; originalDueDate es solo referencial.
+ * - La mora empieza a correr al terminar los días de gracia (graceDays) desde el vencimiento;
+ *   lo pagado hasta entonces no genera mora
+ * - Al entrar en mora: cargo fijo (flatFee) + initialRate sobre lo vencido
+ * - Cada periodDays: periodicRate sobre lo vencido (más la mora acumulada si es compuesta)
+ * - Cada día: dailyRate sobre lo vencido (interés moratorio simple)
+ * - La mora acumulada no supera capAmount ni capRate * cuota
  * - El saldo pendiente después de un pago parcial es solo lo que falta de la cuota (sin mora)
  */
-export function calculateInstallmentLateFee(schedule, payments) {
-  const today = dayjs.tz(new Date(), TZ);
+export function calculateInstallmentLateFee(schedule, payments, { asOf = new Date(), policy = DEFAULT_LATE_FEE_POLICY } = {}) {
+  const today = dayjs.tz(asOf, TZ);
   const dueDate = dayjs.tz(schedule.dueDate, TZ);
+  // Inicio de la mora: vencimiento + días de gracia
+  const lateFeeStart = dueDate.add(policy.graceDays || 0, 'day');
   const installmentAmount = Number(schedule.installmentAmount);
   const paymentsForInstallment = (payments || []).filter(p => p.installmentId === schedule.id);
 
@@ -85,87 +97,90 @@ export function calculateInstallmentLateFee(schedule, payments) {
     (sum, p) => sum + Number(p.lateFeePaid || 0),
     0
   );
+  // El interés condonado en una cancelación anticipada cuenta como cubierto
+  const totalInterestRebate = paymentsForInstallment.reduce(
+    (sum, p) => sum + Number(p.interestRebate || 0),
+    0
+  );
 
-  const remainingInstallment = Math.max(0, round2(installmentAmount - (totalPrincipalPaid + totalInterestPaid)));
+  const remainingInstallment = Math.max(
+    0,
+    round2(installmentAmount - (totalPrincipalPaid + totalInterestPaid + totalInterestRebate))
+  );
 
-  // Si aun no vence, no se aplica mora
-  if (today.isBefore(dueDate) || today.isSame(dueDate, 'day')) {
+  // Si aun no vence (o sigue en gracia), no se aplica mora
+  if (!today.isAfter(lateFeeStart, 'day')) {
     return { hasLateFee: false, lateFeeAmount: 0, remainingInstallment, pendingTotal: remainingInstallment };
   }
 
-  // ESTÁ VENCIDA - Calcular mora
-  // Mora compuesta: se acumula cada mes (o cada 30 días)
-  
-  const paymentsAfterDue = paymentsForInstallment
-    .filter(p => dayjs.tz(p.paymentDate, TZ).isAfter(dueDate))
+  // ESTÁ EN MORA - Calcular según la política
+  const paymentsAfterStart = paymentsForInstallment
+    .filter(p => dayjs.tz(p.paymentDate, TZ).isAfter(lateFeeStart))
     .sort((a, b) => dayjs.tz(a.paymentDate, TZ).valueOf() - dayjs.tz(b.paymentDate, TZ).valueOf());
 
-  const paidOnOrBeforeDue = paymentsForInstallment
-    .filter(p => !dayjs.tz(p.paymentDate, TZ).isAfter(dueDate))
+  const paidOnOrBeforeStart = paymentsForInstallment
+    .filter(p => !dayjs.tz(p.paymentDate, TZ).isAfter(lateFeeStart))
     .reduce(
       (sum, p) =>
         sum +
         Number(p.principalPaid || 0) +
         Number(p.interestPaid || 0) +
-        Number(p.lateFeePaid || 0),
+        Number(p.lateFeePaid || 0) +
+        Number(p.interestRebate || 0),
       0
     );
 
-  let outstanding = Math.max(0, round2(installmentAmount - paidOnOrBeforeDue));
+  let outstanding = Math.max(0, round2(installmentAmount - paidOnOrBeforeStart));
   let accruedLateFee = 0;
-  
+  let dailyLateFee = 0; // Interés moratorio diario sin redondear
+
   const applyPayment = (payment) => {
     const paidTotal =
       Number(payment.principalPaid || 0) +
       Number(payment.interestPaid || 0) +
-      Number(payment.lateFeePaid || 0);
+      Number(payment.lateFeePaid || 0) +
+      Number(payment.interestRebate || 0);
     outstanding = Math.max(0, round2(outstanding - paidTotal));
   };
 
-  // Mora acumulativa compuesta: se aplica inmediatamente al pasar la fecha de vencimiento,
-  // luego cada 30 días se aplica 1% adicional sobre el total acumulado
-  let cursor = dueDate.clone();
-  let idx = 0;
-  
-  // PRIMERA MORA: Se aplica inmediatamente al pasar la fecha de vencimiento
+  // Entrada en mora (día 1 de atraso): cargo fijo + % inicial
   if (outstanding > OUTSTANDING_TOLERANCE) {
-    // Primera aplicación de mora (día 1 de atraso)
     const currentTotal = round2(outstanding + accruedLateFee);
-    const lateFeeDay1 = round2(currentTotal * 0.01);
-    accruedLateFee = round2(accruedLateFee + lateFeeDay1);
+    accruedLateFee = round2(accruedLateFee + Number(policy.flatFee || 0) + round2(currentTotal * Number(policy.initialRate || 0)));
   }
-  
-  // MORA ADICIONAL: Cada 30 días posteriores se aplica 1% más
-  while (true) {
-    const nextBoundary = cursor.clone().add(30, 'days');
-    
-    // Si el siguiente período está en el futuro, terminar
-    if (nextBoundary.isAfter(today)) {
-      break;
-    }
-    
-    // Aplicar pagos hasta este punto
-    while (idx < paymentsAfterDue.length) {
-      const paymentDate = dayjs.tz(paymentsAfterDue[idx].paymentDate, TZ);
-      if (paymentDate.isAfter(nextBoundary)) break;
-      applyPayment(paymentsAfterDue[idx]);
+
+  // Recorrido día a día: los pagos de cada día se aplican antes de calcular la mora de ese día
+  const daysLate = today.startOf('day').diff(lateFeeStart.startOf('day'), 'day');
+  let idx = 0;
+  for (let day = 1; day <= daysLate; day += 1) {
+    const boundary = lateFeeStart.add(day, 'day');
+
+    while (idx < paymentsAfterStart.length) {
+      const paymentDate = dayjs.tz(paymentsAfterStart[idx].paymentDate, TZ);
+      if (paymentDate.isAfter(boundary)) break;
+      applyPayment(paymentsAfterStart[idx]);
       idx += 1;
     }
 
-    // Si hay saldo pendiente, aplicar 1% de mora sobre el total acumulado
-    if (outstanding > OUTSTANDING_TOLERANCE) {
-      const currentTotal = round2(outstanding + accruedLateFee);
-      const lateFeeThisMonth = round2(currentTotal * 0.01);
-      accruedLateFee = round2(accruedLateFee + lateFeeThisMonth);
+    if (outstanding <= OUTSTANDING_TOLERANCE) continue;
+
+    if (policy.dailyRate > 0) {
+      dailyLateFee += outstanding * policy.dailyRate;
     }
 
-    cursor = nextBoundary;
+    if (policy.periodDays > 0 && policy.periodicRate > 0 && day % policy.periodDays === 0) {
+      const base = policy.compounding ? round2(outstanding + accruedLateFee + dailyLateFee) : outstanding;
+      accruedLateFee = round2(accruedLateFee + round2(base * policy.periodicRate));
+    }
   }
 
-  // Aplicar pagos finales después del último período
-  while (idx < paymentsAfterDue.length) {
-    applyPayment(paymentsAfterDue[idx]);
-    idx += 1;
+  accruedLateFee = round2(accruedLateFee + dailyLateFee);
+
+  // Tope de mora por cuota
+  const caps = [policy.capAmount, policy.capRate !== null && policy.capRate !== undefined ? installmentAmount * policy.capRate : null]
+    .filter(c => c !== null && c !== undefined);
+  if (caps.length > 0) {
+    accruedLateFee = Math.min(accruedLateFee, round2(Math.min(...caps)));
   }
 
   const lateFeeOutstanding = Math.max(0, round2(accruedLateFee - totalLateFeePaid));
@@ -174,41 +189,168 @@ export function calculateInstallmentLateFee(schedule, payments) {
   return {
     hasLateFee: lateFeeOutstanding > OUTSTANDING_TOLERANCE,
     lateFeeAmount: lateFeeOutstanding,
+    accruedLateFee, // Mora total generada (antes de descontar lo pagado)
     remainingInstallment,
     pendingTotal,
   };
 }
 
 /**
- * Calcula la mora para un préstamo completo con mora acumulativa mensual
+ * Mora de una cuota según los registros LateFee persistidos por el devengo diario
+ * (services/lateFeeAccrual.js). Mismo formato que calculateInstallmentLateFee, pero la mora
+ * es la suma de lo devengado menos lo pagado y lo condonado (solo condonaciones aprobadas),
+ * así no cambia entre consultas del mismo día.
+ */
+export function getAccruedInstallmentLateFee(schedule, payments, lateFees, waivers = []) {
+  const paymentsForInstallment = (payments || []).filter(p => p.installmentId === schedule.id);
+  const covered = paymentsForInstallment.reduce(
+    (sum, p) => sum + Number(p.principalPaid || 0) + Number(p.interestPaid || 0) + Number(p.interestRebate || 0),
+    0
+  );
+  const remainingInstallment = Math.max(0, round2(Number(schedule.installmentAmount) - covered));
+
+  const accruedLateFee = round2(
+    (lateFees || [])
+      .filter(f => f.installmentId === schedule.id)
+      .reduce((sum, f) => sum + Number(f.feeAmount || 0), 0)
+  );
+  const lateFeePaid = paymentsForInstallment.reduce((sum, p) => sum + Number(p.lateFeePaid || 0), 0);
+  const lateFeeWaived = getApprovedWaivedAmount(waivers, schedule.id);
+  const lateFeeOutstanding = Math.max(0, round2(accruedLateFee - lateFeePaid - lateFeeWaived));
+
+  return {
+    hasLateFee: lateFeeOutstanding > OUTSTANDING_TOLERANCE,
+    lateFeeAmount: lateFeeOutstanding,
+    accruedLateFee,
+    lateFeeWaived,
+    remainingInstallment,
+    pendingTotal: round2(remainingInstallment + lateFeeOutstanding),
+  };
+}
+
+/**
+ * Mora condonada (condonaciones aprobadas) de una cuota
+ */
+export function getApprovedWaivedAmount(waivers, installmentId) {
+  return round2(
+    (waivers || [])
+      .filter(w => w.installmentId === installmentId && w.status === 'APPROVED')
+      .reduce((sum, w) => sum + Number(w.amount || 0), 0)
+  );
+}
+
+/**
+ * Totales programados del préstamo. Las cuotas reemplazadas por una reprogramación
+ * o un prepago solo aportan lo que efectivamente se pagó en ellas (su saldo ya forma
+ * parte del nuevo cronograma), el capital prepagado se suma aparte y el interés
+ * condonado no se cobra, así total - pagado sigue siendo el saldo vigente.
+ */
+export function getScheduledTotals(schedules, payments) {
+  const active = schedules.filter(s => !s.supersededAt);
+  const supersededIds = new Set(schedules.filter(s => s.supersededAt).map(s => s.id));
+  const paidOnSuperseded = payments.filter(p => supersededIds.has(p.installmentId));
+  const supersededPrincipal = paidOnSuperseded.reduce((sum, p) => sum + Number(p.principalPaid || 0), 0);
+  const supersededInterest = paidOnSuperseded.reduce((sum, p) => sum + Number(p.interestPaid || 0), 0);
+
+  // El interés condonado por cancelación anticipada deja de formar parte de la deuda
+  const interestRebate = payments.reduce((sum, p) => sum + Number(p.interestRebate || 0), 0);
+  // Los prepagos parciales amortizan capital fuera de las cuotas
+  const prepaidPrincipal = payments
+    .filter(p => p.prepaymentId)
+    .reduce((sum, p) => sum + Number(p.principalPaid || 0), 0);
+
+  return {
+    activeSchedules: active,
+    totalDebt: active.reduce((sum, s) => sum + Number(s.installmentAmount), 0) + supersededPrincipal + supersededInterest + prepaidPrincipal - interestRebate,
+    totalPrincipal: round2(active.reduce((sum, s) => sum + Number(s.principalAmount), 0) + supersededPrincipal + prepaidPrincipal),
+    totalInterest: active.reduce((sum, s) => sum + Number(s.interestAmount), 0) + supersededInterest - interestRebate,
+  };
+}
+
+/**
+ * Mora de un préstamo según los registros LateFee devengados
  */
 export async function calculateLateFees(loanId) {
   const loan = await prisma.loan.findUnique({
     where: { id: loanId },
     include: {
-      schedules: { orderBy: { installmentNumber: 'asc' } },
-      payments: { orderBy: { paymentDate: 'asc' } },
-      lateFees: true,
+      schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+      payments: { where: { voidedAt: null }, orderBy: { paymentDate: 'asc' } },
+      lateFees: { orderBy: { periodDate: 'asc' } },
+      lateFeeWaivers: true,
     },
   });
 
   if (!loan) throw new Error('Préstamo no encontrado');
 
   const installmentLateFees = loan.schedules.map(schedule =>
-    calculateInstallmentLateFee(schedule, loan.payments)
+    getAccruedInstallmentLateFee(schedule, loan.payments, loan.lateFees, loan.lateFeeWaivers)
   );
 
   const totalLateFee = round2(
     installmentLateFees.reduce((sum, info) => sum + Number(info.lateFeeAmount || 0), 0)
   );
 
-  // Se retorna vacío para evitar crear registros de mora persistentes; se calcula en línea
   return {
-    lateFees: [],
+    lateFees: loan.lateFees,
     totalLateFee,
   };
 }
 
+/**
+ * Marca como pagados los registros de mora de una cuota, en orden de devengo,
+ * hasta donde alcance la mora pagada o condonada en la cuota
+ */
+export async function markLateFeesPaid(tx, installmentId) {
+  const [fees, payments, waivers] = await Promise.all([
+    tx.lateFee.findMany({ where: { installmentId }, orderBy: { periodDate: 'asc' } }),
+    tx.payment.findMany({ where: { installmentId, voidedAt: null }, select: { lateFeePaid: true } }),
+    tx.lateFeeWaiver.findMany({ where: { installmentId, status: 'APPROVED' } }),
+  ]);
+  let available = payments.reduce((sum, p) => sum + Number(p.lateFeePaid || 0), 0)
+    + getApprovedWaivedAmount(waivers, installmentId);
+  for (const fee of fees) {
+    const feeAmount = Number(fee.feeAmount);
+    const covered = available >= feeAmount - OUTSTANDING_TOLERANCE;
+    if (covered !== fee.isPaid) {
+      await tx.lateFee.update({ where: { id: fee.id }, data: { isPaid: covered } });
+    }
+    available = round2(available - feeAmount);
+  }
+}
+
+/**
+ * Devuelve a pendiente una cuota pagada que dejó de estar saldada (pago anulado o devuelto).
+ * Recalcula la mora pagada y el saldo guardado vuelve a ser el del cronograma: capital de
+ * las cuotas vigentes posteriores.
+ */
+export async function reopenInstallment(tx, installmentId) {
+  await markLateFeesPaid(tx, installmentId);
+
+  const installment = await tx.paymentSchedule.findUnique({
+    where: { id: installmentId },
+    include: {
+      payments: { where: { voidedAt: null } },
+      lateFees: true,
+      lateFeeWaivers: true,
+    },
+  });
+  const info = getAccruedInstallmentLateFee(installment, installment.payments, installment.lateFees, installment.lateFeeWaivers);
+  if (!installment.isPaid || info.pendingTotal <= OUTSTANDING_TOLERANCE) return;
+
+  const later = await tx.paymentSchedule.findMany({
+    where: { loanId: installment.loanId, supersededAt: null, installmentNumber: { gt: installment.installmentNumber } },
+    select: { principalAmount: true },
+  });
+  await tx.paymentSchedule.update({
+    where: { id: installmentId },
+    data: {
+      isPaid: false,
+      remainingBalance: round2(later.reduce((sum, s) => sum + Number(s.principalAmount), 0)),
+    },
+  });
+}
+
 /**
  * Genera un número de recibo único
  */
@@ -258,14 +400,16 @@ async function buildAdvancePaymentContext({
   const loan = await prisma.loan.findUnique({
     where: { id: loanId },
     include: {
-      schedules: { orderBy: { installmentNumber: 'asc' } },
-      payments: true,
-      lateFees: { where: { isPaid: false }, orderBy: { createdAt: 'asc' } },
+      schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+      payments: { where: { voidedAt: null } },
+      lateFees: { orderBy: { periodDate: 'asc' } },
+      lateFeeWaivers: true,
       client: true,
     },
   });
 
   if (!loan) throw new Error('PrГ©stamo no encontrado');
+  assertLoanAcceptsPayments(loan);
 
   const selectedInstallments = loan.schedules.filter(s => normalizedInstallmentIds.includes(s.id));
   if (selectedInstallments.length !== normalizedInstallmentIds.length) {
@@ -287,7 +431,7 @@ async function buildAdvancePaymentContext({
 
       if (prevInstallment.isPaid === false) {
         const paymentsForPrevious = loan.payments.filter(p => p.installmentId === prevInstallment.id);
-        const lateFeeInfo = calculateInstallmentLateFee(prevInstallment, paymentsForPrevious);
+        const lateFeeInfo = getAccruedInstallmentLateFee(prevInstallment, paymentsForPrevious, loan.lateFees, loan.lateFeeWaivers);
         const previousOutstanding = Number(lateFeeInfo.pendingTotal || 0);
 
         if (previousOutstanding > OUTSTANDING_TOLERANCE) {
@@ -302,7 +446,7 @@ async function buildAdvancePaymentContext({
   let totalOwed = 0;
   for (const installment of selectedInstallments) {
     const paymentsForInstallment = loan.payments.filter(p => p.installmentId === installment.id);
-    const lateFeeInfo = calculateInstallmentLateFee(installment, paymentsForInstallment);
+    const lateFeeInfo = getAccruedInstallmentLateFee(installment, paymentsForInstallment, loan.lateFees, loan.lateFeeWaivers);
     const pendingTotal = Number(lateFeeInfo.pendingTotal || 0);
     totalOwed += pendingTotal;
   }
@@ -446,10 +590,10 @@ export async function registerAdvancePayment({
           : receiptNumberBase;
 
       const paymentsForInstallment = await tx.payment.findMany({
-        where: { installmentId: installment.id },
+        where: { installmentId: installment.id, voidedAt: null },
       });
 
-      const lateFeeInfo = calculateInstallmentLateFee(installment, paymentsForInstallment);
+      const lateFeeInfo = getAccruedInstallmentLateFee(installment, paymentsForInstallment, loan.lateFees, loan.lateFeeWaivers);
 
       let installmentInterestRemaining =
         Number(installment.interestAmount) -
@@ -547,24 +691,7 @@ export async function registerAdvancePayment({
         paymentsCreated.push(newPayment);
 
         if (installmentLateFeePaid > 0) {
-          let remainingLateFee = installmentLateFeePaid;
-          const lateFees = await tx.lateFee.findMany({
-            where: { loanId, isPaid: false },
-            orderBy: { createdAt: 'asc' },
-          });
-
-          for (const fee of lateFees) {
-            if (remainingLateFee <= 0) break;
-
-            const feeAmount = Number(fee.feeAmount);
-            if (remainingLateFee >= feeAmount) {
-              await tx.lateFee.update({
-                where: { id: fee.id },
-                data: { isPaid: true },
-              });
-              remainingLateFee = round2(remainingLateFee - feeAmount);
-            }
-          }
+          await markLateFeesPaid(tx, installment.id);
         }
       }
     }
@@ -572,11 +699,11 @@ export async function registerAdvancePayment({
     // Después de registrar todos los pagos, marcar las cuotas como pagadas si corresponde
     for (const installment of orderedInstallments) {
       const paymentsForInstallment = await tx.payment.findMany({
-        where: { installmentId: installment.id },
+        where: { installmentId: installment.id, voidedAt: null },
       });
 
       // Calcular el total pendiente de esta cuota
-      const lateFeeInfo = calculateInstallmentLateFee(installment, paymentsForInstallment);
+      const lateFeeInfo = getAccruedInstallmentLateFee(installment, paymentsForInstallment, loan.lateFees, loan.lateFeeWaivers);
       
       // Si no hay nada pendiente, marcar como pagada
       if (lateFeeInfo.remainingInstallment <= OUTSTANDING_TOLERANCE && 
@@ -588,6 +715,8 @@ export async function registerAdvancePayment({
       }
     }
 
+    await refreshLoanStatus(loanId, tx);
+
     if (paymentsCreated.length > 0) {
       return await tx.payment.findUnique({
         where: { id: paymentsCreated[0].id },
@@ -686,6 +815,7 @@ export async function registerPayment({
         installmentId,
         paymentMethod: 'EFECTIVO',
         amount: Number(amount),
+        voidedAt: null,
         // Buscar pagos creados en los últimos 60 segundos
         createdAt: {
           gte: new Date(Date.now() - 60000),
@@ -721,18 +851,18 @@ export async function registerPayment({
     where: { id: loanId },
     include: {
       schedules: { orderBy: { installmentNumber: 'asc' } },
-      payments: true,
-      lateFees: { where: { isPaid: false }, orderBy: { createdAt: 'asc' } },
+      payments: { where: { voidedAt: null } },
+      lateFees: { orderBy: { periodDate: 'asc' } },
+      lateFeeWaivers: true,
       client: true,
     },
   });
 
   if (!loan) throw new Error('Préstamo no encontrado');
+  assertLoanAcceptsPayments(loan);
 
   // Calcular totales (mora acumulativa 1% mensual sobre saldo vencido)
-  const totalDebt = loan.schedules.reduce((sum, s) => sum + Number(s.installmentAmount), 0);
-  const totalInterest = loan.schedules.reduce((sum, s) => sum + Number(s.interestAmount), 0);
-  const totalPrincipal = Number(loan.principal);
+  const { activeSchedules, totalDebt, totalInterest, totalPrincipal } = getScheduledTotals(loan.schedules, loan.payments);
   const totalPaidInterest = loan.payments.reduce((sum, p) => sum + Number(p.interestPaid || 0), 0);
   const totalPaidPrincipal = loan.payments.reduce((sum, p) => sum + Number(p.principalPaid || 0), 0);
 
@@ -740,7 +870,7 @@ export async function registerPayment({
   const pendingPrincipal = round2(totalPrincipal - totalPaidPrincipal);
   const pendingDebt = round2(totalDebt - (totalPaidInterest + totalPaidPrincipal));
 
-  const installmentLateFees = loan.schedules.map(s => calculateInstallmentLateFee(s, loan.payments));
+  const installmentLateFees = activeSchedules.map(s => getAccruedInstallmentLateFee(s, loan.payments, loan.lateFees, loan.lateFeeWaivers));
   const pendingLateFee = round2(
     installmentLateFees.reduce((sum, info) => sum + Number(info.lateFeeAmount || 0), 0)
   );
@@ -800,18 +930,18 @@ export async function registerPayment({
   // pero permitir pagar hasta el límite de deuda total pendiente
   let selectedInstallment = null;
   if (installmentId) {
-    selectedInstallment = loan.schedules.find(s => s.id === installmentId) || null;
+    selectedInstallment = activeSchedules.find(s => s.id === installmentId) || null;
     if (!selectedInstallment) {
       throw new Error('No se encontró la cuota seleccionada');
     }
 
     // Validar que todas las cuotas anteriores estén completamente pagadas (con tolerancia mínima)
-    const previousInstallments = loan.schedules.filter(s => s.installmentNumber < selectedInstallment.installmentNumber);
+    const previousInstallments = activeSchedules.filter(s => s.installmentNumber < selectedInstallment.installmentNumber);
     for (const prevInstallment of previousInstallments) {
       const paymentsForPrevious = loan.payments.filter(p => p.installmentId === prevInstallment.id);
       
       // Calcular lo que realmente falta pagar (usando calculateInstallmentLateFee que es la función correcta)
-      const lateFeeInfo = calculateInstallmentLateFee(prevInstallment, paymentsForPrevious);
+      const lateFeeInfo = getAccruedInstallmentLateFee(prevInstallment, paymentsForPrevious, loan.lateFees, loan.lateFeeWaivers);
       const previousOutstanding = Number(lateFeeInfo.pendingTotal || 0);
 
       if (previousOutstanding > OUTSTANDING_TOLERANCE) {
@@ -847,7 +977,7 @@ export async function registerPayment({
       round2(Number(selectedInstallment.interestAmount || 0) - interestPaidForInstallment)
     );
 
-    const installmentLateFeeInfo = calculateInstallmentLateFee(selectedInstallment, paymentsForInstallment);
+    const installmentLateFeeInfo = getAccruedInstallmentLateFee(selectedInstallment, paymentsForInstallment, loan.lateFees, loan.lateFeeWaivers);
     installmentPendingLateFee = Number(installmentLateFeeInfo.lateFeeAmount || 0);
   }
 
@@ -984,21 +1114,15 @@ export async function registerPayment({
 
     console.log('✅ Pago creado en BD:', { paymentId: newPayment.id, amount: paymentAmount });
 
+    if (receiptType) {
+      const numbered = await assignReceiptNumber(tx, newPayment.id);
+      newPayment.receiptSeries = numbered.receiptSeries;
+      newPayment.receiptCorrelative = numbered.receiptCorrelative;
+    }
+
     // 2. Marcar moras como pagadas si corresponde
-    if (lateFeePaid > 0) {
-      let remainingLateFee = lateFeePaid;
-      for (const fee of loan.lateFees) {
-        if (remainingLateFee <= 0) break;
-        
-        const feeAmount = Number(fee.feeAmount);
-        if (remainingLateFee >= feeAmount) {
-          await tx.lateFee.update({
-            where: { id: fee.id },
-            data: { isPaid: true },
-          });
-          remainingLateFee = round2(remainingLateFee - feeAmount);
-        }
-      }
+    if (lateFeePaid > 0 && installmentId) {
+      await markLateFeesPaid(tx, installmentId);
     }
 
     // 3. Solo verificar estado de la cuota (se marca como pagada al guardar el comprobante)
@@ -1012,11 +1136,11 @@ export async function registerPayment({
       if (installment) {
         const installmentAmount = Number(installment.installmentAmount);
         const allPaymentsForInstallment = await tx.payment.findMany({
-          where: { installmentId },
+          where: { installmentId, voidedAt: null },
         });
 
         const totalPaid = allPaymentsForInstallment.reduce((sum, p) => sum + Number(p.amount), 0);
-        const lateFeeDetails = calculateInstallmentLateFee(installment, allPaymentsForInstallment);
+        const lateFeeDetails = getAccruedInstallmentLateFee(installment, allPaymentsForInstallment, loan.lateFees, loan.lateFeeWaivers);
         const outstandingInstallment = Number(lateFeeDetails.remainingInstallment || 0);
         const outstandingLateFee = Number(lateFeeDetails.lateFeeAmount || 0);
         const outstandingAmount = Number(
@@ -1059,6 +1183,8 @@ export async function registerPayment({
       console.log('?? No se proporcion? installmentId');
     }
 
+    await refreshLoanStatus(loanId, tx);
+
     return newPayment;
   });
 
@@ -1108,6 +1234,7 @@ export async function getLoanStatement(loanId) {
   const loan = await prisma.loan.findUnique({
     where: { id: loanId },
     include: {
+      lateFeePolicy: true,
       client: true,
       schedules: { orderBy: { installmentNumber: 'asc' } },
       payments: { 
@@ -1118,33 +1245,81 @@ export async function getLoanStatement(loanId) {
               username: true,
             },
           },
+          voids: {
+            orderBy: { createdAt: 'asc' },
+            include: {
+              requestedBy: { select: { username: true } },
+              reviewedBy: { select: { username: true } },
+            },
+          },
         },
       },
-      lateFees: { orderBy: { createdAt: 'asc' } },
+      lateFees: { orderBy: { periodDate: 'asc' } },
+      lateFeeWaivers: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          requestedBy: { select: { username: true } },
+          reviewedBy: { select: { username: true } },
+        },
+      },
+      reschedules: {
+        orderBy: { createdAt: 'asc' },
+        include: { createdBy: { select: { username: true } } },
+      },
+      prepayments: {
+        orderBy: { createdAt: 'asc' },
+        include: { registeredBy: { select: { username: true } } },
+      },
+      refunds: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          registeredBy: { select: { username: true } },
+          resolvedBy: { select: { username: true } },
+        },
+      },
+      creditNotes: {
+        orderBy: { id: 'asc' },
+        include: { issuedBy: { select: { username: true } } },
+      },
     },
   });
 
   if (!loan) throw new Error('Préstamo no encontrado');
 
+  // Las notas de crédito anulan comprobantes, no movimientos: no cambian los saldos
+  const totalCredited = round2(loan.creditNotes.reduce((sum, n) => sum + Number(n.amount), 0));
+  const creditedByReceipt = new Map();
+  for (const note of loan.creditNotes) {
+    const key = `${note.referenceSeries}-${note.referenceCorrelative}`;
+    creditedByReceipt.set(key, round2((creditedByReceipt.get(key) || 0) + Number(note.amount)));
+  }
+
+  // Los pagos anulados se listan pero no cuentan en los saldos
+  const payments = loan.payments.filter(p => !p.voidedAt);
+
   // Calcular totales con mora acumulativa
-  const totalDebt = loan.schedules.reduce((sum, s) => sum + Number(s.installmentAmount), 0);
-  const totalPrincipal = Number(loan.principal);
-  const totalInterest = loan.schedules.reduce((sum, s) => sum + Number(s.interestAmount), 0);
-
-  // Calcular pagado
-  const totalPaid = loan.payments.reduce((sum, p) => sum + Number(p.amount), 0);
-  const principalPaid = loan.payments.reduce((sum, p) => sum + Number(p.principalPaid || 0), 0);
-  const interestPaid = loan.payments.reduce((sum, p) => sum + Number(p.interestPaid || 0), 0);
-  const lateFeePaid = loan.payments.reduce((sum, p) => sum + Number(p.lateFeePaid || 0), 0);
-
-  const installmentLateFees = loan.schedules.map(schedule => {
-    const paymentsForSchedule = loan.payments.filter(p => p.installmentId === schedule.id);
-    return calculateInstallmentLateFee(schedule, paymentsForSchedule);
+  const { activeSchedules, totalDebt, totalPrincipal, totalInterest } = getScheduledTotals(loan.schedules, payments);
+
+  // Calcular pagado (neto de devoluciones; capital, interés y mora ya vienen netos en el pago)
+  const totalRefunded = round2(payments.reduce((sum, p) => sum + Number(p.refundedAmount || 0), 0));
+  const totalPaid = round2(payments.reduce((sum, p) => sum + Number(p.amount), 0) - totalRefunded);
+  const principalPaid = payments.reduce((sum, p) => sum + Number(p.principalPaid || 0), 0);
+  const interestPaid = payments.reduce((sum, p) => sum + Number(p.interestPaid || 0), 0);
+  const lateFeePaid = payments.reduce((sum, p) => sum + Number(p.lateFeePaid || 0), 0);
+
+  const installmentLateFees = activeSchedules.map(schedule => {
+    const paymentsForSchedule = payments.filter(p => p.installmentId === schedule.id);
+    return getAccruedInstallmentLateFee(schedule, paymentsForSchedule, loan.lateFees, loan.lateFeeWaivers);
   });
 
   const outstandingLateFee = round2(
     installmentLateFees.reduce((sum, info) => sum + Number(info.lateFeeAmount || 0), 0)
   );
+  const lateFeeWaived = round2(
+    loan.lateFeeWaivers
+      .filter(w => w.status === 'APPROVED')
+      .reduce((sum, w) => sum + Number(w.amount), 0)
+  );
 
   // Calcular pendiente
   const pendingPrincipal = round2(totalPrincipal - principalPaid);
@@ -1155,7 +1330,7 @@ export async function getLoanStatement(loanId) {
   const totalLateFee = round2(outstandingLateFee + lateFeePaid);
 
   // Recalcular remainingBalance para cada cuota dinámicamente basado en pagos reales
-  const scheduleWithCalculatedBalance = loan.schedules.map((schedule, idx) => {
+  const scheduleWithCalculatedBalance = activeSchedules.map((schedule, idx) => {
     const lateFeeInfo = installmentLateFees[idx];
     return {
       ...schedule,
@@ -1169,7 +1344,13 @@ export async function getLoanStatement(loanId) {
       principal: Number(loan.principal),
       interestRate: Number(loan.interestRate),
       termCount: loan.termCount,
+      amortizationType: loan.amortizationType,
+      frequency: loan.frequency,
+      dueDatePolicy: loan.dueDatePolicy,
+      dueDateShift: loan.dueDateShift,
+      status: loan.status,
       startDate: loan.startDate,
+      lateFeePolicy: getLoanLateFeePolicy(loan),
       client: loan.client,
     },
     totals: {
@@ -1178,16 +1359,28 @@ export async function getLoanStatement(loanId) {
       totalInterest,
       totalLateFee,
       totalPaid,
+      totalRefunded,
+      totalCredited,
       principalPaid,
       interestPaid,
       lateFeePaid,
+      lateFeeWaived,
       pendingTotal,
       pendingPrincipal,
       pendingInterest,
       pendingLateFee,
     },
     schedule: scheduleWithCalculatedBalance,
-    payments: loan.payments,
+    supersededSchedules: loan.schedules.filter(s => s.supersededAt),
+    reschedules: loan.reschedules,
+    prepayments: loan.prepayments,
+    payments: loan.payments.map(p => ({
+      ...p,
+      creditedAmount: p.receiptSeries ? creditedByReceipt.get(`${p.receiptSeries}-${p.receiptCorrelative}`) || 0 : 0,
+    })),
+    refunds: loan.refunds,
+    creditNotes: loan.creditNotes,
     lateFees: loan.lateFees,
+    lateFeeWaivers: loan.lateFeeWaivers,
   };
 }
@@ -0,0 +1,194 @@
+import { PrismaClient } from '@prisma/client';
+import { reopenInstallment } from './payment.js';
+import { refreshLoanStatus } from './loanStatus.js';
+import { withdrawCash } from './cashService.js';
+import { assertLoanBranchAccess, assertPaymentBranchAccess } from './branch.js';
+
+const prisma = new PrismaClient();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+const VOID_INCLUDE = {
+  payment: {
+    select: {
+      id: true,
+      loanId: true,
+      installmentId: true,
+      amount: true,
+      paymentMethod: true,
+      paymentDate: true,
+      receiptNumber: true,
+      receiptType: true,
+      voidedAt: true,
+      installment: { select: { id: true, installmentNumber: true, dueDate: true } },
+    },
+  },
+  requestedBy: { select: { id: true, username: true } },
+  reviewedBy: { select: { id: true, username: true } },
+};
+
+// Préstamos sobre los que ya no se revierte nada
+const CLOSED_LOAN_STATUSES = ['WRITTEN_OFF', 'CANCELLED'];
+
+// `branchId` undefined = todas las agencias, null = préstamos sin agencia
+export async function listPaymentVoids({ loanId = null, status = null, branchId } = {}) {
+  return prisma.paymentVoid.findMany({
+    where: {
+      payment: {
+        ...(loanId ? { loanId } : {}),
+        ...(branchId !== undefined ? { loan: { branchId } } : {}),
+      },
+      ...(status ? { status } : {}),
+    },
+    include: VOID_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Valida que el pago se pueda anular. Los pagos de una cancelación anticipada o de un
+ * prepago cambiaron el cronograma completo y no se revierten por esta vía.
+ */
+async function getVoidablePayment(client, paymentId) {
+  const payment = await client.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      loan: { select: { id: true, status: true } },
+      installment: { select: { id: true, supersededAt: true } },
+      refunds: { where: { status: { not: 'CANCELLED' } }, select: { id: true } },
+    },
+  });
+  if (!payment) throw notFound('Pago no encontrado');
+  if (payment.voidedAt) throw badRequest('El pago ya fue anulado');
+  if (payment.refunds.length > 0) {
+    throw badRequest('El pago tiene devoluciones registradas; no se puede anular');
+  }
+  if (payment.payoffId || payment.prepaymentId) {
+    throw badRequest('Los pagos de una cancelación anticipada o de un prepago no se pueden anular');
+  }
+  if (!payment.receiptType) {
+    throw badRequest('El pago aún no fue confirmado');
+  }
+  if (payment.installment && payment.installment.supersededAt) {
+    throw badRequest('La cuota del pago fue reemplazada por una reprogramación; no se puede anular');
+  }
+  if (CLOSED_LOAN_STATUSES.includes(payment.loan.status)) {
+    throw badRequest('El préstamo está cerrado y no admite anulaciones');
+  }
+  return payment;
+}
+
+/**
+ * Solicita anular un pago (queda pendiente de aprobación). Solo una solicitud pendiente por pago.
+ * `user` solo solicita sobre pagos de préstamos de su agencia.
+ */
+export async function requestPaymentVoid({ paymentId, reason, requestedByUserId, user }) {
+  const payment = await getVoidablePayment(prisma, paymentId);
+  await assertLoanBranchAccess(user, payment.loanId);
+
+  const pending = await prisma.paymentVoid.findFirst({ where: { paymentId, status: 'PENDING' } });
+  if (pending) throw badRequest('El pago ya tiene una solicitud de anulación pendiente');
+
+  return prisma.paymentVoid.create({
+    data: { paymentId, reason, requestedByUserId },
+    include: VOID_INCLUDE,
+  });
+}
+
+async function getPendingVoid(client, id, reviewedByUserId) {
+  const paymentVoid = await client.paymentVoid.findUnique({ where: { id } });
+  if (!paymentVoid) throw notFound('Solicitud de anulación no encontrada');
+  if (paymentVoid.status !== 'PENDING') {
+    throw badRequest('La solicitud de anulación ya fue revisada');
+  }
+  if (paymentVoid.requestedByUserId === reviewedByUserId) {
+    const err = new Error('Quien solicita la anulación no puede aprobarla ni rechazarla');
+    err.status = 403;
+    throw err;
+  }
+  return paymentVoid;
+}
+
+/**
+ * Caja donde sale el efectivo devuelto: la sesión abierta de quien aprueba. El saldo se valida al
+ * sacar el efectivo, dentro de la transacción de la aprobación.
+ */
+async function getRefundCashSession(userId) {
+  const session = await prisma.cashSession.findFirst({
+    where: { userId, isClosed: false },
+    select: { id: true },
+  });
+  if (!session) {
+    throw badRequest('Debe abrir una sesión de caja para devolver el efectivo del pago anulado');
+  }
+  return session;
+}
+
+/**
+ * Aprueba una anulación: marca el pago como anulado (la fila se conserva), reabre la cuota,
+ * recalcula la mora pagada y el estado del préstamo. Si el pago fue en efectivo registra un
+ * EGRESO por el monto cobrado en la caja abierta de quien aprueba (withdrawCash valida el saldo en
+ * la misma transacción). `user` solo aprueba pagos de préstamos de su agencia.
+ */
+export async function approvePaymentVoid(id, { reviewedByUserId, reviewNote = null, user }) {
+  const paymentVoid = await getPendingVoid(prisma, id, reviewedByUserId);
+  const payment = await getVoidablePayment(prisma, paymentVoid.paymentId);
+  await assertLoanBranchAccess(user, payment.loanId);
+  const amount = Number(payment.amount);
+  const cashSession = payment.paymentMethod === 'EFECTIVO'
+    ? await getRefundCashSession(reviewedByUserId)
+    : null;
+
+  await prisma.$transaction(async (tx) => {
+    await getPendingVoid(tx, id, reviewedByUserId);
+    await getVoidablePayment(tx, payment.id);
+
+    await tx.paymentVoid.update({
+      where: { id },
+      data: {
+        status: 'APPROVED',
+        reviewedByUserId,
+        reviewedAt: new Date(),
+        reviewNote,
+        cashSessionId: cashSession ? cashSession.id : null,
+      },
+    });
+    await tx.payment.update({ where: { id: payment.id }, data: { voidedAt: new Date() } });
+
+    if (payment.installmentId) {
+      await reopenInstallment(tx, payment.installmentId);
+    }
+    await refreshLoanStatus(payment.loanId, tx);
+
+    if (cashSession) {
+      await withdrawCash(tx, {
+        cashSessionId: cashSession.id,
+        amount,
+        description: `Anulación pago #${payment.id} (${payment.receiptNumber})`,
+        relatedPaymentId: payment.id,
+      });
+    }
+  });
+
+  return prisma.paymentVoid.findUnique({ where: { id }, include: VOID_INCLUDE });
+}
+
+export async function rejectPaymentVoid(id, { reviewedByUserId, reviewNote = null, user }) {
+  const paymentVoid = await getPendingVoid(prisma, id, reviewedByUserId);
+  await assertPaymentBranchAccess(user, paymentVoid.paymentId);
+  return prisma.paymentVoid.update({
+    where: { id },
+    data: { status: 'REJECTED', reviewedByUserId, reviewedAt: new Date(), reviewNote },
+    include: VOID_INCLUDE,
+  });
+}
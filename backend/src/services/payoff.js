@@ -0,0 +1,329 @@
+import { PrismaClient } from '@prisma/client';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { calculateInstallmentLateFee, getApprovedWaivedAmount, applyRounding, generateReceiptNumber } from './payment.js';
+import { assignReceiptNumber } from './receiptSeries.js';
+import { addCashMovement, validateChangeAvailable } from './cashService.js';
+import { assertLoanAcceptsPayments, refreshLoanStatus } from './loanStatus.js';
+import { getLoanLateFeePolicy } from './lateFeePolicy.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+const OUTSTANDING_TOLERANCE = 0.05;
+
+const prisma = new PrismaClient();
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sumPayments(payments, field) {
+  return payments.reduce((sum, p) => sum + Number(p[field] || 0), 0);
+}
+
+/**
+ * Cotización de cancelación anticipada a una fecha (Ley 29571: al pagar por adelantado
+ * no se cobran los intereses de los periodos futuros).
+ * Por cada cuota pendiente:
+ * - Capital: lo que falta de su capital
+ * - Interés: completo si ya venció; prorrateado por días si la fecha cae dentro de su periodo;
+ *   cero si el periodo aún no empieza. La diferencia es el interés condonado (interestRebate).
+ * - Mora: la devengada pendiente (descontando condonaciones aprobadas); para fechas futuras
+ *   se proyecta con la política del préstamo
+ */
+export async function getPayoffQuote(loanId, date = new Date()) {
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    include: {
+      schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+      payments: { where: { voidedAt: null } },
+      reschedules: true,
+      lateFeePolicy: true,
+      lateFees: true,
+      lateFeeWaivers: true,
+    },
+  });
+
+  if (!loan) {
+    const err = new Error('Préstamo no encontrado');
+    err.status = 404;
+    throw err;
+  }
+
+  const asOf = dayjs.tz(date, TZ).startOf('day');
+  const installments = [];
+
+  loan.schedules.forEach((schedule, idx) => {
+    if (schedule.isPaid) return;
+
+    // Inicio del periodo: vencimiento de la cuota anterior del mismo cronograma,
+    // o la fecha de inicio del préstamo / de la reprogramación
+    const previous = loan.schedules[idx - 1];
+    let periodStart;
+    if (previous && previous.rescheduleId === schedule.rescheduleId) {
+      periodStart = dayjs.tz(previous.dueDate, TZ).startOf('day');
+    } else {
+      const reschedule = loan.reschedules.find(r => r.id === schedule.rescheduleId);
+      periodStart = dayjs.tz(reschedule ? reschedule.startDate : loan.startDate, TZ).startOf('day');
+    }
+    const dueDate = dayjs.tz(schedule.dueDate, TZ).startOf('day');
+
+    const paymentsForInstallment = loan.payments.filter(p => p.installmentId === schedule.id);
+    const principalPending = Math.max(0, round2(Number(schedule.principalAmount) - sumPayments(paymentsForInstallment, 'principalPaid')));
+    const interestCovered = sumPayments(paymentsForInstallment, 'interestPaid') + sumPayments(paymentsForInstallment, 'interestRebate');
+    const interestPending = Math.max(0, round2(Number(schedule.interestAmount) - interestCovered));
+
+    let interestAccrued;
+    if (!asOf.isBefore(dueDate)) {
+      interestAccrued = interestPending;
+    } else if (!asOf.isAfter(periodStart)) {
+      interestAccrued = 0;
+    } else {
+      const periodDays = Math.max(1, dueDate.diff(periodStart, 'day'));
+      const elapsedDays = asOf.diff(periodStart, 'day');
+      const earned = round2(Number(schedule.interestAmount) * elapsedDays / periodDays);
+      interestAccrued = Math.min(interestPending, Math.max(0, round2(earned - interestCovered)));
+    }
+
+    // Lo devengado manda; si la fecha es posterior al último devengo se usa la proyección
+    const accrued = loan.lateFees
+      .filter(f => f.installmentId === schedule.id)
+      .reduce((sum, f) => sum + Number(f.feeAmount), 0);
+    const projected = calculateInstallmentLateFee(schedule, paymentsForInstallment, {
+      asOf: asOf.endOf('day').toDate(),
+      policy: getLoanLateFeePolicy(loan),
+    }).accruedLateFee;
+    const lateFeePending = Math.max(0, round2(
+      Math.max(accrued, projected)
+      - sumPayments(paymentsForInstallment, 'lateFeePaid')
+      - getApprovedWaivedAmount(loan.lateFeeWaivers, schedule.id)
+    ));
+
+    installments.push({
+      id: schedule.id,
+      installmentNumber: schedule.installmentNumber,
+      dueDate: schedule.dueDate,
+      principal: principalPending,
+      interestAccrued,
+      interestRebate: round2(interestPending - interestAccrued),
+      lateFee: lateFeePending,
+    });
+  });
+
+  const principal = round2(installments.reduce((sum, i) => sum + i.principal, 0));
+  const accruedInterest = round2(installments.reduce((sum, i) => sum + i.interestAccrued, 0));
+  const interestRebate = round2(installments.reduce((sum, i) => sum + i.interestRebate, 0));
+  const lateFee = round2(installments.reduce((sum, i) => sum + i.lateFee, 0));
+
+  return {
+    loanId: loan.id,
+    status: loan.status,
+    date: asOf.format('YYYY-MM-DD'),
+    principal,
+    accruedInterest,
+    interestRebate,
+    lateFee,
+    total: round2(principal + accruedInterest + lateFee),
+    installments,
+  };
+}
+
+/**
+ * Registra la cancelación anticipada del préstamo a la fecha actual.
+ * Cobra la cotización del día, crea un Payment por cuota pendiente (con el interés
+ * condonado en interestRebate), marca las cuotas como pagadas y el préstamo pasa a PAID_OFF.
+ */
+export async function registerPayoffPayment({
+  loanId,
+  paymentMethod,
+  registeredByUserId,
+  cashSessionId,
+  externalReference,
+  receiptType = 'BOLETA',
+  invoiceRuc = null,
+  invoiceBusinessName = null,
+  invoiceAddress = null,
+  amountGiven = null,
+  change = null,
+}) {
+  if (!cashSessionId) {
+    throw new Error('Debe abrir una sesión de caja antes de registrar pagos');
+  }
+
+  const cashSession = await prisma.cashSession.findUnique({
+    where: { id: Number(cashSessionId) },
+    select: { id: true, isClosed: true, userId: true },
+  });
+
+  if (!cashSession) {
+    throw new Error('Sesión de caja no encontrada');
+  }
+
+  if (cashSession.isClosed) {
+    throw new Error('La sesión de caja está cerrada. Abra una nueva antes de registrar pagos');
+  }
+
+  if (cashSession.userId !== registeredByUserId) {
+    throw new Error('La sesión de caja abierta pertenece a otro usuario');
+  }
+
+  const quote = await getPayoffQuote(loanId);
+  assertLoanAcceptsPayments(quote);
+
+  if (quote.installments.length === 0 || quote.total <= OUTSTANDING_TOLERANCE) {
+    throw badRequest('El préstamo ya está completamente pagado');
+  }
+
+  let paymentAmount = quote.total;
+  let roundingAdjustment = 0;
+  let cashAmountGiven = amountGiven !== null && amountGiven !== undefined ? Number(amountGiven) : null;
+  let cashChange = change !== null && change !== undefined ? Number(change) : null;
+
+  if (paymentMethod === 'EFECTIVO') {
+    const roundedAmount = applyRounding(paymentAmount);
+    roundingAdjustment = round2(roundedAmount - paymentAmount);
+    paymentAmount = roundedAmount;
+
+    if (cashAmountGiven === null) {
+      cashAmountGiven = paymentAmount;
+    }
+    const expectedChange = round2(cashAmountGiven - paymentAmount);
+    if (expectedChange < -OUTSTANDING_TOLERANCE) {
+      throw new Error('El monto entregado es menor al monto a pagar');
+    }
+    cashChange = Math.max(0, expectedChange);
+    if (change !== null && change !== undefined && Math.abs(cashChange - Number(change)) > 0.05) {
+      throw new Error('El vuelto indicado no coincide con el monto entregado');
+    }
+
+    if (cashChange > 0) {
+      const validation = await validateChangeAvailable(Number(cashSessionId), cashChange);
+      if (!validation.available) {
+        throw new Error(
+          `No hay efectivo suficiente en caja para dar vuelto. Disponible: S/ ${validation.currentBalance.toFixed(2)}`
+        );
+      }
+    }
+  }
+
+  const receiptNumber = generateReceiptNumber();
+  const paymentDate = new Date();
+
+  let firstPaymentId = null;
+  const payoff = await prisma.$transaction(async (tx) => {
+    const created = await tx.loanPayoff.create({
+      data: {
+        loanId,
+        registeredByUserId,
+        cashSessionId: Number(cashSessionId),
+        paymentMethod,
+        principalAmount: quote.principal,
+        accruedInterest: quote.accruedInterest,
+        interestRebate: quote.interestRebate,
+        lateFeeAmount: quote.lateFee,
+        roundingAdjustment,
+        totalAmount: paymentAmount,
+        receiptNumber,
+      },
+    });
+
+    for (let i = 0; i < quote.installments.length; i += 1) {
+      const installment = quote.installments[i];
+      const isFirst = i === 0;
+      // El redondeo, el efectivo entregado y el vuelto se registran en la primera fila
+      const newPayment = await tx.payment.create({
+        data: {
+          loanId,
+          installmentId: installment.id,
+          payoffId: created.id,
+          registeredByUserId,
+          amount: round2(installment.principal + installment.interestAccrued + installment.lateFee + (isFirst ? roundingAdjustment : 0)),
+          amountGiven: isFirst ? cashAmountGiven : null,
+          change: isFirst ? cashChange : null,
+          paymentMethod,
+          principalPaid: installment.principal,
+          interestPaid: installment.interestAccrued,
+          lateFeePaid: installment.lateFee,
+          interestRebate: installment.interestRebate,
+          roundingAdjustment: isFirst ? roundingAdjustment : 0,
+          externalReference,
+          receiptNumber: `${receiptNumber}-${i + 1}`,
+          receiptType,
+          invoiceRuc,
+          invoiceBusinessName,
+          invoiceAddress,
+          cashSessionId: Number(cashSessionId),
+          paymentDate,
+        },
+      });
+      if (isFirst) {
+        firstPaymentId = newPayment.id;
+        await assignReceiptNumber(tx, newPayment.id);
+      }
+
+      await tx.paymentSchedule.update({
+        where: { id: installment.id },
+        data: { isPaid: true, remainingBalance: 0 },
+      });
+    }
+
+    await refreshLoanStatus(loanId, tx);
+
+    return created;
+  });
+
+  if (paymentMethod === 'EFECTIVO') {
+    await addCashMovement({
+      cashSessionId: Number(cashSessionId),
+      movementType: 'RECAUDACION',
+      amount: paymentAmount,
+      description: `Cancelación anticipada préstamo #${loanId}`,
+      relatedPaymentId: firstPaymentId,
+    });
+
+    if (cashChange && cashChange > 0) {
+      await addCashMovement({
+        cashSessionId: Number(cashSessionId),
+        movementType: 'VUELTO',
+        amount: cashChange,
+        description: `Vuelto cancelación anticipada #${payoff.id}`,
+        relatedPaymentId: firstPaymentId,
+      });
+    }
+  }
+
+  return getPayoff(payoff.id);
+}
+
+/**
+ * Obtiene una cancelación anticipada con sus pagos por cuota
+ */
+export async function getPayoff(payoffId) {
+  const payoff = await prisma.loanPayoff.findUnique({
+    where: { id: payoffId },
+    include: {
+      loan: { include: { client: true } },
+      registeredBy: { select: { id: true, username: true } },
+      payments: {
+        include: { installment: true },
+        orderBy: { id: 'asc' },
+      },
+    },
+  });
+
+  if (!payoff) {
+    const err = new Error('Cancelación anticipada no encontrada');
+    err.status = 404;
+    throw err;
+  }
+
+  return payoff;
+}
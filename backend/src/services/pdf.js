@@ -4,13 +4,23 @@ import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
 import path from 'path';
 import fs from 'fs';
+import {
+  AMORTIZATION_LABELS,
+  PAYMENT_FREQUENCIES,
+  DUE_DATE_POLICY_LABELS,
+  DUE_DATE_SHIFT_LABELS,
+  termUnitLabel,
+} from './schedule.js';
+import { buildCostDisclosure } from './rates.js';
+import { formatReceiptNumber } from './receiptSeries.js';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 const TZ = 'America/Lima';
 
-// Escribe el contenido del PDF en un documento existente (no hace pipe ni end)
-export function buildSchedulePdf(doc, { client, loan, schedule, payments }) {
+// Escribe el contenido del PDF en un documento existente (no hace pipe ni end).
+// `company` son los datos de la empresa (services/companySettings.js), igual en todos los PDF.
+export function buildSchedulePdf(doc, { company, client, loan, schedule, payments, reschedule = null, prepayments = [] }) {
   const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right; // ~515 para A4 con margen 40
 
   const paidByInstallment = new Map();
@@ -41,14 +51,33 @@ export function buildSchedulePdf(doc, { client, loan, schedule, payments }) {
     });
   })();
 
+  drawCompanyHeader(doc, company);
   doc.fontSize(16).text('Cronograma de Pagos', { align: 'center' });
   doc.moveDown();
   doc.fontSize(10);
   doc.text(`Cliente: ${client.firstName} ${client.lastName} (DNI: ${client.dni})`, { width: contentWidth });
-  doc.text(`Préstamo: Monto ${formatCurrency(loan.principal)} | Tasa anual ${(Number(loan.interestRate) * 100).toFixed(2)}% | Plazo ${loan.termCount} meses`, { width: contentWidth });
+  doc.text(`Préstamo: Monto ${formatCurrency(loan.principal)} | Tasa anual ${(Number(loan.interestRate) * 100).toFixed(2)}% | Plazo ${loan.termCount} ${termUnitLabel(loan.frequency, loan.termCount)}`, { width: contentWidth });
+  doc.text(`Sistema de amortización: ${AMORTIZATION_LABELS[loan.amortizationType] || AMORTIZATION_LABELS.FRENCH} | Frecuencia de pago: ${(PAYMENT_FREQUENCIES[loan.frequency] || PAYMENT_FREQUENCIES.MONTHLY).label}`, { width: contentWidth });
+  doc.text(`Vencimientos: ${DUE_DATE_POLICY_LABELS[loan.dueDatePolicy] || DUE_DATE_POLICY_LABELS.FIXED_INTERVAL} | ${DUE_DATE_SHIFT_LABELS[loan.dueDateShift] || DUE_DATE_SHIFT_LABELS.NONE}`, { width: contentWidth });
   const totalToPay = schedule.reduce((a, r) => a + Number(r.installmentAmount || 0), 0);
   doc.text(`Total a pagar: ${formatCurrency(totalToPay)}`, { width: contentWidth });
+  // Tras una reprogramación los costos se calculan sobre el nuevo capital y sus cuotas;
+  // los prepagos posteriores entran como flujos en su fecha
+  const prepaymentFlows = prepayments
+    .filter((p) => !reschedule || dayjs(p.createdAt).isAfter(reschedule.createdAt))
+    .map((p) => ({ dueDate: p.createdAt, installmentAmount: p.amount }));
+  const costs = reschedule
+    ? buildCostDisclosure({ principal: reschedule.newPrincipal, interestRate: loan.interestRate, frequency: loan.frequency, startDate: reschedule.startDate, schedule: [...schedule.filter((r) => r.rescheduleId === reschedule.id), ...prepaymentFlows] })
+    : buildCostDisclosure({ principal: loan.principal, interestRate: loan.interestRate, frequency: loan.frequency, startDate: loan.startDate, schedule: [...schedule, ...prepaymentFlows] });
+  doc.text(`TEA: ${formatPercent(costs.tea)} | TEM: ${formatPercent(costs.tem)} | TCEA: ${formatPercent(costs.tcea)}`, { width: contentWidth });
   doc.text(`Fecha de inicio: ${formatDate(loan.startDate)}`, { width: contentWidth });
+  if (reschedule) {
+    doc.text(`Reprogramado el ${formatDate(reschedule.createdAt)}: nuevo capital ${formatCurrency(reschedule.newPrincipal)} desde ${formatDate(reschedule.startDate)}`, { width: contentWidth });
+  }
+  prepayments.forEach((p) => {
+    const modeLabel = p.mode === 'REDUCE_TERM' ? 'reduce número de cuotas' : 'reduce monto de cuota';
+    doc.text(`Prepago a capital el ${formatDate(p.createdAt)}: ${formatCurrency(p.amount)} (${modeLabel}, ${p.previousInstallmentCount} → ${p.newInstallmentCount} cuotas)`, { width: contentWidth });
+  });
   doc.moveDown(0.5);
 
   // Definir columnas con anchos que sumen contentWidth
@@ -114,16 +143,51 @@ export function createPdfDocument() {
   return new PDFDocument({ size: 'A4', margin: 40 });
 }
 
+// Logo configurado en la empresa o, si no hay, el del frontend
+function companyLogo(company) {
+  if (company.logo) return Buffer.from(company.logo);
+  const candidate = path.resolve(process.cwd(), '../frontend/public/logogrante.png');
+  const fallback = path.resolve(process.cwd(), 'frontend/public/logogrante.png');
+  return fs.existsSync(candidate) ? candidate : fallback;
+}
+
+// RUC, dirección y contacto en una línea
+function companyContactLine(company) {
+  return [
+    `RUC ${company.ruc}`,
+    company.address,
+    company.phone ? `Tel. ${company.phone}` : null,
+    company.email,
+  ].filter(Boolean).join(' | ');
+}
+
+// Encabezado de los reportes que no son comprobantes (cronograma, cierre de caja)
+function drawCompanyHeader(doc, company) {
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.font('Helvetica-Bold').fontSize(12).text(company.tradeName, { width: contentWidth });
+  doc.font('Helvetica').fontSize(8).text(companyContactLine(company), { width: contentWidth });
+  doc.fontSize(10).moveDown();
+}
+
 function formatCurrency(n) {
   const num = typeof n === 'number' ? n : Number(n);
   return `S/ ${num.toFixed(2)}`;
 }
 
+// Descripción del ítem por cuota en la boleta
+function installmentItemLabel(payment) {
+  return payment.isPayoff ? 'Cancelación anticipada cuota' : 'Pago cuota';
+}
+
+function formatPercent(rate) {
+  return `${(Number(rate) * 100).toFixed(2)}%`;
+}
+
 /**
  * Convierte un número a palabras en español para boletas
  * Ejemplo: 2.30 -> "DOS Y 30/100"
  */
-function numberToWords(amount) {
+export function numberToWords(amount) {
   const num = typeof amount === 'number' ? amount : Number(amount);
   const integerPart = Math.floor(num);
   const decimalPart = Math.round((num - integerPart) * 100);
@@ -198,6 +262,15 @@ function formatDateTime(d) {
   return date.format('DD/MM/YYYY HH:mm:ss');
 }
 
+/**
+ * Desglose del IGV (tasa de la empresa, 18% por defecto) de un total con impuesto incluido,
+ * como se imprime en boletas y facturas y se declara en el XML electrónico
+ */
+export function splitIgv(total, igvRate = 0.18) {
+  const opGravada = round2(total / (1 + igvRate));
+  return { opGravada, igv: round2(total - opGravada) };
+}
+
 function round2(v) {
   return Math.round((Number(v) + Number.EPSILON) * 100) / 100;
 }
@@ -205,46 +278,64 @@ function round2(v) {
 /**
  * Genera un comprobante de pago en PDF
  */
-export function buildPaymentReceipt(doc, payment, invoiceInfo = {}) {
+export function buildPaymentReceipt(doc, payment, invoiceInfo, company) {
   const type = invoiceInfo.type === 'factura' ? 'Factura' : 'Boleta';
   
   // Si es factura, usar formato específico
   if (type === 'Factura') {
-    return buildInvoicePdf(doc, payment, invoiceInfo);
+    buildInvoicePdf(doc, payment, invoiceInfo, company);
+  } else {
+    // Para boletas, usar el formato actual
+    buildBoleta(doc, payment, invoiceInfo, company);
   }
-  
-  // Para boletas, usar el formato actual
-  return buildBoleta(doc, payment, invoiceInfo);
+
+  if (payment.voidedAt) stampVoided(doc, payment.voidedAt);
+}
+
+/**
+ * Sello "ANULADO" en diagonal sobre la página actual (pago anulado)
+ */
+function stampVoided(doc, voidedAt) {
+  const { width, height } = doc.page;
+  doc.save();
+  doc.rotate(-30, { origin: [width / 2, height / 2] });
+  doc.fillColor('#c0392b').fillOpacity(0.35).font('Helvetica-Bold').fontSize(72);
+  doc.text('ANULADO', 0, height / 2 - 40, { width, align: 'center', lineBreak: false });
+  doc.fontSize(14).text(formatDate(voidedAt), 0, height / 2 + 36, { width, align: 'center', lineBreak: false });
+  doc.restore();
+  doc.fillColor('black').fillOpacity(1);
 }
 
 /**
  * Genera una FACTURA ELECTRÓNICA con formato profesional
  */
-function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
+// Serie y correlativo asignados al emitir (receiptSeries.js); los pagos anteriores a la
+// numeración por serie muestran su número interno
+function printedReceiptNumber(payment) {
+  return formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative) || payment.receiptNumber;
+}
+
+function buildInvoicePdf(doc, payment, invoiceInfo, company) {
   const margin = 25;
   const contentWidth = doc.page.width - margin * 2;
   const client = payment.loan.client;
-  const issuer = {
-    name: 'CapiPresta',
-    ruc: '20123456789',
-    address: 'C. Los Almendros 2013, Trujillo 13008',
-  };
 
   const total = Number(payment.amount || 0);
-  const opGravada = round2(total / 1.18);
-  const igv = round2(total - opGravada);
+  const { opGravada, igv } = splitIgv(total, company.igvRate);
   
-  const series = 'F001';
-  const correlative = String(invoiceInfo.correlative || 1).padStart(8, '0');
-  const comprobanteFull = `${series}-${correlative}`;
+  const comprobanteFull = printedReceiptNumber(payment);
 
   let y = margin;
 
   // Encabezado: Razón social del emisor
-  doc.font('Helvetica-Bold').fontSize(12).text(issuer.name, margin, y);
+  doc.font('Helvetica-Bold').fontSize(12).text(company.businessName, margin, y);
   y += 13;
-  doc.font('Helvetica').fontSize(10).text(issuer.address, margin, y);
+  doc.font('Helvetica').fontSize(10).text(company.address, margin, y);
   y += 12;
+  if (company.phone) {
+    doc.text(`Tel. ${company.phone}`, margin, y);
+    y += 12;
+  }
   
   // Caja de factura en esquina superior derecha
   const boxWidth = 160;
@@ -253,7 +344,7 @@ function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
   doc.rect(boxX, boxY, boxWidth, 70).stroke();
   doc.font('Helvetica-Bold').fontSize(11);
   doc.text('FACTURA ELECTRÓNICA', boxX + 8, boxY + 8, { width: boxWidth - 16, align: 'center' });
-  doc.fontSize(10).text(`RUC: ${issuer.ruc}`, boxX + 8, boxY + 24, { width: boxWidth - 16, align: 'center' });
+  doc.fontSize(10).text(`RUC: ${company.ruc}`, boxX + 8, boxY + 24, { width: boxWidth - 16, align: 'center' });
   doc.fontSize(11).text(comprobanteFull, boxX + 8, boxY + 44, { width: boxWidth - 16, align: 'center' });
 
   y += 15;
@@ -312,9 +403,9 @@ function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
       colX = tableStartX + 6;
       doc.text('1', colX, y + 6, { width: colWidths[0] - 12, align: 'left' });
       colX += colWidths[0];
-      doc.text(`Cuota #${installment.installmentNumber} - Vencimiento ${formatDate(installment.dueDate)}`, colX, y + 6, { width: colWidths[1] - 12, align: 'left' });
+      doc.text(`${payment.isPayoff ? 'Cancelación anticipada - ' : ''}Cuota #${installment.installmentNumber} - Vencimiento ${formatDate(installment.dueDate)}`, colX, y + 6, { width: colWidths[1] - 12, align: 'left' });
       colX += colWidths[1];
-      const unitPrice = round2(Number(installment.amountPaid || installment.installmentAmount) / 1.18);
+      const unitPrice = round2(Number(installment.amountPaid || installment.installmentAmount) / (1 + company.igvRate));
       doc.text(formatCurrency(unitPrice), colX, y + 6, { width: colWidths[2] - 12, align: 'right' });
       colX += colWidths[2];
       doc.text(formatCurrency(Number(installment.amountPaid || installment.installmentAmount)), colX, y + 6, { width: colWidths[3] - 12, align: 'right' });
@@ -326,7 +417,7 @@ function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
     colX = tableStartX + 6;
     doc.text('1', colX, y + 6, { width: colWidths[0] - 12, align: 'left' });
     colX += colWidths[0];
-    doc.text('Pago de cuota #' + (payment.installmentId ? (payment.installmentNumber || '1') : 'Adelanto'), colX, y + 6, { width: colWidths[1] - 12, align: 'left' });
+    doc.text(payment.prepaymentId ? 'Prepago a capital' : 'Pago de cuota #' + (payment.installmentId ? (payment.installmentNumber || '1') : 'Adelanto'), colX, y + 6, { width: colWidths[1] - 12, align: 'left' });
     colX += colWidths[1];
     doc.text(formatCurrency(opGravada), colX, y + 6, { width: colWidths[2] - 12, align: 'right' });
     colX += colWidths[2];
@@ -410,6 +501,11 @@ function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
   y = retentionDataY + 18;
   doc.font('Helvetica-Bold').fontSize(10);
   doc.text(`SON: ${numberToWords(total)} SOLES`, margin, y, { width: contentWidth, align: 'left' });
+  if (Number(payment.interestRebate || 0) > 0) {
+    y += 14;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Interés futuro condonado por cancelación anticipada: ${formatCurrency(payment.interestRebate)}`, margin, y, { width: contentWidth, align: 'left' });
+  }
 
   // Footer
   y = doc.page.height - margin - 20;
@@ -417,49 +513,156 @@ function buildInvoicePdf(doc, payment, invoiceInfo = {}) {
   doc.text('Esta es una representación impresa de la factura electrónica, generada en el Sistema de SUNAT. Puede verificarla usando su clave SOL.', margin, y, { width: contentWidth, align: 'center' });
 }
 
+/**
+ * Genera una NOTA DE CRÉDITO ELECTRÓNICA con el mismo formato que la factura. El receptor y el
+ * comprobante modificado son los guardados al emitir la nota.
+ */
+export function buildCreditNotePdf(doc, creditNote, company) {
+  const margin = 25;
+  const contentWidth = doc.page.width - margin * 2;
+
+  const total = Number(creditNote.amount);
+  const { opGravada, igv } = splitIgv(total, company.igvRate);
+  const documentLabel = creditNote.receiptType === 'FACTURA' ? 'Factura' : 'Boleta';
+
+  let y = margin;
+
+  // Encabezado: Razón social del emisor
+  doc.font('Helvetica-Bold').fontSize(12).text(company.businessName, margin, y);
+  y += 13;
+  doc.font('Helvetica').fontSize(10).text(company.address, margin, y);
+  y += 12;
+  if (company.phone) {
+    doc.text(`Tel. ${company.phone}`, margin, y);
+    y += 12;
+  }
+
+  // Caja de la nota en esquina superior derecha
+  const boxWidth = 160;
+  const boxX = doc.page.width - margin - boxWidth;
+  const boxY = margin;
+  doc.rect(boxX, boxY, boxWidth, 70).stroke();
+  doc.font('Helvetica-Bold').fontSize(11);
+  doc.text('NOTA DE CRÉDITO ELECTRÓNICA', boxX + 8, boxY + 8, { width: boxWidth - 16, align: 'center' });
+  doc.fontSize(10).text(`RUC: ${company.ruc}`, boxX + 8, boxY + 36, { width: boxWidth - 16, align: 'center' });
+  doc.fontSize(11).text(creditNote.documentNumber, boxX + 8, boxY + 52, { width: boxWidth - 16, align: 'center' });
+
+  y += 15;
+
+  // Datos del documento y del receptor
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Fecha de Emisión: ${formatDate(creditNote.createdAt)}`, margin, y);
+  y += 11;
+  doc.text(`Señor(es): ${creditNote.customerName || '-'}`, margin, y);
+  y += 11;
+  doc.text(`${creditNote.receiptType === 'FACTURA' ? 'RUC' : 'DNI'}: ${creditNote.customerDocNumber || '-'}`, margin, y);
+  y += 11;
+  doc.text('Dirección: ' + (creditNote.customerAddress || '-'), margin, y);
+  y += 12;
+
+  // Comprobante que modifica y motivo
+  doc.font('Helvetica-Bold').fontSize(9);
+  doc.text(`Documento que modifica: ${documentLabel} electrónica ${creditNote.referenceNumber}`, margin, y);
+  y += 11;
+  doc.text(`Motivo: ${creditNote.reasonCode} - ${creditNote.reasonLabel}`, margin, y);
+  y += 11;
+  doc.font('Helvetica');
+  doc.text(`Sustento: ${creditNote.description}`, margin, y, { width: contentWidth });
+  y = doc.y + 7;
+  doc.font('Helvetica-Bold');
+  doc.text('Tipo de Moneda: SOLES', margin, y);
+  y += 18;
+
+  // Tabla de items
+  const colWidths = [70, 280, 80, 80];
+  const tableStartX = margin;
+  const tableY = y;
+
+  doc.font('Helvetica-Bold').fontSize(9);
+  doc.rect(tableStartX, tableY, contentWidth, 18).fill('#333333');
+  doc.fillColor('white');
+  const headers = ['CANTIDAD', 'CÓDIGO y DESCRIPCIÓN', 'PRECIO UNITARIO', 'PRECIO TOTAL'];
+  let colX = tableStartX + 6;
+  headers.forEach((h, idx) => {
+    doc.text(h, colX, tableY + 4, { width: colWidths[idx] - 12, align: idx >= 2 ? 'right' : 'left' });
+    colX += colWidths[idx];
+  });
+
+  doc.fillColor('black');
+  y = tableY + 18;
+  doc.font('Helvetica').fontSize(9);
+  colX = tableStartX + 6;
+  doc.text('1', colX, y + 6, { width: colWidths[0] - 12, align: 'left' });
+  colX += colWidths[0];
+  doc.text(creditNote.description, colX, y + 6, { width: colWidths[1] - 12, align: 'left' });
+  colX += colWidths[1];
+  doc.text(formatCurrency(opGravada), colX, y + 6, { width: colWidths[2] - 12, align: 'right' });
+  colX += colWidths[2];
+  doc.text(formatCurrency(total), colX, y + 6, { width: colWidths[3] - 12, align: 'right' });
+  y = Math.max(y + 18, doc.y + 4);
+
+  y += 7;
+  doc.moveTo(tableStartX, y).lineTo(tableStartX + contentWidth, y).stroke();
+
+  // Totales
+  y += 7;
+  const totalsX = margin + 280;
+  doc.font('Helvetica-Bold');
+  doc.text('Sub Total:', totalsX, y, { width: 120, align: 'right' });
+  doc.font('Helvetica');
+  doc.text(formatCurrency(opGravada), totalsX + 130, y, { width: 60, align: 'right' });
+
+  y += 11;
+  doc.font('Helvetica-Bold');
+  doc.text('IGV:', totalsX, y, { width: 120, align: 'right' });
+  doc.font('Helvetica');
+  doc.text(formatCurrency(igv), totalsX + 130, y, { width: 60, align: 'right' });
+
+  y += 11;
+  doc.font('Helvetica-Bold');
+  doc.text('IMPORTE TOTAL (S/):', totalsX, y, { width: 120, align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text(formatCurrency(total), totalsX + 130, y, { width: 60, align: 'right' });
+
+  y += 24;
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text(`SON: ${numberToWords(total)} SOLES`, margin, y, { width: contentWidth, align: 'left' });
+
+  // Footer
+  y = doc.page.height - margin - 20;
+  doc.font('Helvetica').fontSize(8);
+  doc.text('Esta es una representación impresa de la nota de crédito electrónica, generada en el Sistema de SUNAT. Puede verificarla usando su clave SOL.', margin, y, { width: contentWidth, align: 'center' });
+}
+
 /**
  * Genera una BOLETA DE VENTA con el formato actual
  */
-function buildBoleta(doc, payment, invoiceInfo = {}) {
+function buildBoleta(doc, payment, invoiceInfo, company) {
   const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
   const client = payment.loan.client;
   const loan = payment.loan;
   const type = 'Boleta';
 
-  // Datos del emisor (ajusta a tu negocio)
-  const issuer = {
-    name: 'CapiPresta',
-    businessName: 'CapiPresta',
-    address: 'C. Los Almendros 2013, Trujillo 13008',
-    ruc: '20123456789',
-    series: 'B001',
-  };
-
   const total = Number(payment.amount || 0);
-  const opGravada = round2(total / 1.18);
-  const igv = round2(total - opGravada);
+  const { opGravada, igv } = splitIgv(total, company.igvRate);
   
-  const series = 'B001';
-  const correlative = String(invoiceInfo.correlative || 1).padStart(8, '0');
-  const comprobanteFull = `${series}-${correlative}`;
+  const comprobanteFull = printedReceiptNumber(payment);
 
   const margin = doc.page.margins.left;
 
   // Logo/Nombre
   let y = margin;
   try {
-    const candidate = path.resolve(process.cwd(), '../frontend/public/logogrante.png');
-    const fallback = path.resolve(process.cwd(), 'frontend/public/logogrante.png');
-    const logoPath = fs.existsSync(candidate) ? candidate : fallback;
-    doc.image(logoPath, margin, y, { width: 120 });
+    doc.image(companyLogo(company), margin, y, { fit: [120, 80] });
   } catch (e) {
     // si no existe la imagen, continuar con texto
-    doc.font('Helvetica-Bold').fontSize(20).text(issuer.name, margin, y);
+    doc.font('Helvetica-Bold').fontSize(20).text(company.tradeName, margin, y);
   }
   const textX = margin + 130;
-  doc.font('Helvetica-Bold').fontSize(16).text(issuer.name, textX, y);
-  doc.font('Helvetica').fontSize(12).text(issuer.businessName, textX, y + 18);
-  doc.fontSize(10).text(issuer.address, textX, y + 32);
+  doc.font('Helvetica-Bold').fontSize(16).text(company.tradeName, textX, y);
+  doc.font('Helvetica').fontSize(12).text(company.businessName, textX, y + 18);
+  doc.fontSize(10).text(company.address, textX, y + 32);
+  if (company.phone) doc.text(`Tel. ${company.phone}`, textX, y + 46);
 
   // Caja de RUC y doc info
   const boxW = 200;
@@ -468,7 +671,7 @@ function buildBoleta(doc, payment, invoiceInfo = {}) {
   const boxY = y;
   doc.rect(boxX, boxY, boxW, boxH).stroke();
   doc.font('Helvetica-Bold').fontSize(10);
-  doc.text(`R.U.C. N° ${issuer.ruc}`, boxX, boxY + 8, { width: boxW, align: 'center' });
+  doc.text(`R.U.C. N° ${company.ruc}`, boxX, boxY + 8, { width: boxW, align: 'center' });
   doc.text(`${type.toUpperCase()} ELECTRÓNICA`, boxX, boxY + 28, { width: boxW, align: 'center' });
   doc.text(`${comprobanteFull}`, boxX, boxY + 48, { width: boxW, align: 'center' });
 
@@ -520,10 +723,10 @@ function buildBoleta(doc, payment, invoiceInfo = {}) {
     let currentY = rowY;
     payment.installmentsPaid.forEach((inst, idx) => {
       const amountForThisInstallment = Number(inst.amountPaid || inst.installmentAmount);
-      const unitPrice = round2(amountForThisInstallment / 1.18);
+      const unitPrice = round2(amountForThisInstallment / (1 + company.igvRate));
       const rowVals = [
         '1 UNIDAD',
-        `Pago cuota #${inst.installmentNumber} (${formatDate(inst.dueDate)})`,
+        `${installmentItemLabel(payment)} #${inst.installmentNumber} (${formatDate(inst.dueDate)})`,
         formatCurrency(unitPrice),
         formatCurrency(amountForThisInstallment)
       ];
@@ -541,7 +744,7 @@ function buildBoleta(doc, payment, invoiceInfo = {}) {
     // Pago sin installmentsPaid (compatibilidad)
     const rowVals = [
       '1 UNIDAD',
-      `Pago de cuota`,
+      payment.prepaymentId ? 'Prepago a capital' : 'Pago de cuota',
       formatCurrency(opGravada),
       formatCurrency(total)
     ];
@@ -572,6 +775,9 @@ function buildBoleta(doc, payment, invoiceInfo = {}) {
   doc.font('Helvetica-Bold').fontSize(11);
   doc.text(`SON: ${numberToWords(total)} SOLES`, margin, doc.y, { width: contentWidth - margin, align: 'right' });
   doc.font('Helvetica').fontSize(10);
+  if (Number(payment.interestRebate || 0) > 0) {
+    doc.text(`Interés futuro condonado por cancelación anticipada: ${formatCurrency(payment.interestRebate)}`, margin, doc.y, { width: contentWidth - margin, align: 'right' });
+  }
 
   // QR imagen + texto
   const qrY = doc.y + 10;
@@ -597,49 +803,32 @@ function buildBoleta(doc, payment, invoiceInfo = {}) {
 /**
  * Genera un comprobante de pago en PDF - ANTERIOR (ya no se usa directamente)
  */
-export function buildPaymentReceiptOld(doc, payment, invoiceInfo = {}) {
+export function buildPaymentReceiptOld(doc, payment, invoiceInfo, company) {
   const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
   const client = payment.loan.client;
   const loan = payment.loan;
   const type = invoiceInfo.type === 'factura' ? 'Factura' : 'Boleta';
 
-  // Datos del emisor (ajusta a tu negocio)
-  const issuer = {
-    name: 'CapiPresta',
-    businessName: 'CapiPresta',
-    address: 'C. Los Almendros 2013, Trujillo 13008',
-    ruc: '20123456789',
-    series: type === 'factura' ? 'F001' : 'B001',
-  };
-
   const total = Number(payment.amount || 0);
-  const opGravada = round2(total / 1.18);
-  const igv = round2(total - opGravada);
+  const { opGravada, igv } = splitIgv(total, company.igvRate);
   
-  // Serie y correlativo para comprobante electrónico
-  // Serie: F001 (Factura) o B001 (Boleta)
-  // Correlativo: número secuencial pasado desde el endpoint (1, 2, 3, etc.)
-  const series = type === 'factura' ? 'F001' : 'B001';
-  const correlative = String(invoiceInfo.correlative || 1).padStart(8, '0');
-  const comprobanteFull = `${series}-${correlative}`;
+  const comprobanteFull = printedReceiptNumber(payment);
 
   const margin = doc.page.margins.left;
 
   // Logo/Nombre
   let y = margin;
   try {
-    const candidate = path.resolve(process.cwd(), '../frontend/public/logogrante.png');
-    const fallback = path.resolve(process.cwd(), 'frontend/public/logogrante.png');
-    const logoPath = fs.existsSync(candidate) ? candidate : fallback;
-    doc.image(logoPath, margin, y, { width: 120 });
+    doc.image(companyLogo(company), margin, y, { fit: [120, 80] });
   } catch (e) {
     // si no existe la imagen, continuar con texto
-    doc.font('Helvetica-Bold').fontSize(20).text(issuer.name, margin, y);
+    doc.font('Helvetica-Bold').fontSize(20).text(company.tradeName, margin, y);
   }
   const textX = margin + 130;
-  doc.font('Helvetica-Bold').fontSize(16).text(issuer.name, textX, y);
-  doc.font('Helvetica').fontSize(12).text(issuer.businessName, textX, y + 18);
-  doc.fontSize(10).text(issuer.address, textX, y + 32);
+  doc.font('Helvetica-Bold').fontSize(16).text(company.tradeName, textX, y);
+  doc.font('Helvetica').fontSize(12).text(company.businessName, textX, y + 18);
+  doc.fontSize(10).text(company.address, textX, y + 32);
+  if (company.phone) doc.text(`Tel. ${company.phone}`, textX, y + 46);
 
   // Caja de RUC y doc info
   const boxW = 200;
@@ -648,7 +837,7 @@ export function buildPaymentReceiptOld(doc, payment, invoiceInfo = {}) {
   const boxY = y;
   doc.rect(boxX, boxY, boxW, boxH).stroke();
   doc.font('Helvetica-Bold').fontSize(10);
-  doc.text(`R.U.C. N° ${issuer.ruc}`, boxX, boxY + 8, { width: boxW, align: 'center' });
+  doc.text(`R.U.C. N° ${company.ruc}`, boxX, boxY + 8, { width: boxW, align: 'center' });
   doc.text(`${type.toUpperCase()} ELECTRÓNICA`, boxX, boxY + 28, { width: boxW, align: 'center' });
   doc.text(`${comprobanteFull}`, boxX, boxY + 48, { width: boxW, align: 'center' });
 
@@ -719,7 +908,7 @@ export function buildPaymentReceiptOld(doc, payment, invoiceInfo = {}) {
     // Pago sin installmentsPaid (compatibilidad - no debería ocurrir)
     const rowVals = [
       '1 UNIDAD',
-      `Pago cuota`,
+      payment.prepaymentId ? 'Prepago a capital' : 'Pago cuota',
       formatCurrency(total),
       formatCurrency(total)
     ];
@@ -775,10 +964,11 @@ export function buildPaymentReceiptOld(doc, payment, invoiceInfo = {}) {
 /**
  * Genera un reporte de cierre de caja en PDF
  */
-export function buildCashSessionReport(doc, session) {
+export function buildCashSessionReport(doc, session, company) {
   const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
   
   // Encabezado
+  drawCompanyHeader(doc, company);
   doc.fontSize(18).font('Helvetica-Bold').text('REPORTE DE CIERRE DE CAJA', { align: 'center' });
   doc.fontSize(10).font('Helvetica');
   doc.moveDown();
@@ -787,6 +977,7 @@ export function buildCashSessionReport(doc, session) {
   doc.font('Helvetica-Bold').fontSize(11).text('INFORMACIÓN DE LA SESIÓN');
   doc.font('Helvetica').fontSize(10);
   doc.text(`Usuario: ${session.user.username}`);
+  if (session.branch) doc.text(`Agencia: ${session.branch.name} (${session.branch.code})`);
   doc.text(`Apertura: ${formatDateTime(session.openedAt)}`);
   if (session.closedAt) {
     doc.text(`Cierre: ${formatDateTime(session.closedAt)}`);
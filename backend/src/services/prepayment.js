@@ -0,0 +1,305 @@
+import { PrismaClient } from '@prisma/client';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { generateSchedule, PAYMENT_FREQUENCIES } from './schedule.js';
+import { applyRounding, generateReceiptNumber } from './payment.js';
+import { addCashMovement, validateChangeAvailable } from './cashService.js';
+import { assertLoanAcceptsPayments } from './loanStatus.js';
+import { assignReceiptNumber } from './receiptSeries.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+const OUTSTANDING_TOLERANCE = 0.05;
+
+export const PREPAYMENT_MODES = ['REDUCE_TERM', 'REDUCE_INSTALLMENT'];
+
+export const PREPAYMENT_MODE_LABELS = {
+  REDUCE_TERM: 'Reducir número de cuotas',
+  REDUCE_INSTALLMENT: 'Reducir monto de cuota',
+};
+
+const prisma = new PrismaClient();
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Número de cuotas necesario para amortizar el nuevo saldo manteniendo la cuota actual
+function reducedTermCount({ balance, pending, amortizationType, r }) {
+  if (amortizationType === 'FRENCH') {
+    const installment = Number(pending[0].installmentAmount);
+    if (r <= 0) return Math.ceil(balance / installment - 1e-9);
+    return Math.ceil(-Math.log(1 - (r * balance) / installment) / Math.log(1 + r) - 1e-9);
+  }
+  // GERMAN: se mantiene la amortización constante de capital
+  const principalPerInstallment = Number(pending[0].principalAmount);
+  return Math.ceil(balance / principalPerInstallment - 1e-9);
+}
+
+/**
+ * Registra un prepago parcial (abono extraordinario a capital).
+ * - Solo si no hay cuotas vencidas y las pendientes no tienen pagos parciales.
+ * - El monto se aplica íntegro a capital; debe ser menor al saldo (para saldar todo
+ *   se usa la cancelación anticipada).
+ * - REDUCE_TERM mantiene la cuota y reduce el número de cuotas (sistemas francés y alemán).
+ *   REDUCE_INSTALLMENT mantiene el número de cuotas y recalcula la cuota.
+ * - Las cuotas pendientes quedan reemplazadas (supersededAt) y las nuevas, generadas con
+ *   generateSchedule sobre el nuevo saldo, conservan los vencimientos de las reemplazadas.
+ */
+export async function registerPrepayment({
+  loanId,
+  amount,
+  mode,
+  paymentMethod,
+  registeredByUserId,
+  cashSessionId,
+  externalReference,
+  receiptType = 'BOLETA',
+  invoiceRuc = null,
+  invoiceBusinessName = null,
+  invoiceAddress = null,
+  amountGiven = null,
+  change = null,
+}) {
+  if (!PREPAYMENT_MODES.includes(mode)) {
+    throw badRequest('Modalidad de prepago no válida');
+  }
+
+  if (!cashSessionId) {
+    throw new Error('Debe abrir una sesión de caja antes de registrar pagos');
+  }
+
+  const cashSession = await prisma.cashSession.findUnique({
+    where: { id: Number(cashSessionId) },
+    select: { id: true, isClosed: true, userId: true },
+  });
+
+  if (!cashSession) {
+    throw new Error('Sesión de caja no encontrada');
+  }
+
+  if (cashSession.isClosed) {
+    throw new Error('La sesión de caja está cerrada. Abra una nueva antes de registrar pagos');
+  }
+
+  if (cashSession.userId !== registeredByUserId) {
+    throw new Error('La sesión de caja abierta pertenece a otro usuario');
+  }
+
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    include: {
+      schedules: { where: { supersededAt: null }, orderBy: { installmentNumber: 'asc' } },
+      payments: { where: { voidedAt: null } },
+    },
+  });
+
+  if (!loan) {
+    const err = new Error('Préstamo no encontrado');
+    err.status = 404;
+    throw err;
+  }
+
+  assertLoanAcceptsPayments(loan);
+
+  if (loan.amortizationType === 'BULLET') {
+    throw badRequest('Los préstamos de pago único no admiten prepagos parciales; use la cancelación anticipada');
+  }
+  if (mode === 'REDUCE_TERM' && loan.amortizationType === 'AMERICAN') {
+    throw badRequest('La reducción de plazo solo aplica a los sistemas francés y alemán');
+  }
+
+  const pending = loan.schedules.filter(s => !s.isPaid);
+  if (pending.length === 0) {
+    throw badRequest('El préstamo no tiene cuotas pendientes');
+  }
+
+  const today = dayjs.tz(new Date(), TZ).startOf('day');
+  if (pending.some(s => dayjs.tz(s.dueDate, TZ).isBefore(today))) {
+    throw badRequest('Regularice las cuotas vencidas antes de registrar un prepago');
+  }
+
+  const partiallyPaid = pending.find(s => loan.payments.some(p => p.installmentId === s.id));
+  if (partiallyPaid) {
+    throw badRequest(`La cuota #${partiallyPaid.installmentNumber} tiene pagos parciales; complétela antes de registrar un prepago`);
+  }
+
+  const prepaymentAmount = round2(Number(amount));
+  const previousBalance = round2(pending.reduce((sum, s) => sum + Number(s.principalAmount), 0));
+  if (prepaymentAmount <= 0) {
+    throw badRequest('El monto del prepago debe ser positivo');
+  }
+  if (prepaymentAmount >= previousBalance - OUTSTANDING_TOLERANCE) {
+    throw badRequest(`El prepago debe ser menor al saldo de capital (S/ ${previousBalance.toFixed(2)}). Para saldar el préstamo use la cancelación anticipada`);
+  }
+
+  let cashAmountGiven = amountGiven !== null && amountGiven !== undefined ? Number(amountGiven) : null;
+  let cashChange = change !== null && change !== undefined ? Number(change) : null;
+
+  if (paymentMethod === 'EFECTIVO') {
+    // El monto lo elige el cliente, así que debe venir ya redondeado a S/ 0.10
+    if (applyRounding(prepaymentAmount) !== prepaymentAmount) {
+      throw badRequest('El prepago en efectivo debe ser múltiplo de S/ 0.10');
+    }
+
+    if (cashAmountGiven === null) {
+      cashAmountGiven = prepaymentAmount;
+    }
+    const expectedChange = round2(cashAmountGiven - prepaymentAmount);
+    if (expectedChange < -OUTSTANDING_TOLERANCE) {
+      throw new Error('El monto entregado es menor al monto a pagar');
+    }
+    cashChange = Math.max(0, expectedChange);
+    if (change !== null && change !== undefined && Math.abs(cashChange - Number(change)) > 0.05) {
+      throw new Error('El vuelto indicado no coincide con el monto entregado');
+    }
+
+    if (cashChange > 0) {
+      const validation = await validateChangeAvailable(Number(cashSessionId), cashChange);
+      if (!validation.available) {
+        throw new Error(
+          `No hay efectivo suficiente en caja para dar vuelto. Disponible: S/ ${validation.currentBalance.toFixed(2)}`
+        );
+      }
+    }
+  }
+
+  const newBalance = round2(previousBalance - prepaymentAmount);
+  const interestRate = Number(loan.interestRate);
+  const r = interestRate / PAYMENT_FREQUENCIES[loan.frequency].periodsPerYear;
+
+  const newInstallmentCount = mode === 'REDUCE_TERM'
+    ? Math.min(pending.length, Math.max(1, reducedTermCount({ balance: newBalance, pending, amortizationType: loan.amortizationType, r })))
+    : pending.length;
+
+  // Los montos salen de generateSchedule; los vencimientos son los de las cuotas reemplazadas
+  const schedule = generateSchedule({
+    principal: newBalance,
+    interestRate,
+    termCount: newInstallmentCount,
+    startDate: today.format('YYYY-MM-DD'),
+    amortizationType: loan.amortizationType,
+    frequency: loan.frequency,
+  }).map((row, idx) => ({
+    ...row,
+    dueDate: pending[idx].dueDate,
+    originalDueDate: pending[idx].originalDueDate,
+  }));
+
+  const last = await prisma.paymentSchedule.findFirst({
+    where: { loanId },
+    orderBy: { installmentNumber: 'desc' },
+    select: { installmentNumber: true },
+  });
+  const offset = last ? last.installmentNumber : 0;
+
+  const receiptNumber = generateReceiptNumber();
+
+  const { prepayment, payment } = await prisma.$transaction(async (tx) => {
+    const created = await tx.loanPrepayment.create({
+      data: {
+        loanId,
+        registeredByUserId,
+        mode,
+        amount: prepaymentAmount,
+        previousBalance,
+        newBalance,
+        previousInstallmentCount: pending.length,
+        newInstallmentCount,
+        previousInstallmentAmount: pending[0].installmentAmount,
+        newInstallmentAmount: schedule[0].installmentAmount,
+      },
+    });
+
+    const newPayment = await tx.payment.create({
+      data: {
+        loanId,
+        installmentId: null,
+        prepaymentId: created.id,
+        registeredByUserId,
+        amount: prepaymentAmount,
+        amountGiven: cashAmountGiven,
+        change: cashChange,
+        paymentMethod,
+        principalPaid: prepaymentAmount,
+        interestPaid: 0,
+        lateFeePaid: 0,
+        externalReference,
+        receiptNumber,
+        receiptType,
+        invoiceRuc,
+        invoiceBusinessName,
+        invoiceAddress,
+        cashSessionId: Number(cashSessionId),
+      },
+    });
+
+    await tx.paymentSchedule.updateMany({
+      where: { id: { in: pending.map(s => s.id) } },
+      data: { supersededAt: new Date(), supersededByPrepaymentId: created.id },
+    });
+
+    for (let i = 0; i < schedule.length; i += 1) {
+      const row = schedule[i];
+      await tx.paymentSchedule.create({
+        data: {
+          loanId,
+          prepaymentId: created.id,
+          // Se mantiene el cronograma de origen para prorratear intereses en la cancelación anticipada
+          rescheduleId: pending[0].rescheduleId,
+          installmentNumber: offset + i + 1,
+          dueDate: row.dueDate,
+          originalDueDate: row.originalDueDate,
+          installmentAmount: row.installmentAmount,
+          principalAmount: row.principalAmount,
+          interestAmount: row.interestAmount,
+          remainingBalance: row.remainingBalance,
+        },
+      });
+    }
+
+    if (newInstallmentCount < pending.length) {
+      await tx.loan.update({
+        where: { id: loanId },
+        data: { termCount: loan.termCount - (pending.length - newInstallmentCount) },
+      });
+    }
+
+    const numbered = await assignReceiptNumber(tx, newPayment.id);
+    return { prepayment: created, payment: { ...newPayment, ...numbered } };
+  });
+
+  if (paymentMethod === 'EFECTIVO') {
+    await addCashMovement({
+      cashSessionId: Number(cashSessionId),
+      movementType: 'RECAUDACION',
+      amount: prepaymentAmount,
+      description: `Prepago a capital préstamo #${loanId}`,
+      relatedPaymentId: payment.id,
+    });
+
+    if (cashChange && cashChange > 0) {
+      await addCashMovement({
+        cashSessionId: Number(cashSessionId),
+        movementType: 'VUELTO',
+        amount: cashChange,
+        description: `Vuelto prepago #${prepayment.id}`,
+        relatedPaymentId: payment.id,
+      });
+    }
+  }
+
+  return {
+    prepayment,
+    payment,
+    schedule: schedule.map((row, idx) => ({ ...row, installmentNumber: offset + idx + 1 })),
+  };
+}
@@ -0,0 +1,75 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { PAYMENT_FREQUENCIES } from './schedule.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+
+// Tasas de transparencia (SBS). Todas se expresan como decimales (0.2682 = 26.82%).
+// - TEA: tasa efectiva anual equivalente a la tasa nominal prorrateada por periodo.
+// - TEM: tasa efectiva mensual equivalente a la TEA.
+// - TCEA: tasa de costo efectivo anual, TIR anualizada (base 365 días) de los flujos reales:
+//   desembolso en la fecha de inicio y cada cuota en su fecha de vencimiento efectiva.
+//   Al no existir comisiones ni gastos adicionales, las cuotas son el costo total del crédito.
+
+export function effectiveAnnualRate(interestRate, frequency = 'MONTHLY') {
+  const freq = PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.MONTHLY;
+  return Math.pow(1 + Number(interestRate) / freq.periodsPerYear, freq.periodsPerYear) - 1;
+}
+
+export function effectiveMonthlyRate(tea) {
+  return Math.pow(1 + tea, 1 / 12) - 1;
+}
+
+/**
+ * Calcula la TCEA a partir del cronograma (dueDate + installmentAmount)
+ */
+export function calculateTcea({ principal, startDate, schedule }) {
+  const start = dayjs.tz(startDate, TZ).startOf('day');
+  const flows = [{ years: 0, amount: -Number(principal) }];
+  for (const row of schedule) {
+    const days = dayjs(row.dueDate).tz(TZ).startOf('day').diff(start, 'day');
+    flows.push({ years: days / 365, amount: Number(row.installmentAmount) });
+  }
+
+  const npv = (rate) => flows.reduce((acc, f) => acc + f.amount / Math.pow(1 + rate, f.years), 0);
+
+  // Bisección: el VAN decrece con la tasa, así que se acota la raíz entre low y high
+  let low = -0.99;
+  let high = 1;
+  while (npv(high) > 0 && high < 1e6) high *= 2;
+  if (npv(low) < 0 || npv(high) > 0) return 0;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(mid) > 0) low = mid;
+    else high = mid;
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Resumen de costos para la hoja de transparencia del préstamo
+ */
+export function buildCostDisclosure({ principal, interestRate, frequency = 'MONTHLY', startDate, schedule }) {
+  const tea = effectiveAnnualRate(interestRate, frequency);
+  const tem = effectiveMonthlyRate(tea);
+  const tcea = calculateTcea({ principal, startDate, schedule });
+  const totalAmount = round2(schedule.reduce((a, r) => a + Number(r.installmentAmount), 0));
+  return {
+    tea: round6(tea),
+    tem: round6(tem),
+    tcea: round6(tcea),
+    totalCost: round2(totalAmount - Number(principal)),
+  };
+}
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function round6(v) {
+  return Math.round((v + Number.EPSILON) * 1e6) / 1e6;
+}
@@ -0,0 +1,168 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Serie que se crea la primera vez que se emite un tipo de documento
+export const DEFAULT_SERIES = {
+  RECEIPT: { BOLETA: 'B001', FACTURA: 'F001' },
+  CREDIT_NOTE: { BOLETA: 'BC01', FACTURA: 'FC01' },
+};
+// SUNAT: boletas y sus notas B###, facturas y sus notas F### (4 caracteres alfanuméricos)
+const SERIES_PATTERN = { BOLETA: /^B[A-Z0-9]{3}$/, FACTURA: /^F[A-Z0-9]{3}$/ };
+const PAYMENT_RECEIPT_SELECT = { id: true, payoffId: true, receiptType: true, receiptSeries: true, receiptCorrelative: true };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Número de comprobante tal como se imprime: B001-00000042
+ */
+export function formatReceiptNumber(series, correlative) {
+  if (!series || !correlative) return null;
+  return `${series}-${String(correlative).padStart(8, '0')}`;
+}
+
+export async function listReceiptSeries() {
+  return prisma.receiptSeries.findMany({ orderBy: [{ documentKind: 'asc' }, { receiptType: 'asc' }, { code: 'asc' }] });
+}
+
+/**
+ * Abre una serie nueva para el tipo de documento; desde ese momento es la única activa
+ * de su tipo (las anteriores conservan su último correlativo).
+ */
+export async function createReceiptSeries({ code, receiptType, documentKind = 'RECEIPT' }) {
+  const normalized = String(code).trim().toUpperCase();
+  if (!SERIES_PATTERN[receiptType].test(normalized)) {
+    throw badRequest(`La serie de ${receiptType === 'FACTURA' ? 'facturas debe ser F' : 'boletas debe ser B'} seguida de 3 caracteres (p. ej. ${DEFAULT_SERIES[documentKind][receiptType]})`);
+  }
+  const existing = await prisma.receiptSeries.findUnique({ where: { code: normalized } });
+  if (existing) throw badRequest(`La serie ${normalized} ya existe`);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.receiptSeries.updateMany({ where: { receiptType, documentKind, isActive: true }, data: { isActive: false } });
+    return tx.receiptSeries.create({ data: { code: normalized, receiptType, documentKind } });
+  });
+}
+
+async function getActiveSeries(tx, receiptType, documentKind) {
+  const series = await tx.receiptSeries.findFirst({
+    where: { receiptType, documentKind, isActive: true },
+    orderBy: { id: 'desc' },
+  });
+  if (series) return series;
+  const code = DEFAULT_SERIES[documentKind][receiptType];
+  return tx.receiptSeries.upsert({
+    where: { code },
+    update: {},
+    create: { code, receiptType, documentKind },
+  });
+}
+
+/**
+ * Toma el siguiente correlativo de la serie activa. Debe llamarse dentro de la transacción que
+ * guarda el documento: el UPDATE de lastNumber bloquea la serie hasta el commit y, si la
+ * transacción falla, el número no se consume (sin saltos ni duplicados).
+ */
+export async function nextCorrelative(tx, receiptType, documentKind = 'RECEIPT') {
+  const series = await getActiveSeries(tx, receiptType, documentKind);
+  const { lastNumber } = await tx.receiptSeries.update({
+    where: { id: series.id },
+    data: { lastNumber: { increment: 1 } },
+  });
+  return { series: series.code, correlative: lastNumber };
+}
+
+/**
+ * Asigna serie y correlativo al comprobante de un pago, con el cliente de la transacción que
+ * fija receiptType (ver nextCorrelative). Un comprobante ya numerado conserva su número; no
+ * puede cambiar de tipo.
+ * En una cancelación anticipada solo se numera la primera fila (un comprobante por cobro).
+ */
+export async function assignReceiptNumber(tx, paymentId) {
+  const payment = await tx.payment.findUnique({ where: { id: paymentId }, select: PAYMENT_RECEIPT_SELECT });
+  if (!payment || !payment.receiptType) return payment;
+
+  if (payment.receiptSeries) {
+    const current = await tx.receiptSeries.findUnique({ where: { code: payment.receiptSeries } });
+    if (current && current.receiptType !== payment.receiptType) {
+      throw badRequest(`El comprobante ${formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative)} ya fue emitido; no se puede cambiar su tipo`);
+    }
+    return payment;
+  }
+
+  if (payment.payoffId) {
+    const first = await tx.payment.findFirst({ where: { payoffId: payment.payoffId }, orderBy: { id: 'asc' }, select: { id: true } });
+    if (first.id !== payment.id) return payment;
+  }
+
+  const { series, correlative } = await nextCorrelative(tx, payment.receiptType);
+  return tx.payment.update({
+    where: { id: payment.id },
+    data: { receiptSeries: series, receiptCorrelative: correlative },
+    select: PAYMENT_RECEIPT_SELECT,
+  });
+}
+
+/**
+ * Emite un comprobante nuevo para un pago cuyo comprobante anterior quedó anulado por completo
+ * con notas de crédito (las notas conservan el número original). Deja el pago sin envío a SUNAT.
+ */
+export async function reissueReceiptNumber(tx, paymentId) {
+  await tx.payment.update({
+    where: { id: paymentId },
+    data: {
+      receiptSeries: null,
+      receiptCorrelative: null,
+      sunatStatus: null,
+      sunatResponseCode: null,
+      sunatResponseDescription: null,
+      sunatSentAt: null,
+    },
+  });
+  return assignReceiptNumber(tx, paymentId);
+}
+
+/**
+ * Valida que el comprobante de un pago pueda pasar a `receiptType` (antes de guardarlo)
+ */
+export function assertReceiptTypeChangeAllowed(payment, receiptType) {
+  if (payment.receiptSeries && payment.receiptType && payment.receiptType !== receiptType) {
+    throw badRequest(`El comprobante ${formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative)} ya fue emitido como ${payment.receiptType}; no se puede cambiar su tipo`);
+  }
+}
+
+// Datos impresos en el comprobante que SUNAT ya recibió
+const ACCEPTED_RECEIPT_FIELDS = ['receiptType', 'invoiceRuc', 'invoiceBusinessName', 'invoiceAddress'];
+
+/**
+ * Un comprobante aceptado por SUNAT (con o sin observaciones) no se modifica: se anula con una
+ * nota de crédito y luego se emite uno nuevo
+ */
+export function assertAcceptedReceiptUnchanged(payment, data) {
+  if (!['ACCEPTED', 'OBSERVED'].includes(payment.sunatStatus)) return;
+  const changed = ACCEPTED_RECEIPT_FIELDS.some((field) => field in data && (data[field] || null) !== (payment[field] || null));
+  if (changed) {
+    throw badRequest(`El comprobante ${formatReceiptNumber(payment.receiptSeries, payment.receiptCorrelative)} ya fue aceptado por SUNAT; emita una nota de crédito para anularlo antes de cambiar sus datos`);
+  }
+}
+
+/**
+ * Numera los comprobantes emitidos antes de la numeración por serie, en orden de registro.
+ * Es idempotente: los pagos ya numerados se omiten.
+ */
+export async function backfillReceiptNumbers() {
+  const pending = await prisma.payment.findMany({
+    where: { receiptType: { not: null }, receiptSeries: null },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+  });
+  let numbered = 0;
+  for (const { id } of pending) {
+    const payment = await prisma.$transaction((tx) => assignReceiptNumber(tx, id));
+    if (payment.receiptSeries) numbered += 1;
+  }
+  return { pending: pending.length, numbered };
+}
@@ -0,0 +1,241 @@
+import { PrismaClient } from '@prisma/client';
+import { reopenInstallment } from './payment.js';
+import { refreshLoanStatus } from './loanStatus.js';
+import { withdrawCash } from './cashService.js';
+import { assertLoanBranchAccess } from './branch.js';
+
+const prisma = new PrismaClient();
+
+export const REFUND_REASONS = ['OVERPAYMENT', 'CHARGEBACK', 'OTHER'];
+export const REFUND_STATUSES = ['PENDING', 'COMPLETED', 'CANCELLED'];
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+const REFUND_INCLUDE = {
+  payment: {
+    select: {
+      id: true,
+      installmentId: true,
+      amount: true,
+      paymentMethod: true,
+      paymentDate: true,
+      receiptNumber: true,
+      externalReference: true,
+    },
+  },
+  registeredBy: { select: { id: true, username: true } },
+  resolvedBy: { select: { id: true, username: true } },
+};
+
+// `branchId` undefined = todas las agencias, null = préstamos sin agencia
+export async function listRefunds({ loanId = null, paymentId = null, status = null, branchId } = {}) {
+  return prisma.refund.findMany({
+    where: {
+      ...(loanId ? { loanId } : {}),
+      ...(branchId !== undefined ? { loan: { branchId } } : {}),
+      ...(paymentId ? { paymentId } : {}),
+      ...(status ? { status } : {}),
+    },
+    include: REFUND_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Parte no aplicada del pago (cobrada en exceso): lo que queda del monto después de
+ * capital, interés, mora y el redondeo a favor del cliente en efectivo
+ */
+function getUnappliedAmount(payment) {
+  const applied = Number(payment.principalPaid) + Number(payment.interestPaid) + Number(payment.lateFeePaid);
+  const rounding = Math.max(0, Number(payment.roundingAdjustment || 0));
+  return Math.max(0, round2(Number(payment.amount) - Number(payment.refundedAmount) - rounding - applied));
+}
+
+/**
+ * Reparte el monto devuelto en orden inverso a la aplicación del pago: primero el exceso,
+ * luego capital, interés y mora. Lo que sale de capital, interés o mora vuelve a deberse.
+ */
+function splitRefund(payment, amount) {
+  let remaining = round2(amount);
+  const take = (available) => {
+    const value = Math.min(remaining, Math.max(0, round2(available)));
+    remaining = round2(remaining - value);
+    return value;
+  };
+  const unapplied = take(getUnappliedAmount(payment));
+  const principalRefunded = take(Number(payment.principalPaid));
+  const interestRefunded = take(Number(payment.interestPaid));
+  const lateFeeRefunded = take(Number(payment.lateFeePaid));
+  return { unapplied, principalRefunded, interestRefunded, lateFeeRefunded };
+}
+
+/**
+ * Pago sobre el que se puede devolver dinero y monto máximo disponible (lo cobrado menos
+ * lo ya devuelto y lo comprometido en otras devoluciones pendientes)
+ */
+async function getRefundablePayment(client, paymentId, { excludeRefundId = null } = {}) {
+  const payment = await client.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      refunds: { where: { status: 'PENDING' }, select: { id: true, amount: true } },
+    },
+  });
+  if (!payment) throw notFound('Pago no encontrado');
+  if (payment.voidedAt) throw badRequest('El pago está anulado');
+  if (!payment.receiptType) throw badRequest('El pago aún no fue confirmado');
+  if (payment.prepaymentId) {
+    throw badRequest('Los prepagos a capital regeneraron el cronograma y no admiten devoluciones');
+  }
+
+  const pendingAmount = payment.refunds
+    .filter(r => r.id !== excludeRefundId)
+    .reduce((sum, r) => sum + Number(r.amount), 0);
+  const available = round2(Number(payment.amount) - Number(payment.refundedAmount) - pendingAmount);
+  return { payment, available };
+}
+
+/**
+ * Registra una devolución pendiente sobre un pago. El dinero sale y el saldo del préstamo
+ * cambia recién al completarla (POST /refunds/:id/complete). `user` solo la registra sobre pagos
+ * de préstamos de su agencia.
+ */
+export async function createRefund({
+  paymentId,
+  amount,
+  method,
+  reason,
+  note = null,
+  externalReference = null,
+  registeredByUserId,
+  user,
+}) {
+  const { payment, available } = await getRefundablePayment(prisma, paymentId);
+  await assertLoanBranchAccess(user, payment.loanId);
+  const refundAmount = round2(Number(amount));
+  if (refundAmount <= 0) throw badRequest('El monto a devolver debe ser positivo');
+  if (refundAmount > available) {
+    throw badRequest(`El monto supera lo que queda por devolver del pago (S/ ${Math.max(0, available).toFixed(2)})`);
+  }
+
+  return prisma.refund.create({
+    data: {
+      paymentId,
+      loanId: payment.loanId,
+      amount: refundAmount,
+      method,
+      reason,
+      note,
+      externalReference,
+      registeredByUserId,
+    },
+    include: REFUND_INCLUDE,
+  });
+}
+
+async function getPendingRefund(client, id) {
+  const refund = await client.refund.findUnique({ where: { id } });
+  if (!refund) throw notFound('Devolución no encontrada');
+  if (refund.status !== 'PENDING') throw badRequest('La devolución ya fue completada o cancelada');
+  return refund;
+}
+
+/**
+ * Completa una devolución: descuenta lo devuelto del pago (refundedAmount y, según splitRefund,
+ * capital, interés y mora), reabre la cuota si deja de estar saldada y actualiza el estado del
+ * préstamo. En efectivo registra el EGRESO en la caja abierta de quien la completa, en la misma
+ * transacción (withdrawCash valida el saldo). `user` solo completa devoluciones de préstamos de su agencia.
+ */
+export async function completeRefund(id, { userId, cashSessionId = null, externalReference = null, user }) {
+  const pending = await getPendingRefund(prisma, id);
+  await assertLoanBranchAccess(user, pending.loanId);
+
+  let cashSession = null;
+  if (pending.method === 'EFECTIVO') {
+    if (!cashSessionId) throw badRequest('Indique la sesión de caja de donde sale el efectivo');
+    cashSession = await prisma.cashSession.findUnique({
+      where: { id: Number(cashSessionId) },
+      select: { id: true, isClosed: true, userId: true },
+    });
+    if (!cashSession || cashSession.isClosed) throw badRequest('La sesión de caja no está abierta');
+    if (cashSession.userId !== userId) throw badRequest('La sesión de caja abierta pertenece a otro usuario');
+  }
+
+  const refund = await prisma.$transaction(async (tx) => {
+    const current = await getPendingRefund(tx, id);
+    const { payment, available } = await getRefundablePayment(tx, current.paymentId, { excludeRefundId: id });
+    const amount = Number(current.amount);
+    if (amount > available + 0.001) {
+      throw badRequest(`El monto supera lo que queda por devolver del pago (S/ ${Math.max(0, available).toFixed(2)})`);
+    }
+
+    const split = splitRefund(payment, amount);
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        refundedAmount: { increment: amount },
+        principalPaid: { decrement: split.principalRefunded },
+        interestPaid: { decrement: split.interestRefunded },
+        lateFeePaid: { decrement: split.lateFeeRefunded },
+      },
+    });
+
+    const updated = await tx.refund.update({
+      where: { id },
+      data: {
+        status: 'COMPLETED',
+        principalRefunded: split.principalRefunded,
+        interestRefunded: split.interestRefunded,
+        lateFeeRefunded: split.lateFeeRefunded,
+        cashSessionId: cashSession ? cashSession.id : null,
+        ...(externalReference ? { externalReference } : {}),
+        resolvedByUserId: userId,
+        resolvedAt: new Date(),
+      },
+      include: REFUND_INCLUDE,
+    });
+
+    if (payment.installmentId) {
+      await reopenInstallment(tx, payment.installmentId);
+    }
+    await refreshLoanStatus(payment.loanId, tx);
+
+    if (cashSession) {
+      await withdrawCash(tx, {
+        cashSessionId: cashSession.id,
+        amount,
+        description: `Devolución #${id} del pago #${payment.id}`,
+        relatedPaymentId: payment.id,
+      });
+    }
+    return updated;
+  });
+
+  return refund;
+}
+
+/**
+ * Cancela una devolución pendiente (p. ej. disputa ganada); el pago no cambia
+ */
+export async function cancelRefund(id, { userId, user }) {
+  const pending = await getPendingRefund(prisma, id);
+  await assertLoanBranchAccess(user, pending.loanId);
+  return prisma.refund.update({
+    where: { id },
+    data: { status: 'CANCELLED', resolvedByUserId: userId, resolvedAt: new Date() },
+    include: REFUND_INCLUDE,
+  });
+}
@@ -0,0 +1,170 @@
+import { PrismaClient } from '@prisma/client';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { generateSchedule } from './schedule.js';
+import { getLoanStatement } from './payment.js';
+import { PAYABLE_STATUSES, LOAN_STATUS_LABELS } from './loanStatus.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+
+const prisma = new PrismaClient();
+
+function round2(v) {
+  return Math.round((v + Number.EPSILON) * 100) / 100;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Reprograma un préstamo:
+ * - Nuevo capital = capital pendiente + interés devengado (cuotas ya vencidas) + mora pendiente,
+ *   tomados de getLoanStatement. El interés de cuotas aún no vencidas no se cobra.
+ * - Las cuotas no pagadas quedan marcadas como reemplazadas (supersededAt) y se conservan.
+ * - El nuevo cronograma continúa la numeración de cuotas del préstamo.
+ * - Las condiciones vigentes del préstamo (tasa, plazo, sistema, frecuencia) se actualizan;
+ *   las anteriores quedan registradas en LoanReschedule.
+ */
+export async function rescheduleLoan({
+  loanId,
+  userId,
+  termCount,
+  interestRate,
+  startDate,
+  amortizationType,
+  frequency,
+  reason,
+}) {
+  const statement = await getLoanStatement(loanId);
+  const loan = await prisma.loan.findUnique({ where: { id: loanId } });
+
+  if (!PAYABLE_STATUSES.includes(loan.status)) {
+    throw badRequest(`No se puede reprogramar un préstamo en estado ${LOAN_STATUS_LABELS[loan.status] || loan.status}`);
+  }
+
+  const pendingInstallments = statement.schedule.filter(s => !s.isPaid);
+  if (pendingInstallments.length === 0) {
+    throw badRequest('El préstamo no tiene cuotas pendientes para reprogramar');
+  }
+
+  const today = dayjs.tz(new Date(), TZ).startOf('day');
+  const newStart = startDate ? dayjs.tz(startDate, TZ).startOf('day') : today;
+  if (newStart.isBefore(today)) {
+    throw badRequest('La fecha de inicio de la reprogramación no puede ser pasada');
+  }
+
+  // Interés devengado: lo pendiente de las cuotas ya vencidas
+  const accruedInterest = round2(pendingInstallments
+    .filter(s => !dayjs.tz(s.dueDate, TZ).isAfter(today))
+    .reduce((sum, s) => {
+      const interestPaid = statement.payments
+        .filter(p => p.installmentId === s.id && !p.voidedAt)
+        .reduce((acc, p) => acc + Number(p.interestPaid || 0), 0);
+      return sum + Math.max(0, Number(s.interestAmount) - interestPaid);
+    }, 0));
+  const outstandingPrincipal = Math.max(0, statement.totals.pendingPrincipal);
+  const lateFeeAmount = Math.max(0, statement.totals.pendingLateFee);
+  const newPrincipal = round2(outstandingPrincipal + accruedInterest + lateFeeAmount);
+  if (newPrincipal <= 0) {
+    throw badRequest('El préstamo no tiene saldo pendiente para reprogramar');
+  }
+
+  const newTerms = {
+    interestRate: interestRate ?? Number(loan.interestRate),
+    termCount,
+    amortizationType: amortizationType || loan.amortizationType,
+    frequency: frequency || loan.frequency,
+    dueDateShift: loan.dueDateShift,
+  };
+  // El mismo día de cada mes solo aplica a cuotas mensuales
+  newTerms.dueDatePolicy = newTerms.frequency === 'MONTHLY' ? loan.dueDatePolicy : 'FIXED_INTERVAL';
+
+  const schedule = generateSchedule({
+    principal: newPrincipal,
+    startDate: newStart.format('YYYY-MM-DD'),
+    ...newTerms,
+  });
+
+  const last = await prisma.paymentSchedule.findFirst({
+    where: { loanId },
+    orderBy: { installmentNumber: 'desc' },
+    select: { installmentNumber: true },
+  });
+  const offset = last ? last.installmentNumber : 0;
+
+  const reschedule = await prisma.$transaction(async (tx) => {
+    const created = await tx.loanReschedule.create({
+      data: {
+        loanId,
+        createdByUserId: userId,
+        outstandingPrincipal,
+        accruedInterest,
+        lateFeeAmount,
+        newPrincipal,
+        previousInterestRate: loan.interestRate,
+        previousTermCount: loan.termCount,
+        interestRate: newTerms.interestRate,
+        termCount,
+        amortizationType: newTerms.amortizationType,
+        frequency: newTerms.frequency,
+        startDate: newStart.hour(12).toDate(),
+        reason: reason || null,
+      },
+    });
+
+    await tx.paymentSchedule.updateMany({
+      where: { id: { in: pendingInstallments.map(s => s.id) } },
+      data: { supersededAt: new Date(), supersededById: created.id },
+    });
+
+    for (const row of schedule) {
+      await tx.paymentSchedule.create({
+        data: {
+          loanId,
+          rescheduleId: created.id,
+          installmentNumber: offset + row.installmentNumber,
+          dueDate: row.dueDate,
+          originalDueDate: row.originalDueDate,
+          installmentAmount: row.installmentAmount,
+          principalAmount: row.principalAmount,
+          interestAmount: row.interestAmount,
+          remainingBalance: row.remainingBalance,
+        },
+      });
+    }
+
+    await tx.loan.update({
+      where: { id: loanId },
+      data: {
+        interestRate: newTerms.interestRate,
+        termCount,
+        amortizationType: newTerms.amortizationType,
+        frequency: newTerms.frequency,
+        dueDatePolicy: newTerms.dueDatePolicy,
+        // Una reprogramación regulariza un préstamo en incumplimiento
+        ...(loan.status === 'DEFAULTED' ? { status: 'ACTIVE', statusChangedAt: new Date() } : {}),
+      },
+    });
+
+    return created;
+  });
+
+  return {
+    reschedule: {
+      ...reschedule,
+      outstandingPrincipal: Number(reschedule.outstandingPrincipal),
+      accruedInterest: Number(reschedule.accruedInterest),
+      lateFeeAmount: Number(reschedule.lateFeeAmount),
+      newPrincipal: Number(reschedule.newPrincipal),
+      previousInterestRate: Number(reschedule.previousInterestRate),
+      interestRate: Number(reschedule.interestRate),
+    },
+    schedule: schedule.map(row => ({ ...row, installmentNumber: offset + row.installmentNumber })),
+  };
+}
@@ -1,55 +1,112 @@
 ﻿import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
+import { isPeruvianHoliday } from './holidays.js';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 const TZ = 'America/Lima';
 
-// Calcula cronograma de pagos con cuotas fijas (sistema francés).
-// interestRate es anual (ej. 0.24 para 24%).
-// Fechas: cada cuota vence a los 30 días exactos desde la anterior
-// (ej.: 15/10 -> 14/11), manteniendo TZ Lima.
-export function generateSchedule({ principal, interestRate, termCount, startDate }) {
+export const AMORTIZATION_TYPES = ['FRENCH', 'GERMAN', 'AMERICAN', 'BULLET'];
+
+export const AMORTIZATION_LABELS = {
+  FRENCH: 'Francés (cuota fija)',
+  GERMAN: 'Alemán (capital constante)',
+  AMERICAN: 'Americano (solo interés + capital al final)',
+  BULLET: 'Pago único al vencimiento',
+};
+
+// Frecuencia de pago: días entre cuotas y periodos por año para prorratear la tasa anual.
+export const PAYMENT_FREQUENCIES = {
+  DAILY: { label: 'Diaria', days: 1, periodsPerYear: 365, unit: 'día', unitPlural: 'días' },
+  WEEKLY: { label: 'Semanal', days: 7, periodsPerYear: 52, unit: 'semana', unitPlural: 'semanas' },
+  BIWEEKLY: { label: 'Quincenal', days: 15, periodsPerYear: 24, unit: 'quincena', unitPlural: 'quincenas' },
+  MONTHLY: { label: 'Mensual', days: 30, periodsPerYear: 12, unit: 'mes', unitPlural: 'meses' },
+};
+
+export function termUnitLabel(frequency, count) {
+  const f = PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.MONTHLY;
+  return Number(count) === 1 ? f.unit : f.unitPlural;
+}
+
+// Política de vencimientos:
+// - FIXED_INTERVAL: cada N días según la frecuencia (mensual = 30 días).
+// - SAME_DAY_OF_MONTH: mismo día calendario de cada mes (solo frecuencia mensual);
+//   si el mes no tiene ese día se usa el último día del mes.
+export const DUE_DATE_POLICIES = ['FIXED_INTERVAL', 'SAME_DAY_OF_MONTH'];
+
+// Corrimiento de vencimientos al siguiente día hábil
+export const DUE_DATE_SHIFTS = ['NONE', 'SKIP_WEEKENDS', 'SKIP_HOLIDAYS', 'SKIP_WEEKENDS_AND_HOLIDAYS'];
+
+export const DUE_DATE_POLICY_LABELS = {
+  FIXED_INTERVAL: 'Intervalo fijo',
+  SAME_DAY_OF_MONTH: 'Mismo día de cada mes',
+};
+
+export const DUE_DATE_SHIFT_LABELS = {
+  NONE: 'Sin corrimiento',
+  SKIP_WEEKENDS: 'Fines de semana al siguiente día hábil',
+  SKIP_HOLIDAYS: 'Feriados al siguiente día hábil',
+  SKIP_WEEKENDS_AND_HOLIDAYS: 'Fines de semana y feriados al siguiente día hábil',
+};
+
+// Calcula cronograma de pagos según el sistema de amortización:
+// - FRENCH: cuota fija (anualidad).
+// - GERMAN: capital constante, el interés decrece con el saldo.
+// - AMERICAN: solo intereses en cada cuota y todo el capital en la última.
+// - BULLET: una sola cuota al final del plazo con capital + interés capitalizado.
+// interestRate es anual (ej. 0.24 para 24%) y se prorratea según la frecuencia.
+// Fechas: según dueDatePolicy (por defecto cada N días exactos: 15/10 -> 14/11) y luego
+// corridas según dueDateShift; originalDueDate conserva la fecha sin corrimiento. TZ Lima.
+export function generateSchedule({
+  principal,
+  interestRate,
+  termCount,
+  startDate,
+  amortizationType = 'FRENCH',
+  frequency = 'MONTHLY',
+  dueDatePolicy = 'FIXED_INTERVAL',
+  dueDateShift = 'NONE',
+}) {
   if (principal <= 0) throw new Error('Monto debe ser positivo');
   if (termCount <= 0) throw new Error('Plazo debe ser positivo');
   if (interestRate < 0) throw new Error('Tasa no puede ser negativa');
+  if (!AMORTIZATION_TYPES.includes(amortizationType)) throw new Error('Sistema de amortización no válido');
+  const freq = PAYMENT_FREQUENCIES[frequency];
+  if (!freq) throw new Error('Frecuencia de pago no válida');
+  if (!DUE_DATE_POLICIES.includes(dueDatePolicy)) throw new Error('Política de vencimiento no válida');
+  if (dueDatePolicy === 'SAME_DAY_OF_MONTH' && frequency !== 'MONTHLY') {
+    throw new Error('El vencimiento en el mismo día de cada mes solo aplica a frecuencia mensual');
+  }
+  if (!DUE_DATE_SHIFTS.includes(dueDateShift)) throw new Error('Corrimiento de vencimiento no válido');
 
   const periods = termCount;
   // Interpretar la fecha como Lima y al inicio del día
   const start = dayjs.tz(startDate, TZ).startOf('day');
 
-  // Tasa por periodo (mensual)
-  const r = interestRate / 12;
+  // Tasa por periodo según la frecuencia
+  const r = interestRate / freq.periodsPerYear;
 
-  // Fórmula de anualidad para cuota fija si r>0; si r=0 cuota = principal/periods
-  const installment = r > 0
-    ? (principal * (r * Math.pow(1 + r, periods)) / (Math.pow(1 + r, periods) - 1))
-    : (principal / periods);
+  const rows = buildAmortizationRows({ principal, r, periods, amortizationType });
 
-  let balance = principal;
   const schedule = [];
-  let prevDue = start;
-  for (let i = 1; i <= periods; i++) {
-    const interest = balance * r;
-    const principalPart = Math.max(0, installment - interest);
-    balance = Math.max(0, balance - principalPart);
-
-    // Próxima fecha: +30 días respecto a la anterior
-    let dueDate = prevDue.add(30, 'day');
-    // Fijar mediodía para evitar desfaces por TZ/DST al serializar
-    dueDate = dueDate.hour(12).minute(0).second(0).millisecond(0);
+  let periodIndex = 0;
+  for (const row of rows) {
+    periodIndex += row.periodSpan;
+    // Las fechas se calculan desde el inicio (no desde la cuota anterior) para que
+    // los corrimientos por feriados no se acumulen
+    const originalDueDate = nominalDueDate(start, periodIndex, freq, dueDatePolicy);
+    const dueDate = shiftDueDate(originalDueDate, dueDateShift);
 
     schedule.push({
-      installmentNumber: i,
+      installmentNumber: schedule.length + 1,
       dueDate: dueDate.toDate(),
-      installmentAmount: round2(installment),
-      principalAmount: round2(principalPart),
-      interestAmount: round2(interest),
-      remainingBalance: round2(balance),
+      originalDueDate: originalDueDate.toDate(),
+      installmentAmount: round2(row.installment),
+      principalAmount: round2(row.principalPart),
+      interestAmount: round2(row.interest),
+      remainingBalance: round2(row.balance),
     });
-
-    prevDue = dueDate.startOf('day');
   }
 
   // Ajustes finales por redondeos
@@ -73,6 +130,58 @@ export function generateSchedule({ principal, interestRate, termCount, startDate
   return schedule;
 }
 
+function nominalDueDate(start, periodIndex, freq, dueDatePolicy) {
+  const date = dueDatePolicy === 'SAME_DAY_OF_MONTH'
+    ? start.add(periodIndex, 'month')
+    : start.add(freq.days * periodIndex, 'day');
+  // Fijar mediodía para evitar desfaces por TZ/DST al serializar
+  return date.hour(12).minute(0).second(0).millisecond(0);
+}
+
+function shiftDueDate(date, dueDateShift) {
+  const skipWeekends = dueDateShift === 'SKIP_WEEKENDS' || dueDateShift === 'SKIP_WEEKENDS_AND_HOLIDAYS';
+  const skipHolidays = dueDateShift === 'SKIP_HOLIDAYS' || dueDateShift === 'SKIP_WEEKENDS_AND_HOLIDAYS';
+  let shifted = date;
+  while (
+    (skipWeekends && (shifted.day() === 0 || shifted.day() === 6)) ||
+    (skipHolidays && isPeruvianHoliday(shifted))
+  ) {
+    shifted = shifted.add(1, 'day');
+  }
+  return shifted;
+}
+
+// Filas sin redondear (interés, capital, cuota y saldo) para cada sistema.
+// periodSpan indica cuántos periodos de la frecuencia abarca la cuota.
+function buildAmortizationRows({ principal, r, periods, amortizationType }) {
+  if (amortizationType === 'BULLET') {
+    const interest = principal * (Math.pow(1 + r, periods) - 1);
+    return [{ interest, principalPart: principal, installment: principal + interest, balance: 0, periodSpan: periods }];
+  }
+
+  // Fórmula de anualidad para cuota fija si r>0; si r=0 cuota = principal/periods
+  const frenchInstallment = r > 0
+    ? (principal * (r * Math.pow(1 + r, periods)) / (Math.pow(1 + r, periods) - 1))
+    : (principal / periods);
+
+  let balance = principal;
+  const rows = [];
+  for (let i = 1; i <= periods; i++) {
+    const interest = balance * r;
+    let principalPart;
+    if (amortizationType === 'GERMAN') {
+      principalPart = principal / periods;
+    } else if (amortizationType === 'AMERICAN') {
+      principalPart = i === periods ? balance : 0;
+    } else {
+      principalPart = Math.max(0, frenchInstallment - interest);
+    }
+    balance = Math.max(0, balance - principalPart);
+    rows.push({ interest, principalPart, installment: principalPart + interest, balance, periodSpan: 1 });
+  }
+  return rows;
+}
+
 function round2(v) {
   return Math.round((v + Number.EPSILON) * 100) / 100;
 }
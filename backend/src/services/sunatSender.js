@@ -0,0 +1,125 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { config } from '../config.js';
+import { xml, verifyXmlSignature } from './xmlSignature.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+
+// RUC de SUNAT, emisor de los CDR
+const SUNAT_RUC = '20131312955';
+const DOCUMENT_LABELS = { '01': 'Factura', '03': 'Boleta', '07': 'Nota de Credito' };
+
+/**
+ * Estado del comprobante según el código de respuesta del CDR: 0 aceptado, 2000-3999 rechazo,
+ * 4000 en adelante observaciones (aceptado). 0100-1999 son excepciones: no hay CDR y se reintenta.
+ */
+export function statusFromResponseCode(code) {
+  const n = Number(code);
+  if (n === 0) return 'ACCEPTED';
+  if (n >= 4000) return 'OBSERVED';
+  if (n >= 2000) return 'REJECTED';
+  return 'ERROR';
+}
+
+function textOf(source, tag) {
+  const match = source.match(new RegExp(`<${tag}(?: [^>]*)?>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+function buildCdr({ documentNumber, documentLabel, issuerRuc, customerId, responseCode, description }) {
+  const now = dayjs.tz(new Date(), TZ);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + xml('ar:ApplicationResponse', {
+    'xmlns:ar': 'urn:oasis:names:specification:ubl:schema:xsd:ApplicationResponse-2',
+    'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  },
+    xml('cbc:UBLVersionID', {}, '2.0'),
+    xml('cbc:CustomizationID', {}, '1.0'),
+    xml('cbc:ID', {}, String(now.valueOf())),
+    xml('cbc:IssueDate', {}, now.format('YYYY-MM-DD')),
+    xml('cbc:IssueTime', {}, now.format('HH:mm:ss')),
+    xml('cbc:ResponseDate', {}, now.format('YYYY-MM-DD')),
+    xml('cbc:ResponseTime', {}, now.format('HH:mm:ss')),
+    xml('cac:SenderParty', {}, xml('cac:PartyIdentification', {}, xml('cbc:ID', {}, SUNAT_RUC))),
+    xml('cac:ReceiverParty', {}, xml('cac:PartyIdentification', {}, xml('cbc:ID', {}, `6-${issuerRuc}`))),
+    xml('cac:DocumentResponse', {},
+      xml('cac:Response', {},
+        xml('cbc:ReferenceID', {}, documentNumber),
+        xml('cbc:ResponseCode', {}, String(responseCode)),
+        xml('cbc:Description', {}, description || `La ${documentLabel} numero ${documentNumber}, ha sido aceptada`),
+      ),
+      xml('cac:DocumentReference', {}, xml('cbc:ID', {}, documentNumber)),
+      customerId ? xml('cac:RecipientParty', {}, xml('cac:PartyIdentification', {}, xml('cbc:ID', {}, customerId))) : null,
+    ),
+  ).raw;
+}
+
+/**
+ * Envío local que hace de OSE/SUNAT para desarrollo y pruebas: valida la firma y algunas
+ * reglas básicas del comprobante y responde un CDR con códigos al estilo SUNAT. No sale a la red.
+ */
+const mockSender = {
+  name: 'mock',
+  async send({ xml: signedXml, documentNumber, documentType }) {
+    const documentLabel = DOCUMENT_LABELS[documentType] || 'Comprobante';
+    // Las notas de crédito llevan la serie del tipo de comprobante que modifican (F o B)
+    const referenceNumber = textOf(signedXml, 'cbc:ReferenceID');
+    const seriesPrefix = documentType === '07' ? (referenceNumber || '').charAt(0) : (documentType === '01' ? 'F' : 'B');
+    const issuerRuc = textOf(signedXml.slice(signedXml.indexOf('<cac:AccountingSupplierParty>')), 'cbc:ID');
+    const customerBlock = signedXml.slice(signedXml.indexOf('<cac:AccountingCustomerParty>'));
+    const customerScheme = (customerBlock.match(/<cbc:ID schemeID="(\d+)">/) || [])[1];
+    const customerNumber = textOf(customerBlock, 'cbc:ID');
+
+    let responseCode = '0';
+    let description = null;
+    const signature = verifyXmlSignature(signedXml);
+    if (!signature.valid) {
+      responseCode = '2335';
+      description = `El documento electrónico ingresado ha sido alterado (${signature.reason})`;
+    } else if (textOf(signedXml, 'cbc:ID') !== documentNumber) {
+      responseCode = '1034';
+      description = 'El número del comprobante no coincide con el nombre del archivo';
+    } else if (!seriesPrefix || !documentNumber.startsWith(seriesPrefix)) {
+      responseCode = '1001';
+      description = `La serie no corresponde al tipo de ${documentLabel.toLowerCase()}`;
+    } else if (seriesPrefix === 'F' && (customerScheme !== '6' || !/^\d{11}$/.test(customerNumber || ''))) {
+      responseCode = '2800';
+      description = 'El tipo de documento del receptor debe ser RUC para facturas';
+    }
+
+    const status = statusFromResponseCode(responseCode);
+    return {
+      status,
+      responseCode,
+      responseDescription: description || `La ${documentLabel} numero ${documentNumber}, ha sido aceptada`,
+      // Las excepciones no generan CDR
+      cdrXml: status === 'ERROR' ? null : buildCdr({
+        documentNumber,
+        documentLabel,
+        issuerRuc,
+        customerId: customerScheme ? `${customerScheme}-${customerNumber}` : null,
+        responseCode,
+        description,
+      }),
+    };
+  },
+};
+
+const senders = new Map([[mockSender.name, mockSender]]);
+
+/**
+ * Registra un envío (OSE o SUNAT). `send({ fileName, xml, documentNumber, documentType })` debe
+ * devolver `{ status, responseCode, responseDescription, cdrXml }` o lanzar si no hubo respuesta.
+ */
+export function registerSunatSender(sender) {
+  senders.set(sender.name, sender);
+}
+
+export function getSunatSender(name = config.sunat.sender) {
+  const sender = senders.get(name);
+  if (!sender) throw new Error(`Envío de comprobantes "${name}" no registrado (SUNAT_SENDER)`);
+  return sender;
+}
@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { PrismaClient } from '@prisma/client';
+import { config } from '../config.js';
+import { normalizeRole } from '../middleware/auth.js';
+
+const prisma = new PrismaClient();
+
+// Roles que deben pasar el segundo factor en cada login (cierran cajas y editan comprobantes)
+export const TOTP_REQUIRED_ROLES = ['admin', 'supervisor'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) con HMAC-SHA1, que es lo que esperan las apps autenticadoras
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Paso TOTP (RFC 6238) que coincide con el código, tolerando un paso de desfase del reloj.
+ * Devuelve null si no coincide o si el paso ya se usó (lastStep).
+ */
+function matchTotpStep(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const current = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256').update(config.totp.encryptionKey).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+}
+
+function buildOtpauthUrl(username, secret) {
+  const issuer = config.totp.issuer;
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+async function findUserOr404(userId, client = prisma) {
+  const user = await client.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    const err = new Error('Usuario no encontrado');
+    err.status = 404;
+    throw err;
+  }
+  return user;
+}
+
+// Reemplaza los códigos de recuperación; los valores en claro solo se devuelven aquí
+async function issueRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await client.totpRecoveryCode.deleteMany({ where: { userId } });
+  await client.totpRecoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })),
+  });
+  return codes;
+}
+
+export function isTotpRequired(user) {
+  return TOTP_REQUIRED_ROLES.includes(normalizeRole(user.role));
+}
+
+/**
+ * El login pide el segundo factor si el usuario lo activó o si su rol lo exige
+ */
+export function requiresSecondFactor(user) {
+  return !!user.totpEnabledAt || isTotpRequired(user);
+}
+
+export async function getTotpStatus(userId) {
+  const user = await findUserOr404(userId);
+  const recoveryCodesLeft = await prisma.totpRecoveryCode.count({ where: { userId, usedAt: null } });
+  return {
+    enabled: !!user.totpEnabledAt,
+    enabledAt: user.totpEnabledAt,
+    required: isTotpRequired(user),
+    recoveryCodesLeft: user.totpEnabledAt ? recoveryCodesLeft : 0,
+  };
+}
+
+/**
+ * Genera un secreto nuevo pendiente de confirmar. Devuelve el secreto (para ingreso manual)
+ * y la URI otpauth:// que las apps leen como código QR.
+ */
+export async function startTotpSetup(userId) {
+  const user = await findUserOr404(userId);
+  if (user.totpEnabledAt) throw badRequest('La verificación en dos pasos ya está activa');
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.user.update({ where: { id: userId }, data: { totpPendingSecret: encryptSecret(secret) } });
+  return { secret, otpauthUrl: buildOtpauthUrl(user.username, secret) };
+}
+
+/**
+ * Confirma el enrolamiento con el primer código. Devuelve los códigos de recuperación,
+ * o null si el código no coincide.
+ */
+export async function confirmTotpSetup(userId, code) {
+  const user = await findUserOr404(userId);
+  if (user.totpEnabledAt) throw badRequest('La verificación en dos pasos ya está activa');
+  if (!user.totpPendingSecret) throw badRequest('Primero genere el código QR de enrolamiento');
+
+  const secret = decryptSecret(user.totpPendingSecret);
+  const step = matchTotpStep(secret, code);
+  if (step === null) return null;
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        totpSecret: user.totpPendingSecret,
+        totpPendingSecret: null,
+        totpEnabledAt: new Date(),
+        totpLastStep: step,
+      },
+    });
+    return issueRecoveryCodes(tx, userId);
+  });
+}
+
+export async function enableTotp(userId, code) {
+  const recoveryCodes = await confirmTotpSetup(userId, code);
+  if (!recoveryCodes) throw badRequest('Código de verificación incorrecto');
+  return { recoveryCodes };
+}
+
+/**
+ * Verifica el segundo factor con un código TOTP o con un código de recuperación
+ * (que queda consumido). Devuelve false si no coincide.
+ */
+export async function verifySecondFactor(user, { code = null, recoveryCode = null }) {
+  if (!user.totpSecret) return false;
+
+  if (recoveryCode) {
+    const used = await prisma.totpRecoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return used.count === 1;
+  }
+
+  const step = matchTotpStep(decryptSecret(user.totpSecret), code, user.totpLastStep);
+  if (step === null) return false;
+  // Solo acepta el paso si nadie lo usó entre la lectura y esta actualización
+  const updated = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+    data: { totpLastStep: step },
+  });
+  return updated.count === 1;
+}
+
+async function assertCurrentCode(user, code) {
+  if (!(await verifySecondFactor(user, { code }))) {
+    throw badRequest('Código de verificación incorrecto');
+  }
+}
+
+export async function regenerateRecoveryCodes(userId, code) {
+  const user = await findUserOr404(userId);
+  if (!user.totpEnabledAt) throw badRequest('La verificación en dos pasos no está activa');
+  await assertCurrentCode(user, code);
+  return { recoveryCodes: await issueRecoveryCodes(prisma, userId) };
+}
+
+function clearTotpData(client, userId) {
+  return Promise.all([
+    client.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpPendingSecret: null, totpEnabledAt: null, totpLastStep: null },
+    }),
+    client.totpRecoveryCode.deleteMany({ where: { userId } }),
+  ]);
+}
+
+/**
+ * Desactiva la verificación en dos pasos del propio usuario (pide contraseña y código).
+ * No se permite a los roles que la tienen obligatoria.
+ */
+export async function disableTotp(userId, { password, code }) {
+  const user = await findUserOr404(userId);
+  if (!user.totpEnabledAt) throw badRequest('La verificación en dos pasos no está activa');
+  if (isTotpRequired(user)) throw badRequest('Su rol exige verificación en dos pasos');
+  const ok = await bcrypt.compare(password || '', user.passwordHash);
+  if (!ok) throw badRequest('La contraseña es incorrecta');
+  await assertCurrentCode(user, code);
+  await prisma.$transaction((tx) => clearTotpData(tx, userId));
+  return { enabled: false };
+}
+
+/**
+ * Restablecimiento por un administrador (dispositivo perdido): el usuario vuelve a enrolarse
+ * en su próximo login si su rol lo exige.
+ */
+export async function resetUserTotp(userId) {
+  await findUserOr404(userId);
+  await prisma.$transaction((tx) => clearTotpData(tx, userId));
+}
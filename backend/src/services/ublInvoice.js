@@ -0,0 +1,225 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { xml } from './xmlSignature.js';
+import { numberToWords, splitIgv } from './pdf.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const TZ = 'America/Lima';
+
+// Catálogo 01 (tipo de comprobante) y catálogo 06 (tipo de documento de identidad)
+export const DOCUMENT_TYPE_CODES = { FACTURA: '01', BOLETA: '03' };
+export const CREDIT_NOTE_TYPE_CODE = '07';
+export const IDENTITY_DOCUMENT = { DNI: '1', RUC: '6' };
+
+const ROOT_NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+};
+const NAMESPACES = {
+  'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  'xmlns:ds': 'http://www.w3.org/2000/09/xmldsig#',
+  'xmlns:ext': 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2',
+};
+const CURRENCY = 'PEN';
+
+function amount(tag, value) {
+  return xml(tag, { currencyID: CURRENCY }, Number(value).toFixed(2));
+}
+
+// IGV: tributo 1000, afectación 10 (gravado - operación onerosa)
+function igvScheme() {
+  return xml('cac:TaxScheme', {},
+    xml('cbc:ID', {}, '1000'),
+    xml('cbc:Name', {}, 'IGV'),
+    xml('cbc:TaxTypeCode', {}, 'VAT'),
+  );
+}
+
+function taxTotal({ opGravada, igv }, igvRate, withLineCategory = false) {
+  return xml('cac:TaxTotal', {},
+    amount('cbc:TaxAmount', igv),
+    xml('cac:TaxSubtotal', {},
+      amount('cbc:TaxableAmount', opGravada),
+      amount('cbc:TaxAmount', igv),
+      xml('cac:TaxCategory', {},
+        withLineCategory ? xml('cbc:Percent', {}, String(Number((igvRate * 100).toFixed(2)))) : null,
+        withLineCategory ? xml('cbc:TaxExemptionReasonCode', {}, '10') : null,
+        igvScheme(),
+      ),
+    ),
+  );
+}
+
+function party(identification, legalEntity) {
+  return xml('cac:Party', {},
+    xml('cac:PartyIdentification', {}, xml('cbc:ID', { schemeID: identification.type }, identification.number)),
+    legalEntity,
+  );
+}
+
+/**
+ * Receptor del comprobante de un pago: la empresa de la factura o el cliente (DNI) en boletas
+ */
+export function receiptCustomer(payment) {
+  if (payment.receiptType === 'FACTURA') {
+    return { type: IDENTITY_DOCUMENT.RUC, number: payment.invoiceRuc, name: payment.invoiceBusinessName, address: payment.invoiceAddress };
+  }
+  const client = payment.loan.client;
+  return { type: IDENTITY_DOCUMENT.DNI, number: client.dni, name: `${client.firstName} ${client.lastName}`, address: null };
+}
+
+/**
+ * Datos del comprobante para el XML a partir de un pago con su préstamo y cliente.
+ * En una cancelación anticipada `total` es el total cobrado (todas las cuotas).
+ */
+export function buildReceiptDocumentData(payment, { issuer, total, documentNumber }) {
+  const customer = receiptCustomer(payment);
+
+  let description;
+  if (payment.payoffId) {
+    description = `Cancelación anticipada del préstamo #${payment.loanId}`;
+  } else if (payment.prepaymentId) {
+    description = `Prepago a capital del préstamo #${payment.loanId}`;
+  } else if (payment.installment) {
+    description = `Pago de la cuota ${payment.installment.installmentNumber} del préstamo #${payment.loanId}`;
+  } else {
+    description = `Pago del préstamo #${payment.loanId}`;
+  }
+
+  return {
+    documentNumber,
+    receiptType: payment.receiptType,
+    issuedAt: payment.paymentDate,
+    total: Number(total),
+    issuer,
+    customer,
+    description,
+  };
+}
+
+/**
+ * Datos de una nota de crédito para el XML: receptor y comprobante modificado tal como se emitieron
+ */
+export function buildCreditNoteDocumentData(creditNote, { issuer, documentNumber, referenceNumber }) {
+  return {
+    documentNumber,
+    receiptType: creditNote.receiptType,
+    issuedAt: creditNote.createdAt,
+    total: Number(creditNote.amount),
+    issuer,
+    customer: {
+      type: creditNote.customerDocType,
+      number: creditNote.customerDocNumber,
+      name: creditNote.customerName,
+      address: creditNote.customerAddress,
+    },
+    description: creditNote.description,
+    reference: { documentNumber: referenceNumber, reasonCode: creditNote.reasonCode },
+  };
+}
+
+/**
+ * XML UBL 2.1 (Invoice) de una boleta o factura, listo para signXml: forma canónica y
+ * ext:ExtensionContent vacío. Una sola línea por el total cobrado, con el IGV incluido
+ * desglosado igual que en el PDF.
+ */
+export function buildInvoiceXml(data) {
+  return buildUblDocument('Invoice', data);
+}
+
+/**
+ * XML UBL 2.1 (CreditNote) de una nota de crédito: igual que el comprobante, más el motivo
+ * (DiscrepancyResponse) y la referencia al comprobante que modifica (BillingReference)
+ */
+export function buildCreditNoteXml(data) {
+  return buildUblDocument('CreditNote', data);
+}
+
+function buildUblDocument(root, data) {
+  const { documentNumber, receiptType, issuedAt, total, issuer, customer, description, reference } = data;
+  const isCreditNote = root === 'CreditNote';
+  const breakdown = splitIgv(total, issuer.igvRate);
+  const issued = dayjs.tz(issuedAt, TZ);
+
+  return xml(root, { xmlns: ROOT_NAMESPACES[root], ...NAMESPACES },
+    xml('ext:UBLExtensions', {}, xml('ext:UBLExtension', {}, xml('ext:ExtensionContent'))),
+    xml('cbc:UBLVersionID', {}, '2.1'),
+    xml('cbc:CustomizationID', {}, '2.0'),
+    xml('cbc:ID', {}, documentNumber),
+    xml('cbc:IssueDate', {}, issued.format('YYYY-MM-DD')),
+    xml('cbc:IssueTime', {}, issued.format('HH:mm:ss')),
+    // listID 0101: venta interna
+    isCreditNote ? null : xml('cbc:InvoiceTypeCode', { listID: '0101' }, DOCUMENT_TYPE_CODES[receiptType]),
+    xml('cbc:Note', { languageLocaleID: '1000' }, `${numberToWords(total)} SOLES`),
+    xml('cbc:DocumentCurrencyCode', {}, CURRENCY),
+    isCreditNote
+      ? xml('cac:DiscrepancyResponse', {},
+        xml('cbc:ReferenceID', {}, reference.documentNumber),
+        xml('cbc:ResponseCode', {}, reference.reasonCode),
+        xml('cbc:Description', {}, description),
+      )
+      : null,
+    isCreditNote
+      ? xml('cac:BillingReference', {}, xml('cac:InvoiceDocumentReference', {},
+        xml('cbc:ID', {}, reference.documentNumber),
+        xml('cbc:DocumentTypeCode', {}, DOCUMENT_TYPE_CODES[receiptType]),
+      ))
+      : null,
+    xml('cac:Signature', {},
+      xml('cbc:ID', {}, issuer.ruc),
+      xml('cac:SignatoryParty', {},
+        xml('cac:PartyIdentification', {}, xml('cbc:ID', {}, issuer.ruc)),
+        xml('cac:PartyName', {}, xml('cbc:Name', {}, issuer.name)),
+      ),
+      xml('cac:DigitalSignatureAttachment', {},
+        xml('cac:ExternalReference', {}, xml('cbc:URI', {}, '#SignatureSP')),
+      ),
+    ),
+    xml('cac:AccountingSupplierParty', {}, party(
+      { type: IDENTITY_DOCUMENT.RUC, number: issuer.ruc },
+      xml('cac:PartyLegalEntity', {},
+        xml('cbc:RegistrationName', {}, issuer.name),
+        xml('cac:RegistrationAddress', {},
+          xml('cbc:AddressTypeCode', {}, issuer.establishmentCode),
+          xml('cac:AddressLine', {}, xml('cbc:Line', {}, issuer.address)),
+        ),
+      ),
+    )),
+    xml('cac:AccountingCustomerParty', {}, party(
+      customer,
+      xml('cac:PartyLegalEntity', {},
+        xml('cbc:RegistrationName', {}, customer.name),
+        customer.address
+          ? xml('cac:RegistrationAddress', {}, xml('cac:AddressLine', {}, xml('cbc:Line', {}, customer.address)))
+          : null,
+      ),
+    )),
+    // Las facturas indican la forma de pago; los cobros se reciben al contado
+    receiptType === 'FACTURA' && !isCreditNote
+      ? xml('cac:PaymentTerms', {}, xml('cbc:ID', {}, 'FormaPago'), xml('cbc:PaymentMeansID', {}, 'Contado'))
+      : null,
+    taxTotal(breakdown, issuer.igvRate),
+    xml('cac:LegalMonetaryTotal', {},
+      amount('cbc:LineExtensionAmount', breakdown.opGravada),
+      amount('cbc:TaxInclusiveAmount', total),
+      amount('cbc:PayableAmount', total),
+    ),
+    xml(isCreditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine', {},
+      xml('cbc:ID', {}, '1'),
+      xml(isCreditNote ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity', { unitCode: 'ZZ' }, '1'),
+      amount('cbc:LineExtensionAmount', breakdown.opGravada),
+      xml('cac:PricingReference', {},
+        xml('cac:AlternativeConditionPrice', {},
+          amount('cbc:PriceAmount', total),
+          xml('cbc:PriceTypeCode', {}, '01'),
+        ),
+      ),
+      taxTotal(breakdown, issuer.igvRate, true),
+      xml('cac:Item', {}, xml('cbc:Description', {}, description)),
+      xml('cac:Price', {}, amount('cbc:PriceAmount', breakdown.opGravada)),
+    ),
+  ).raw;
+}
@@ -0,0 +1,154 @@
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcryptjs';
+import { ROLES, normalizeRole } from '../middleware/auth.js';
+import { revokeUserRefreshTokens } from './authSession.js';
+
+const prisma = new PrismaClient();
+
+const USER_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  branchId: true,
+  branch: { select: { id: true, code: true, name: true } },
+  isActive: true,
+  deactivatedAt: true,
+  failedLoginCount: true,
+  lockedUntil: true,
+  totpEnabledAt: true,
+  createdAt: true,
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toPublicUser(user) {
+  return { ...user, role: normalizeRole(user.role) };
+}
+
+async function findUserOr404(id) {
+  const user = await prisma.user.findUnique({ where: { id } });
+  if (!user) {
+    const err = new Error('Usuario no encontrado');
+    err.status = 404;
+    throw err;
+  }
+  return user;
+}
+
+// Evita dejar el sistema sin ningún administrador activo
+async function assertAnotherActiveAdmin(userId) {
+  const admins = await prisma.user.count({
+    where: { role: 'admin', isActive: true, id: { not: userId } },
+  });
+  if (admins === 0) {
+    throw badRequest('Debe quedar al menos un administrador activo');
+  }
+}
+
+export async function listUsers({ includeInactive = true } = {}) {
+  const users = await prisma.user.findMany({
+    where: includeInactive ? {} : { isActive: true },
+    select: USER_SELECT,
+    orderBy: { username: 'asc' },
+  });
+  return users.map(toPublicUser);
+}
+
+async function assertActiveBranch(branchId) {
+  if (branchId === null) return;
+  const branch = await prisma.branch.findUnique({ where: { id: branchId } });
+  if (!branch) throw badRequest('La agencia no existe');
+  if (!branch.isActive) throw badRequest(`La agencia ${branch.code} está inactiva`);
+}
+
+export async function createUser({ username, password, role, branchId = null }) {
+  if (!ROLES.includes(role)) throw badRequest('Rol no válido');
+  const existing = await prisma.user.findUnique({ where: { username } });
+  if (existing) throw badRequest(`El usuario ${username} ya existe`);
+  await assertActiveBranch(branchId);
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const user = await prisma.user.create({
+    data: { username, passwordHash, role, branchId },
+    select: USER_SELECT,
+  });
+  return toPublicUser(user);
+}
+
+/**
+ * Cambia el rol. Los tokens vigentes toman el rol nuevo en el siguiente request
+ * (requireAuth lee el usuario de la BD).
+ */
+export async function updateUserRole(id, role, { actingUserId }) {
+  if (!ROLES.includes(role)) throw badRequest('Rol no válido');
+  const user = await findUserOr404(id);
+  if (normalizeRole(user.role) === 'admin' && role !== 'admin') {
+    if (id === actingUserId) throw badRequest('No puede quitarse a sí mismo el rol de administrador');
+    await assertAnotherActiveAdmin(id);
+  }
+  const updated = await prisma.user.update({ where: { id }, data: { role }, select: USER_SELECT });
+  return toPublicUser(updated);
+}
+
+/**
+ * Asigna la agencia del usuario (null = sin agencia). Rige desde su siguiente request; las cajas
+ * que ya abrió conservan la agencia con que se abrieron.
+ */
+export async function updateUserBranch(id, branchId) {
+  await findUserOr404(id);
+  await assertActiveBranch(branchId);
+  const updated = await prisma.user.update({ where: { id }, data: { branchId }, select: USER_SELECT });
+  return toPublicUser(updated);
+}
+
+/**
+ * Desactiva o reactiva un usuario. Al desactivar, sus tokens dejan de funcionar de inmediato.
+ */
+export async function setUserActive(id, isActive, { actingUserId }) {
+  const user = await findUserOr404(id);
+  if (!isActive) {
+    if (id === actingUserId) throw badRequest('No puede desactivar su propio usuario');
+    if (normalizeRole(user.role) === 'admin') await assertAnotherActiveAdmin(id);
+  }
+  const updated = await prisma.user.update({
+    where: { id },
+    data: isActive
+      ? { isActive: true, deactivatedAt: null }
+      : { isActive: false, deactivatedAt: new Date(), tokenVersion: { increment: 1 } },
+    select: USER_SELECT,
+  });
+  if (!isActive) await revokeUserRefreshTokens(id);
+  return toPublicUser(updated);
+}
+
+/**
+ * Restablece la contraseña y cierra las sesiones abiertas del usuario
+ */
+export async function resetUserPassword(id, newPassword) {
+  await findUserOr404(id);
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+  const updated = await prisma.user.update({
+    where: { id },
+    data: { passwordHash, tokenVersion: { increment: 1 } },
+    select: USER_SELECT,
+  });
+  await revokeUserRefreshTokens(id);
+  return toPublicUser(updated);
+}
+
+/**
+ * Levanta el bloqueo por intentos fallidos y reinicia la espera creciente
+ */
+export async function unlockUser(id) {
+  await findUserOr404(id);
+  const updated = await prisma.user.update({
+    where: { id },
+    data: { failedLoginCount: 0, lockoutCount: 0, lockedUntil: null },
+    select: USER_SELECT,
+  });
+  return toPublicUser(updated);
+}
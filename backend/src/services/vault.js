@@ -0,0 +1,113 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+// Movimientos que se registran a mano; las transferencias con las cajas van por services/cashTransfer.js
+export const EXTERNAL_VAULT_MOVEMENT_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+const OUTGOING_MOVEMENT_TYPES = ['WITHDRAWAL', 'TRANSFER_OUT'];
+
+export function toVaultResponse(vault) {
+  return { ...vault, balance: Number(vault.balance) };
+}
+
+function toVaultMovementResponse(movement) {
+  return { ...movement, amount: Number(movement.amount), balanceAfter: Number(movement.balanceAfter) };
+}
+
+/**
+ * Bóveda de la agencia; se crea con saldo cero la primera vez que se usa
+ */
+export async function getBranchVault(branchId, client = prisma) {
+  const branch = await client.branch.findUnique({ where: { id: branchId }, select: { id: true } });
+  if (!branch) throw notFound('Agencia no encontrada');
+  return client.vault.upsert({ where: { branchId }, update: {}, create: { branchId } });
+}
+
+/**
+ * Saldo de la bóveda de cada agencia activa y sus transferencias pendientes.
+ * `branchId` undefined = todas las agencias; null (usuario sin agencia) no tiene bóveda.
+ */
+export async function listVaults({ branchId } = {}) {
+  if (branchId === null) return [];
+  const branches = await prisma.branch.findMany({
+    where: { isActive: true, ...(branchId !== undefined ? { id: branchId } : {}) },
+    include: {
+      vault: { include: { _count: { select: { transfers: { where: { status: 'PENDING' } } } } } },
+    },
+    orderBy: { code: 'asc' },
+  });
+  return branches.map(({ vault, ...branch }) => ({
+    branch,
+    vaultId: vault ? vault.id : null,
+    balance: vault ? Number(vault.balance) : 0,
+    pendingTransfers: vault ? vault._count.transfers : 0,
+    updatedAt: vault ? vault.updatedAt : null,
+  }));
+}
+
+/**
+ * Aplica un movimiento al saldo de la bóveda dentro de la transacción `tx` y lo deja en el
+ * libro con el saldo resultante. Las salidas se descuentan con una actualización condicional:
+ * dos salidas simultáneas no dejan la bóveda en negativo.
+ */
+export async function applyVaultMovement(tx, { vaultId, movementType, amount, description = null, cashTransferId = null, userId }) {
+  if (OUTGOING_MOVEMENT_TYPES.includes(movementType)) {
+    const { count } = await tx.vault.updateMany({
+      where: { id: vaultId, balance: { gte: amount } },
+      data: { balance: { decrement: amount } },
+    });
+    if (count === 0) {
+      const vault = await tx.vault.findUnique({ where: { id: vaultId } });
+      throw badRequest(`Saldo insuficiente en bóveda (S/ ${Number(vault.balance).toFixed(2)}) para entregar S/ ${Number(amount).toFixed(2)}`);
+    }
+  } else {
+    await tx.vault.update({ where: { id: vaultId }, data: { balance: { increment: amount } } });
+  }
+  const { balance } = await tx.vault.findUnique({ where: { id: vaultId }, select: { balance: true } });
+  return tx.vaultMovement.create({
+    data: { vaultId, movementType, amount, balanceAfter: balance, description, cashTransferId, userId },
+  });
+}
+
+/**
+ * Entrada o salida externa de la bóveda (retiro o depósito en el banco, aporte o retiro del dueño).
+ * La descripción documenta el origen o destino del efectivo.
+ */
+export async function registerVaultMovement(branchId, { movementType, amount, description, userId }) {
+  if (!EXTERNAL_VAULT_MOVEMENT_TYPES.includes(movementType)) throw badRequest('Tipo de movimiento de bóveda no válido');
+  if (!(amount > 0)) throw badRequest('El monto debe ser mayor a cero');
+  const vault = await getBranchVault(branchId);
+  const movement = await prisma.$transaction((tx) =>
+    applyVaultMovement(tx, { vaultId: vault.id, movementType, amount, description, userId })
+  );
+  return toVaultMovementResponse(movement);
+}
+
+/**
+ * Libro de la bóveda de la agencia, del más reciente al más antiguo
+ */
+export async function listVaultMovements(branchId, { limit = 100 } = {}) {
+  const vault = await getBranchVault(branchId);
+  const movements = await prisma.vaultMovement.findMany({
+    where: { vaultId: vault.id },
+    include: {
+      user: { select: { id: true, username: true } },
+      cashTransfer: { select: { id: true, cashSessionId: true, purpose: true } },
+    },
+    orderBy: { id: 'desc' },
+    take: limit,
+  });
+  return { vault: toVaultResponse(vault), movements: movements.map(toVaultMovementResponse) };
+}
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { config } from '../config.js';
+
+// Firma XMLDSig enveloped como la pide SUNAT: C14N 1.0 inclusiva, RSA-SHA256 y la firma dentro
+// de ext:ExtensionContent. Los documentos se arman ya en forma canónica (xml()), así que el
+// digest se calcula sobre el mismo texto que se envía, sin un parser XML.
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+const RSA_SHA256 = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const ENVELOPED = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+export const SIGNATURE_ID = 'SignatureSP';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const EXTENSION_PLACEHOLDER = '<ext:ExtensionContent></ext:ExtensionContent>';
+const SIGNATURE_PATTERN = /<ds:Signature[ >][\s\S]*<\/ds:Signature>/;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#xD;');
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;');
+}
+
+/**
+ * Elemento XML en forma canónica: sin etiquetas vacías abreviadas, atributos en el orden recibido
+ * (declaraciones xmlns primero y luego atributos por nombre) y texto escapado. Los hijos nulos se omiten.
+ */
+export function xml(name, attributes = {}, ...children) {
+  const attrs = Object.entries(attributes)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeAttribute(v)}"`)
+    .join('');
+  const content = children
+    .flat()
+    .filter(c => c !== null && c !== undefined && c !== false)
+    .map(c => (typeof c === 'object' && c.raw !== undefined ? c.raw : escapeText(c)))
+    .join('');
+  return { raw: `<${name}${attrs}>${content}</${name}>` };
+}
+
+let credentials = null;
+
+/**
+ * Certificado y clave de firma (SUNAT_CERT_PATH / SUNAT_KEY_PATH en PEM). Sin certificado solo
+ * se firma para el envío 'mock', con una clave RSA temporal que se publica en KeyValue.
+ */
+export function getSigningCredentials() {
+  if (credentials) return credentials;
+  const { certPath, keyPath, keyPassphrase, sender } = config.sunat;
+  if (certPath && keyPath) {
+    const certificate = new crypto.X509Certificate(fs.readFileSync(certPath));
+    const privateKey = crypto.createPrivateKey({ key: fs.readFileSync(keyPath), passphrase: keyPassphrase });
+    if (!certificate.checkPrivateKey(privateKey)) {
+      throw new Error('La clave de SUNAT_KEY_PATH no corresponde al certificado de SUNAT_CERT_PATH');
+    }
+    credentials = { privateKey, certificate };
+  } else if (sender === 'mock') {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    credentials = { privateKey, certificate: null };
+  } else {
+    throw new Error('Configure SUNAT_CERT_PATH y SUNAT_KEY_PATH para firmar comprobantes electrónicos');
+  }
+  return credentials;
+}
+
+function base64UrlToBase64(value) {
+  return Buffer.from(value, 'base64url').toString('base64');
+}
+
+function buildKeyInfo({ privateKey, certificate }) {
+  if (certificate) {
+    const der = certificate.raw.toString('base64');
+    return xml('ds:KeyInfo', {}, xml('ds:X509Data', {}, xml('ds:X509Certificate', {}, der)));
+  }
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  return xml('ds:KeyInfo', {}, xml('ds:KeyValue', {}, xml('ds:RSAKeyValue', {},
+    xml('ds:Modulus', {}, base64UrlToBase64(jwk.n)),
+    xml('ds:Exponent', {}, base64UrlToBase64(jwk.e)),
+  )));
+}
+
+// Declaraciones xmlns del elemento raíz: la C14N inclusiva las hereda en SignedInfo
+function rootNamespaces(documentXml) {
+  const [startTag] = documentXml.match(/^<[^>]+>/);
+  return (startTag.match(/ xmlns(:[\w-]+)?="[^"]*"/g) || []).join('');
+}
+
+function canonicalSignedInfo(signedInfoXml, namespaces) {
+  return signedInfoXml.replace(/^<ds:SignedInfo>/, `<ds:SignedInfo${namespaces}>`);
+}
+
+function digest(text) {
+  return crypto.createHash('sha256').update(Buffer.from(text, 'utf8')).digest('base64');
+}
+
+/**
+ * Firma un documento armado con xml() que tiene un ext:ExtensionContent vacío. Devuelve el XML
+ * firmado (con declaración) y el DigestValue, que SUNAT llama código hash del comprobante.
+ */
+export function signXml(documentXml) {
+  if (!documentXml.includes(EXTENSION_PLACEHOLDER)) {
+    throw new Error('El documento no tiene un ext:ExtensionContent vacío para la firma');
+  }
+  const signer = getSigningCredentials();
+  const digestValue = digest(documentXml);
+
+  const signedInfo = xml('ds:SignedInfo', {},
+    xml('ds:CanonicalizationMethod', { Algorithm: C14N }),
+    xml('ds:SignatureMethod', { Algorithm: RSA_SHA256 }),
+    xml('ds:Reference', { URI: '' },
+      xml('ds:Transforms', {}, xml('ds:Transform', { Algorithm: ENVELOPED })),
+      xml('ds:DigestMethod', { Algorithm: SHA256 }),
+      xml('ds:DigestValue', {}, digestValue),
+    ),
+  ).raw;
+  const signatureValue = crypto
+    .createSign('RSA-SHA256')
+    .update(canonicalSignedInfo(signedInfo, rootNamespaces(documentXml)), 'utf8')
+    .sign(signer.privateKey, 'base64');
+
+  const signature = xml('ds:Signature', { Id: SIGNATURE_ID },
+    { raw: signedInfo },
+    xml('ds:SignatureValue', {}, signatureValue),
+    buildKeyInfo(signer),
+  ).raw;
+
+  return {
+    xml: XML_DECLARATION + documentXml.replace(EXTENSION_PLACEHOLDER, `<ext:ExtensionContent>${signature}</ext:ExtensionContent>`),
+    digestValue,
+  };
+}
+
+function textOf(source, tag) {
+  const match = source.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+function publicKeyFromSignature(signature) {
+  const certificate = textOf(signature, 'ds:X509Certificate');
+  if (certificate) return new crypto.X509Certificate(Buffer.from(certificate, 'base64')).publicKey;
+  const modulus = textOf(signature, 'ds:Modulus');
+  const exponent = textOf(signature, 'ds:Exponent');
+  if (!modulus || !exponent) return null;
+  return crypto.createPublicKey({
+    key: { kty: 'RSA', n: Buffer.from(modulus, 'base64').toString('base64url'), e: Buffer.from(exponent, 'base64').toString('base64url') },
+    format: 'jwk',
+  });
+}
+
+/**
+ * Verifica la firma de un XML producido por signXml: el digest del documento sin la firma y
+ * la firma de SignedInfo con la clave publicada en KeyInfo.
+ */
+export function verifyXmlSignature(signedXml) {
+  const documentXml = signedXml.replace(/^<\?xml[^>]*\?>\s*/, '');
+  const signatureMatch = documentXml.match(SIGNATURE_PATTERN);
+  if (!signatureMatch) return { valid: false, reason: 'El documento no está firmado' };
+  const signature = signatureMatch[0];
+
+  const digestValue = textOf(signature, 'ds:DigestValue');
+  if (digest(documentXml.replace(SIGNATURE_PATTERN, '')) !== digestValue) {
+    return { valid: false, reason: 'El digest no coincide: el documento fue alterado después de firmarlo' };
+  }
+
+  const signedInfo = signature.match(/<ds:SignedInfo>[\s\S]*<\/ds:SignedInfo>/);
+  const signatureValue = textOf(signature, 'ds:SignatureValue');
+  const publicKey = publicKeyFromSignature(signature);
+  if (!signedInfo || !signatureValue || !publicKey) {
+    return { valid: false, reason: 'La firma está incompleta' };
+  }
+  const ok = crypto
+    .createVerify('RSA-SHA256')
+    .update(canonicalSignedInfo(signedInfo[0], rootNamespaces(documentXml)), 'utf8')
+    .verify(publicKey, signatureValue, 'base64');
+  return ok ? { valid: true, digestValue } : { valid: false, reason: 'La firma no corresponde al contenido' };
+}
@@ -1,5 +1,7 @@
 ﻿import React from 'react';
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
+import { apiGet, getAccessToken, saveSession, logout as closeSession } from './lib/api.js';
+import { getCurrentUser, SCREENS, can } from './lib/permissions.js';
 
 export default function App() {
   const navigate = useNavigate();
@@ -21,13 +23,23 @@ export default function App() {
     img.src = '/logo.png';
   }, []);
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Refresca rol y permisos (pueden haber cambiado desde el login)
+  const [user, setUser] = React.useState(getCurrentUser);
+  React.useEffect(() => {
+    if (!localStorage.getItem('token')) return;
+    apiGet('/auth/me')
+      .then((me) => {
+        localStorage.setItem('user', JSON.stringify(me));
+        setUser(me);
+      })
+      .catch(() => {});
+  }, []);
+
+  const logout = async () => {
+    await closeSession();
     navigate('/login');
   };
 
-  const user = (() => { try { return JSON.parse(localStorage.getItem('user') || '{}'); } catch { return {}; } })();
   const username = user.username || '';
   const initial = (username || '?').slice(0,1).toUpperCase();
   const toggleMenu = () => setShowUserMenu(v => !v);
@@ -40,7 +52,7 @@ export default function App() {
     if (newPwd.length < 8) { setPwdMsg('La nueva contraseña debe tener al menos 8 caracteres'); return; }
     if (newPwd !== newPwd2) { setPwdMsg('La confirmación no coincide'); return; }
     try {
-      const token = localStorage.getItem('token') || '';
+      const token = (await getAccessToken()) || '';
       const res = await fetch((import.meta.env.VITE_API_URL || 'http://localhost:3000') + '/auth/change-password', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
@@ -48,6 +60,8 @@ export default function App() {
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data?.error || 'No se pudo cambiar la contraseña');
+      // Los tokens anteriores quedaron revocados; la sesión sigue con los nuevos
+      saveSession(data);
       setPwdMsg('Contraseña actualizada');
       setTimeout(() => setShowPwdModal(false), 900);
     } catch (e) {
@@ -67,9 +81,9 @@ export default function App() {
           Gestión de Préstamos
         </div>
         <nav className="nav">
-          <NavLink to="/" end className={({isActive})=> isActive? 'active' : ''}>Nuevo Préstamo</NavLink>
-          <NavLink to="/clients" className={({isActive})=> isActive? 'active' : ''}>Clientes</NavLink>
-          <NavLink to="/cash-session" className={({isActive})=> isActive? 'active' : ''}>Caja</NavLink>
+          {SCREENS.filter((screen) => can(screen.permission, user)).map((screen) => (
+            <NavLink key={screen.path} to={screen.path} end={screen.end} className={({isActive})=> isActive? 'active' : ''}>{screen.label}</NavLink>
+          ))}
         </nav>
 
         <div className="push-bottom user-area">
@@ -92,6 +106,7 @@ export default function App() {
           {showUserMenu && (<div className="backdrop" onClick={closeMenu} />)}
           <div className={"user-menu" + (showUserMenu ? " open" : "") }>
             <button className="dropdown-item" onClick={openChangePwd}>Cambiar contraseña</button>
+            <button className="dropdown-item" onClick={()=>{ setShowUserMenu(false); navigate('/security'); }}>Verificación en dos pasos</button>
           </div>
         </div>
       </aside>
@@ -1,11 +1,92 @@
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
-export function authHeaders() {
+export function saveSession({ token, refreshToken, user }) {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (user) localStorage.setItem('user', JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+}
+
+// Segundos que le quedan al token de acceso (lee el exp del JWT sin validarlo)
+function tokenSecondsLeft(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp - Date.now() / 1000;
+  } catch {
+    return 0;
+  }
+}
+
+let refreshing = null;
+
+// Rota el refresh token y guarda el nuevo token de acceso (una sola renovación a la vez)
+async function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+      const res = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      if (!res.ok) return false;
+      saveSession(await res.json());
+      return true;
+    })().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+/**
+ * Token de acceso vigente; lo renueva si está por vencer
+ */
+export async function getAccessToken() {
   const token = localStorage.getItem('token');
+  if (!token) return null;
+  if (tokenSecondsLeft(token) > 30) return token;
+  return (await refreshSession()) ? localStorage.getItem('token') : token;
+}
+
+async function authHeaders() {
+  const token = await getAccessToken();
   return token ? { Authorization: `Bearer ${token}` } : {};
 }
 
+// Token inválido, usuario desactivado o sesiones cerradas por el administrador: volver al login
+function handleUnauthorized(res) {
+  if (res.status === 401 && localStorage.getItem('token')) {
+    clearSession();
+    window.location.assign('/login');
+  }
+}
+
+/**
+ * Cierra la sesión también en el servidor (revoca el refresh token)
+ */
+export async function logout() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearSession();
+  if (refreshToken) {
+    try {
+      await fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch {
+      // La sesión local ya se cerró; el refresh token vence solo
+    }
+  }
+}
+
 async function parseError(res) {
+  handleUnauthorized(res);
   const text = await res.text();
   try {
     const json = JSON.parse(text);
@@ -16,7 +97,7 @@ async function parseError(res) {
 }
 
 export async function apiGet(path) {
-  const res = await fetch(`${API_URL}${path}`, { headers: { ...authHeaders() } });
+  const res = await fetch(`${API_URL}${path}`, { headers: { ...(await authHeaders()) } });
   if (!res.ok) throw new Error(await parseError(res));
   return res.json();
 }
@@ -24,7 +105,7 @@ export async function apiGet(path) {
 export async function apiPost(path, data) {
   const res = await fetch(`${API_URL}${path}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
     body: JSON.stringify(data)
   });
   if (!res.ok) throw new Error(await parseError(res));
@@ -34,15 +115,34 @@ export async function apiPost(path, data) {
 export async function apiPatch(path, data) {
   const res = await fetch(`${API_URL}${path}`, {
     method: 'PATCH',
-    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
     body: JSON.stringify(data)
   });
   if (!res.ok) throw new Error(await parseError(res));
   return res.json();
 }
 
+export async function apiDelete(path) {
+  const res = await fetch(`${API_URL}${path}`, { method: 'DELETE', headers: { ...(await authHeaders()) } });
+  if (!res.ok) throw new Error(await parseError(res));
+  return res.json();
+}
+
+/**
+ * Sube un archivo como cuerpo del request (Content-Type del archivo)
+ */
+export async function apiPutFile(path, file) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': file.type, ...(await authHeaders()) },
+    body: file
+  });
+  if (!res.ok) throw new Error(await parseError(res));
+  return res.json();
+}
+
 export async function apiDownload(path, filename) {
-  const res = await fetch(`${API_URL}${path}`, { headers: { ...authHeaders() } });
+  const res = await fetch(`${API_URL}${path}`, { headers: { ...(await authHeaders()) } });
   if (!res.ok) throw new Error(await parseError(res));
   const blob = await res.blob();
   const url = window.URL.createObjectURL(blob);
@@ -72,6 +172,14 @@ export function apiFileUrl(path) {
   return `${API_URL}${path}`;
 }
 
+/**
+ * Abre una descarga con un enlace firmado de un solo uso (el JWT no va en la URL)
+ */
+export async function apiOpenDownload(path) {
+  const { url } = await apiPost('/auth/download-link', { path });
+  window.location.assign(apiFileUrl(url));
+}
+
 /**
  * Convierte el código de método de pago a un nombre legible
  * @param {string} method - Método de pago (EFECTIVO, YAPE, PLIN, TARJETA, etc.)
@@ -0,0 +1,33 @@
+// Motivos de las transferencias entre bóveda y caja (enum CashTransferPurpose del backend)
+export const CASH_TRANSFER_PURPOSE_LABELS = {
+  OPENING: 'Fondo de apertura',
+  REPLENISHMENT: 'Reposición',
+  REMITTANCE: 'Remesa',
+  CLOSING: 'Cierre',
+};
+
+export const CASH_TRANSFER_STATUS_LABELS = {
+  PENDING: 'Pendiente',
+  COMPLETED: 'Confirmada',
+  REJECTED: 'Rechazada',
+  CANCELLED: 'Cancelada',
+};
+
+export const CASH_TRANSFER_STATUS_BADGES = {
+  PENDING: 'badge-blue',
+  COMPLETED: 'badge-green',
+  REJECTED: 'badge-red',
+  CANCELLED: 'badge-gray',
+};
+
+// Movimientos del libro de la bóveda (enum VaultMovementType del backend)
+export const VAULT_MOVEMENT_LABELS = {
+  DEPOSIT: 'Entrada externa',
+  WITHDRAWAL: 'Salida externa',
+  TRANSFER_OUT: 'Entregado a caja',
+  TRANSFER_IN: 'Recibido de caja',
+};
+
+export function getTransferDirectionLabel(direction) {
+  return direction === 'VAULT_TO_SESSION' ? 'Bóveda → Caja' : 'Caja → Bóveda';
+}
@@ -0,0 +1,190 @@
+// Etiquetas de los sistemas de amortización (deben coincidir con el enum AmortizationType del backend)
+export const AMORTIZATION_OPTIONS = [
+  { value: 'FRENCH', label: 'Francés (cuota fija)' },
+  { value: 'GERMAN', label: 'Alemán (capital constante)' },
+  { value: 'AMERICAN', label: 'Americano (solo interés + capital al final)' },
+  { value: 'BULLET', label: 'Pago único al vencimiento' },
+];
+
+export function getAmortizationLabel(type) {
+  const option = AMORTIZATION_OPTIONS.find((o) => o.value === (type || 'FRENCH'));
+  return option ? option.label : type;
+}
+
+// Frecuencias de pago (enum PaymentFrequency del backend) con la unidad del plazo
+export const FREQUENCY_OPTIONS = [
+  { value: 'DAILY', label: 'Diaria', unit: 'día', unitPlural: 'días' },
+  { value: 'WEEKLY', label: 'Semanal', unit: 'semana', unitPlural: 'semanas' },
+  { value: 'BIWEEKLY', label: 'Quincenal', unit: 'quincena', unitPlural: 'quincenas' },
+  { value: 'MONTHLY', label: 'Mensual', unit: 'mes', unitPlural: 'meses' },
+];
+
+function findFrequency(frequency) {
+  return FREQUENCY_OPTIONS.find((o) => o.value === (frequency || 'MONTHLY')) || FREQUENCY_OPTIONS[3];
+}
+
+export function getFrequencyLabel(frequency) {
+  return findFrequency(frequency).label;
+}
+
+export function getTermUnitLabel(frequency, count) {
+  const f = findFrequency(frequency);
+  return Number(count) === 1 ? f.unit : f.unitPlural;
+}
+
+// Política de vencimientos (enum DueDatePolicy); SAME_DAY_OF_MONTH solo aplica a frecuencia mensual
+export const DUE_DATE_POLICY_OPTIONS = [
+  { value: 'FIXED_INTERVAL', label: 'Intervalo fijo' },
+  { value: 'SAME_DAY_OF_MONTH', label: 'Mismo día de cada mes' },
+];
+
+// Corrimiento de vencimientos que caen en día no hábil (enum DueDateShift)
+export const DUE_DATE_SHIFT_OPTIONS = [
+  { value: 'NONE', label: 'Sin corrimiento' },
+  { value: 'SKIP_WEEKENDS', label: 'Fines de semana al siguiente día hábil' },
+  { value: 'SKIP_HOLIDAYS', label: 'Feriados al siguiente día hábil' },
+  { value: 'SKIP_WEEKENDS_AND_HOLIDAYS', label: 'Fines de semana y feriados al siguiente día hábil' },
+];
+
+export function getDueDatePolicyLabel(policy) {
+  const option = DUE_DATE_POLICY_OPTIONS.find((o) => o.value === (policy || 'FIXED_INTERVAL'));
+  return option ? option.label : policy;
+}
+
+export function getDueDateShiftLabel(shift) {
+  const option = DUE_DATE_SHIFT_OPTIONS.find((o) => o.value === (shift || 'NONE'));
+  return option ? option.label : shift;
+}
+
+// Estados del préstamo (enum LoanStatus) con la clase de badge para listados
+export const LOAN_STATUS_OPTIONS = [
+  { value: 'DRAFT', label: 'Borrador', badge: 'badge-gray' },
+  { value: 'ACTIVE', label: 'Vigente', badge: 'badge-blue' },
+  { value: 'PAID_OFF', label: 'Cancelado (pagado)', badge: 'badge-green' },
+  { value: 'DEFAULTED', label: 'En incumplimiento', badge: 'badge-red' },
+  { value: 'WRITTEN_OFF', label: 'Castigado', badge: 'badge-red' },
+  { value: 'CANCELLED', label: 'Anulado', badge: 'badge-gray' },
+];
+
+// Cambios manuales permitidos (PAID_OFF se asigna solo al saldar el préstamo)
+const LOAN_STATUS_TRANSITIONS = {
+  DRAFT: ['ACTIVE', 'CANCELLED'],
+  ACTIVE: ['DEFAULTED', 'WRITTEN_OFF'],
+  DEFAULTED: ['ACTIVE', 'WRITTEN_OFF'],
+};
+
+function findLoanStatus(status) {
+  return LOAN_STATUS_OPTIONS.find((o) => o.value === (status || 'ACTIVE')) || LOAN_STATUS_OPTIONS[1];
+}
+
+export function getLoanStatusLabel(status) {
+  return findLoanStatus(status).label;
+}
+
+export function getLoanStatusBadge(status) {
+  return findLoanStatus(status).badge;
+}
+
+export function getNextLoanStatuses(status) {
+  return (LOAN_STATUS_TRANSITIONS[status] || []).map(findLoanStatus);
+}
+
+// Modalidad de prepago parcial (enum PrepaymentMode)
+export const PREPAYMENT_MODE_OPTIONS = [
+  { value: 'REDUCE_TERM', label: 'Reducir número de cuotas' },
+  { value: 'REDUCE_INSTALLMENT', label: 'Reducir monto de cuota' },
+];
+
+export function getPrepaymentModeLabel(mode) {
+  const option = PREPAYMENT_MODE_OPTIONS.find((o) => o.value === mode);
+  return option ? option.label : mode;
+}
+
+// Resumen legible de una política de mora (LateFeePolicy); sin política rigen las reglas históricas
+export function describeLateFeePolicy(policy) {
+  if (!policy) return 'Estándar: 1% al vencer y 1% compuesto cada 30 días';
+  const pct = (v) => `${(Number(v) * 100).toFixed(2)}%`;
+  const parts = [];
+  if (Number(policy.graceDays) > 0) parts.push(`${policy.graceDays} días de gracia`);
+  if (Number(policy.flatFee) > 0) parts.push(`cargo fijo S/ ${Number(policy.flatFee).toFixed(2)}`);
+  if (Number(policy.initialRate) > 0) parts.push(`${pct(policy.initialRate)} al entrar en mora`);
+  if (Number(policy.periodicRate) > 0 && Number(policy.periodDays) > 0) {
+    parts.push(`${pct(policy.periodicRate)} ${policy.compounding ? 'compuesto ' : ''}cada ${policy.periodDays} días`);
+  }
+  if (Number(policy.dailyRate) > 0) parts.push(`${pct(policy.dailyRate)} diario`);
+  if (policy.capAmount !== null && policy.capAmount !== undefined) parts.push(`tope S/ ${Number(policy.capAmount).toFixed(2)}`);
+  if (policy.capRate !== null && policy.capRate !== undefined) parts.push(`tope ${pct(policy.capRate)} de la cuota`);
+  return `${policy.name} v${policy.version}: ${parts.join(', ') || 'sin mora'}`;
+}
+
+// Estados de una condonación de mora (enum LateFeeWaiverStatus)
+export const WAIVER_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pendiente', badge: 'badge-yellow' },
+  { value: 'APPROVED', label: 'Aprobada', badge: 'badge-green' },
+  { value: 'REJECTED', label: 'Rechazada', badge: 'badge-red' },
+];
+
+export function getWaiverStatusLabel(status) {
+  const option = WAIVER_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.label : status;
+}
+
+export function getWaiverStatusBadge(status) {
+  const option = WAIVER_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.badge : 'badge-gray';
+}
+
+// Devoluciones (enums RefundReason y RefundStatus)
+export const REFUND_REASON_OPTIONS = [
+  { value: 'OVERPAYMENT', label: 'Cobro en exceso' },
+  { value: 'CHARGEBACK', label: 'Contracargo / disputa' },
+  { value: 'OTHER', label: 'Otro' },
+];
+
+export const REFUND_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pendiente', badge: 'badge-yellow' },
+  { value: 'COMPLETED', label: 'Devuelta', badge: 'badge-green' },
+  { value: 'CANCELLED', label: 'Cancelada', badge: 'badge-gray' },
+];
+
+export function getRefundReasonLabel(reason) {
+  const option = REFUND_REASON_OPTIONS.find((o) => o.value === reason);
+  return option ? option.label : reason;
+}
+
+export function getRefundStatusLabel(status) {
+  const option = REFUND_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.label : status;
+}
+
+export function getRefundStatusBadge(status) {
+  const option = REFUND_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.badge : 'badge-gray';
+}
+
+export const SUNAT_STATUS_OPTIONS = [
+  { value: 'ACCEPTED', label: 'Aceptado', badge: 'badge-green' },
+  { value: 'OBSERVED', label: 'Aceptado con observaciones', badge: 'badge-yellow' },
+  { value: 'REJECTED', label: 'Rechazado', badge: 'badge-red' },
+  { value: 'ERROR', label: 'Error de envío', badge: 'badge-red' },
+];
+
+export function getSunatStatusLabel(status) {
+  const option = SUNAT_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.label : 'Sin enviar';
+}
+
+export function getSunatStatusBadge(status) {
+  const option = SUNAT_STATUS_OPTIONS.find((o) => o.value === status);
+  return option ? option.badge : 'badge-gray';
+}
+
+// Motivos de nota de crédito (catálogo 09 de SUNAT); los totales anulan todo lo que queda del comprobante
+export const CREDIT_NOTE_REASON_OPTIONS = [
+  { value: '01', label: 'Anulación de la operación', total: true },
+  { value: '02', label: 'Anulación por error en el RUC', total: true, facturaOnly: true },
+  { value: '03', label: 'Corrección por error en la descripción', total: true },
+  { value: '06', label: 'Devolución total', total: true },
+  { value: '07', label: 'Devolución por ítem', total: false },
+  { value: '09', label: 'Disminución en el valor', total: false },
+];
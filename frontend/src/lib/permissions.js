@@ -0,0 +1,43 @@
+// Usuario de la sesión y sus permisos (los calcula el backend según el rol; ver middleware/auth.js)
+export function getCurrentUser() {
+  try {
+    return JSON.parse(localStorage.getItem('user') || '{}');
+  } catch {
+    return {};
+  }
+}
+
+export function can(permission, user = getCurrentUser()) {
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+// Pantallas del menú con el permiso que requieren, en el orden en que se muestran
+export const SCREENS = [
+  { path: '/', label: 'Nuevo Préstamo', permission: 'loans:create', end: true },
+  { path: '/clients', label: 'Clientes', permission: 'clients:read' },
+  { path: '/cash-session', label: 'Caja', permission: 'cash:operate' },
+  { path: '/vault', label: 'Bóveda', permission: 'vault:manage' },
+  { path: '/users', label: 'Usuarios', permission: 'users:manage' },
+  { path: '/company', label: 'Empresa', permission: 'company:manage' },
+  { path: '/branches', label: 'Agencias', permission: 'branches:manage' },
+  { path: '/audit', label: 'Auditoría', permission: 'audit:read' },
+];
+
+// Primera pantalla a la que el usuario tiene acceso
+export function getHomePath(user = getCurrentUser()) {
+  const screen = SCREENS.find((s) => can(s.permission, user));
+  return screen ? screen.path : null;
+}
+
+// Roles (deben coincidir con ROLES de backend/src/middleware/auth.js)
+export const ROLE_OPTIONS = [
+  { value: 'admin', label: 'Administrador' },
+  { value: 'supervisor', label: 'Supervisor' },
+  { value: 'cashier', label: 'Cajero' },
+  { value: 'analyst', label: 'Analista' },
+];
+
+export function getRoleLabel(role) {
+  const option = ROLE_OPTIONS.find((o) => o.value === role);
+  return option ? option.label : role;
+}
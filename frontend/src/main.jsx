@@ -8,6 +8,13 @@ import Clients from './pages/Clients.jsx';
 import LoanDetail from './pages/LoanDetail.jsx';
 import ClientDetail from './pages/ClientDetail.jsx';
 import CashSession from './pages/CashSession.jsx';
+import Users from './pages/Users.jsx';
+import Security from './pages/Security.jsx';
+import Audit from './pages/Audit.jsx';
+import Company from './pages/Company.jsx';
+import Branches from './pages/Branches.jsx';
+import Vault from './pages/Vault.jsx';
+import { can, getCurrentUser, getHomePath } from './lib/permissions.js';
 import './styles.css';
 
 // Optional: enable full-page background image via localStorage key 'bgImageUrl'
@@ -19,9 +26,16 @@ if (bgUrl) {
   document.documentElement.style.setProperty('--bg-overlay', overlay);
 }
 
-function RequireAuth({ children }) {
+function RequireAuth({ children, permission }) {
   const token = localStorage.getItem('token');
   if (!token) return <Navigate to="/login" replace />;
+  // Sesiones iniciadas antes de los roles no traen permisos; el backend igual los valida
+  const user = getCurrentUser();
+  if (permission && Array.isArray(user.permissions) && !can(permission, user)) {
+    const home = getHomePath(user);
+    if (home) return <Navigate to={home} replace />;
+    return <div className="card">Su usuario no tiene acceso a ninguna pantalla. Consulte con el administrador.</div>;
+  }
   return children;
 }
 
@@ -31,11 +45,17 @@ createRoot(document.getElementById('root')).render(
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/" element={<App />}>
-          <Route index element={<RequireAuth><NewLoan /></RequireAuth>} />
-          <Route path="clients" element={<RequireAuth><Clients /></RequireAuth>} />
-          <Route path="clients/:id" element={<RequireAuth><ClientDetail /></RequireAuth>} />
-          <Route path="loans/:id" element={<RequireAuth><LoanDetail /></RequireAuth>} />
-          <Route path="cash-session" element={<RequireAuth><CashSession /></RequireAuth>} />
+          <Route index element={<RequireAuth permission="loans:create"><NewLoan /></RequireAuth>} />
+          <Route path="clients" element={<RequireAuth permission="clients:read"><Clients /></RequireAuth>} />
+          <Route path="clients/:id" element={<RequireAuth permission="clients:read"><ClientDetail /></RequireAuth>} />
+          <Route path="loans/:id" element={<RequireAuth permission="loans:read"><LoanDetail /></RequireAuth>} />
+          <Route path="cash-session" element={<RequireAuth permission="cash:operate"><CashSession /></RequireAuth>} />
+          <Route path="users" element={<RequireAuth permission="users:manage"><Users /></RequireAuth>} />
+          <Route path="company" element={<RequireAuth permission="company:manage"><Company /></RequireAuth>} />
+          <Route path="vault" element={<RequireAuth permission="vault:manage"><Vault /></RequireAuth>} />
+          <Route path="branches" element={<RequireAuth permission="branches:manage"><Branches /></RequireAuth>} />
+          <Route path="audit" element={<RequireAuth permission="audit:read"><Audit /></RequireAuth>} />
+          <Route path="security" element={<RequireAuth><Security /></RequireAuth>} />
         </Route>
       </Routes>
     </BrowserRouter>
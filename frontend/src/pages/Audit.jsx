@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet } from '../lib/api.js';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = ['Loan', 'Payment', 'LoanPayoff', 'LoanPrepayment', 'LateFee', 'LateFeeWaiver', 'PaymentVoid', 'Refund', 'ReceiptSeries', 'CreditNote', 'CompanySettings', 'Branch', 'CashSession', 'CashMovement', 'CashTransfer', 'VaultMovement', 'FlowOrder'];
+
+export default function Audit() {
+  const [filters, setFilters] = useState({ action: '', entityType: '', entityId: '', from: '', to: '' });
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const buildQuery = (offset) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, key === 'to' ? `${value}T23:59:59` : value);
+    });
+    return params.toString();
+  };
+
+  const load = async (offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiGet(`/audit?${buildQuery(offset)}`);
+      setEvents((prev) => (offset === 0 ? data.events : [...prev, ...data.events]));
+      setTotal(data.total);
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar la bitácora');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const verify = async () => {
+    setVerification(null);
+    setError('');
+    try {
+      setVerification(await apiGet('/audit/verify'));
+    } catch (e) {
+      setError(e.message || 'No se pudo verificar la cadena');
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters((f) => ({ ...f, [key]: e.target.value }));
+
+  return (
+    <div className="section">
+      <div className="card mb-4">
+        <form className="form-row" onSubmit={(e) => { e.preventDefault(); load(0); }}>
+          <input className="input" placeholder="Acción (p. ej. payment.)" value={filters.action} onChange={setFilter('action')} />
+          <select className="input" value={filters.entityType} onChange={setFilter('entityType')}>
+            <option value="">Todas las entidades</option>
+            {ENTITY_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <input className="input" placeholder="ID" value={filters.entityId} onChange={setFilter('entityId')} />
+          <input className="input" type="date" value={filters.from} onChange={setFilter('from')} />
+          <input className="input" type="date" value={filters.to} onChange={setFilter('to')} />
+          <button className="btn btn-primary" type="submit" disabled={loading}>Buscar</button>
+          <button className="btn" type="button" onClick={verify}>Verificar integridad</button>
+        </form>
+        {verification && (
+          verification.valid ? (
+            <div className="badge badge-green" style={{ marginTop: 8 }}>Cadena íntegra: {verification.checked} eventos verificados</div>
+          ) : (
+            <div className="badge badge-red" style={{ marginTop: 8 }}>
+              Cadena alterada en el evento #{verification.brokenAt}: {verification.reason}
+            </div>
+          )
+        )}
+      </div>
+
+      {error && <div className="badge badge-red mb-2">{error}</div>}
+
+      <div className="card table-flush">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Fecha</th>
+              <th>Usuario</th>
+              <th>Acción</th>
+              <th>Entidad</th>
+              <th>IP</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.length === 0 && (
+              <tr><td colSpan={7}>{loading ? 'Cargando...' : 'Sin eventos'}</td></tr>
+            )}
+            {events.map((ev) => (
+              <React.Fragment key={ev.id}>
+                <tr>
+                  <td>{ev.id}</td>
+                  <td>{new Date(ev.createdAt).toLocaleString('es-PE')}</td>
+                  <td>{ev.actor ? ev.actor.username : 'Sistema'}</td>
+                  <td>{ev.action}</td>
+                  <td>{ev.entityType}{ev.entityId ? ` #${ev.entityId}` : ''}</td>
+                  <td>{ev.ip || '-'}</td>
+                  <td>
+                    <button type="button" className="btn btn-sm" onClick={() => setExpanded(expanded === ev.id ? null : ev.id)}>
+                      {expanded === ev.id ? 'Ocultar' : 'Detalle'}
+                    </button>
+                  </td>
+                </tr>
+                {expanded === ev.id && (
+                  <tr>
+                    <td colSpan={7}>
+                      <div className="grid-2">
+                        <div>
+                          <div className="label">Antes</div>
+                          <pre style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{ev.before ? JSON.stringify(ev.before, null, 2) : '-'}</pre>
+                        </div>
+                        <div>
+                          <div className="label">Después</div>
+                          <pre style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{ev.after ? JSON.stringify(ev.after, null, 2) : '-'}</pre>
+                        </div>
+                      </div>
+                      <div className="muted" style={{ fontSize: 12, marginTop: 8, wordBreak: 'break-all' }}>Hash: {ev.hash}</div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {events.length < total && (
+        <button type="button" className="btn" style={{ marginTop: 12 }} onClick={() => load(events.length)} disabled={loading}>
+          Cargar más ({events.length} de {total})
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet, apiPost, apiPatch } from '../lib/api.js';
+import { formatDate } from '../lib/date.js';
+
+const EMPTY_FORM = { code: '', name: '', address: '' };
+
+// Agencias: cada usuario, préstamo y caja pertenece a una
+export default function Branches() {
+  const [branches, setBranches] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setBranches(await apiGet('/branches'));
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar las agencias');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const run = async (action, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(message);
+      await load();
+    } catch (e) {
+      setError(e.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const address = form.address.trim() || null;
+    if (editingId) {
+      await run(async () => {
+        await apiPatch(`/branches/${editingId}`, { name: form.name, address });
+        cancelEdit();
+      }, `Agencia ${form.code} actualizada`);
+    } else {
+      await run(async () => {
+        await apiPost('/branches', { code: form.code, name: form.name, address });
+        setForm(EMPTY_FORM);
+      }, `Agencia ${form.code.toUpperCase()} creada`);
+    }
+    setSaving(false);
+  };
+
+  const startEdit = (branch) => {
+    setEditingId(branch.id);
+    setForm({ code: branch.code, name: branch.name, address: branch.address || '' });
+  };
+
+  const toggleActive = (branch) => {
+    if (branch.isActive && !window.confirm(`¿Desactivar la agencia ${branch.name}? No recibirá préstamos ni cajas nuevas.`)) return;
+    run(
+      () => apiPatch(`/branches/${branch.id}`, { isActive: !branch.isActive }),
+      branch.isActive ? `Agencia ${branch.code} desactivada` : `Agencia ${branch.code} reactivada`
+    );
+  };
+
+  return (
+    <div className="section">
+      <div className="card mb-4">
+        <h4 style={{ marginTop: 0 }}>{editingId ? `Editar agencia ${form.code}` : 'Nueva agencia'}</h4>
+        <div className="mb-2" style={{ color: '#666' }}>
+          Los usuarios con agencia solo ven los préstamos, cajas y reportes de la suya; los administradores consolidan todas.
+          Los préstamos y cajas anteriores quedan sin agencia hasta asignarlos con <code>npm run backfill-branches -- CODIGO</code>.
+        </div>
+        <form onSubmit={submit} className="form-row">
+          <input className="input" placeholder="Código (p. ej. NORTE)" value={form.code} onChange={setField('code')} pattern="[A-Za-z0-9_\-]{2,20}" disabled={!!editingId} required />
+          <input className="input" placeholder="Nombre" value={form.name} onChange={setField('name')} required />
+          <input className="input" placeholder="Dirección" value={form.address} onChange={setField('address')} />
+          <button className="btn btn-primary" type="submit" disabled={saving}>
+            {saving ? 'Guardando...' : editingId ? 'Guardar' : 'Crear agencia'}
+          </button>
+          {editingId && (
+            <button type="button" className="btn" onClick={cancelEdit}>Cancelar</button>
+          )}
+        </form>
+      </div>
+
+      {error && <div className="badge badge-red mb-2">{error}</div>}
+      {success && <div className="badge badge-green mb-2">{success}</div>}
+
+      <div className="card table-flush">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Código</th>
+              <th>Nombre</th>
+              <th>Dirección</th>
+              <th>Estado</th>
+              <th>Creada</th>
+              <th>Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && branches.length === 0 && (
+              <tr><td colSpan={6}>Cargando...</td></tr>
+            )}
+            {!loading && branches.length === 0 && (
+              <tr><td colSpan={6}>Aún no hay agencias</td></tr>
+            )}
+            {branches.map((b) => (
+              <tr key={b.id}>
+                <td>{b.code}</td>
+                <td>{b.name}</td>
+                <td>{b.address || '-'}</td>
+                <td>
+                  {b.isActive ? (
+                    <span className="badge badge-green">Activa</span>
+                  ) : (
+                    <span className="badge badge-gray">Inactiva</span>
+                  )}
+                </td>
+                <td>{formatDate(b.createdAt)}</td>
+                <td>
+                  <div className="form-row">
+                    <button type="button" className="btn btn-sm" onClick={() => startEdit(b)}>Editar</button>
+                    <button type="button" className="btn btn-sm" onClick={() => toggleActive(b)}>
+                      {b.isActive ? 'Desactivar' : 'Reactivar'}
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,16 @@
 import { useState, useEffect } from 'react';
 import { apiGet, apiPost, apiDownload, getPaymentMethodLabel } from '../lib/api';
+import { can, getCurrentUser } from '../lib/permissions.js';
+import {
+  CASH_TRANSFER_PURPOSE_LABELS,
+  CASH_TRANSFER_STATUS_LABELS,
+  CASH_TRANSFER_STATUS_BADGES,
+  getTransferDirectionLabel,
+} from '../lib/cash.js';
+
+function todayInLima() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Lima' });
+}
 
 export default function Payments() {
   const [cashSession, setCashSession] = useState(null);
@@ -8,12 +19,45 @@ export default function Payments() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [history, setHistory] = useState([]);
+  // Quien consolida agencias elige agencia al abrir caja y filtra historial y reporte
+  const canSeeAllBranches = can('branches:all');
+  const [branches, setBranches] = useState([]);
+  const [openBranchId, setOpenBranchId] = useState(String(getCurrentUser().branchId || ''));
+  const [branchFilter, setBranchFilter] = useState('');
+  const [reportDate, setReportDate] = useState(todayInLima());
+  const [dailyReport, setDailyReport] = useState(null);
 
   useEffect(() => {
     loadCurrentSession();
-    loadHistory();
+    if (canSeeAllBranches) loadBranches();
   }, []);
 
+  useEffect(() => {
+    loadHistory();
+    if (can('cash:supervise')) loadDailyReport();
+  }, [branchFilter]);
+
+  async function loadBranches() {
+    try {
+      setBranches(await apiGet('/branches?includeInactive=false'));
+    } catch (err) {
+      console.error('Error cargando agencias:', err);
+    }
+  }
+
+  function branchQuery() {
+    return branchFilter ? `&branchId=${branchFilter}` : '';
+  }
+
+  async function loadDailyReport(date = reportDate) {
+    try {
+      const data = await apiGet(`/cash-sessions/report/daily?date=${date}${branchQuery()}`);
+      setDailyReport(data.report);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
   async function loadCurrentSession() {
     try {
       setLoading(true);
@@ -28,7 +72,7 @@ export default function Payments() {
 
   async function loadHistory() {
     try {
-      const data = await apiGet('/cash-sessions/history/list?limit=50');
+      const data = await apiGet(`/cash-sessions/history/list?limit=50${branchQuery()}`);
       setHistory(data.sessions || []);
     } catch (err) {
       console.error('Error cargando historial:', err);
@@ -44,10 +88,14 @@ export default function Payments() {
       setLoading(true);
       const data = await apiPost('/cash-sessions', {
         openingBalance: parseFloat(openingBalance),
+        ...(canSeeAllBranches && openBranchId ? { branchId: Number(openBranchId) } : {}),
       });
       setCashSession(data.session);
       setOpeningBalance('');
-      setSuccess('Sesión de caja abierta correctamente');
+      setSuccess(data.openingTransfer
+        ? `Caja abierta. El fondo inicial de S/ ${data.openingTransfer.amount.toFixed(2)} se suma al confirmarlo el custodio de la bóveda`
+        : 'Sesión de caja abierta correctamente');
+      await loadCurrentSession();
       loadHistory();
     } catch (err) {
       setError(err.message);
@@ -72,12 +120,62 @@ async function handleAddCash() {
 
   try {
     setLoading(true);
-    await apiPost(`/cash-sessions/${cashSession.id}/movements`, {
-      movementType: 'INGRESO',
-      amount,
-      description: 'Ingreso manual a caja',
-    });
-    setSuccess('Efectivo agregado a caja');
+    // Las cajas de agencia piden el efectivo a la bóveda; el custodio lo confirma al entregarlo
+    if (cashSession.branchId) {
+      await apiPost('/cash-transfers', { cashSessionId: cashSession.id, direction: 'VAULT_TO_SESSION', amount });
+      setSuccess('Reposición solicitada; se suma a la caja al confirmarla el custodio de la bóveda');
+    } else {
+      await apiPost(`/cash-sessions/${cashSession.id}/movements`, {
+        movementType: 'INGRESO',
+        amount,
+        description: 'Ingreso manual a caja',
+      });
+      setSuccess('Efectivo agregado a caja');
+    }
+    await loadCurrentSession();
+  } catch (err) {
+    setError(err.message);
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function handleRemit() {
+  if (!cashSession) return;
+  const amountStr = prompt('Monto a remesar a la bóveda (S/):');
+  if (amountStr === null) return;
+  const amount = Number(amountStr);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    setError('Ingrese un monto válido mayor a 0');
+    return;
+  }
+
+  setError('');
+  setSuccess('');
+  try {
+    setLoading(true);
+    await apiPost('/cash-transfers', { cashSessionId: cashSession.id, direction: 'SESSION_TO_VAULT', amount });
+    setSuccess('Remesa registrada; sale de caja al confirmarla el custodio de la bóveda');
+    await loadCurrentSession();
+  } catch (err) {
+    setError(err.message);
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function handleTransferAction(transfer, action) {
+  const messages = {
+    confirm: 'Transferencia confirmada',
+    reject: 'Transferencia rechazada',
+    cancel: 'Transferencia cancelada',
+  };
+  setError('');
+  setSuccess('');
+  try {
+    setLoading(true);
+    await apiPost(`/cash-transfers/${transfer.id}/${action}`, {});
+    setSuccess(messages[action]);
     await loadCurrentSession();
   } catch (err) {
     setError(err.message);
@@ -99,7 +197,9 @@ async function handleCloseSession() {
         physicalBalance: parseFloat(physicalBalance),
       });
       setCashSession(data.session);
-      setSuccess('Sesión de caja cerrada correctamente');
+      setSuccess(data.session.closingTransfer
+        ? `Caja cerrada. S/ ${data.session.closingTransfer.amount.toFixed(2)} quedan pendientes de recibir en la bóveda`
+        : 'Sesión de caja cerrada correctamente');
       loadHistory();
       
       // Descargar reporte
@@ -141,6 +241,17 @@ async function handleCloseSession() {
                 disabled={loading}
               />
             </div>
+            {canSeeAllBranches && branches.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="openBranchId">Agencia</label>
+                <select id="openBranchId" value={openBranchId} onChange={(e) => setOpenBranchId(e.target.value)} disabled={loading}>
+                  <option value="">Sin agencia</option>
+                  {branches.map((b) => (
+                    <option key={b.id} value={b.id}>{b.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <button type="submit" disabled={loading}>
               {loading ? 'Abriendo...' : 'Abrir Caja'}
             </button>
@@ -154,6 +265,11 @@ async function handleCloseSession() {
               <div>
                 <strong>Usuario:</strong> {cashSession.user.username}
               </div>
+              {cashSession.branch && (
+                <div>
+                  <strong>Agencia:</strong> {cashSession.branch.name}
+                </div>
+              )}
               <div>
                 <strong>Apertura:</strong> {new Date(cashSession.openedAt).toLocaleString('es-PE')}
               </div>
@@ -208,9 +324,19 @@ async function handleCloseSession() {
                 disabled={loading}
                 style={{ backgroundColor: '#198754' }}
               >
-                {loading ? 'Guardando...' : 'Agregar efectivo a caja'}
+                {loading ? 'Guardando...' : cashSession.branchId ? 'Pedir efectivo a bóveda' : 'Agregar efectivo a caja'}
               </button>
 
+              {cashSession.branchId && (
+                <button
+                  onClick={handleRemit}
+                  disabled={loading}
+                  style={{ backgroundColor: '#0d6efd' }}
+                >
+                  Remesar a bóveda
+                </button>
+              )}
+
               <button
                 onClick={handleCloseSession}
                 disabled={loading}
@@ -221,6 +347,50 @@ async function handleCloseSession() {
             </div>
           </div>
 
+          {cashSession.transfers && cashSession.transfers.length > 0 && (
+            <div className="card" style={{ marginTop: '2rem' }}>
+              <h2>Transferencias con Bóveda</h2>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Motivo</th>
+                    <th>Sentido</th>
+                    <th>Monto</th>
+                    <th>Registró</th>
+                    <th>Estado</th>
+                    <th>Acción</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cashSession.transfers.map((t) => (
+                    <tr key={t.id}>
+                      <td>{CASH_TRANSFER_PURPOSE_LABELS[t.purpose]}</td>
+                      <td>{getTransferDirectionLabel(t.direction)}</td>
+                      <td>S/ {t.amount.toFixed(2)}</td>
+                      <td>{t.requestedBy?.username || '-'}</td>
+                      <td>
+                        <span className={`badge ${CASH_TRANSFER_STATUS_BADGES[t.status]}`}>{CASH_TRANSFER_STATUS_LABELS[t.status]}</span>
+                        {t.resolvedBy && ` (${t.resolvedBy.username})`}
+                      </td>
+                      <td>
+                        {t.status === 'PENDING' && (
+                          t.requestedByUserId === getCurrentUser().id ? (
+                            <button className="btn btn-sm" disabled={loading} onClick={() => handleTransferAction(t, 'cancel')}>Cancelar</button>
+                          ) : (
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button className="btn btn-sm" disabled={loading} onClick={() => handleTransferAction(t, 'confirm')}>Confirmar recepción</button>
+                              <button className="btn btn-sm" disabled={loading} onClick={() => handleTransferAction(t, 'reject')}>Rechazar</button>
+                            </div>
+                          )
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {cashSession.payments && cashSession.payments.length > 0 && (
             <div className="card" style={{ marginTop: '2rem' }}>
               <h2>Pagos del Día</h2>
@@ -387,6 +557,91 @@ async function handleCloseSession() {
         }
       `}</style>
 
+      {canSeeAllBranches && branches.length > 0 && (
+        <div className="card" style={{ marginTop: '2rem' }}>
+          <div className="form-group">
+            <label htmlFor="branchFilter">Agencia (historial y reporte del día)</label>
+            <select id="branchFilter" value={branchFilter} onChange={(e) => setBranchFilter(e.target.value)}>
+              <option value="">Todas las agencias (consolidado)</option>
+              {branches.map((b) => (
+                <option key={b.id} value={b.id}>{b.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {can('cash:supervise') && dailyReport && (
+        <div className="card" style={{ marginTop: '2rem' }}>
+          <h2>Reporte del Día</h2>
+          <div className="form-group">
+            <label htmlFor="reportDate">Fecha</label>
+            <input
+              type="date"
+              id="reportDate"
+              value={reportDate}
+              onChange={(e) => { setReportDate(e.target.value); loadDailyReport(e.target.value); }}
+            />
+          </div>
+          <div className="info-grid">
+            <div>
+              <strong>Total Pagos:</strong> {dailyReport.summary.totalPayments}
+            </div>
+            <div>
+              <strong>Total Recaudado:</strong> S/ {dailyReport.summary.totalAmount.toFixed(2)}
+            </div>
+            <div>
+              <strong>Efectivo:</strong> S/ {dailyReport.summary.totalCash.toFixed(2)}
+            </div>
+          </div>
+          {Object.keys(dailyReport.summary.paymentsByMethod).length > 0 && (
+            <table style={{ marginTop: '1rem' }}>
+              <thead>
+                <tr>
+                  <th>Método</th>
+                  <th>Cantidad</th>
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(dailyReport.summary.paymentsByMethod).map(([method, data]) => (
+                  <tr key={method}>
+                    <td>{getPaymentMethodLabel(method)}</td>
+                    <td>{data.count}</td>
+                    <td>S/ {data.total.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {dailyReport.consolidated && dailyReport.summary.paymentsByBranch.length > 0 && (
+            <div style={{ marginTop: '1rem' }}>
+              <h3>Desglose por Agencia</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Agencia</th>
+                    <th>Cantidad</th>
+                    <th>Efectivo</th>
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dailyReport.summary.paymentsByBranch.map((row) => (
+                    <tr key={row.branch ? row.branch.id : 'none'}>
+                      <td>{row.branch ? row.branch.name : 'Sin agencia'}</td>
+                      <td>{row.count}</td>
+                      <td>S/ {row.totalCash.toFixed(2)}</td>
+                      <td>S/ {row.total.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {history && history.length > 0 && (
         <div className="card" style={{ marginTop: '2rem' }}>
           <h2>Historial de Cajas Cerradas</h2>
@@ -395,6 +650,7 @@ async function handleCloseSession() {
               <tr>
                 <th>ID</th>
                 <th>Usuario</th>
+                <th>Agencia</th>
                 <th>Apertura</th>
                 <th>Cierre</th>
                 <th>Saldo Inicial</th>
@@ -408,6 +664,7 @@ async function handleCloseSession() {
                 <tr key={s.id}>
                   <td>{s.id}</td>
                   <td>{s.user?.username || '-'}</td>
+                  <td>{s.branch?.name || '-'}</td>
                   <td>{new Date(s.openedAt).toLocaleString('es-PE')}</td>
                   <td>{s.closedAt ? new Date(s.closedAt).toLocaleString('es-PE') : '-'}</td>
                   <td>S/ {Number(s.openingBalance).toFixed(2)}</td>
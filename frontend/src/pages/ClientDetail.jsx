@@ -1,7 +1,9 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { apiGet, apiFileUrl } from '../lib/api.js';
+import { apiGet, apiOpenDownload } from '../lib/api.js';
 import { formatDate } from '../lib/date.js';
+import { getTermUnitLabel, getLoanStatusLabel, getLoanStatusBadge } from '../lib/loan.js';
+import { can } from '../lib/permissions.js';
 
 export default function ClientDetail() {
   const { id } = useParams();
@@ -29,8 +31,9 @@ export default function ClientDetail() {
   if (error) return <div className="badge badge-red">{error}</div>;
   if (!client) return null;
 
-  const token = localStorage.getItem('token') || '';
-  const labelTermUnit = (_u, n) => (n === 1 ? 'mes' : 'meses');
+  const loans = client.loans || [];
+  const openLoans = loans.filter((l) => l.status === 'ACTIVE' || l.status === 'DEFAULTED').length;
+  const paidOffLoans = loans.filter((l) => l.status === 'PAID_OFF').length;
 
   return (
     <div className="section">
@@ -38,11 +41,19 @@ export default function ClientDetail() {
         <div className="mb-2">
           <strong>{client.firstName} {client.lastName}</strong> - DNI {client.dni}
         </div>
-        <Link to="/clients" className="btn">Volver a clientes</Link>
+        <div className="form-row">
+          <Link to="/clients" className="btn">Volver a clientes</Link>
+          {can('loans:create') && (
+            <Link to={`/?dni=${client.dni}`} className="btn btn-primary">Nuevo préstamo</Link>
+          )}
+        </div>
       </div>
 
       <div className="card mb-3">
-        <h4 style={{ marginTop: 0 }}>Préstamos ({client.loans?.length || 0})</h4>
+        <h4 style={{ marginTop: 0 }}>Historial de préstamos ({loans.length})</h4>
+        <div className="mb-2">
+          Vigentes: {openLoans} | Pagados: {paidOffLoans}
+        </div>
         <table className="table">
           <thead>
             <tr>
@@ -51,18 +62,24 @@ export default function ClientDetail() {
               <th>Monto</th>
               <th>Tasa anual</th>
               <th>Plazo</th>
+              <th>Cuotas pagadas</th>
+              <th>Estado</th>
               <th>Creado por</th>
               <th>Acciones</th>
             </tr>
           </thead>
           <tbody>
-            {(client.loans || []).map((l) => (
+            {loans.map((l) => (
               <tr key={l.id}>
                 <td>{l.id}</td>
                 <td>{formatDate(l.startDate)}</td>
                 <td>{Number(l.principal).toFixed(2)}</td>
                 <td>{(Number(l.interestRate) * 100).toFixed(2)}%</td>
-                <td>{l.termCount} {labelTermUnit(null, l.termCount)}</td>
+                <td>{l.termCount} {getTermUnitLabel(l.frequency, l.termCount)}</td>
+                <td>{(l.schedules || []).filter((s) => s.isPaid).length}/{(l.schedules || []).length}</td>
+                <td>
+                  <span className={`badge ${getLoanStatusBadge(l.status)}`}>{getLoanStatusLabel(l.status)}</span>
+                </td>
                 <td>{l.createdBy?.username || '-'}</td>
                 <td style={{ whiteSpace: 'nowrap' }}>
                   <Link
@@ -72,14 +89,13 @@ export default function ClientDetail() {
                   >
                     Ver detalle
                   </Link>
-                  <a
+                  <button
+                    type="button"
                     className="btn btn-sm"
-                    href={apiFileUrl(`/loans/${l.id}/schedule.pdf?token=${encodeURIComponent(token)}`)}
-                    target="_blank"
-                    rel="noreferrer"
+                    onClick={() => apiOpenDownload(`/loans/${l.id}/schedule.pdf`).catch((e) => setError(e.message))}
                   >
                     PDF
-                  </a>
+                  </button>
                 </td>
               </tr>
             ))}
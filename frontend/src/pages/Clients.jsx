@@ -48,7 +48,14 @@ export default function Clients() {
                 <td>{c.dni}</td>
                 <td>{c.firstName}</td>
                 <td>{c.lastName}</td>
-                <td>{c.loans?.length || 0}</td>
+                <td>
+                  {c.loans?.length || 0}
+                  {(c.loans || []).some((l) => l.status === 'ACTIVE' || l.status === 'DEFAULTED') && (
+                    <span className="badge badge-blue" style={{ marginLeft: 8 }}>
+                      {(c.loans || []).filter((l) => l.status === 'ACTIVE' || l.status === 'DEFAULTED').length} vigente(s)
+                    </span>
+                  )}
+                </td>
                 <td>
                   <Link className="btn btn-sm" to={`/clients/${c.id}`}>Ver préstamos</Link>
                 </td>
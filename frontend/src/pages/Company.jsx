@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet, apiPatch, apiPutFile, apiDelete } from '../lib/api.js';
+import { formatDate } from '../lib/date.js';
+
+const EMPTY_FORM = {
+  tradeName: '',
+  businessName: '',
+  ruc: '',
+  address: '',
+  phone: '',
+  email: '',
+  establishmentCode: '0000',
+  igvPercent: '18',
+};
+
+// Datos de la empresa que salen en los PDF y en los comprobantes electrónicos
+export default function Company() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiGet('/company-settings');
+      setSettings(data);
+      setForm({
+        tradeName: data.tradeName || '',
+        businessName: data.businessName || '',
+        ruc: data.ruc || '',
+        address: data.address || '',
+        phone: data.phone || '',
+        email: data.email || '',
+        establishmentCode: data.establishmentCode || '0000',
+        igvPercent: String(Number((data.igvRate * 100).toFixed(2))),
+      });
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar los datos de la empresa');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const run = async (action, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(message);
+      await load();
+    } catch (e) {
+      setError(e.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const { igvPercent, ...fields } = form;
+    await run(() => apiPatch('/company-settings', { ...fields, igvRate: Number(igvPercent) / 100 }), 'Datos de la empresa actualizados');
+    setSaving(false);
+  };
+
+  const uploadLogo = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run(() => apiPutFile('/company-settings/logo', file), 'Logo actualizado');
+  };
+
+  const removeLogo = () => {
+    if (!window.confirm('¿Quitar el logo? Los PDF usarán el logo por defecto.')) return;
+    run(() => apiDelete('/company-settings/logo'), 'Logo eliminado');
+  };
+
+  return (
+    <div className="section">
+      {error && <div className="badge badge-red mb-2">{error}</div>}
+      {success && <div className="badge badge-green mb-2">{success}</div>}
+
+      <div className="card mb-4">
+        <h4 style={{ marginTop: 0 }}>Datos de la empresa</h4>
+        <div className="mb-2" style={{ color: '#666' }}>
+          Se imprimen en boletas, facturas, notas de crédito, cronogramas y reportes de caja, y son el emisor de los comprobantes electrónicos.
+          {settings && !settings.updatedAt && ' Aún no se han guardado: se muestran los valores por defecto del servidor.'}
+        </div>
+        {loading && !settings ? (
+          <div>Cargando...</div>
+        ) : (
+          <form onSubmit={submit}>
+            <div className="grid-2">
+              <div>
+                <div className="label">Nombre comercial</div>
+                <input className="input" value={form.tradeName} onChange={setField('tradeName')} required />
+              </div>
+              <div>
+                <div className="label">Razón social</div>
+                <input className="input" value={form.businessName} onChange={setField('businessName')} required />
+              </div>
+              <div>
+                <div className="label">RUC</div>
+                <input className="input" value={form.ruc} onChange={setField('ruc')} pattern="[0-9]{11}" maxLength={11} required />
+              </div>
+              <div>
+                <div className="label">Dirección fiscal</div>
+                <input className="input" value={form.address} onChange={setField('address')} required />
+              </div>
+              <div>
+                <div className="label">Teléfono</div>
+                <input className="input" value={form.phone} onChange={setField('phone')} maxLength={30} />
+              </div>
+              <div>
+                <div className="label">Correo</div>
+                <input className="input" type="email" value={form.email} onChange={setField('email')} />
+              </div>
+              <div>
+                <div className="label">Código de establecimiento (SUNAT)</div>
+                <input className="input" value={form.establishmentCode} onChange={setField('establishmentCode')} pattern="[0-9]{4}" maxLength={4} required />
+              </div>
+              <div>
+                <div className="label">IGV (%)</div>
+                <input className="input" type="number" step="0.01" min="0.01" max="50" value={form.igvPercent} onChange={setField('igvPercent')} required />
+              </div>
+            </div>
+            <button className="btn btn-primary" type="submit" disabled={saving}>
+              {saving ? 'Guardando...' : 'Guardar'}
+            </button>
+            {settings?.updatedAt && (
+              <span style={{ marginLeft: 12, color: '#666' }}>Última modificación: {formatDate(settings.updatedAt)}</span>
+            )}
+          </form>
+        )}
+      </div>
+
+      <div className="card">
+        <h4 style={{ marginTop: 0 }}>Logo</h4>
+        <div className="mb-2" style={{ color: '#666' }}>PNG o JPEG de hasta 512 KB. Sin logo, los PDF usan el logo por defecto.</div>
+        {settings?.logoDataUrl && (
+          <div className="mb-2">
+            <img src={settings.logoDataUrl} alt="Logo de la empresa" style={{ maxWidth: 200, maxHeight: 120 }} />
+          </div>
+        )}
+        <div className="form-row">
+          <input className="input" type="file" accept="image/png,image/jpeg" onChange={uploadLogo} />
+          {settings?.hasLogo && (
+            <button type="button" className="btn btn-sm" onClick={removeLogo}>Quitar logo</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
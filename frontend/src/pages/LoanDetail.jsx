@@ -2,8 +2,31 @@ import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import dayjs from 'dayjs';
-import { apiGet, apiPost, apiDownload, apiDownloadReceipt, apiFileUrl } from '../lib/api.js';
+import { apiGet, apiPost, apiPatch, apiDownload, apiDownloadReceipt, apiOpenDownload, getAccessToken, getPaymentMethodLabel } from '../lib/api.js';
 import { formatDate } from '../lib/date.js';
+import { can, getCurrentUser } from '../lib/permissions.js';
+import {
+  getAmortizationLabel,
+  getFrequencyLabel,
+  getTermUnitLabel,
+  getDueDatePolicyLabel,
+  getDueDateShiftLabel,
+  getLoanStatusLabel,
+  getLoanStatusBadge,
+  getNextLoanStatuses,
+  PREPAYMENT_MODE_OPTIONS,
+  getPrepaymentModeLabel,
+  describeLateFeePolicy,
+  getWaiverStatusLabel,
+  getWaiverStatusBadge,
+  REFUND_REASON_OPTIONS,
+  getRefundReasonLabel,
+  getRefundStatusLabel,
+  getRefundStatusBadge,
+  getSunatStatusLabel,
+  getSunatStatusBadge,
+  CREDIT_NOTE_REASON_OPTIONS,
+} from '../lib/loan.js';
 
 /**
  * Aplica Redondeo Bancario (Banker's Rounding) a múltiplos de S/ 0.10
@@ -81,6 +104,61 @@ export default function LoanDetail() {
   const [advancePaymentAmount, setAdvancePaymentAmount] = useState('');
   // Estado para saber si está verificando Flow
   const [verifyingFlow, setVerifyingFlow] = useState(false);
+  const [statusError, setStatusError] = useState('');
+  // Reprogramación
+  const [showRescheduleForm, setShowRescheduleForm] = useState(false);
+  const [rescheduleTermCount, setRescheduleTermCount] = useState('');
+  const [rescheduleInterestPercent, setRescheduleInterestPercent] = useState('');
+  const [rescheduleStartDate, setRescheduleStartDate] = useState('');
+  const [rescheduleReason, setRescheduleReason] = useState('');
+  const [rescheduling, setRescheduling] = useState(false);
+  const [rescheduleError, setRescheduleError] = useState('');
+  // Cancelación anticipada
+  const [showPayoff, setShowPayoff] = useState(false);
+  const [payoffDate, setPayoffDate] = useState('');
+  const [payoffQuote, setPayoffQuote] = useState(null);
+  const [payoffMethod, setPayoffMethod] = useState('EFECTIVO');
+  const [payoffAmountGiven, setPayoffAmountGiven] = useState('');
+  const [payoffError, setPayoffError] = useState('');
+  const [processingPayoff, setProcessingPayoff] = useState(false);
+  const [lastPayoff, setLastPayoff] = useState(null);
+  // Prepago parcial a capital
+  const [showPrepaymentForm, setShowPrepaymentForm] = useState(false);
+  const [prepaymentAmount, setPrepaymentAmount] = useState('');
+  const [prepaymentMode, setPrepaymentMode] = useState('REDUCE_TERM');
+  const [prepaymentMethod, setPrepaymentMethod] = useState('EFECTIVO');
+  const [prepaymentAmountGiven, setPrepaymentAmountGiven] = useState('');
+  const [prepaymentError, setPrepaymentError] = useState('');
+  const [processingPrepayment, setProcessingPrepayment] = useState(false);
+  const [lastPrepaymentPayment, setLastPrepaymentPayment] = useState(null);
+  // Condonación de mora
+  const [showWaiverForm, setShowWaiverForm] = useState(false);
+  const [waiverInstallmentId, setWaiverInstallmentId] = useState('');
+  const [waiverAmount, setWaiverAmount] = useState('');
+  const [waiverReason, setWaiverReason] = useState('');
+  const [waiverError, setWaiverError] = useState('');
+  const [processingWaiver, setProcessingWaiver] = useState(false);
+
+  const [voidError, setVoidError] = useState('');
+
+  const [showRefundForm, setShowRefundForm] = useState(false);
+  const [refundPaymentId, setRefundPaymentId] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundMethod, setRefundMethod] = useState('EFECTIVO');
+  const [refundReason, setRefundReason] = useState('OVERPAYMENT');
+  const [refundNote, setRefundNote] = useState('');
+  const [refundReference, setRefundReference] = useState('');
+  const [refundError, setRefundError] = useState('');
+  const [processingRefund, setProcessingRefund] = useState(false);
+
+  const [showCreditNoteForm, setShowCreditNoteForm] = useState(false);
+  const [creditNotePaymentId, setCreditNotePaymentId] = useState('');
+  const [creditNoteReason, setCreditNoteReason] = useState('01');
+  const [creditNoteAmount, setCreditNoteAmount] = useState('');
+  const [creditNoteDescription, setCreditNoteDescription] = useState('');
+  const [creditNoteError, setCreditNoteError] = useState('');
+  const [processingCreditNote, setProcessingCreditNote] = useState(false);
+  const currentUser = getCurrentUser();
 
   const load = async () => {
     setLoading(true);
@@ -124,6 +202,277 @@ export default function LoanDetail() {
     }
   };
 
+  const changeStatus = async (status) => {
+    if (!window.confirm(`¿Cambiar el estado del préstamo a "${getLoanStatusLabel(status)}"?`)) return;
+    setStatusError('');
+    try {
+      await apiPatch(`/loans/${id}/status`, { status });
+      setSuccess(`Estado actualizado: ${getLoanStatusLabel(status)}`);
+      await load();
+    } catch (e) {
+      setStatusError(e.message || 'No se pudo cambiar el estado');
+    }
+  };
+
+  const submitReschedule = async (e) => {
+    e.preventDefault();
+    setRescheduleError('');
+    setRescheduling(true);
+    try {
+      const result = await apiPost(`/loans/${id}/reschedule`, {
+        termCount: Number(rescheduleTermCount),
+        ...(rescheduleInterestPercent !== '' ? { interestRate: Number(rescheduleInterestPercent) / 100 } : {}),
+        ...(rescheduleStartDate ? { startDate: rescheduleStartDate } : {}),
+        ...(rescheduleReason ? { reason: rescheduleReason } : {}),
+      });
+      setShowRescheduleForm(false);
+      setSuccess(`Préstamo reprogramado. Nuevo capital: S/ ${Number(result.reschedule.newPrincipal).toFixed(2)}`);
+      await load();
+    } catch (e) {
+      setRescheduleError(e.message || 'No se pudo reprogramar el préstamo');
+    } finally {
+      setRescheduling(false);
+    }
+  };
+
+  const submitPrepayment = async (e) => {
+    e.preventDefault();
+    if (!cashSession) {
+      setPrepaymentError('Debe abrir una sesión de caja antes de registrar pagos');
+      return;
+    }
+    setPrepaymentError('');
+    setProcessingPrepayment(true);
+    try {
+      const result = await apiPost('/payments/prepayment', {
+        loanId: Number(id),
+        amount: Number(prepaymentAmount),
+        mode: prepaymentMode,
+        paymentMethod: prepaymentMethod,
+        cashSessionId: cashSession.id,
+        ...(prepaymentMethod === 'EFECTIVO' && prepaymentAmountGiven ? { amountGiven: Number(prepaymentAmountGiven) } : {}),
+      });
+      setLastPrepaymentPayment(result.payment);
+      setShowPrepaymentForm(false);
+      setPrepaymentAmount('');
+      setPrepaymentAmountGiven('');
+      setSuccess(`Prepago registrado. Nuevo saldo de capital: S/ ${Number(result.prepayment.newBalance).toFixed(2)}`);
+      await load();
+    } catch (e) {
+      setPrepaymentError(e.message || 'No se pudo registrar el prepago');
+    } finally {
+      setProcessingPrepayment(false);
+    }
+  };
+
+  const submitWaiver = async (e) => {
+    e.preventDefault();
+    setWaiverError('');
+    setProcessingWaiver(true);
+    try {
+      await apiPost('/late-fee-waivers', {
+        loanId: Number(id),
+        installmentId: Number(waiverInstallmentId),
+        amount: Number(waiverAmount),
+        reason: waiverReason,
+      });
+      setShowWaiverForm(false);
+      setWaiverInstallmentId('');
+      setWaiverAmount('');
+      setWaiverReason('');
+      setSuccess('Solicitud de condonación registrada; queda pendiente de aprobación');
+      await load();
+    } catch (e) {
+      setWaiverError(e.message || 'No se pudo registrar la solicitud');
+    } finally {
+      setProcessingWaiver(false);
+    }
+  };
+
+  const reviewWaiver = async (waiver, action) => {
+    const note = window.prompt(action === 'approve' ? 'Comentario de aprobación (opcional)' : 'Motivo del rechazo (opcional)');
+    if (note === null) return;
+    setWaiverError('');
+    try {
+      await apiPost(`/late-fee-waivers/${waiver.id}/${action}`, note ? { note } : {});
+      setSuccess(action === 'approve' ? 'Condonación aprobada' : 'Condonación rechazada');
+      await load();
+    } catch (e) {
+      setWaiverError(e.message || 'No se pudo revisar la solicitud');
+    }
+  };
+
+  const requestVoid = async (payment) => {
+    const reason = window.prompt(`Motivo de la anulación del pago ${payment.receiptNumber}`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setVoidError('Indique el motivo de la anulación');
+      return;
+    }
+    setVoidError('');
+    try {
+      await apiPost(`/payments/${payment.id}/void`, { reason });
+      setSuccess('Solicitud de anulación registrada; queda pendiente de aprobación');
+      await load();
+    } catch (e) {
+      setVoidError(e.message || 'No se pudo registrar la solicitud');
+    }
+  };
+
+  const sendToSunat = async (payment) => {
+    setVoidError('');
+    try {
+      const submission = await apiPost(`/sunat/payments/${payment.id}/send`, {});
+      setSuccess(`Comprobante ${payment.documentNumber}: ${submission.responseDescription || getSunatStatusLabel(submission.status)}`);
+      await load();
+    } catch (e) {
+      setVoidError(e.message || 'No se pudo enviar el comprobante a SUNAT');
+    }
+  };
+
+  const reviewVoid = async (paymentVoid, action) => {
+    const note = window.prompt(action === 'approve' ? 'Comentario de aprobación (opcional)' : 'Motivo del rechazo (opcional)');
+    if (note === null) return;
+    setVoidError('');
+    try {
+      await apiPost(`/payment-voids/${paymentVoid.id}/${action}`, note ? { note } : {});
+      setSuccess(action === 'approve' ? 'Pago anulado' : 'Anulación rechazada');
+      await load();
+    } catch (e) {
+      setVoidError(e.message || 'No se pudo revisar la solicitud');
+    }
+  };
+
+  const submitRefund = async (e) => {
+    e.preventDefault();
+    setRefundError('');
+    setProcessingRefund(true);
+    try {
+      await apiPost('/refunds', {
+        paymentId: Number(refundPaymentId),
+        amount: Number(refundAmount),
+        method: refundMethod,
+        reason: refundReason,
+        ...(refundNote ? { note: refundNote } : {}),
+        ...(refundReference ? { externalReference: refundReference } : {}),
+      });
+      setShowRefundForm(false);
+      setRefundPaymentId('');
+      setRefundAmount('');
+      setRefundNote('');
+      setRefundReference('');
+      setSuccess('Devolución registrada; el saldo cambia al completarla');
+      await load();
+    } catch (e) {
+      setRefundError(e.message || 'No se pudo registrar la devolución');
+    } finally {
+      setProcessingRefund(false);
+    }
+  };
+
+  const completeRefund = async (refund) => {
+    if (refund.method === 'EFECTIVO' && !cashSession) {
+      setRefundError('Debe abrir una sesión de caja para devolver efectivo');
+      return;
+    }
+    if (!window.confirm(`¿Confirmar que se devolvieron S/ ${Number(refund.amount).toFixed(2)} al cliente?`)) return;
+    setRefundError('');
+    try {
+      await apiPost(`/refunds/${refund.id}/complete`, refund.method === 'EFECTIVO' ? { cashSessionId: cashSession.id } : {});
+      setSuccess('Devolución completada');
+      await load();
+    } catch (e) {
+      setRefundError(e.message || 'No se pudo completar la devolución');
+    }
+  };
+
+  const cancelRefund = async (refund) => {
+    if (!window.confirm('¿Cancelar la devolución?')) return;
+    setRefundError('');
+    try {
+      await apiPost(`/refunds/${refund.id}/cancel`, {});
+      setSuccess('Devolución cancelada');
+      await load();
+    } catch (e) {
+      setRefundError(e.message || 'No se pudo cancelar la devolución');
+    }
+  };
+
+  const submitCreditNote = async (e) => {
+    e.preventDefault();
+    const reason = CREDIT_NOTE_REASON_OPTIONS.find((o) => o.value === creditNoteReason);
+    setCreditNoteError('');
+    setProcessingCreditNote(true);
+    try {
+      const creditNote = await apiPost('/credit-notes', {
+        paymentId: Number(creditNotePaymentId),
+        reasonCode: creditNoteReason,
+        ...(creditNoteDescription ? { description: creditNoteDescription } : {}),
+        ...(!reason.total ? { amount: Number(creditNoteAmount) } : {}),
+      });
+      setShowCreditNoteForm(false);
+      setCreditNotePaymentId('');
+      setCreditNoteAmount('');
+      setCreditNoteDescription('');
+      setSuccess(`Nota de crédito ${creditNote.documentNumber} emitida sobre ${creditNote.referenceNumber}`);
+      await load();
+    } catch (e) {
+      setCreditNoteError(e.message || 'No se pudo emitir la nota de crédito');
+    } finally {
+      setProcessingCreditNote(false);
+    }
+  };
+
+  const sendCreditNoteToSunat = async (creditNote) => {
+    setCreditNoteError('');
+    try {
+      const submission = await apiPost(`/credit-notes/${creditNote.id}/send`, {});
+      setSuccess(`Nota de crédito ${creditNote.documentNumber}: ${submission.responseDescription || getSunatStatusLabel(submission.status)}`);
+      await load();
+    } catch (e) {
+      setCreditNoteError(e.message || 'No se pudo enviar la nota de crédito a SUNAT');
+    }
+  };
+
+  const loadPayoffQuote = async (date = payoffDate) => {
+    setPayoffError('');
+    try {
+      const quote = await apiGet(`/loans/${id}/payoff${date ? `?date=${date}` : ''}`);
+      setPayoffQuote(quote);
+    } catch (e) {
+      setPayoffQuote(null);
+      setPayoffError(e.message || 'No se pudo calcular la cancelación anticipada');
+    }
+  };
+
+  const submitPayoff = async (e) => {
+    e.preventDefault();
+    if (!cashSession) {
+      setPayoffError('Debe abrir una sesión de caja antes de registrar pagos');
+      return;
+    }
+    setPayoffError('');
+    setProcessingPayoff(true);
+    try {
+      const result = await apiPost('/payments/payoff', {
+        loanId: Number(id),
+        paymentMethod: payoffMethod,
+        cashSessionId: cashSession.id,
+        ...(payoffMethod === 'EFECTIVO' && payoffAmountGiven ? { amountGiven: Number(payoffAmountGiven) } : {}),
+      });
+      setLastPayoff(result.payoff);
+      setShowPayoff(false);
+      setPayoffQuote(null);
+      setPayoffAmountGiven('');
+      setSuccess(`Préstamo cancelado anticipadamente. Total cobrado: S/ ${Number(result.payoff.totalAmount).toFixed(2)}`);
+      await load();
+    } catch (e) {
+      setPayoffError(e.message || 'No se pudo registrar la cancelación anticipada');
+    } finally {
+      setProcessingPayoff(false);
+    }
+  };
+
   useEffect(() => {
     load();
     
@@ -169,7 +518,7 @@ export default function LoanDetail() {
         
         try {
           const apiUrl = import.meta.env.VITE_API_URL;
-          const jwtToken = localStorage.getItem('token');
+          const jwtToken = await getAccessToken();
           
           if (!jwtToken) {
             console.log('⚠️ Sin token de autenticación');
@@ -261,7 +610,7 @@ export default function LoanDetail() {
         
         try {
           const apiUrl = import.meta.env.VITE_API_URL;
-          const jwtToken = localStorage.getItem('token');
+          const jwtToken = await getAccessToken();
           
           const response = await axios.get(`${apiUrl}/flow/payment-status?token=${token}`, {
             headers: {
@@ -315,7 +664,7 @@ export default function LoanDetail() {
       
       // Usar axios para llamar directamente al endpoint
       const apiUrl = import.meta.env.VITE_API_URL;
-      const jwtToken = localStorage.getItem('token');
+      const jwtToken = await getAccessToken();
       
       const response = await axios.get(`${apiUrl}/flow/payment-status?token=${token}`, {
         headers: {
@@ -969,11 +1318,25 @@ export default function LoanDetail() {
         <div className="mb-3">
           <button className="btn" onClick={() => navigate(-1)}>Volver</button>
         </div>
-        <h4 style={{ marginTop: 0 }}>Préstamo #{loan.id}</h4>
+        <h4 style={{ marginTop: 0 }}>
+          Préstamo #{loan.id}{' '}
+          <span className={`badge ${getLoanStatusBadge(loan.status)}`}>{getLoanStatusLabel(loan.status)}</span>
+        </h4>
+        {can('loans:manage') && getNextLoanStatuses(loan.status).length > 0 && (
+          <div className="form-row mb-2">
+            {getNextLoanStatuses(loan.status).map((o) => (
+              <button key={o.value} type="button" className="btn btn-sm" onClick={() => changeStatus(o.value)}>
+                Marcar como {o.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {statusError && <div className="badge badge-red mb-2">{statusError}</div>}
         <div className="mb-2">
           Cliente: {loan.client.firstName} {loan.client.lastName} (DNI {loan.client.dni})
         </div>
         <div className="mb-2">Creado por: {loan.createdBy?.username || '-'}</div>
+        <div className="mb-2">Agencia: {loan.branch?.name || 'Sin agencia'}</div>
         
         {statement && (
           <div style={{ marginTop: '1rem', padding: '1rem', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
@@ -996,16 +1359,18 @@ export default function LoanDetail() {
         )}
 
         <div className="mb-2" style={{ marginTop: '1rem' }}>
-          Monto: S/ {Number(loan.principal).toFixed(2)} | Tasa anual: {(Number(loan.interestRate) * 100).toFixed(2)}% | Plazo: {loan.termCount} {loan.termCount === 1 ? 'mes' : 'meses'}
+          Monto: S/ {Number(loan.principal).toFixed(2)} | Tasa anual: {(Number(loan.interestRate) * 100).toFixed(2)}% | Plazo: {loan.termCount} {getTermUnitLabel(loan.frequency, loan.termCount)}
         </div>
-        <a
+        <div className="mb-2">Sistema de amortización: {getAmortizationLabel(loan.amortizationType)} | Frecuencia: {getFrequencyLabel(loan.frequency)}</div>
+        <div className="mb-2">Vencimientos: {getDueDatePolicyLabel(loan.dueDatePolicy)} | {getDueDateShiftLabel(loan.dueDateShift)}</div>
+        <div className="mb-2">Mora: {describeLateFeePolicy(loan.lateFeePolicy)}</div>
+        <button
+          type="button"
           className="btn"
-          href={apiFileUrl(`/loans/${loan.id}/schedule.pdf?token=${encodeURIComponent(localStorage.getItem('token') || '')}`)}
-          target="_blank"
-          rel="noreferrer"
+          onClick={() => apiOpenDownload(`/loans/${loan.id}/schedule.pdf`).catch((e) => setError(e.message))}
         >
           Descargar Cronograma PDF
-        </a>
+        </button>
       </div>
 
       <div className="card">
@@ -1065,7 +1430,7 @@ export default function LoanDetail() {
                       )}
                     </td>
                     <td>
-                      {!isPaid && (
+                      {!isPaid && can('payments:register') && (
                         <button
                           className="btn btn-sm"
                           onClick={() => handleOpenPaymentModal(row)}
@@ -1090,6 +1455,7 @@ export default function LoanDetail() {
           </table>
         </div>
         {/* Botón "Adelantar Pago" en la parte inferior derecha */}
+        {can('payments:register') && (
         <div style={{ marginTop: '1.5rem', display: 'flex', justifyContent: 'flex-end' }}>
           <button
             className="btn btn-primary"
@@ -1100,11 +1466,13 @@ export default function LoanDetail() {
             ⏩ Adelantar Pago
           </button>
         </div>
+        )}
       </div>
 
       {displayPayments.length > 0 && (
         <div className="card" style={{ marginTop: '2rem' }}>
           <h4 style={{ marginTop: 0 }}>Historial de Pagos</h4>
+          {voidError && <div className="badge badge-red mb-2">{voidError}</div>}
           <table className="table">
             <thead>
               <tr>
@@ -1118,32 +1486,694 @@ export default function LoanDetail() {
                 <th>Mora</th>
                 <th>Recibo</th>
                 <th>Comprobante</th>
+                <th>SUNAT</th>
+                <th>Anulación</th>
               </tr>
             </thead>
             <tbody>
-              {displayPayments.map((payment) => (
-                <tr key={payment.id}>
+              {displayPayments.map((payment) => {
+                const voids = payment.voids || [];
+                const pendingVoid = voids.find((v) => v.status === 'PENDING');
+                const approvedVoid = voids.find((v) => v.status === 'APPROVED');
+                return (
+                <tr key={payment.id} style={payment.voidedAt ? { color: '#999', textDecoration: 'line-through' } : undefined}>
                   <td>{new Date(payment.paymentDate).toLocaleString('es-PE')}</td>
-                  <td>S/ {payment.amount.toFixed(2)}</td>
+                  <td>
+                    S/ {payment.amount.toFixed(2)}
+                    {payment.refundedAmount > 0 && <div className="muted" style={{ fontSize: 12 }}>Devuelto S/ {payment.refundedAmount.toFixed(2)}</div>}
+                  </td>
                   <td>{payment.paymentMethod}</td>
                   <td>{payment.amountGiven ? `S/ ${Number(payment.amountGiven).toFixed(2)}` : '-'}</td>
                   <td>{payment.change !== null && payment.change !== undefined ? `S/ ${Number(payment.change).toFixed(2)}` : '-'}</td>
                   <td>S/ {payment.principalPaid.toFixed(2)}</td>
                   <td>S/ {payment.interestPaid.toFixed(2)}</td>
                   <td>S/ {payment.lateFeePaid.toFixed(2)}</td>
-                  <td>{payment.receiptNumber}</td>
                   <td>
-                    <button className="btn btn-sm" onClick={() => apiDownloadReceipt(payment.id, `comprobante-${payment.receiptNumber}.pdf`)}>
+                    {payment.documentNumber || payment.receiptNumber}
+                    {payment.documentNumber && <div className="muted" style={{ fontSize: 12 }}>{payment.receiptNumber}</div>}
+                  </td>
+                  <td>
+                    <button className="btn btn-sm" onClick={() => apiDownloadReceipt(payment.id, `comprobante-${payment.documentNumber || payment.receiptNumber}.pdf`)}>
                       Ver
                     </button>
                   </td>
+                  <td style={{ textDecoration: 'none' }}>
+                    {payment.documentNumber ? (
+                      <>
+                        <span className={`badge ${getSunatStatusBadge(payment.sunatStatus)}`} title={payment.sunatResponseDescription || undefined}>
+                          {getSunatStatusLabel(payment.sunatStatus)}
+                        </span>
+                        {payment.sunatStatus && (
+                          <div style={{ marginTop: 4 }}>
+                            <button type="button" className="btn btn-sm" onClick={() => apiDownload(`/sunat/payments/${payment.id}/xml`, `${payment.documentNumber}.xml`)}>XML</button>{' '}
+                            {payment.sunatStatus !== 'ERROR' && (
+                              <button type="button" className="btn btn-sm" onClick={() => apiDownload(`/sunat/payments/${payment.id}/cdr`, `R-${payment.documentNumber}.xml`)}>CDR</button>
+                            )}
+                          </div>
+                        )}
+                        {can('receipts:edit') && !['ACCEPTED', 'OBSERVED'].includes(payment.sunatStatus) && (
+                          <div style={{ marginTop: 4 }}>
+                            <button type="button" className="btn btn-sm" onClick={() => sendToSunat(payment)}>Enviar</button>
+                          </div>
+                        )}
+                        {payment.creditedAmount > 0 && (
+                          <div style={{ marginTop: 4, fontSize: '0.85em', color: '#666' }}>
+                            Nota de crédito: S/ {Number(payment.creditedAmount).toFixed(2)}
+                          </div>
+                        )}
+                      </>
+                    ) : '-'}
+                  </td>
+                  <td style={{ textDecoration: 'none' }}>
+                    {payment.voidedAt ? (
+                      <span className="badge badge-red" title={approvedVoid ? `${approvedVoid.reason} (aprobó ${approvedVoid.reviewedBy?.username || '-'})` : undefined}>
+                        Anulado {formatDate(payment.voidedAt)}
+                      </span>
+                    ) : pendingVoid ? (
+                      <>
+                        <span className="badge badge-yellow" title={`${pendingVoid.reason} (solicitó ${pendingVoid.requestedBy?.username || '-'})`}>
+                          {getWaiverStatusLabel(pendingVoid.status)}
+                        </span>{' '}
+                        {can('paymentVoids:approve') && currentUser.id !== pendingVoid.requestedByUserId && (
+                          <>
+                            <button type="button" className="btn btn-sm" onClick={() => reviewVoid(pendingVoid, 'approve')}>Aprobar</button>{' '}
+                            <button type="button" className="btn btn-sm" onClick={() => reviewVoid(pendingVoid, 'reject')}>Rechazar</button>
+                          </>
+                        )}
+                      </>
+                    ) : can('paymentVoids:request') && !payment.payoffId && !payment.prepaymentId && !payment.refundedAmount ? (
+                      <button type="button" className="btn btn-sm" onClick={() => requestVoid(payment)}>Anular</button>
+                    ) : '-'}
+                  </td>
                 </tr>
-              ))}
+                );
+              })}
             </tbody>
           </table>
         </div>
       )}
 
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Reprogramaciones</h4>
+        {can('loans:manage') && (loan.status === 'ACTIVE' || loan.status === 'DEFAULTED') && !scheduleWithRemaining.every(s => s.isPaid) && (
+          <div className="mb-2">
+            <button
+              type="button"
+              className="btn"
+              onClick={() => {
+                setShowRescheduleForm(!showRescheduleForm);
+                setRescheduleTermCount(String(loan.termCount));
+                setRescheduleInterestPercent((Number(loan.interestRate) * 100).toFixed(2));
+              }}
+            >
+              {showRescheduleForm ? 'Cancelar' : 'Reprogramar préstamo'}
+            </button>
+          </div>
+        )}
+        {showRescheduleForm && (
+          <form onSubmit={submitReschedule} className="mb-3">
+            <div className="mb-2" style={{ color: '#666' }}>
+              Se capitaliza el capital pendiente, el interés de cuotas vencidas y la mora. Las cuotas pendientes quedan reemplazadas.
+            </div>
+            <div className="grid-2">
+              <div>
+                <div className="label">Nuevo plazo ({getTermUnitLabel(loan.frequency, 2)})</div>
+                <input className="input" type="number" min="1" value={rescheduleTermCount} onChange={(e) => setRescheduleTermCount(e.target.value)} required />
+              </div>
+              <div>
+                <div className="label">Tasa anual (%)</div>
+                <input className="input" type="number" step="0.01" min="0.01" value={rescheduleInterestPercent} onChange={(e) => setRescheduleInterestPercent(e.target.value)} />
+              </div>
+              <div>
+                <div className="label">Fecha de inicio (vacío = hoy)</div>
+                <input className="input" type="date" value={rescheduleStartDate} onChange={(e) => setRescheduleStartDate(e.target.value)} />
+              </div>
+              <div>
+                <div className="label">Motivo</div>
+                <input className="input" value={rescheduleReason} onChange={(e) => setRescheduleReason(e.target.value)} maxLength={500} />
+              </div>
+            </div>
+            {rescheduleError && <div className="badge badge-red mb-2">{rescheduleError}</div>}
+            <button className="btn btn-primary" type="submit" disabled={rescheduling}>
+              {rescheduling ? 'Reprogramando...' : 'Confirmar reprogramación'}
+            </button>
+          </form>
+        )}
+        {(loan.reschedules || []).length === 0 ? (
+          <div style={{ color: '#666' }}>Este préstamo no ha sido reprogramado.</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Usuario</th>
+                <th>Capital pendiente</th>
+                <th>Interés devengado</th>
+                <th>Mora</th>
+                <th>Nuevo capital</th>
+                <th>Tasa anual</th>
+                <th>Plazo</th>
+                <th>Motivo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loan.reschedules.map((r) => (
+                <tr key={r.id}>
+                  <td>{formatDate(r.createdAt)}</td>
+                  <td>{r.createdBy?.username || '-'}</td>
+                  <td>S/ {Number(r.outstandingPrincipal).toFixed(2)}</td>
+                  <td>S/ {Number(r.accruedInterest).toFixed(2)}</td>
+                  <td>S/ {Number(r.lateFeeAmount).toFixed(2)}</td>
+                  <td>S/ {Number(r.newPrincipal).toFixed(2)}</td>
+                  <td>{(Number(r.previousInterestRate) * 100).toFixed(2)}% → {(Number(r.interestRate) * 100).toFixed(2)}%</td>
+                  <td>{r.previousTermCount} → {r.termCount} {getTermUnitLabel(r.frequency, r.termCount)}</td>
+                  <td>{r.reason || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {(statement?.supersededSchedules || []).length > 0 && (
+          <details style={{ marginTop: '1rem' }}>
+            <summary>Cuotas reemplazadas ({statement.supersededSchedules.length})</summary>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Cuota</th>
+                  <th>Fecha</th>
+                  <th>Monto</th>
+                  <th>Interés</th>
+                  <th>Capital</th>
+                  <th>Reemplazada el</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.supersededSchedules.map((s) => (
+                  <tr key={s.id}>
+                    <td>{s.installmentNumber}</td>
+                    <td>{formatDate(s.dueDate)}</td>
+                    <td>S/ {Number(s.installmentAmount).toFixed(2)}</td>
+                    <td>S/ {Number(s.interestAmount).toFixed(2)}</td>
+                    <td>S/ {Number(s.principalAmount).toFixed(2)}</td>
+                    <td>{formatDate(s.supersededAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Prepagos a capital</h4>
+        {lastPrepaymentPayment && (
+          <div className="mb-2">
+            <button
+              type="button"
+              className="btn btn-sm"
+              onClick={() => apiDownloadReceipt(lastPrepaymentPayment.id, `comprobante-${lastPrepaymentPayment.receiptNumber}.pdf`)}
+            >
+              Descargar comprobante del prepago
+            </button>
+          </div>
+        )}
+        {can('payments:register') && (loan.status === 'ACTIVE' || loan.status === 'DEFAULTED') && loan.amortizationType !== 'BULLET' && !scheduleWithRemaining.every(s => s.isPaid) && (
+          <div className="mb-2">
+            <button type="button" className="btn" onClick={() => setShowPrepaymentForm(!showPrepaymentForm)}>
+              {showPrepaymentForm ? 'Cancelar' : 'Registrar prepago'}
+            </button>
+          </div>
+        )}
+        {showPrepaymentForm && (
+          <form onSubmit={submitPrepayment} className="mb-3">
+            <div className="mb-2" style={{ color: '#666' }}>
+              El monto se aplica a capital y las cuotas pendientes se recalculan con el nuevo saldo. No debe haber cuotas vencidas ni pagos parciales.
+            </div>
+            <div className="grid-2">
+              <div>
+                <div className="label">Monto (S/)</div>
+                <input className="input" type="number" step="0.01" min="0.01" value={prepaymentAmount} onChange={(e) => setPrepaymentAmount(e.target.value)} required />
+              </div>
+              <div>
+                <div className="label">Modalidad</div>
+                <select className="input" value={prepaymentMode} onChange={(e) => setPrepaymentMode(e.target.value)}>
+                  {PREPAYMENT_MODE_OPTIONS
+                    .filter((o) => o.value !== 'REDUCE_TERM' || loan.amortizationType !== 'AMERICAN')
+                    .map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <div className="label">Método de pago</div>
+                <select className="input" value={prepaymentMethod} onChange={(e) => setPrepaymentMethod(e.target.value)}>
+                  {['EFECTIVO', 'YAPE', 'PLIN', 'TARJETA_DEBITO', 'OTRO'].map((m) => (
+                    <option key={m} value={m}>{getPaymentMethodLabel(m)}</option>
+                  ))}
+                </select>
+              </div>
+              {prepaymentMethod === 'EFECTIVO' && (
+                <div>
+                  <div className="label">Monto recibido (S/)</div>
+                  <input className="input" type="number" step="0.01" min="0" value={prepaymentAmountGiven} onChange={(e) => setPrepaymentAmountGiven(e.target.value)} />
+                </div>
+              )}
+            </div>
+            {prepaymentError && <div className="badge badge-red mb-2">{prepaymentError}</div>}
+            <button className="btn btn-primary" type="submit" disabled={processingPrepayment || !cashSession}>
+              {processingPrepayment ? 'Procesando...' : 'Confirmar prepago'}
+            </button>
+          </form>
+        )}
+        {(loan.prepayments || []).length === 0 ? (
+          <div style={{ color: '#666' }}>Este préstamo no tiene prepagos.</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Usuario</th>
+                <th>Monto</th>
+                <th>Modalidad</th>
+                <th>Saldo de capital</th>
+                <th>Cuotas</th>
+                <th>Cuota</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loan.prepayments.map((p) => (
+                <tr key={p.id}>
+                  <td>{formatDate(p.createdAt)}</td>
+                  <td>{p.registeredBy?.username || '-'}</td>
+                  <td>S/ {Number(p.amount).toFixed(2)}</td>
+                  <td>{getPrepaymentModeLabel(p.mode)}</td>
+                  <td>S/ {Number(p.previousBalance).toFixed(2)} → S/ {Number(p.newBalance).toFixed(2)}</td>
+                  <td>{p.previousInstallmentCount} → {p.newInstallmentCount}</td>
+                  <td>S/ {Number(p.previousInstallmentAmount).toFixed(2)} → S/ {Number(p.newInstallmentAmount).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Condonaciones de mora</h4>
+        {can('lateFeeWaivers:request') && scheduleWithRemaining.some((s) => !s.isPaid && Number(s.lateFeeAmount || 0) > 0) && (
+          <div className="mb-2">
+            <button type="button" className="btn" onClick={() => setShowWaiverForm(!showWaiverForm)}>
+              {showWaiverForm ? 'Cancelar' : 'Solicitar condonación'}
+            </button>
+          </div>
+        )}
+        {showWaiverForm && (
+          <form onSubmit={submitWaiver} className="mb-3">
+            <div className="mb-2" style={{ color: '#666' }}>
+              La condonación reduce la mora de la cuota cuando la aprueba un supervisor distinto a quien la solicita.
+            </div>
+            <div className="grid-2">
+              <div>
+                <div className="label">Cuota</div>
+                <select className="input" value={waiverInstallmentId} onChange={(e) => setWaiverInstallmentId(e.target.value)} required>
+                  <option value="">Seleccione...</option>
+                  {scheduleWithRemaining
+                    .filter((s) => !s.isPaid && Number(s.lateFeeAmount || 0) > 0)
+                    .map((s) => (
+                      <option key={s.id} value={s.id}>
+                        #{s.installmentNumber} - mora S/ {Number(s.lateFeeAmount).toFixed(2)}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <div className="label">Monto a condonar (S/)</div>
+                <input className="input" type="number" step="0.01" min="0.01" value={waiverAmount} onChange={(e) => setWaiverAmount(e.target.value)} required />
+              </div>
+            </div>
+            <div className="mb-2">
+              <div className="label">Motivo</div>
+              <input className="input" value={waiverReason} onChange={(e) => setWaiverReason(e.target.value)} required />
+            </div>
+            <button className="btn btn-primary" type="submit" disabled={processingWaiver}>
+              {processingWaiver ? 'Enviando...' : 'Enviar solicitud'}
+            </button>
+          </form>
+        )}
+        {waiverError && <div className="badge badge-red mb-2">{waiverError}</div>}
+        {(statement?.lateFeeWaivers || []).length === 0 ? (
+          <div style={{ color: '#666' }}>Este préstamo no tiene condonaciones de mora.</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Cuota</th>
+                <th>Monto</th>
+                <th>Motivo</th>
+                <th>Solicitó</th>
+                <th>Estado</th>
+                <th>Revisó</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {statement.lateFeeWaivers.map((w) => {
+                const installment = (statement.schedule || []).find((s) => s.id === w.installmentId);
+                return (
+                  <tr key={w.id}>
+                    <td>{formatDate(w.createdAt)}</td>
+                    <td>#{installment ? installment.installmentNumber : w.installmentId}</td>
+                    <td>S/ {Number(w.amount).toFixed(2)}</td>
+                    <td>{w.reason}</td>
+                    <td>{w.requestedBy?.username || '-'}</td>
+                    <td><span className={`badge ${getWaiverStatusBadge(w.status)}`}>{getWaiverStatusLabel(w.status)}</span></td>
+                    <td>{w.reviewedBy ? `${w.reviewedBy.username}${w.reviewNote ? ` (${w.reviewNote})` : ''}` : '-'}</td>
+                    <td>
+                      {w.status === 'PENDING' && can('lateFeeWaivers:approve') && currentUser.id !== w.requestedByUserId && (
+                        <>
+                          <button type="button" className="btn btn-sm" onClick={() => reviewWaiver(w, 'approve')}>Aprobar</button>{' '}
+                          <button type="button" className="btn btn-sm" onClick={() => reviewWaiver(w, 'reject')}>Rechazar</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Devoluciones</h4>
+        {can('refunds:manage') && displayPayments.some((p) => !p.voidedAt && !p.prepaymentId) && (
+          <div className="mb-2">
+            <button type="button" className="btn" onClick={() => setShowRefundForm(!showRefundForm)}>
+              {showRefundForm ? 'Cancelar' : 'Registrar devolución'}
+            </button>
+          </div>
+        )}
+        {showRefundForm && (
+          <form onSubmit={submitRefund} className="mb-3">
+            <div className="mb-2" style={{ color: '#666' }}>
+              Al completarse, lo devuelto se descuenta del pago (primero lo cobrado en exceso, luego capital, interés y mora) y vuelve a deberse.
+            </div>
+            <div className="grid-2">
+              <div>
+                <div className="label">Pago</div>
+                <select className="input" value={refundPaymentId} onChange={(e) => setRefundPaymentId(e.target.value)} required>
+                  <option value="">Seleccione...</option>
+                  {displayPayments
+                    .filter((p) => !p.voidedAt && !p.prepaymentId && p.amount - (p.refundedAmount || 0) > 0)
+                    .map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.receiptNumber} - {formatDate(p.paymentDate)} - S/ {(p.amount - (p.refundedAmount || 0)).toFixed(2)} ({getPaymentMethodLabel(p.paymentMethod)})
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <div className="label">Monto a devolver (S/)</div>
+                <input className="input" type="number" step="0.01" min="0.01" value={refundAmount} onChange={(e) => setRefundAmount(e.target.value)} required />
+              </div>
+              <div>
+                <div className="label">Medio de devolución</div>
+                <select className="input" value={refundMethod} onChange={(e) => setRefundMethod(e.target.value)}>
+                  {['EFECTIVO', 'BILLETERA_DIGITAL', 'TARJETA_DEBITO', 'TARJETA', 'YAPE', 'PLIN', 'FLOW', 'OTRO'].map((m) => (
+                    <option key={m} value={m}>{getPaymentMethodLabel(m)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <div className="label">Motivo</div>
+                <select className="input" value={refundReason} onChange={(e) => setRefundReason(e.target.value)}>
+                  {REFUND_REASON_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <div className="label">Referencia (operación o disputa)</div>
+                <input className="input" value={refundReference} onChange={(e) => setRefundReference(e.target.value)} />
+              </div>
+              <div>
+                <div className="label">Nota</div>
+                <input className="input" value={refundNote} onChange={(e) => setRefundNote(e.target.value)} />
+              </div>
+            </div>
+            <button className="btn btn-primary" type="submit" disabled={processingRefund}>
+              {processingRefund ? 'Enviando...' : 'Registrar'}
+            </button>
+          </form>
+        )}
+        {refundError && <div className="badge badge-red mb-2">{refundError}</div>}
+        {(statement?.refunds || []).length === 0 ? (
+          <div style={{ color: '#666' }}>Este préstamo no tiene devoluciones.</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Pago</th>
+                <th>Monto</th>
+                <th>Medio</th>
+                <th>Motivo</th>
+                <th>Referencia</th>
+                <th>Estado</th>
+                <th>Registró / resolvió</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {statement.refunds.map((r) => {
+                const payment = displayPayments.find((p) => p.id === r.paymentId);
+                return (
+                  <tr key={r.id}>
+                    <td>{formatDate(r.createdAt)}</td>
+                    <td>{payment ? payment.receiptNumber : `#${r.paymentId}`}</td>
+                    <td>S/ {Number(r.amount).toFixed(2)}</td>
+                    <td>{getPaymentMethodLabel(r.method)}</td>
+                    <td>{getRefundReasonLabel(r.reason)}{r.note ? ` (${r.note})` : ''}</td>
+                    <td>{r.externalReference || '-'}</td>
+                    <td><span className={`badge ${getRefundStatusBadge(r.status)}`}>{getRefundStatusLabel(r.status)}</span></td>
+                    <td>{r.registeredBy?.username || '-'}{r.resolvedBy ? ` / ${r.resolvedBy.username}` : ''}</td>
+                    <td>
+                      {r.status === 'PENDING' && can('refunds:manage') && (
+                        <>
+                          <button type="button" className="btn btn-sm" onClick={() => completeRefund(r)}>Completar</button>{' '}
+                          <button type="button" className="btn btn-sm" onClick={() => cancelRefund(r)}>Cancelar</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Notas de crédito</h4>
+        {can('creditNotes:issue') && displayPayments.some((p) => p.documentNumber) && (
+          <div className="mb-2">
+            <button type="button" className="btn" onClick={() => setShowCreditNoteForm(!showCreditNoteForm)}>
+              {showCreditNoteForm ? 'Cancelar' : 'Emitir nota de crédito'}
+            </button>
+          </div>
+        )}
+        {showCreditNoteForm && (
+          <form onSubmit={submitCreditNote} className="mb-3">
+            <div className="mb-2" style={{ color: '#666' }}>
+              La nota anula total o parcialmente el comprobante ante SUNAT; la devolución del dinero se registra aparte. Un comprobante anulado por completo puede volver a emitirse desde el pago.
+            </div>
+            <div className="grid-2">
+              <div>
+                <div className="label">Comprobante</div>
+                <select className="input" value={creditNotePaymentId} onChange={(e) => setCreditNotePaymentId(e.target.value)} required>
+                  <option value="">Seleccione...</option>
+                  {displayPayments
+                    .filter((p) => p.documentNumber && p.sunatStatus !== 'REJECTED')
+                    .map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.documentNumber} - {formatDate(p.paymentDate)} - S/ {Number(p.amount).toFixed(2)}{p.creditedAmount > 0 ? ` (anulado S/ ${Number(p.creditedAmount).toFixed(2)})` : ''}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <div className="label">Motivo</div>
+                <select className="input" value={creditNoteReason} onChange={(e) => setCreditNoteReason(e.target.value)}>
+                  {CREDIT_NOTE_REASON_OPTIONS
+                    .filter((o) => !o.facturaOnly || displayPayments.find((p) => String(p.id) === creditNotePaymentId)?.receiptType === 'FACTURA')
+                    .map((o) => <option key={o.value} value={o.value}>{o.value} - {o.label}</option>)}
+                </select>
+              </div>
+              {!CREDIT_NOTE_REASON_OPTIONS.find((o) => o.value === creditNoteReason)?.total && (
+                <div>
+                  <div className="label">Monto (S/, IGV incluido)</div>
+                  <input className="input" type="number" step="0.01" min="0.01" value={creditNoteAmount} onChange={(e) => setCreditNoteAmount(e.target.value)} required />
+                </div>
+              )}
+              <div>
+                <div className="label">Sustento</div>
+                <input className="input" maxLength={250} value={creditNoteDescription} onChange={(e) => setCreditNoteDescription(e.target.value)} placeholder="Por defecto, el motivo" />
+              </div>
+            </div>
+            <button className="btn btn-primary" type="submit" disabled={processingCreditNote}>
+              {processingCreditNote ? 'Emitiendo...' : 'Emitir'}
+            </button>
+          </form>
+        )}
+        {creditNoteError && <div className="badge badge-red mb-2">{creditNoteError}</div>}
+        {(statement?.creditNotes || []).length === 0 ? (
+          <div style={{ color: '#666' }}>Este préstamo no tiene notas de crédito.</div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Nota</th>
+                <th>Comprobante</th>
+                <th>Motivo</th>
+                <th>Monto</th>
+                <th>SUNAT</th>
+                <th>Emitió</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {statement.creditNotes.map((n) => (
+                <tr key={n.id}>
+                  <td>{formatDate(n.createdAt)}</td>
+                  <td>{n.documentNumber}</td>
+                  <td>{n.referenceNumber}</td>
+                  <td>{n.reasonCode} - {n.reasonLabel}{n.description !== n.reasonLabel ? ` (${n.description})` : ''}</td>
+                  <td>S/ {Number(n.amount).toFixed(2)}</td>
+                  <td>
+                    <span className={`badge ${getSunatStatusBadge(n.sunatStatus)}`} title={n.sunatResponseDescription || undefined}>
+                      {getSunatStatusLabel(n.sunatStatus)}
+                    </span>
+                  </td>
+                  <td>{n.issuedBy?.username || '-'}</td>
+                  <td>
+                    <button type="button" className="btn btn-sm" onClick={() => apiDownload(`/credit-notes/${n.id}/pdf`, `nota-credito-${n.documentNumber}.pdf`)}>PDF</button>{' '}
+                    {n.sunatStatus && (
+                      <button type="button" className="btn btn-sm" onClick={() => apiDownload(`/credit-notes/${n.id}/xml`, `${n.documentNumber}.xml`)}>XML</button>
+                    )}{' '}
+                    {n.sunatStatus && n.sunatStatus !== 'ERROR' && (
+                      <button type="button" className="btn btn-sm" onClick={() => apiDownload(`/credit-notes/${n.id}/cdr`, `R-${n.documentNumber}.xml`)}>CDR</button>
+                    )}{' '}
+                    {can('receipts:edit') && !['ACCEPTED', 'OBSERVED'].includes(n.sunatStatus) && (
+                      <button type="button" className="btn btn-sm" onClick={() => sendCreditNoteToSunat(n)}>Enviar</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h4 style={{ marginTop: 0 }}>Cancelación anticipada</h4>
+        {lastPayoff && (
+          <div className="mb-2">
+            <button
+              type="button"
+              className="btn btn-sm"
+              onClick={() => apiDownload(`/payments/payoff/${lastPayoff.id}/receipt`, `cancelacion-${lastPayoff.receiptNumber}.pdf`)}
+            >
+              Descargar comprobante de cancelación
+            </button>
+          </div>
+        )}
+        {(loan.status === 'ACTIVE' || loan.status === 'DEFAULTED') && !scheduleWithRemaining.every(s => s.isPaid) ? (
+          <>
+            <div className="mb-2" style={{ color: '#666' }}>
+              Se cobra el capital pendiente, el interés devengado a la fecha y la mora. Los intereses futuros no se cobran.
+            </div>
+            <div className="form-row mb-2">
+              <div>
+                <div className="label">Fecha de cotización (vacío = hoy)</div>
+                <input className="input" type="date" value={payoffDate} onChange={(e) => setPayoffDate(e.target.value)} />
+              </div>
+              <button
+                type="button"
+                className="btn"
+                onClick={() => {
+                  setShowPayoff(true);
+                  loadPayoffQuote();
+                }}
+              >
+                Cotizar cancelación
+              </button>
+            </div>
+            {payoffError && <div className="badge badge-red mb-2">{payoffError}</div>}
+            {showPayoff && payoffQuote && (
+              <>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Cuota</th>
+                      <th>Fecha</th>
+                      <th>Capital</th>
+                      <th>Interés devengado</th>
+                      <th>Interés condonado</th>
+                      <th>Mora</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {payoffQuote.installments.map((i) => (
+                      <tr key={i.id}>
+                        <td>{i.installmentNumber}</td>
+                        <td>{formatDate(i.dueDate)}</td>
+                        <td>S/ {Number(i.principal).toFixed(2)}</td>
+                        <td>S/ {Number(i.interestAccrued).toFixed(2)}</td>
+                        <td>S/ {Number(i.interestRebate).toFixed(2)}</td>
+                        <td>S/ {Number(i.lateFee).toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mb-2">
+                  <strong>Total al {formatDate(payoffQuote.date)}: S/ {Number(payoffQuote.total).toFixed(2)}</strong>
+                  <span style={{ color: '#666' }}> (interés condonado: S/ {Number(payoffQuote.interestRebate).toFixed(2)})</span>
+                </div>
+                {!can('payments:register') ? null : payoffQuote.date === new Date().toLocaleDateString('en-CA', { timeZone: 'America/Lima' }) ? (
+                  <form onSubmit={submitPayoff}>
+                    <div className="grid-2">
+                      <div>
+                        <div className="label">Método de pago</div>
+                        <select className="input" value={payoffMethod} onChange={(e) => setPayoffMethod(e.target.value)}>
+                          {['EFECTIVO', 'YAPE', 'PLIN', 'TARJETA_DEBITO', 'OTRO'].map((m) => (
+                            <option key={m} value={m}>{getPaymentMethodLabel(m)}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {payoffMethod === 'EFECTIVO' && (
+                        <div>
+                          <div className="label">Monto recibido (S/)</div>
+                          <input className="input" type="number" step="0.01" min="0" value={payoffAmountGiven} onChange={(e) => setPayoffAmountGiven(e.target.value)} />
+                        </div>
+                      )}
+                    </div>
+                    {!cashSession && (
+                      <div className="badge badge-yellow mb-2">⚠️ Debe abrir una sesión de caja para registrar pagos</div>
+                    )}
+                    <button className="btn btn-primary" type="submit" disabled={processingPayoff || !cashSession}>
+                      {processingPayoff ? 'Procesando...' : 'Registrar cancelación anticipada'}
+                    </button>
+                  </form>
+                ) : (
+                  <div style={{ color: '#666' }}>La cancelación solo puede registrarse con la cotización del día.</div>
+                )}
+              </>
+            )}
+          </>
+        ) : (
+          <div style={{ color: '#666' }}>El préstamo no tiene saldo pendiente o no admite pagos.</div>
+        )}
+      </div>
+
       {/* Modal de Pago - Paso 1: Seleccionar Método */}
       {showPaymentModal && selectedInstallment && paymentStep === 1 && (
         <div className="modal-overlay" onClick={handleClosePaymentModal}>
@@ -1229,7 +2259,7 @@ export default function LoanDetail() {
               </div>
               {lateFeeForSelected > 0 && (
                 <div style={{ marginTop: '0.5rem', color: '#dc3545' }}>
-                  <strong>Mora (1% fijo):</strong> S/ {lateFeeForSelected.toFixed(2)}
+                  <strong>Mora:</strong> S/ {lateFeeForSelected.toFixed(2)}
                   <br />
                   <small style={{ color: '#666' }}>* Si pagas parcialmente, la mora se cancela</small>
                 </div>
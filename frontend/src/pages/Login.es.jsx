@@ -1,32 +1,82 @@
 ﻿import React, { useState } from 'react';
+import { saveSession } from '../lib/api.js';
 
 export default function Login() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPwd, setShowPwd] = useState(false);
   const [error, setError] = useState('');
+  // Segundo paso: 'password' → 'totp' | 'enroll' → 'recovery' (solo tras enrolarse)
+  const [step, setStep] = useState('password');
+  const [mfaToken, setMfaToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
 
   const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
+  const postAuth = async (path, payload) => {
+    const res = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json().catch(() => ({}));
+    // 423/429: cuenta bloqueada o demasiados intentos; el backend indica cuánto esperar
+    if (!res.ok) throw new Error(data.error || 'Error de autenticación');
+    return data;
+  };
+
+  const finish = (data) => {
+    saveSession(data);
+    window.location.href = '/';
+  };
+
   const submit = async (e) => {
     e.preventDefault();
     setError('');
     try {
-      const res = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
-      });
-      if (!res.ok) throw new Error(await res.text());
-      const data = await res.json();
-      localStorage.setItem('token', data.token);
-      try { localStorage.setItem('user', JSON.stringify(data.user || {})); } catch {}
-      window.location.href = '/';
+      const data = await postAuth('/auth/login', { username, password });
+      if (!data.mfaRequired) return finish(data);
+      setMfaToken(data.mfaToken);
+      setCode('');
+      if (data.enrollmentRequired) {
+        setEnrollment(await postAuth('/auth/login/totp/setup', { mfaToken: data.mfaToken }));
+        setStep('enroll');
+      } else {
+        setStep('totp');
+      }
     } catch (e) {
-      setError('Error de autenticación');
+      setError(e.message || 'Error de autenticación');
     }
   };
 
+  const submitCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      if (step === 'enroll') {
+        const data = await postAuth('/auth/login/totp/enable', { mfaToken, code });
+        setPendingSession(data);
+        setStep('recovery');
+        return;
+      }
+      const payload = useRecoveryCode ? { mfaToken, recoveryCode: code } : { mfaToken, code };
+      finish(await postAuth('/auth/login/totp', payload));
+    } catch (e) {
+      setError(e.message || 'Código de verificación incorrecto');
+    }
+  };
+
+  const backToPassword = () => {
+    setStep('password');
+    setMfaToken('');
+    setEnrollment(null);
+    setCode('');
+    setError('');
+  };
+
   return (
     <div className="auth">
       <div className="auth-left">
@@ -37,36 +87,83 @@ export default function Login() {
       </div>
       <div className="auth-right">
         <div className="auth-card">
-          <form onSubmit={submit} className="form">
-            <img src="/logogrande.jpg" alt="Logo" className="auth-logo" />
-            <h2 style={{ margin: 0 }}>Iniciar sesión</h2>
-            <div>
-              <div className="label">Usuario</div>
-              <input className="input" placeholder="Tu usuario" value={username} onChange={(e) => setUsername(e.target.value)} />
-            </div>
-            <div>
-              <div className="label">Contraseña</div>
-              <div className="input-wrap">
-                <input className="input" type={showPwd ? "text" : "password"} placeholder="Tu contraseña" value={password} onChange={(e) => setPassword(e.target.value)} />
-                <button type="button" className="eye-btn" onClick={()=>setShowPwd(v=>!v)} aria-label="Mostrar/Ocultar contraseña">
-                  {showPwd ? (
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                      <path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12Z" stroke="currentColor" strokeWidth="2"/>
-                      <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2"/>
-                      <path d="M3 3l18 18" stroke="currentColor" strokeWidth="2"/>
-                    </svg>
-                  ) : (
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                      <path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12Z" stroke="currentColor" strokeWidth="2"/>
-                      <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2"/>
-                    </svg>
-                  )}
-                </button>
+          {step === 'password' && (
+            <form onSubmit={submit} className="form">
+              <img src="/logogrande.jpg" alt="Logo" className="auth-logo" />
+              <h2 style={{ margin: 0 }}>Iniciar sesión</h2>
+              <div>
+                <div className="label">Usuario</div>
+                <input className="input" placeholder="Tu usuario" value={username} onChange={(e) => setUsername(e.target.value)} />
+              </div>
+              <div>
+                <div className="label">Contraseña</div>
+                <div className="input-wrap">
+                  <input className="input" type={showPwd ? "text" : "password"} placeholder="Tu contraseña" value={password} onChange={(e) => setPassword(e.target.value)} />
+                  <button type="button" className="eye-btn" onClick={()=>setShowPwd(v=>!v)} aria-label="Mostrar/Ocultar contraseña">
+                    {showPwd ? (
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                        <path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12Z" stroke="currentColor" strokeWidth="2"/>
+                        <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2"/>
+                        <path d="M3 3l18 18" stroke="currentColor" strokeWidth="2"/>
+                      </svg>
+                    ) : (
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                        <path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12Z" stroke="currentColor" strokeWidth="2"/>
+                        <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2"/>
+                      </svg>
+                    )}
+                  </button>
+                </div>
               </div>
+              {error && <div className="badge badge-red" role="alert">{error}</div>}
+              <button className="btn btn-primary" type="submit">Entrar</button>
+            </form>
+          )}
+          {(step === 'totp' || step === 'enroll') && (
+            <form onSubmit={submitCode} className="form">
+              <img src="/logogrande.jpg" alt="Logo" className="auth-logo" />
+              <h2 style={{ margin: 0 }}>Verificación en dos pasos</h2>
+              {step === 'enroll' && enrollment && (
+                <div className="muted" style={{ fontSize: 14 }}>
+                  <p style={{ marginTop: 0 }}>Su rol exige verificación en dos pasos. Agregue esta cuenta en su app autenticadora
+                    (Google Authenticator, Microsoft Authenticator, etc.) con la clave o el enlace:</p>
+                  <div className="label">Clave</div>
+                  <code style={{ wordBreak: 'break-all' }}>{enrollment.secret.match(/.{1,4}/g).join(' ')}</code>
+                  <div className="label" style={{ marginTop: 8 }}>Enlace de configuración</div>
+                  <a href={enrollment.otpauthUrl} style={{ wordBreak: 'break-all' }}>{enrollment.otpauthUrl}</a>
+                </div>
+              )}
+              <div>
+                <div className="label">{useRecoveryCode ? 'Código de recuperación' : 'Código de 6 dígitos'}</div>
+                <input
+                  className="input"
+                  autoFocus
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+              {error && <div className="badge badge-red" role="alert">{error}</div>}
+              <button className="btn btn-primary" type="submit">Verificar</button>
+              {step === 'totp' && (
+                <button type="button" className="btn" onClick={() => { setUseRecoveryCode(v => !v); setCode(''); }}>
+                  {useRecoveryCode ? 'Usar código de la app' : 'Usar un código de recuperación'}
+                </button>
+              )}
+              <button type="button" className="btn" onClick={backToPassword}>Volver</button>
+            </form>
+          )}
+          {step === 'recovery' && pendingSession && (
+            <div className="form">
+              <h2 style={{ margin: 0 }}>Códigos de recuperación</h2>
+              <p className="muted" style={{ margin: 0 }}>Guárdelos en un lugar seguro. Cada uno sirve una sola vez si pierde
+                acceso a su app autenticadora; no se volverán a mostrar.</p>
+              <pre className="card" style={{ margin: 0 }}>{pendingSession.recoveryCodes.join('\n')}</pre>
+              <button className="btn btn-primary" type="button" onClick={() => finish(pendingSession)}>Ya los guardé, continuar</button>
             </div>
-            {error && <div className="badge badge-red" role="alert">{error}</div>}
-            <button className="btn btn-primary" type="submit">Entrar</button>
-          </form>
+          )}
         </div>
       </div>
     </div>
@@ -1,13 +1,33 @@
-import React, { useState, useEffect } from 'react';
-import { apiPost } from '../lib/api.js';
+﻿import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { apiGet, apiPost } from '../lib/api.js';
 import { formatDate } from '../lib/date.js';
+import { can, getCurrentUser } from '../lib/permissions.js';
+import {
+  AMORTIZATION_OPTIONS,
+  FREQUENCY_OPTIONS,
+  DUE_DATE_POLICY_OPTIONS,
+  DUE_DATE_SHIFT_OPTIONS,
+  getTermUnitLabel,
+} from '../lib/loan.js';
 
 export default function NewLoan() {
-  const [dni, setDni] = useState('12345678');
+  const [searchParams] = useSearchParams();
+  // Desde el detalle del cliente se llega con ?dni= para registrar otro préstamo
+  const [dni, setDni] = useState(searchParams.get('dni') || '12345678');
   const [client, setClient] = useState(null);
   const [principal, setPrincipal] = useState(300);
   const [interestPercent, setInterestPercent] = useState(10); // UI en %
   const [termCount, setTermCount] = useState(12);
+  const [amortizationType, setAmortizationType] = useState('FRENCH');
+  const [frequency, setFrequency] = useState('MONTHLY');
+  const [dueDatePolicy, setDueDatePolicy] = useState('FIXED_INTERVAL');
+  const [dueDateShift, setDueDateShift] = useState('NONE');
+  const [lateFeePolicies, setLateFeePolicies] = useState([]);
+  const [lateFeePolicyCode, setLateFeePolicyCode] = useState('');
+  // Agencia del préstamo: la del usuario; quien consolida agencias puede elegir otra
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(String(getCurrentUser().branchId || ''));
   const todayPeru = (() => {
     const nowPeru = new Date(
       new Date().toLocaleString('en-US', { timeZone: 'America/Lima' })
@@ -40,6 +60,17 @@ export default function NewLoan() {
     }
   }, [principal]);
 
+  useEffect(() => {
+    apiGet('/late-fee-policies')
+      .then(setLateFeePolicies)
+      .catch(() => setLateFeePolicies([]));
+    if (can('branches:all')) {
+      apiGet('/branches?includeInactive=false')
+        .then(setBranches)
+        .catch(() => setBranches([]));
+    }
+  }, []);
+
   useEffect(() => {
     if (!pep) {
       setPepDownloaded(false);
@@ -103,6 +134,10 @@ export default function NewLoan() {
         interestRate: Number(interestPercent) / 100,
         termCount: Number(termCount),
         startDate,
+        amortizationType,
+        frequency,
+        dueDatePolicy,
+        dueDateShift,
       });
       setPreview(data);
     } catch (e) {
@@ -137,6 +172,12 @@ export default function NewLoan() {
         interestRate: Number(interestPercent) / 100,
         termCount: Number(termCount),
         startDate,
+        amortizationType,
+        frequency,
+        dueDatePolicy,
+        dueDateShift,
+        ...(lateFeePolicyCode ? { lateFeePolicyCode } : {}),
+        ...(branches.length > 0 && branchId ? { branchId: Number(branchId) } : {}),
         declarationAccepted:
           Number(principal) >= 5350
             ? Boolean(pep ? pepAccepted : declarationAccepted)
@@ -247,7 +288,7 @@ export default function NewLoan() {
 
           <div className="grid-2">
             <div>
-              <div className="label">Plazo (meses)</div>
+              <div className="label">Plazo ({getTermUnitLabel(frequency, 2)})</div>
               <input
                 className="input"
                 type="number"
@@ -267,6 +308,96 @@ export default function NewLoan() {
             </div>
           </div>
 
+          <div className="grid-2">
+            <div>
+              <div className="label">Sistema de amortización</div>
+              <select
+                className="input"
+                value={amortizationType}
+                onChange={(e) => setAmortizationType(e.target.value)}
+              >
+                {AMORTIZATION_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="label">Frecuencia de pago</div>
+              <select
+                className="input"
+                value={frequency}
+                onChange={(e) => {
+                  setFrequency(e.target.value);
+                  // El mismo día de cada mes solo tiene sentido con cuotas mensuales
+                  if (e.target.value !== 'MONTHLY') setDueDatePolicy('FIXED_INTERVAL');
+                }}
+              >
+                {FREQUENCY_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid-2">
+            <div>
+              <div className="label">Vencimientos</div>
+              <select
+                className="input"
+                value={dueDatePolicy}
+                onChange={(e) => setDueDatePolicy(e.target.value)}
+              >
+                {DUE_DATE_POLICY_OPTIONS.map((o) => (
+                  <option
+                    key={o.value}
+                    value={o.value}
+                    disabled={o.value === 'SAME_DAY_OF_MONTH' && frequency !== 'MONTHLY'}
+                  >
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="label">Días no hábiles</div>
+              <select
+                className="input"
+                value={dueDateShift}
+                onChange={(e) => setDueDateShift(e.target.value)}
+              >
+                {DUE_DATE_SHIFT_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+            {lateFeePolicies.length > 0 && (
+              <div>
+                <div className="label">Política de mora</div>
+                <select
+                  className="input"
+                  value={lateFeePolicyCode}
+                  onChange={(e) => setLateFeePolicyCode(e.target.value)}
+                >
+                  <option value="">Por defecto</option>
+                  {lateFeePolicies.map((p) => (
+                    <option key={p.id} value={p.code}>{p.name} (v{p.version})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {branches.length > 0 && (
+              <div>
+                <div className="label">Agencia</div>
+                <select className="input" value={branchId} onChange={(e) => setBranchId(e.target.value)}>
+                  <option value="">Sin agencia</option>
+                  {branches.map((b) => (
+                    <option key={b.id} value={b.id}>{b.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
           {/* Declaración jurada PEP (si está marcado) */}
           {pep && (
             <div className="card" style={{ background: '#fff7ed', borderColor: '#fdba74' }}>
@@ -353,7 +484,10 @@ export default function NewLoan() {
           <div className="card-content">
             <h4 style={{ marginTop: 0 }}>Vista previa del cronograma</h4>
             <div className="mb-2">
-              Cuota estimada: S/ {Number(preview.summary.installmentAmount).toFixed(2)} | Total intereses: S/ {Number(preview.summary.totalInterest).toFixed(2)} | Total a pagar: S/ {Number(preview.summary.totalAmount).toFixed(2)}
+              {preview.summary.amortizationType === 'FRENCH' ? 'Cuota estimada' : 'Primera cuota'}: S/ {Number(preview.summary.installmentAmount).toFixed(2)} | Total intereses: S/ {Number(preview.summary.totalInterest).toFixed(2)} | Total a pagar: S/ {Number(preview.summary.totalAmount).toFixed(2)}
+            </div>
+            <div className="mb-2">
+              TEA: {(Number(preview.summary.tea) * 100).toFixed(2)}% | TEM: {(Number(preview.summary.tem) * 100).toFixed(2)}% | TCEA: {(Number(preview.summary.tcea) * 100).toFixed(2)}%
             </div>
             <div className="mb-2">
               Última cuota: {formatDate(preview.summary.lastDueDate)}
@@ -375,7 +509,14 @@ export default function NewLoan() {
               {previewScheduleWithRemaining.map((row) => (
                 <tr key={row.installmentNumber}>
                   <td>{row.installmentNumber}</td>
-                  <td>{formatDate(row.dueDate)}</td>
+                  <td>
+                    {formatDate(row.dueDate)}
+                    {row.originalDueDate && formatDate(row.originalDueDate) !== formatDate(row.dueDate) && (
+                      <div className="muted" style={{ fontSize: 12 }}>
+                        Corrida desde {formatDate(row.originalDueDate)}
+                      </div>
+                    )}
+                  </td>
                   <td>{Number(row.installmentAmount).toFixed(2)}</td>
                   <td>{Number(row.interestAmount).toFixed(2)}</td>
                   <td>{Number(row.principalAmount).toFixed(2)}</td>
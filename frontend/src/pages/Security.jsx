@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet, apiPost } from '../lib/api.js';
+import { formatDate } from '../lib/date.js';
+
+// Verificación en dos pasos (TOTP) del usuario actual
+export default function Security() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const load = async () => {
+    try {
+      setStatus(await apiGet('/auth/totp'));
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar el estado de la verificación');
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const run = async (action) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setCode('');
+      setPassword('');
+      await load();
+    } catch (e) {
+      setError(e.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await apiPost('/auth/totp/setup', {}));
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await apiPost('/auth/totp/enable', { code });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      setSuccess('Verificación en dos pasos activada');
+    });
+  };
+
+  const regenerate = () => run(async () => {
+    const data = await apiPost('/auth/totp/recovery-codes', { code });
+    setRecoveryCodes(data.recoveryCodes);
+    setSuccess('Se generaron códigos de recuperación nuevos; los anteriores ya no sirven');
+  });
+
+  const disable = () => {
+    if (!window.confirm('¿Desactivar la verificación en dos pasos?')) return;
+    run(async () => {
+      await apiPost('/auth/totp/disable', { password, code });
+      setRecoveryCodes(null);
+      setSuccess('Verificación en dos pasos desactivada');
+    });
+  };
+
+  if (!status) {
+    return <div className="section">{error ? <div className="badge badge-red">{error}</div> : 'Cargando...'}</div>;
+  }
+
+  return (
+    <div className="section">
+      <div className="card mb-4">
+        <h4 style={{ marginTop: 0 }}>Verificación en dos pasos</h4>
+        <p>
+          {status.enabled ? (
+            <span className="badge badge-green">Activa desde {formatDate(status.enabledAt)}</span>
+          ) : (
+            <span className="badge badge-gray">Inactiva</span>
+          )}
+          {status.required && <span className="muted" style={{ marginLeft: 8 }}>Obligatoria para su rol</span>}
+        </p>
+
+        {error && <div className="badge badge-red mb-2">{error}</div>}
+        {success && <div className="badge badge-green mb-2">{success}</div>}
+
+        {!status.enabled && !setup && (
+          <button type="button" className="btn btn-primary" onClick={startSetup}>Configurar</button>
+        )}
+
+        {setup && (
+          <form onSubmit={confirmSetup} className="form" style={{ gap: 12 }}>
+            <div className="muted">Agregue la cuenta en su app autenticadora con la clave o el enlace y escriba el código que muestra.</div>
+            <div>
+              <div className="label">Clave</div>
+              <code style={{ wordBreak: 'break-all' }}>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+            </div>
+            <div>
+              <div className="label">Enlace de configuración</div>
+              <a href={setup.otpauthUrl} style={{ wordBreak: 'break-all' }}>{setup.otpauthUrl}</a>
+            </div>
+            <div className="form-row">
+              <input className="input" inputMode="numeric" autoComplete="one-time-code" placeholder="Código de 6 dígitos" value={code} onChange={(e) => setCode(e.target.value)} />
+              <button className="btn btn-primary" type="submit">Activar</button>
+            </div>
+          </form>
+        )}
+
+        {status.enabled && (
+          <div className="form" style={{ gap: 12 }}>
+            <div className="muted">Códigos de recuperación sin usar: {status.recoveryCodesLeft}</div>
+            <div className="form-row">
+              <input className="input" inputMode="numeric" autoComplete="one-time-code" placeholder="Código de 6 dígitos" value={code} onChange={(e) => setCode(e.target.value)} />
+              <button type="button" className="btn" onClick={regenerate}>Generar códigos de recuperación nuevos</button>
+            </div>
+            {!status.required && (
+              <div className="form-row">
+                <input className="input" type="password" placeholder="Contraseña" value={password} onChange={(e) => setPassword(e.target.value)} />
+                <button type="button" className="btn" onClick={disable}>Desactivar</button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <div className="card">
+          <h4 style={{ marginTop: 0 }}>Códigos de recuperación</h4>
+          <p className="muted">Guárdelos en un lugar seguro; cada uno sirve una sola vez y no se volverán a mostrar.</p>
+          <pre style={{ margin: 0 }}>{recoveryCodes.join('\n')}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
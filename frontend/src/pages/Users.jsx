@@ -0,0 +1,274 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet, apiPost, apiPatch } from '../lib/api.js';
+import { formatDate } from '../lib/date.js';
+import { getCurrentUser, ROLE_OPTIONS, getRoleLabel } from '../lib/permissions.js';
+
+const LOGIN_FAILURE_LABELS = {
+  INVALID_CREDENTIALS: 'Contraseña incorrecta',
+  UNKNOWN_USER: 'Usuario inexistente',
+  INACTIVE: 'Usuario desactivado',
+  LOCKED: 'Cuenta bloqueada',
+  IP_THROTTLED: 'IP limitada',
+  TOTP_PENDING: 'Falta segundo factor',
+  INVALID_TOTP: 'Código 2FA incorrecto',
+};
+
+function isLocked(user) {
+  return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+}
+
+export default function Users() {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState('cashier');
+  const [branchId, setBranchId] = useState('');
+  const [branches, setBranches] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [attempts, setAttempts] = useState([]);
+  const [attemptUsername, setAttemptUsername] = useState('');
+  const [attemptResult, setAttemptResult] = useState('');
+  const currentUser = getCurrentUser();
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setUsers(await apiGet('/users'));
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar los usuarios');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAttempts = async () => {
+    const params = new URLSearchParams({ limit: '100' });
+    if (attemptUsername.trim()) params.set('username', attemptUsername.trim());
+    if (attemptResult) params.set('success', attemptResult);
+    try {
+      setAttempts(await apiGet(`/users/login-attempts?${params.toString()}`));
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar los intentos de login');
+    }
+  };
+
+  const loadBranches = async () => {
+    try {
+      setBranches(await apiGet('/branches?includeInactive=false'));
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar las agencias');
+    }
+  };
+
+  useEffect(() => { load(); loadAttempts(); loadBranches(); }, []);
+
+  const run = async (action, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(message);
+      await load();
+    } catch (e) {
+      setError(e.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const submitCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    await run(async () => {
+      await apiPost('/users', { username, password, role, branchId: branchId ? Number(branchId) : null });
+      setUsername('');
+      setPassword('');
+      setRole('cashier');
+      setBranchId('');
+    }, `Usuario ${username} creado`);
+    setCreating(false);
+  };
+
+  const changeRole = (user, newRole) =>
+    run(() => apiPatch(`/users/${user.id}/role`, { role: newRole }), `Rol de ${user.username} actualizado a ${getRoleLabel(newRole)}`);
+
+  const changeBranch = (user, newBranchId) => {
+    const branch = branches.find((b) => String(b.id) === newBranchId);
+    run(
+      () => apiPatch(`/users/${user.id}/branch`, { branchId: branch ? branch.id : null }),
+      `${user.username} ${branch ? `asignado a la agencia ${branch.name}` : 'quedó sin agencia'}`
+    );
+  };
+
+  const toggleActive = (user) => {
+    const action = user.isActive ? 'deactivate' : 'reactivate';
+    if (user.isActive && !window.confirm(`¿Desactivar a ${user.username}? Sus sesiones abiertas se cerrarán.`)) return;
+    run(() => apiPost(`/users/${user.id}/${action}`, {}), user.isActive ? `${user.username} desactivado` : `${user.username} reactivado`);
+  };
+
+  const unlock = (user) =>
+    run(() => apiPost(`/users/${user.id}/unlock`, {}), `${user.username} desbloqueado`);
+
+  const resetTotp = (user) => {
+    if (!window.confirm(`¿Quitar la verificación en dos pasos de ${user.username}? Deberá configurarla de nuevo.`)) return;
+    run(() => apiPost(`/users/${user.id}/reset-totp`, {}), `Verificación en dos pasos de ${user.username} restablecida`);
+  };
+
+  const resetPassword = (user) => {
+    const newPassword = window.prompt(`Nueva contraseña para ${user.username} (mínimo 8 caracteres)`);
+    if (newPassword === null) return;
+    if (newPassword.length < 8) {
+      setError('La contraseña debe tener al menos 8 caracteres');
+      return;
+    }
+    run(() => apiPost(`/users/${user.id}/reset-password`, { newPassword }), `Contraseña de ${user.username} restablecida`);
+  };
+
+  return (
+    <div className="section">
+      <div className="card mb-4">
+        <h4 style={{ marginTop: 0 }}>Nuevo usuario</h4>
+        <form onSubmit={submitCreate} className="form-row">
+          <input className="input" placeholder="Usuario" value={username} onChange={(e) => setUsername(e.target.value)} required />
+          <input className="input" type="password" placeholder="Contraseña (mínimo 8)" minLength={8} value={password} onChange={(e) => setPassword(e.target.value)} required />
+          <select className="input" value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLE_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          <select className="input" value={branchId} onChange={(e) => setBranchId(e.target.value)}>
+            <option value="">Sin agencia</option>
+            {branches.map((b) => (
+              <option key={b.id} value={b.id}>{b.name}</option>
+            ))}
+          </select>
+          <button className="btn btn-primary" type="submit" disabled={creating}>
+            {creating ? 'Creando...' : 'Crear usuario'}
+          </button>
+        </form>
+      </div>
+
+      {error && <div className="badge badge-red mb-2">{error}</div>}
+      {success && <div className="badge badge-green mb-2">{success}</div>}
+
+      <div className="card table-flush">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Usuario</th>
+              <th>Rol</th>
+              <th>Agencia</th>
+              <th>Estado</th>
+              <th>Creado</th>
+              <th>Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && users.length === 0 && (
+              <tr><td colSpan={6}>Cargando...</td></tr>
+            )}
+            {users.map((u) => (
+              <tr key={u.id}>
+                <td>{u.username}</td>
+                <td>
+                  <select className="input" value={u.role} onChange={(e) => changeRole(u, e.target.value)} disabled={u.id === currentUser.id}>
+                    {ROLE_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select className="input" value={u.branchId ?? ''} onChange={(e) => changeBranch(u, e.target.value)}>
+                    <option value="">Sin agencia</option>
+                    {u.branch && !branches.some((b) => b.id === u.branch.id) && (
+                      <option value={u.branch.id}>{u.branch.name} (inactiva)</option>
+                    )}
+                    {branches.map((b) => (
+                      <option key={b.id} value={b.id}>{b.name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  {u.isActive ? (
+                    <span className="badge badge-green">Activo</span>
+                  ) : (
+                    <span className="badge badge-gray">Inactivo desde {formatDate(u.deactivatedAt)}</span>
+                  )}
+                  {u.totpEnabledAt && (
+                    <span className="badge badge-blue" style={{ marginLeft: 6 }}>2FA</span>
+                  )}
+                  {isLocked(u) && (
+                    <span className="badge badge-red" style={{ marginLeft: 6 }}>
+                      Bloqueado hasta {new Date(u.lockedUntil).toLocaleTimeString('es-PE')}
+                    </span>
+                  )}
+                </td>
+                <td>{formatDate(u.createdAt)}</td>
+                <td>
+                  <div className="form-row">
+                    <button type="button" className="btn btn-sm" onClick={() => resetPassword(u)}>Restablecer contraseña</button>
+                    {isLocked(u) && (
+                      <button type="button" className="btn btn-sm" onClick={() => unlock(u)}>Desbloquear</button>
+                    )}
+                    {u.totpEnabledAt && u.id !== currentUser.id && (
+                      <button type="button" className="btn btn-sm" onClick={() => resetTotp(u)}>Quitar 2FA</button>
+                    )}
+                    {u.id !== currentUser.id && (
+                      <button type="button" className="btn btn-sm" onClick={() => toggleActive(u)}>
+                        {u.isActive ? 'Desactivar' : 'Reactivar'}
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card table-flush" style={{ marginTop: 16 }}>
+        <div className="form-row" style={{ padding: 12 }}>
+          <h4 style={{ margin: 0 }}>Intentos de login</h4>
+          <input className="input" placeholder="Usuario" value={attemptUsername} onChange={(e) => setAttemptUsername(e.target.value)} />
+          <select className="input" value={attemptResult} onChange={(e) => setAttemptResult(e.target.value)}>
+            <option value="">Todos</option>
+            <option value="false">Fallidos</option>
+            <option value="true">Exitosos</option>
+          </select>
+          <button type="button" className="btn btn-sm" onClick={loadAttempts}>Filtrar</button>
+        </div>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Fecha</th>
+              <th>Usuario</th>
+              <th>IP</th>
+              <th>Resultado</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attempts.length === 0 && (
+              <tr><td colSpan={4}>Sin intentos registrados</td></tr>
+            )}
+            {attempts.map((a) => (
+              <tr key={a.id}>
+                <td>{new Date(a.createdAt).toLocaleString('es-PE')}</td>
+                <td>{a.username}</td>
+                <td>{a.ip || '-'}</td>
+                <td>
+                  {a.success ? (
+                    <span className="badge badge-green">Exitoso</span>
+                  ) : (
+                    <span className="badge badge-red">{LOGIN_FAILURE_LABELS[a.reason] || 'Fallido'}</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { apiGet, apiPost } from '../lib/api.js';
+import { getCurrentUser } from '../lib/permissions.js';
+import {
+  CASH_TRANSFER_PURPOSE_LABELS,
+  VAULT_MOVEMENT_LABELS,
+  getTransferDirectionLabel,
+} from '../lib/cash.js';
+
+const EMPTY_MOVEMENT = { movementType: 'DEPOSIT', amount: '', description: '' };
+
+function formatMoney(value) {
+  return `S/ ${Number(value).toFixed(2)}`;
+}
+
+// Bóveda de la agencia: saldo, entradas y salidas externas y transferencias con las cajas
+export default function Vault() {
+  const [vaults, setVaults] = useState([]);
+  const [branchId, setBranchId] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [form, setForm] = useState(EMPTY_MOVEMENT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const currentUser = getCurrentUser();
+
+  const loadVaults = async () => {
+    try {
+      const data = await apiGet('/vaults');
+      setVaults(data);
+      if (!branchId && data.length > 0) setBranchId(data[0].branch.id);
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar las bóvedas');
+    }
+  };
+
+  const loadBranch = async (id) => {
+    if (!id) return;
+    try {
+      const [ledger, pending] = await Promise.all([
+        apiGet(`/vaults/${id}/movements?limit=100`),
+        apiGet(`/cash-transfers?status=PENDING&branchId=${id}`),
+      ]);
+      setMovements(ledger.movements);
+      setTransfers(pending);
+    } catch (e) {
+      setError(e.message || 'No se pudo cargar la bóveda');
+    }
+  };
+
+  useEffect(() => { loadVaults(); }, []);
+  useEffect(() => { loadBranch(branchId); }, [branchId]);
+
+  const run = async (action, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(message);
+      await Promise.all([loadVaults(), loadBranch(branchId)]);
+    } catch (e) {
+      setError(e.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const submitMovement = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await run(async () => {
+      await apiPost(`/vaults/${branchId}/movements`, { ...form, amount: Number(form.amount) });
+      setForm(EMPTY_MOVEMENT);
+    }, form.movementType === 'DEPOSIT' ? 'Entrada registrada' : 'Salida registrada');
+    setSaving(false);
+  };
+
+  const transferAction = (transfer, action, message) =>
+    run(() => apiPost(`/cash-transfers/${transfer.id}/${action}`, {}), message);
+
+  const selected = vaults.find((v) => v.branch.id === branchId);
+
+  return (
+    <div className="section">
+      {error && <div className="badge badge-red mb-2">{error}</div>}
+      {success && <div className="badge badge-green mb-2">{success}</div>}
+
+      <div className="card table-flush mb-4">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Agencia</th>
+              <th>Saldo</th>
+              <th>Transferencias pendientes</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {vaults.length === 0 && (
+              <tr><td colSpan={4}>Sin agencias a su cargo</td></tr>
+            )}
+            {vaults.map((v) => (
+              <tr key={v.branch.id}>
+                <td>{v.branch.name} ({v.branch.code})</td>
+                <td>{formatMoney(v.balance)}</td>
+                <td>{v.pendingTransfers}</td>
+                <td>
+                  <button type="button" className="btn btn-sm" disabled={v.branch.id === branchId} onClick={() => setBranchId(v.branch.id)}>
+                    {v.branch.id === branchId ? 'Seleccionada' : 'Ver'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && (
+        <>
+          <div className="card mb-4">
+            <h4 style={{ marginTop: 0 }}>Entrada o salida de efectivo · {selected.branch.name}</h4>
+            <div className="mb-2" style={{ color: '#666' }}>
+              Efectivo que entra o sale de la empresa (banco, aporte o retiro del dueño). Las cajas se fondean con transferencias.
+            </div>
+            <form onSubmit={submitMovement} className="form-row">
+              <select className="input" value={form.movementType} onChange={setField('movementType')}>
+                <option value="DEPOSIT">{VAULT_MOVEMENT_LABELS.DEPOSIT}</option>
+                <option value="WITHDRAWAL">{VAULT_MOVEMENT_LABELS.WITHDRAWAL}</option>
+              </select>
+              <input className="input" type="number" step="0.01" min="0.01" placeholder="Monto" value={form.amount} onChange={setField('amount')} required />
+              <input className="input" placeholder="Origen o destino (p. ej. retiro BCP op. 123)" value={form.description} onChange={setField('description')} minLength={3} maxLength={250} required />
+              <button className="btn btn-primary" type="submit" disabled={saving}>
+                {saving ? 'Guardando...' : 'Registrar'}
+              </button>
+            </form>
+          </div>
+
+          <div className="card table-flush mb-4">
+            <h4 style={{ margin: 12 }}>Transferencias pendientes</h4>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Caja</th>
+                  <th>Motivo</th>
+                  <th>Sentido</th>
+                  <th>Monto</th>
+                  <th>Registró</th>
+                  <th>Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.length === 0 && (
+                  <tr><td colSpan={6}>Sin transferencias pendientes</td></tr>
+                )}
+                {transfers.map((t) => (
+                  <tr key={t.id}>
+                    <td>#{t.cashSession.id} ({t.cashSession.user.username})</td>
+                    <td>{CASH_TRANSFER_PURPOSE_LABELS[t.purpose]}</td>
+                    <td>{getTransferDirectionLabel(t.direction)}</td>
+                    <td>{formatMoney(t.amount)}</td>
+                    <td>{t.requestedBy.username}</td>
+                    <td>
+                      <div className="form-row">
+                        {t.requestedByUserId === currentUser.id ? (
+                          t.purpose !== 'CLOSING' && (
+                            <button type="button" className="btn btn-sm" onClick={() => transferAction(t, 'cancel', 'Transferencia cancelada')}>Cancelar</button>
+                          )
+                        ) : (t.purpose !== 'CLOSING' || t.cashSession.userId !== currentUser.id) && (
+                          <>
+                            <button type="button" className="btn btn-sm" onClick={() => transferAction(t, 'confirm', 'Transferencia confirmada')}>Confirmar</button>
+                            {t.purpose !== 'CLOSING' && (
+                              <button type="button" className="btn btn-sm" onClick={() => transferAction(t, 'reject', 'Transferencia rechazada')}>Rechazar</button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="card table-flush">
+            <h4 style={{ margin: 12 }}>Movimientos de la bóveda</h4>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Fecha</th>
+                  <th>Movimiento</th>
+                  <th>Detalle</th>
+                  <th>Monto</th>
+                  <th>Saldo</th>
+                  <th>Usuario</th>
+                </tr>
+              </thead>
+              <tbody>
+                {movements.length === 0 && (
+                  <tr><td colSpan={6}>Sin movimientos</td></tr>
+                )}
+                {movements.map((m) => (
+                  <tr key={m.id}>
+                    <td>{new Date(m.createdAt).toLocaleString('es-PE')}</td>
+                    <td>{VAULT_MOVEMENT_LABELS[m.movementType]}</td>
+                    <td>{m.description || '-'}</td>
+                    <td>{['WITHDRAWAL', 'TRANSFER_OUT'].includes(m.movementType) ? '-' : '+'}{formatMoney(m.amount)}</td>
+                    <td>{formatMoney(m.balanceAfter)}</td>
+                    <td>{m.user.username}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}